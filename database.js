@@ -1,7 +1,9 @@
 const sqlite3 = require('sqlite3').verbose();
 const bcrypt = require('bcrypt');
 const fs = require('fs');
+const crypto = require('crypto');
 const path = require('path');
+const BillingEngine = require('./services/billing');
 
 class Database {
     constructor(dbPath) {
@@ -13,6 +15,8 @@ class Database {
         
         this.dbPath = dbPath;
         this.db = null;
+        this.txDb = null;
+        this.txQueue = Promise.resolve();
     }
 
     async initialize() {
@@ -24,13 +28,70 @@ class Database {
                     return;
                 }
                 console.log('✓ Connected to SQLite database');
+                this.db.configure('busyTimeout', 5000);
                 
-                // Now create tables
-                this.createTables().then(resolve).catch(reject);
+                // Transactions get their own connection so unrelated queries
+                // on the main connection never end up inside them
+                this.txDb = new sqlite3.Database(this.dbPath, (err) => {
+                    if (err) {
+                        console.error('Database connection error:', err);
+                        reject(err);
+                        return;
+                    }
+                    this.txDb.configure('busyTimeout', 5000);
+                    
+                    // Now create tables
+                    this.createTables().then(resolve).catch(reject);
+                });
             });
         });
     }
 
+    // ==================== TRANSACTIONS ====================
+
+    // Runs `work(tx)` inside a BEGIN IMMEDIATE transaction. Transactions are
+    // queued so only one is open at a time; writes from the main connection
+    // wait on SQLite's lock until it commits or rolls back.
+    async transaction(work) {
+        const result = this.txQueue.then(() => this._runTransaction(work));
+        this.txQueue = result.catch(() => {});
+        return result;
+    }
+
+    async _runTransaction(work) {
+        const conn = this.txDb;
+        const tx = {
+            run: (sql, params = []) => new Promise((resolve, reject) => {
+                conn.run(sql, params, function(err) {
+                    if (err) reject(err);
+                    else resolve({ lastID: this.lastID, changes: this.changes });
+                });
+            }),
+            get: (sql, params = []) => new Promise((resolve, reject) => {
+                conn.get(sql, params, (err, row) => {
+                    if (err) reject(err);
+                    else resolve(row);
+                });
+            }),
+            all: (sql, params = []) => new Promise((resolve, reject) => {
+                conn.all(sql, params, (err, rows) => {
+                    if (err) reject(err);
+                    else resolve(rows || []);
+                });
+            })
+        };
+
+        await tx.run('BEGIN IMMEDIATE');
+        try {
+            const result = await work(tx);
+            await tx.run('COMMIT');
+            return result;
+        } catch (error) {
+            await tx.run('ROLLBACK').catch(() => {});
+            throw error;
+        }
+    }
+
     async createTables() {
         return new Promise((resolve, reject) => {
             this.db.serialize(() => {
@@ -45,6 +106,14 @@ class Database {
                         twofa_secret TEXT,
                         twofa_enabled INTEGER DEFAULT 0,
                         pterodactyl_id INTEGER,
+                        status TEXT NOT NULL DEFAULT 'active',
+                        status_reason TEXT,
+                        email_verified INTEGER DEFAULT 0,
+                        email_verified_at DATETIME,
+                        failed_login_attempts INTEGER DEFAULT 0,
+                        last_failed_login_at TEXT,
+                        locked_until TEXT,
+                        totp_last_step INTEGER,
                         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
                     )
@@ -58,14 +127,19 @@ class Database {
 
                 // Sessions table
                 this.db.run(`
-                    CREATE TABLE IF NOT EXISTS sessions (
-                        sid TEXT PRIMARY KEY,
-                        sess TEXT NOT NULL,
-                        expired INTEGER NOT NULL
+                    CREATE TABLE IF NOT EXISTS user_sessions (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        sid TEXT UNIQUE NOT NULL,
+                        user_id INTEGER NOT NULL,
+                        ip TEXT,
+                        user_agent TEXT,
+                        created_at TEXT NOT NULL,
+                        last_seen_at TEXT NOT NULL,
+                        FOREIGN KEY (user_id) REFERENCES users(id)
                     )
                 `, (err) => {
                     if (err) {
-                        console.error('Error creating sessions table:', err);
+                        console.error('Error creating user_sessions table:', err);
                         reject(err);
                         return;
                     }
@@ -114,6 +188,7 @@ class Database {
                         gift_card_id INTEGER NOT NULL,
                         credits_received REAL NOT NULL,
                         redeemed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                        idempotency_key TEXT,
                         FOREIGN KEY (user_id) REFERENCES users(id),
                         FOREIGN KEY (gift_card_id) REFERENCES gift_cards(id)
                     )
@@ -152,6 +227,7 @@ class Database {
                         enabled INTEGER DEFAULT 1,
                         category TEXT DEFAULT 'general',
                         sort_order INTEGER DEFAULT 0,
+                        transition_plan_ids TEXT,
                         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
                     )
@@ -176,6 +252,11 @@ class Database {
                         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                         expires_at DATETIME,
                         next_billing_date DATETIME,
+                        suspended_at DATETIME,
+                        cancel_at_period_end INTEGER DEFAULT 0,
+                        pending_plan_id INTEGER,
+                        plan_change_amount REAL,
+                        plan_change_started_at DATETIME,
                         FOREIGN KEY (user_id) REFERENCES users(id),
                         FOREIGN KEY (plan_id) REFERENCES server_plans(id)
                     )
@@ -187,12 +268,333 @@ class Database {
                     }
                 });
 
+                // Credit transactions ledger
+                this.db.run(`
+                    CREATE TABLE IF NOT EXISTS credit_transactions (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        user_id INTEGER NOT NULL,
+                        amount REAL NOT NULL,
+                        balance_after REAL NOT NULL,
+                        reason TEXT NOT NULL,
+                        description TEXT,
+                        related_type TEXT,
+                        related_id INTEGER,
+                        actor_id INTEGER,
+                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                        FOREIGN KEY (user_id) REFERENCES users(id)
+                    )
+                `, (err) => {
+                    if (err) {
+                        console.error('Error creating credit_transactions table:', err);
+                        reject(err);
+                        return;
+                    }
+                });
+
+                // Audit log. The actor's email is copied so entries stay
+                // readable after the account is deleted.
+                this.db.run(`
+                    CREATE TABLE IF NOT EXISTS audit_log (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        actor_id INTEGER,
+                        actor_email TEXT,
+                        action TEXT NOT NULL,
+                        target_type TEXT,
+                        target_id TEXT,
+                        before_value TEXT,
+                        after_value TEXT,
+                        details TEXT,
+                        ip TEXT,
+                        user_agent TEXT,
+                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                    )
+                `, (err) => {
+                    if (err) {
+                        console.error('Error creating audit_log table:', err);
+                        reject(err);
+                        return;
+                    }
+                });
+
+                // Append-only: entries can be added but never changed or removed
+                this.db.run(`
+                    CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+                    BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END
+                `);
+                this.db.run(`
+                    CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+                    BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END
+                `);
+
+                // Password reset tokens (only the SHA-256 hash is stored)
+                this.db.run(`
+                    CREATE TABLE IF NOT EXISTS password_reset_tokens (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        user_id INTEGER NOT NULL,
+                        token_hash TEXT UNIQUE NOT NULL,
+                        expires_at TEXT NOT NULL,
+                        used_at TEXT,
+                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                        FOREIGN KEY (user_id) REFERENCES users(id)
+                    )
+                `, (err) => {
+                    if (err) {
+                        console.error('Error creating password_reset_tokens table:', err);
+                        reject(err);
+                        return;
+                    }
+                });
+
+                // 2FA recovery codes (bcrypt hashes)
+                this.db.run(`
+                    CREATE TABLE IF NOT EXISTS recovery_codes (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        user_id INTEGER NOT NULL,
+                        code_hash TEXT NOT NULL,
+                        used_at TEXT,
+                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                        FOREIGN KEY (user_id) REFERENCES users(id)
+                    )
+                `, (err) => {
+                    if (err) {
+                        console.error('Error creating recovery_codes table:', err);
+                        reject(err);
+                        return;
+                    }
+                });
+
+                // WebAuthn authenticators (security keys and passkeys)
+                this.db.run(`
+                    CREATE TABLE IF NOT EXISTS webauthn_credentials (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        user_id INTEGER NOT NULL,
+                        name TEXT NOT NULL,
+                        credential_id TEXT UNIQUE NOT NULL,
+                        public_key TEXT NOT NULL,
+                        counter INTEGER DEFAULT 0,
+                        transports TEXT,
+                        last_used_at TEXT,
+                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                        FOREIGN KEY (user_id) REFERENCES users(id)
+                    )
+                `, (err) => {
+                    if (err) {
+                        console.error('Error creating webauthn_credentials table:', err);
+                        reject(err);
+                        return;
+                    }
+                });
+
+                // Accounts at external OAuth/OIDC providers linked for sign-in.
+                // subject is the provider's stable user id, not the email.
+                this.db.run(`
+                    CREATE TABLE IF NOT EXISTS oauth_identities (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        user_id INTEGER NOT NULL,
+                        provider TEXT NOT NULL,
+                        subject TEXT NOT NULL,
+                        email TEXT,
+                        last_used_at TEXT,
+                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                        UNIQUE (provider, subject),
+                        UNIQUE (user_id, provider),
+                        FOREIGN KEY (user_id) REFERENCES users(id)
+                    )
+                `, (err) => {
+                    if (err) {
+                        console.error('Error creating oauth_identities table:', err);
+                        reject(err);
+                        return;
+                    }
+                });
+
+                // Personal API keys. Only the SHA-256 hash is stored; prefix is
+                // the start of the key so users can tell their keys apart.
+                this.db.run(`
+                    CREATE TABLE IF NOT EXISTS api_keys (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        user_id INTEGER NOT NULL,
+                        name TEXT NOT NULL,
+                        prefix TEXT NOT NULL,
+                        key_hash TEXT UNIQUE NOT NULL,
+                        scopes TEXT NOT NULL,
+                        last_used_at TEXT,
+                        last_used_ip TEXT,
+                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                        FOREIGN KEY (user_id) REFERENCES users(id)
+                    )
+                `, (err) => {
+                    if (err) {
+                        console.error('Error creating api_keys table:', err);
+                        reject(err);
+                        return;
+                    }
+                });
+
+                // Application keys for the admin API. They belong to the
+                // installation rather than a user, so they outlive their creator.
+                this.db.run(`
+                    CREATE TABLE IF NOT EXISTS application_keys (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        name TEXT NOT NULL,
+                        prefix TEXT NOT NULL,
+                        key_hash TEXT UNIQUE NOT NULL,
+                        scopes TEXT NOT NULL,
+                        created_by INTEGER,
+                        last_used_at TEXT,
+                        last_used_ip TEXT,
+                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                    )
+                `, (err) => {
+                    if (err) {
+                        console.error('Error creating application_keys table:', err);
+                        reject(err);
+                        return;
+                    }
+                });
+
+                // Outbound webhook endpoints. The secret signs every delivery,
+                // so it is stored as is rather than hashed.
+                this.db.run(`
+                    CREATE TABLE IF NOT EXISTS webhook_endpoints (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        url TEXT NOT NULL,
+                        description TEXT,
+                        events TEXT NOT NULL,
+                        secret TEXT NOT NULL,
+                        enabled INTEGER DEFAULT 1,
+                        created_by INTEGER,
+                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                    )
+                `, (err) => {
+                    if (err) {
+                        console.error('Error creating webhook_endpoints table:', err);
+                        reject(err);
+                        return;
+                    }
+                });
+
+                // One row per event per endpoint; doubles as the retry queue
+                // (status 'pending') and the delivery log
+                this.db.run(`
+                    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        endpoint_id INTEGER NOT NULL,
+                        event_id TEXT NOT NULL,
+                        event TEXT NOT NULL,
+                        payload TEXT NOT NULL,
+                        status TEXT NOT NULL DEFAULT 'pending',
+                        attempts INTEGER DEFAULT 0,
+                        next_attempt_at TEXT,
+                        last_attempt_at TEXT,
+                        response_code INTEGER,
+                        response_body TEXT,
+                        error TEXT,
+                        duration_ms INTEGER,
+                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                        FOREIGN KEY (endpoint_id) REFERENCES webhook_endpoints(id)
+                    )
+                `, (err) => {
+                    if (err) {
+                        console.error('Error creating webhook_deliveries table:', err);
+                        reject(err);
+                        return;
+                    }
+                });
+
+                // Credit store orders. The package is copied onto the order so
+                // later config changes don't alter what was bought.
+                this.db.run(`
+                    CREATE TABLE IF NOT EXISTS credit_orders (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        reference TEXT UNIQUE NOT NULL,
+                        user_id INTEGER NOT NULL,
+                        package_id TEXT NOT NULL,
+                        package_name TEXT NOT NULL,
+                        credits REAL NOT NULL,
+                        amount_cents INTEGER NOT NULL,
+                        currency TEXT NOT NULL,
+                        provider TEXT NOT NULL,
+                        provider_ref TEXT NOT NULL,
+                        provider_payment_id TEXT,
+                        status TEXT NOT NULL DEFAULT 'pending',
+                        paid_at TEXT,
+                        refunded_at TEXT,
+                        disputed_at TEXT,
+                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                        FOREIGN KEY (user_id) REFERENCES users(id)
+                    )
+                `, (err) => {
+                    if (err) {
+                        console.error('Error creating credit_orders table:', err);
+                        reject(err);
+                        return;
+                    }
+                });
+
+                // Provider webhook events already applied, so a retried or
+                // replayed event never grants credits twice
+                this.db.run(`
+                    CREATE TABLE IF NOT EXISTS payment_events (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        provider TEXT NOT NULL,
+                        event_id TEXT NOT NULL,
+                        type TEXT NOT NULL,
+                        order_id INTEGER,
+                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                        UNIQUE(provider, event_id),
+                        FOREIGN KEY (order_id) REFERENCES credit_orders(id)
+                    )
+                `, (err) => {
+                    if (err) {
+                        console.error('Error creating payment_events table:', err);
+                        reject(err);
+                        return;
+                    }
+                });
+
+                // Resource usage samples (raw, 5-minute and hourly resolutions)
+                this.db.run(`
+                    CREATE TABLE IF NOT EXISTS resource_samples (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        server_identifier TEXT NOT NULL,
+                        resolution TEXT NOT NULL DEFAULT 'raw',
+                        sampled_at TEXT NOT NULL,
+                        cpu REAL DEFAULT 0,
+                        memory_bytes INTEGER DEFAULT 0,
+                        disk_bytes INTEGER DEFAULT 0,
+                        network_rx_bytes INTEGER DEFAULT 0,
+                        network_tx_bytes INTEGER DEFAULT 0,
+                        state TEXT
+                    )
+                `, (err) => {
+                    if (err) {
+                        console.error('Error creating resource_samples table:', err);
+                        reject(err);
+                        return;
+                    }
+                });
+
                 // Create indexes
                 this.db.run(`CREATE INDEX IF NOT EXISTS idx_users_email ON users(email)`);
-                this.db.run(`CREATE INDEX IF NOT EXISTS idx_sessions_expired ON sessions(expired)`);
+                this.db.run(`CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id)`);
+                this.db.run(`CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at)`);
+                this.db.run(`CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log(action)`);
                 this.db.run(`CREATE INDEX IF NOT EXISTS idx_gift_cards_code ON gift_cards(code)`);
                 this.db.run(`CREATE INDEX IF NOT EXISTS idx_redemptions_user ON gift_card_redemptions(user_id)`);
                 this.db.run(`CREATE INDEX IF NOT EXISTS idx_plans_enabled ON server_plans(enabled)`);
+                this.db.run(`CREATE INDEX IF NOT EXISTS idx_credit_tx_user ON credit_transactions(user_id, created_at)`);
+                this.db.run(`CREATE INDEX IF NOT EXISTS idx_recovery_codes_user ON recovery_codes(user_id)`);
+                this.db.run(`CREATE INDEX IF NOT EXISTS idx_webauthn_user ON webauthn_credentials(user_id)`);
+                this.db.run(`CREATE INDEX IF NOT EXISTS idx_api_keys_user ON api_keys(user_id)`);
+                this.db.run(`CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at)`);
+                this.db.run(`CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_endpoint ON webhook_deliveries(endpoint_id, created_at)`);
+                this.db.run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_credit_orders_provider_ref ON credit_orders(provider, provider_ref)`);
+                this.db.run(`CREATE INDEX IF NOT EXISTS idx_credit_orders_payment ON credit_orders(provider, provider_payment_id)`);
+                this.db.run(`CREATE INDEX IF NOT EXISTS idx_credit_orders_user ON credit_orders(user_id, created_at)`);
+                this.db.run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_resource_samples ON resource_samples(server_identifier, resolution, sampled_at)`);
                 this.db.run(`CREATE INDEX IF NOT EXISTS idx_servers_user ON user_servers(user_id)`, (err) => {
                     if (err) {
                         console.error('Error creating indexes:', err);
@@ -212,507 +614,2907 @@ class Database {
 
     async runMigrations() {
         return new Promise((resolve, reject) => {
-            // Add billing_cycle column to server_plans if it doesn't exist
-            this.db.run(`
-                ALTER TABLE server_plans ADD COLUMN billing_cycle TEXT DEFAULT 'monthly'
-            `, (err) => {
-                if (err && !err.message.includes('duplicate column')) {
-                    console.error('Migration error (billing_cycle):', err);
-                }
-            });
+            // Run in order: later statements depend on columns added earlier
+            this.db.serialize(() => {
+                // Add billing_cycle column to server_plans if it doesn't exist
+                this.db.run(`
+                    ALTER TABLE server_plans ADD COLUMN billing_cycle TEXT DEFAULT 'monthly'
+                `, (err) => {
+                    if (err && !err.message.includes('duplicate column')) {
+                        console.error('Migration error (billing_cycle):', err);
+                    }
+                });
             
-            // Add next_billing_date column to user_servers if it doesn't exist
-            this.db.run(`
-                ALTER TABLE user_servers ADD COLUMN next_billing_date DATETIME
-            `, (err) => {
-                if (err && !err.message.includes('duplicate column')) {
-                    console.error('Migration error (next_billing_date):', err);
-                }
-                resolve();
-            });
-        });
-    }
-
-    async createAdminUser(email, password) {
-        return new Promise(async (resolve, reject) => {
-            try {
-                // Check if admin exists
-                this.db.get('SELECT id FROM users WHERE email = ?', [email], async (err, row) => {
-                    if (err) {
-                        reject(err);
-                        return;
+                // Add next_billing_date column to user_servers if it doesn't exist
+                this.db.run(`
+                    ALTER TABLE user_servers ADD COLUMN next_billing_date DATETIME
+                `, (err) => {
+                    if (err && !err.message.includes('duplicate column')) {
+                        console.error('Migration error (next_billing_date):', err);
                     }
+                });
 
-                    if (row) {
-                        console.log('✓ Admin user already exists');
-                        resolve(false);
-                        return;
+                // Add suspended_at column to user_servers if it doesn't exist
+                this.db.run(`
+                    ALTER TABLE user_servers ADD COLUMN suspended_at DATETIME
+                `, (err) => {
+                    if (err && !err.message.includes('duplicate column')) {
+                        console.error('Migration error (suspended_at):', err);
                     }
-
-                    // Create admin user
-                    const hashedPassword = await bcrypt.hash(password, 12);
-                    this.db.run(
-                        'INSERT INTO users (email, password, role, twofa_enabled) VALUES (?, ?, ?, ?)',
-                        [email, hashedPassword, 'admin', 0],
-                        function(err) {
-                            if (err) {
-                                reject(err);
-                                return;
-                            }
-                            console.log('✓ Admin user created successfully');
-                            resolve(true);
-                        }
-                    );
                 });
-            } catch (error) {
-                reject(error);
-            }
-        });
-    }
-
-    async getUserByEmail(email) {
-        return new Promise((resolve, reject) => {
-            this.db.get('SELECT * FROM users WHERE email = ?', [email], (err, row) => {
-                if (err) reject(err);
-                else resolve(row);
-            });
-        });
-    }
-
-    async getUserById(id) {
-        return new Promise((resolve, reject) => {
-            this.db.get('SELECT * FROM users WHERE id = ?', [id], (err, row) => {
-                if (err) reject(err);
-                else resolve(row);
-            });
-        });
-    }
-
-    async getAllUsers() {
-        return new Promise((resolve, reject) => {
-            this.db.all('SELECT id, email, role, credits, pterodactyl_id, created_at FROM users', [], (err, rows) => {
-                if (err) reject(err);
-                else resolve(rows);
-            });
-        });
-    }
-
+            
+                // Add cancel_at_period_end column to user_servers if it doesn't exist
+                this.db.run(`
+                    ALTER TABLE user_servers ADD COLUMN cancel_at_period_end INTEGER DEFAULT 0
+                `, (err) => {
+                    if (err && !err.message.includes('duplicate column')) {
+                        console.error('Migration error (cancel_at_period_end):', err);
+                    }
+                });
+            
+                // Add idempotency_key column to gift_card_redemptions if it doesn't exist
+                this.db.run(`
+                    ALTER TABLE gift_card_redemptions ADD COLUMN idempotency_key TEXT
+                `, (err) => {
+                    if (err && !err.message.includes('duplicate column')) {
+                        console.error('Migration error (idempotency_key):', err);
+                    }
+                });
+            
+                // Add plan change columns if they don't exist
+                this.db.run(`
+                    ALTER TABLE server_plans ADD COLUMN transition_plan_ids TEXT
+                `, (err) => {
+                    if (err && !err.message.includes('duplicate column')) {
+                        console.error('Migration error (transition_plan_ids):', err);
+                    }
+                });
+                this.db.run(`
+                    ALTER TABLE user_servers ADD COLUMN pending_plan_id INTEGER
+                `, (err) => {
+                    if (err && !err.message.includes('duplicate column')) {
+                        console.error('Migration error (pending_plan_id):', err);
+                    }
+                });
+                this.db.run(`
+                    ALTER TABLE user_servers ADD COLUMN plan_change_amount REAL
+                `, (err) => {
+                    if (err && !err.message.includes('duplicate column')) {
+                        console.error('Migration error (plan_change_amount):', err);
+                    }
+                });
+                this.db.run(`
+                    ALTER TABLE user_servers ADD COLUMN plan_change_started_at DATETIME
+                `, (err) => {
+                    if (err && !err.message.includes('duplicate column')) {
+                        console.error('Migration error (plan_change_started_at):', err);
+                    }
+                });
+            
+                // Add account status columns to users if they don't exist
+                this.db.run(`
+                    ALTER TABLE users ADD COLUMN status TEXT NOT NULL DEFAULT 'active'
+                `, (err) => {
+                    if (err && !err.message.includes('duplicate column')) {
+                        console.error('Migration error (status):', err);
+                    }
+                });
+                this.db.run(`
+                    ALTER TABLE users ADD COLUMN status_reason TEXT
+                `, (err) => {
+                    if (err && !err.message.includes('duplicate column')) {
+                        console.error('Migration error (status_reason):', err);
+                    }
+                });
+            
+                // Accounts that existed before email verification count as verified
+                this.db.run(`
+                    ALTER TABLE users ADD COLUMN email_verified INTEGER DEFAULT 0
+                `, (err) => {
+                    if (err && !err.message.includes('duplicate column')) {
+                        console.error('Migration error (email_verified):', err);
+                    } else if (!err) {
+                        this.db.run('UPDATE users SET email_verified = 1');
+                    }
+                });
+                this.db.run(`
+                    ALTER TABLE users ADD COLUMN email_verified_at DATETIME
+                `, (err) => {
+                    if (err && !err.message.includes('duplicate column')) {
+                        console.error('Migration error (email_verified_at):', err);
+                    }
+                });
+            
+                // Sign-in throttling and TOTP replay protection
+                this.db.run(`
+                    ALTER TABLE users ADD COLUMN failed_login_attempts INTEGER DEFAULT 0
+                `, (err) => {
+                    if (err && !err.message.includes('duplicate column')) {
+                        console.error('Migration error (failed_login_attempts):', err);
+                    }
+                });
+                this.db.run(`
+                    ALTER TABLE users ADD COLUMN last_failed_login_at TEXT
+                `, (err) => {
+                    if (err && !err.message.includes('duplicate column')) {
+                        console.error('Migration error (last_failed_login_at):', err);
+                    }
+                });
+                this.db.run(`
+                    ALTER TABLE users ADD COLUMN locked_until TEXT
+                `, (err) => {
+                    if (err && !err.message.includes('duplicate column')) {
+                        console.error('Migration error (locked_until):', err);
+                    }
+                });
+                this.db.run(`
+                    ALTER TABLE users ADD COLUMN totp_last_step INTEGER
+                `, (err) => {
+                    if (err && !err.message.includes('duplicate column')) {
+                        console.error('Migration error (totp_last_step):', err);
+                    }
+                });
+            
+                // Admin actions used to have their own table; move them into the audit log
+                this.db.run(`
+                    INSERT INTO audit_log (actor_id, actor_email, action, target_type, target_id, details, created_at)
+                    SELECT aa.admin_id, u.email, aa.action, aa.target_type, aa.target_id, aa.details, aa.created_at
+                    FROM admin_actions aa
+                    LEFT JOIN users u ON aa.admin_id = u.id
+                    ORDER BY aa.id
+                `, (err) => {
+                    if (err && !err.message.includes('no such table')) {
+                        console.error('Migration error (admin_actions):', err);
+                    } else if (!err) {
+                        this.db.run('DROP TABLE admin_actions');
+                    }
+                });
+                
+                // Session data lives in sessions/sessions.sqlite; this table was never used
+                this.db.run(`DROP TABLE IF EXISTS sessions`, (err) => {
+                    if (err) {
+                        console.error('Migration error (drop sessions):', err);
+                    }
+                });
+            
+                this.db.run(`
+                    CREATE UNIQUE INDEX IF NOT EXISTS idx_redemptions_idempotency
+                    ON gift_card_redemptions(user_id, idempotency_key) WHERE idempotency_key IS NOT NULL
+                `, (err) => {
+                    if (err) {
+                        console.error('Migration error (idx_redemptions_idempotency):', err);
+                    }
+                    resolve();
+                });
+            });
+        });
+    }
+
+    async createAdminUser(email, password) {
+        return new Promise(async (resolve, reject) => {
+            try {
+                // Check if admin exists
+                this.db.get('SELECT id FROM users WHERE email = ?', [email], async (err, row) => {
+                    if (err) {
+                        reject(err);
+                        return;
+                    }
+
+                    if (row) {
+                        console.log('✓ Admin user already exists');
+                        resolve(false);
+                        return;
+                    }
+
+                    // Create admin user
+                    const hashedPassword = await bcrypt.hash(password, 12);
+                    this.db.run(
+                        'INSERT INTO users (email, password, role, twofa_enabled, email_verified) VALUES (?, ?, ?, ?, ?)',
+                        [email, hashedPassword, 'admin', 0, 1],
+                        function(err) {
+                            if (err) {
+                                reject(err);
+                                return;
+                            }
+                            console.log('✓ Admin user created successfully');
+                            resolve(true);
+                        }
+                    );
+                });
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+
+    async getUserByEmail(email) {
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT * FROM users WHERE email = ?', [email], (err, row) => {
+                if (err) reject(err);
+                else resolve(row);
+            });
+        });
+    }
+
+    async getUserById(id) {
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT * FROM users WHERE id = ?', [id], (err, row) => {
+                if (err) reject(err);
+                else resolve(row);
+            });
+        });
+    }
+
+    async getAllUsers() {
+        return new Promise((resolve, reject) => {
+            this.db.all(`SELECT id, email, role, credits, pterodactyl_id, status, status_reason, created_at FROM users WHERE status != 'deleted'`, [], (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows);
+            });
+        });
+    }
+
+    // Deleted users stay in the table for the ledger but aren't listed
+    _userFilters(filters = {}) {
+        const conditions = ["COALESCE(status, 'active') != 'deleted'"];
+        const params = [];
+
+        if (filters.q) {
+            conditions.push('(email LIKE ? OR CAST(id AS TEXT) = ?)');
+            params.push(`%${filters.q}%`, filters.q);
+        }
+        if (filters.role) {
+            conditions.push('role = ?');
+            params.push(filters.role);
+        }
+        if (filters.status) {
+            conditions.push("COALESCE(status, 'active') = ?");
+            params.push(filters.status);
+        }
+        if (filters.from) {
+            conditions.push('date(created_at) >= date(?)');
+            params.push(filters.from);
+        }
+        if (filters.to) {
+            conditions.push('date(created_at) <= date(?)');
+            params.push(filters.to);
+        }
+
+        return { where: conditions.join(' AND '), params };
+    }
+
+    async searchUsers(filters = {}, limit = null, offset = 0) {
+        return new Promise((resolve, reject) => {
+            const { where, params } = this._userFilters(filters);
+            let sql = `
+                SELECT id, email, role, credits, pterodactyl_id, status, status_reason, email_verified, twofa_enabled, created_at
+                FROM users WHERE ${where} ORDER BY id ASC
+            `;
+
+            if (limit) {
+                sql += ' LIMIT ? OFFSET ?';
+                params.push(limit, offset);
+            }
+
+            this.db.all(sql, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows || []);
+            });
+        });
+    }
+
+    async countUsers(filters = {}) {
+        return new Promise((resolve, reject) => {
+            const { where, params } = this._userFilters(filters);
+            this.db.get(`SELECT COUNT(*) as count FROM users WHERE ${where}`, params, (err, row) => {
+                if (err) reject(err);
+                else resolve(row ? row.count : 0);
+            });
+        });
+    }
+
+    // A new address has to be verified again
     async updateUserEmail(id, email) {
         return new Promise((resolve, reject) => {
-            this.db.run('UPDATE users SET email = ? WHERE id = ?', [email, id], function(err) {
+            this.db.run(`
+                UPDATE users
+                SET email = ?, email_verified = 0, email_verified_at = NULL, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [email, id], function(err) {
+                if (err) reject(err);
+                else resolve({ changes: this.changes });
+            });
+        });
+    }
+
+    async updateUserPassword(id, password) {
+        return new Promise((resolve, reject) => {
+            this.db.run('UPDATE users SET password = ? WHERE id = ?', [password, id], function(err) {
+                if (err) reject(err);
+                else resolve({ changes: this.changes });
+            });
+        });
+    }
+
+    // ==================== PASSWORD RESET METHODS ====================
+
+    // Stores a new reset token, replacing any the user hasn't used yet and
+    // clearing out expired ones
+    async createPasswordResetToken(userId, tokenHash, expiresAt) {
+        return this.transaction(async (tx) => {
+            await tx.run(
+                `DELETE FROM password_reset_tokens
+                 WHERE (user_id = ? AND used_at IS NULL) OR datetime(expires_at) <= datetime('now')`,
+                [userId]
+            );
+            const result = await tx.run(
+                'INSERT INTO password_reset_tokens (user_id, token_hash, expires_at) VALUES (?, ?, ?)',
+                [userId, tokenHash, expiresAt]
+            );
+            return result.lastID;
+        });
+    }
+
+    async getValidPasswordResetToken(tokenHash) {
+        return new Promise((resolve, reject) => {
+            this.db.get(`
+                SELECT * FROM password_reset_tokens
+                WHERE token_hash = ? AND used_at IS NULL AND datetime(expires_at) > datetime('now')
+            `, [tokenHash], (err, row) => {
+                if (err) reject(err);
+                else resolve(row || null);
+            });
+        });
+    }
+
+    // Marks a token used and sets the new password hash in one step.
+    // Resolves with the user id, or null if the token was invalid or already used.
+    async resetPasswordWithToken(tokenHash, passwordHash) {
+        return this.transaction(async (tx) => {
+            const token = await tx.get(`
+                SELECT * FROM password_reset_tokens
+                WHERE token_hash = ? AND used_at IS NULL AND datetime(expires_at) > datetime('now')
+            `, [tokenHash]);
+            if (!token) {
+                return null;
+            }
+
+            await tx.run('UPDATE password_reset_tokens SET used_at = ? WHERE id = ?', [new Date().toISOString(), token.id]);
+            await tx.run('UPDATE users SET password = ? WHERE id = ?', [passwordHash, token.user_id]);
+            return token.user_id;
+        });
+    }
+
+    async updateUserRole(id, role) {
+        return new Promise((resolve, reject) => {
+            this.db.run('UPDATE users SET role = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [role, id], function(err) {
+                if (err) reject(err);
+                else resolve({ changes: this.changes });
+            });
+        });
+    }
+
+    // status is 'active', 'suspended' or 'banned'
+    async updateUserStatus(id, status, reason = null) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'UPDATE users SET status = ?, status_reason = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [status, status === 'active' ? null : reason, id],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve({ changes: this.changes });
+                }
+            );
+        });
+    }
+
+    // Servers of a suspended or banned account stop billing until it is restored
+    async suspendAccountServers(userId) {
+        return this.transaction(async (tx) => {
+            const servers = await tx.all(`SELECT * FROM user_servers WHERE user_id = ? AND status = 'active'`, [userId]);
+            const result = await tx.run(
+                `UPDATE user_servers SET status = 'account_suspended' WHERE user_id = ? AND status = 'active'`,
+                [userId]
+            );
+            for (const server of servers) {
+                await this._queueWebhookEvent(tx, 'server.suspended', this._serverWebhookData(server, { reason: 'account_suspended' }));
+            }
+            return { changes: result.changes };
+        });
+    }
+
+    // Servers that fell due while the account was suspended start a new
+    // period rather than being charged for the time they were off
+    async restoreAccountServers(userId) {
+        return this.transaction(async (tx) => {
+            const servers = await tx.all(`
+                SELECT us.*, sp.billing_cycle
+                FROM user_servers us
+                LEFT JOIN server_plans sp ON us.plan_id = sp.id
+                WHERE us.user_id = ? AND us.status = 'account_suspended'
+            `, [userId]);
+
+            let changes = 0;
+            for (const server of servers) {
+                let nextBillingDate = server.next_billing_date;
+                const dueDate = BillingEngine.parseDate(nextBillingDate);
+                if (dueDate && dueDate <= new Date()) {
+                    const nextDate = BillingEngine.nextBillingDate(server.billing_cycle);
+                    nextBillingDate = nextDate ? nextDate.toISOString() : null;
+                }
+
+                const result = await tx.run(
+                    `UPDATE user_servers SET status = 'active', next_billing_date = ? WHERE id = ? AND status = 'account_suspended'`,
+                    [nextBillingDate, server.id]
+                );
+                changes += result.changes;
+            }
+            return { changes };
+        });
+    }
+
+    // Removes a user's servers, sign-in methods and sessions, releasing plan
+    // stock held by their servers. The users row is kept but anonymised so
+    // the credit ledger, redemptions and store orders keep their owner, and a
+    // refund or dispute that arrives later still applies.
+    async deleteUserCascade(userId) {
+        const unusablePassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12);
+
+        return this.transaction(async (tx) => {
+            const servers = await tx.all('SELECT * FROM user_servers WHERE user_id = ?', [userId]);
+            for (const server of servers) {
+                await tx.run('UPDATE server_plans SET stock_used = stock_used - 1 WHERE id = ? AND stock_used > 0', [server.plan_id]);
+                if (server.status !== 'provisioning') {
+                    await this._queueWebhookEvent(tx, 'server.deleted', this._serverWebhookData(server, { reason: 'user_deleted' }));
+                }
+            }
+
+            await tx.run('DELETE FROM user_servers WHERE user_id = ?', [userId]);
+            await tx.run('DELETE FROM password_reset_tokens WHERE user_id = ?', [userId]);
+            await tx.run('DELETE FROM recovery_codes WHERE user_id = ?', [userId]);
+            await tx.run('DELETE FROM webauthn_credentials WHERE user_id = ?', [userId]);
+            await tx.run('DELETE FROM user_sessions WHERE user_id = ?', [userId]);
+            await tx.run('DELETE FROM oauth_identities WHERE user_id = ?', [userId]);
+            await tx.run('DELETE FROM api_keys WHERE user_id = ?', [userId]);
+            const result = await tx.run(`
+                UPDATE users
+                SET email = ?, password = ?, role = 'user', status = 'deleted', status_reason = NULL,
+                    twofa_secret = NULL, twofa_enabled = 0, totp_last_step = NULL, pterodactyl_id = NULL,
+                    failed_login_attempts = 0, last_failed_login_at = NULL, locked_until = NULL,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND status != 'deleted'
+            `, [`deleted-${userId}@deleted.invalid`, unusablePassword, userId]);
+
+            return { changes: result.changes, servers: servers.length };
+        });
+    }
+
+    // ==================== AUDIT LOG METHODS ====================
+    // There are deliberately no update or delete methods; see the triggers
+    // in createTables.
+
+    async recordAudit(entry) {
+        const json = value => value === undefined || value === null ? null : JSON.stringify(value);
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `INSERT INTO audit_log (actor_id, actor_email, action, target_type, target_id, before_value, after_value, details, ip, user_agent)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    entry.actorId || null,
+                    entry.actorEmail || null,
+                    entry.action,
+                    entry.targetType || null,
+                    entry.targetId === undefined || entry.targetId === null ? null : String(entry.targetId),
+                    json(entry.before),
+                    json(entry.after),
+                    entry.details || null,
+                    entry.ip || null,
+                    entry.userAgent || null
+                ],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve({ id: this.lastID });
+                }
+            );
+        });
+    }
+
+    _auditFilters(filters = {}) {
+        const conditions = ['1 = 1'];
+        const params = [];
+
+        if (filters.action) {
+            conditions.push('action = ?');
+            params.push(filters.action);
+        }
+        if (filters.actor) {
+            conditions.push('actor_email LIKE ?');
+            params.push(`%${filters.actor}%`);
+        }
+        if (filters.q) {
+            conditions.push(`(action LIKE ? OR actor_email LIKE ? OR target_id = ? OR details LIKE ?
+                OR before_value LIKE ? OR after_value LIKE ? OR ip LIKE ?)`);
+            const like = `%${filters.q}%`;
+            params.push(like, like, filters.q, like, like, like, like);
+        }
+        if (filters.from) {
+            conditions.push('date(created_at) >= date(?)');
+            params.push(filters.from);
+        }
+        if (filters.to) {
+            conditions.push('date(created_at) <= date(?)');
+            params.push(filters.to);
+        }
+
+        return { where: conditions.join(' AND '), params };
+    }
+
+    async getAuditLog(filters = {}, limit = null, offset = 0) {
+        return new Promise((resolve, reject) => {
+            const { where, params } = this._auditFilters(filters);
+            let sql = `SELECT * FROM audit_log WHERE ${where} ORDER BY created_at DESC, id DESC`;
+
+            if (limit) {
+                sql += ' LIMIT ? OFFSET ?';
+                params.push(limit, offset);
+            }
+
+            this.db.all(sql, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows || []);
+            });
+        });
+    }
+
+    async countAuditLog(filters = {}) {
+        return new Promise((resolve, reject) => {
+            const { where, params } = this._auditFilters(filters);
+            this.db.get(`SELECT COUNT(*) as count FROM audit_log WHERE ${where}`, params, (err, row) => {
+                if (err) reject(err);
+                else resolve(row ? row.count : 0);
+            });
+        });
+    }
+
+    async getAuditActions() {
+        return new Promise((resolve, reject) => {
+            this.db.all('SELECT DISTINCT action FROM audit_log ORDER BY action', [], (err, rows) => {
+                if (err) reject(err);
+                else resolve((rows || []).map(row => row.action));
+            });
+        });
+    }
+
+    // ==================== CREDIT METHODS ====================
+    // Every balance change goes through a transaction that also writes a
+    // credit_transactions row. `entry` describes the change:
+    // { reason, description, relatedType, relatedId, actorId }
+
+    async _recordCreditChange(tx, userId, amount, entry = {}) {
+        const row = await tx.get('SELECT credits FROM users WHERE id = ?', [userId]);
+        if (!row) {
+            throw new Error(`User ${userId} not found`);
+        }
+
+        const result = await tx.run(`
+            INSERT INTO credit_transactions (user_id, amount, balance_after, reason, description, related_type, related_id, actor_id)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [userId, amount, row.credits, entry.reason || 'adjustment', entry.description || null,
+            entry.relatedType || null, entry.relatedId || null, entry.actorId || null]);
+
+        await this._queueWebhookEvent(tx, 'credits.changed', {
+            transaction_id: result.lastID,
+            user_id: userId,
+            amount,
+            balance: row.credits,
+            reason: entry.reason || 'adjustment',
+            description: entry.description || null,
+            related_type: entry.relatedType || null,
+            related_id: entry.relatedId || null
+        });
+
+        return row.credits;
+    }
+
+    async updateUserCredits(id, credits, entry = {}) {
+        return this.transaction(async (tx) => {
+            const result = await tx.run('UPDATE users SET credits = credits + ? WHERE id = ?', [credits, id]);
+            if (result.changes === 0) {
+                return { changes: 0 };
+            }
+            const balance = await this._recordCreditChange(tx, id, credits, entry);
+            return { changes: result.changes, balance };
+        });
+    }
+
+    // Deducts credits only if the balance covers the amount
+    async chargeUserCredits(id, amount, entry = {}) {
+        return this.transaction(async (tx) => {
+            const result = await tx.run(
+                'UPDATE users SET credits = credits - ? WHERE id = ? AND credits >= ?',
+                [amount, id, amount]
+            );
+            if (result.changes === 0) {
+                return false;
+            }
+            await this._recordCreditChange(tx, id, -amount, entry);
+            return true;
+        });
+    }
+
+    async setUserCredits(id, credits, entry = {}) {
+        return this.transaction(async (tx) => {
+            const user = await tx.get('SELECT credits FROM users WHERE id = ?', [id]);
+            if (!user) {
+                return { changes: 0 };
+            }
+            const result = await tx.run('UPDATE users SET credits = ? WHERE id = ?', [credits, id]);
+            const balance = await this._recordCreditChange(tx, id, credits - user.credits, entry);
+            return { changes: result.changes, balance };
+        });
+    }
+
+    _creditTransactionFilters(userId, filters = {}) {
+        const conditions = ['ct.user_id = ?'];
+        const params = [userId];
+
+        if (filters.reason) {
+            conditions.push('ct.reason = ?');
+            params.push(filters.reason);
+        }
+        if (filters.direction === 'credit') {
+            conditions.push('ct.amount > 0');
+        } else if (filters.direction === 'debit') {
+            conditions.push('ct.amount < 0');
+        }
+        if (filters.from) {
+            conditions.push('date(ct.created_at) >= date(?)');
+            params.push(filters.from);
+        }
+        if (filters.to) {
+            conditions.push('date(ct.created_at) <= date(?)');
+            params.push(filters.to);
+        }
+
+        return { where: conditions.join(' AND '), params };
+    }
+
+    async getCreditTransactions(userId, filters = {}, limit = null, offset = 0) {
+        return new Promise((resolve, reject) => {
+            const { where, params } = this._creditTransactionFilters(userId, filters);
+            let sql = `
+                SELECT ct.*, actor.email as actor_email
+                FROM credit_transactions ct
+                LEFT JOIN users actor ON ct.actor_id = actor.id
+                WHERE ${where}
+                ORDER BY ct.created_at DESC, ct.id DESC
+            `;
+            
+            if (limit) {
+                sql += ' LIMIT ? OFFSET ?';
+                params.push(limit, offset);
+            }
+            
+            this.db.all(sql, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows || []);
+            });
+        });
+    }
+
+    async countCreditTransactions(userId, filters = {}) {
+        return new Promise((resolve, reject) => {
+            const { where, params } = this._creditTransactionFilters(userId, filters);
+            this.db.get(`SELECT COUNT(*) as count FROM credit_transactions ct WHERE ${where}`, params, (err, row) => {
+                if (err) reject(err);
+                else resolve(row ? row.count : 0);
+            });
+        });
+    }
+
+    // Settings methods
+    async getSetting(key) {
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT value FROM settings WHERE key = ?', [key], (err, row) => {
+                if (err) reject(err);
+                else resolve(row ? row.value : null);
+            });
+        });
+    }
+
+    async setSetting(key, value) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)',
+                [key, value],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve({ changes: this.changes });
+                }
+            );
+        });
+    }
+
+    // Gift card methods
+    async createGiftCard(code, credits, maxUses = 1, perUserLimit = 1, expiresAt = null) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'INSERT INTO gift_cards (code, credits, max_uses, per_user_limit, expires_at) VALUES (?, ?, ?, ?, ?)',
+                [code, credits, maxUses, perUserLimit, expiresAt],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve({ id: this.lastID });
+                }
+            );
+        });
+    }
+
+    async getGiftCard(code) {
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT * FROM gift_cards WHERE code = ?', [code], (err, row) => {
+                if (err) reject(err);
+                else resolve(row);
+            });
+        });
+    }
+
+    async getAllGiftCards() {
+        return new Promise((resolve, reject) => {
+            this.db.all('SELECT * FROM gift_cards ORDER BY created_at DESC', [], (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows);
+            });
+        });
+    }
+
+    _giftCardFilters(filters = {}) {
+        const conditions = ['1 = 1'];
+        const params = [];
+
+        if (filters.ids) {
+            conditions.push(`id IN (${filters.ids.map(() => '?').join(', ')})`);
+            params.push(...filters.ids);
+        }
+        if (filters.q) {
+            conditions.push('code LIKE ?');
+            params.push(`%${filters.q}%`);
+        }
+        if (filters.enabled !== undefined && filters.enabled !== '') {
+            conditions.push('enabled = ?');
+            params.push(filters.enabled ? 1 : 0);
+        }
+
+        return { where: conditions.join(' AND '), params };
+    }
+
+    async getGiftCards(filters = {}, limit = null, offset = 0) {
+        return new Promise((resolve, reject) => {
+            const { where, params } = this._giftCardFilters(filters);
+            let sql = `SELECT * FROM gift_cards WHERE ${where} ORDER BY created_at DESC, id DESC`;
+
+            if (limit) {
+                sql += ' LIMIT ? OFFSET ?';
+                params.push(limit, offset);
+            }
+
+            this.db.all(sql, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows || []);
+            });
+        });
+    }
+
+    async countGiftCards(filters = {}) {
+        return new Promise((resolve, reject) => {
+            const { where, params } = this._giftCardFilters(filters);
+            this.db.get(`SELECT COUNT(*) as count FROM gift_cards WHERE ${where}`, params, (err, row) => {
+                if (err) reject(err);
+                else resolve(row ? row.count : 0);
+            });
+        });
+    }
+
+    // Creates a batch of gift cards with the same value. All or none are
+    // created; a duplicate code rolls back the whole batch.
+    async createGiftCards(codes, credits, maxUses = 1, perUserLimit = 1, expiresAt = null) {
+        return this.transaction(async (tx) => {
+            const cards = [];
+            for (const code of codes) {
+                const result = await tx.run(
+                    'INSERT INTO gift_cards (code, credits, max_uses, per_user_limit, expires_at) VALUES (?, ?, ?, ?, ?)',
+                    [code, credits, maxUses, perUserLimit, expiresAt]
+                );
+                cards.push({ id: result.lastID, code });
+            }
+            return cards;
+        });
+    }
+
+    async updateGiftCard(id, data) {
+        return new Promise((resolve, reject) => {
+            const fields = [];
+            const values = [];
+            
+            if (data.credits !== undefined) {
+                fields.push('credits = ?');
+                values.push(data.credits);
+            }
+            if (data.max_uses !== undefined) {
+                fields.push('max_uses = ?');
+                values.push(data.max_uses);
+            }
+            if (data.per_user_limit !== undefined) {
+                fields.push('per_user_limit = ?');
+                values.push(data.per_user_limit);
+            }
+            if (data.enabled !== undefined) {
+                fields.push('enabled = ?');
+                values.push(data.enabled);
+            }
+            if (data.expires_at !== undefined) {
+                fields.push('expires_at = ?');
+                values.push(data.expires_at);
+            }
+            
+            values.push(id);
+            
+            this.db.run(
+                `UPDATE gift_cards SET ${fields.join(', ')} WHERE id = ?`,
+                values,
+                function(err) {
+                    if (err) reject(err);
+                    else resolve({ changes: this.changes });
+                }
+            );
+        });
+    }
+
+    async deleteGiftCard(id) {
+        return new Promise((resolve, reject) => {
+            this.db.run('DELETE FROM gift_cards WHERE id = ?', [id], function(err) {
+                if (err) reject(err);
+                else resolve({ changes: this.changes });
+            });
+        });
+    }
+
+    // Redeems a gift card in one transaction: every limit is checked and the
+    // redemption, use count and credits are written together. Resubmitting
+    // the same idempotency key returns the original redemption.
+    async redeemGiftCardCode(userId, code, idempotencyKey = null) {
+        return this.transaction(async (tx) => {
+            if (idempotencyKey) {
+                const previous = await tx.get(
+                    'SELECT credits_received FROM gift_card_redemptions WHERE user_id = ? AND idempotency_key = ?',
+                    [userId, idempotencyKey]
+                );
+                if (previous) {
+                    return { success: true, duplicate: true, credits: previous.credits_received };
+                }
+            }
+
+            const giftCard = await tx.get(`
+                SELECT *, (expires_at IS NOT NULL AND datetime(expires_at) <= datetime('now')) AS expired
+                FROM gift_cards WHERE code = ?
+            `, [code]);
+
+            if (!giftCard) {
+                return { success: false, error: 'Invalid gift card code' };
+            }
+            if (!giftCard.enabled) {
+                return { success: false, error: 'This gift card is no longer active' };
+            }
+            if (giftCard.expired) {
+                return { success: false, error: 'This gift card has expired' };
+            }
+            if (giftCard.uses >= giftCard.max_uses) {
+                return { success: false, error: 'This gift card has reached its usage limit' };
+            }
+
+            const redeemed = await tx.get(
+                'SELECT COUNT(*) as count FROM gift_card_redemptions WHERE user_id = ? AND gift_card_id = ?',
+                [userId, giftCard.id]
+            );
+            if (redeemed.count >= giftCard.per_user_limit) {
+                return { success: false, error: 'You have already redeemed this gift card the maximum number of times' };
+            }
+
+            await tx.run('UPDATE gift_cards SET uses = uses + 1 WHERE id = ?', [giftCard.id]);
+            await tx.run(
+                'INSERT INTO gift_card_redemptions (user_id, gift_card_id, credits_received, idempotency_key) VALUES (?, ?, ?, ?)',
+                [userId, giftCard.id, giftCard.credits, idempotencyKey]
+            );
+            await tx.run('UPDATE users SET credits = credits + ? WHERE id = ?', [giftCard.credits, userId]);
+            const balance = await this._recordCreditChange(tx, userId, giftCard.credits, {
+                reason: 'gift_card',
+                description: `Redeemed gift card ${giftCard.code}`,
+                relatedType: 'gift_card',
+                relatedId: giftCard.id,
+                actorId: userId
+            });
+            await this._queueWebhookEvent(tx, 'giftcard.redeemed', {
+                gift_card_id: giftCard.id,
+                code: giftCard.code,
+                user_id: userId,
+                credits: giftCard.credits,
+                balance
+            });
+
+            return { success: true, credits: giftCard.credits, balance, giftCardId: giftCard.id };
+        });
+    }
+
+    async createUser(email, password, pterodactylId = null, bonusCredits = 0) {
+        return new Promise(async (resolve, reject) => {
+            try {
+                const hashedPassword = await bcrypt.hash(password, 12);
+                const userId = await this.transaction(async (tx) => {
+                    const result = await tx.run(
+                        'INSERT INTO users (email, password, role, pterodactyl_id, twofa_enabled, credits) VALUES (?, ?, ?, ?, ?, ?)',
+                        [email, hashedPassword, 'user', pterodactylId, 0, bonusCredits]
+                    );
+                    
+                    if (bonusCredits > 0) {
+                        await this._recordCreditChange(tx, result.lastID, bonusCredits, {
+                            reason: 'registration_bonus',
+                            description: 'New user bonus'
+                        });
+                    }
+                    await this._queueWebhookEvent(tx, 'user.registered', { id: result.lastID, email, provider: null });
+                    
+                    return result.lastID;
+                });
+                resolve(userId);
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+
+    // Marks the email verified and pays the registration bonus, once.
+    // Resolves with { verified: false } if it was already verified.
+    async verifyUserEmail(userId, bonusCredits = 0) {
+        return this.transaction(async (tx) => {
+            const result = await tx.run(
+                'UPDATE users SET email_verified = 1, email_verified_at = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND email_verified = 0',
+                [new Date().toISOString(), userId]
+            );
+            if (result.changes === 0) {
+                return { verified: false, bonus: 0 };
+            }
+
+            // Verifying a changed address doesn't pay the bonus again
+            const paid = await tx.get(
+                `SELECT id FROM credit_transactions WHERE user_id = ? AND reason = 'registration_bonus' LIMIT 1`,
+                [userId]
+            );
+            if (paid) {
+                return { verified: true, bonus: 0 };
+            }
+
+            if (bonusCredits > 0) {
+                await tx.run('UPDATE users SET credits = credits + ? WHERE id = ?', [bonusCredits, userId]);
+                await this._recordCreditChange(tx, userId, bonusCredits, {
+                    reason: 'registration_bonus',
+                    description: 'New user bonus'
+                });
+            }
+
+            return { verified: true, bonus: bonusCredits };
+        });
+    }
+
+    async updateUser2FA(userId, secret, enabled) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'UPDATE users SET twofa_secret = ?, twofa_enabled = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [secret, enabled ? 1 : 0, userId],
+                (err) => {
+                    if (err) reject(err);
+                    else resolve();
+                }
+            );
+        });
+    }
+
+    // Removes every second factor so the user has to set up 2FA again
+    async resetUser2FA(userId) {
+        return this.transaction(async (tx) => {
+            await tx.run(
+                'UPDATE users SET twofa_secret = NULL, twofa_enabled = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [userId]
+            );
+            await tx.run('DELETE FROM webauthn_credentials WHERE user_id = ?', [userId]);
+            await tx.run('DELETE FROM recovery_codes WHERE user_id = ?', [userId]);
+        });
+    }
+
+    // Claims a TOTP time step for a user. Resolves false if that step or a
+    // later one was already used, so each code works only once.
+    async useTotpStep(userId, step) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'UPDATE users SET totp_last_step = ? WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)',
+                [step, userId, step],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve(this.changes > 0);
+                }
+            );
+        });
+    }
+
+    // ==================== SIGN-IN THROTTLING METHODS ====================
+
+    // Counts a failed sign-in attempt. lockSecondsFor(failures) decides how
+    // long the account has to wait before it may try again.
+    async recordFailedLogin(userId, lockSecondsFor) {
+        return this.transaction(async (tx) => {
+            const row = await tx.get('SELECT failed_login_attempts FROM users WHERE id = ?', [userId]);
+            const failures = (row?.failed_login_attempts || 0) + 1;
+            const seconds = lockSecondsFor(failures);
+            const now = new Date();
+            const lockedUntil = seconds > 0 ? new Date(now.getTime() + seconds * 1000).toISOString() : null;
+
+            await tx.run(
+                'UPDATE users SET failed_login_attempts = ?, last_failed_login_at = ?, locked_until = ? WHERE id = ?',
+                [failures, now.toISOString(), lockedUntil, userId]
+            );
+            return { failures, lockedUntil };
+        });
+    }
+
+    // Locks the account for `seconds` unless it is already locked, checking
+    // and locking in one statement. See services/lockout.js.
+    async claimLoginAttempt(userId, seconds) {
+        const now = new Date();
+        const lockedUntil = new Date(now.getTime() + seconds * 1000).toISOString();
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'UPDATE users SET locked_until = ? WHERE id = ? AND (locked_until IS NULL OR locked_until <= ?)',
+                [lockedUntil, userId, now.toISOString()],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve({ claimed: this.changes > 0, lockedUntil });
+                }
+            );
+        });
+    }
+
+    // Undoes claimLoginAttempt, unless a failure has set a lock of its own since
+    async releaseLoginAttempt(userId, lockedUntil) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'UPDATE users SET locked_until = NULL WHERE id = ? AND locked_until = ?',
+                [userId, lockedUntil],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve({ changes: this.changes });
+                }
+            );
+        });
+    }
+
+    async clearFailedLogins(userId) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'UPDATE users SET failed_login_attempts = 0, locked_until = NULL WHERE id = ?',
+                [userId],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve({ changes: this.changes });
+                }
+            );
+        });
+    }
+
+    async getLockedUsers() {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                `SELECT id, email, failed_login_attempts, last_failed_login_at, locked_until
+                 FROM users WHERE locked_until > ? ORDER BY locked_until DESC`,
+                [new Date().toISOString()],
+                (err, rows) => {
+                    if (err) reject(err);
+                    else resolve(rows || []);
+                }
+            );
+        });
+    }
+
+    // ==================== USER SESSION METHODS ====================
+
+    async createUserSession(sid, userId, ip, userAgent) {
+        const now = new Date().toISOString();
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'INSERT OR REPLACE INTO user_sessions (sid, user_id, ip, user_agent, created_at, last_seen_at) VALUES (?, ?, ?, ?, ?, ?)',
+                [sid, userId, ip, userAgent, now, now],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve({ id: this.lastID });
+                }
+            );
+        });
+    }
+
+    async touchUserSession(sid, ip) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'UPDATE user_sessions SET last_seen_at = ?, ip = ? WHERE sid = ?',
+                [new Date().toISOString(), ip, sid],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve({ changes: this.changes });
+                }
+            );
+        });
+    }
+
+    async getUserSessions(userId) {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                'SELECT * FROM user_sessions WHERE user_id = ? ORDER BY last_seen_at DESC',
+                [userId],
+                (err, rows) => {
+                    if (err) reject(err);
+                    else resolve(rows || []);
+                }
+            );
+        });
+    }
+
+    async deleteUserSession(sid) {
+        return new Promise((resolve, reject) => {
+            this.db.run('DELETE FROM user_sessions WHERE sid = ?', [sid], function(err) {
+                if (err) reject(err);
+                else resolve({ changes: this.changes });
+            });
+        });
+    }
+
+    async deleteExpiredUserSessions(lastSeenBefore) {
+        return new Promise((resolve, reject) => {
+            this.db.run('DELETE FROM user_sessions WHERE last_seen_at < ?', [lastSeenBefore], function(err) {
+                if (err) reject(err);
+                else resolve({ changes: this.changes });
+            });
+        });
+    }
+
+    // ==================== RECOVERY CODE METHODS ====================
+
+    async replaceRecoveryCodes(userId, codeHashes) {
+        return this.transaction(async (tx) => {
+            await tx.run('DELETE FROM recovery_codes WHERE user_id = ?', [userId]);
+            for (const hash of codeHashes) {
+                await tx.run('INSERT INTO recovery_codes (user_id, code_hash) VALUES (?, ?)', [userId, hash]);
+            }
+        });
+    }
+
+    async getUnusedRecoveryCodes(userId) {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                'SELECT id, code_hash FROM recovery_codes WHERE user_id = ? AND used_at IS NULL',
+                [userId],
+                (err, rows) => {
+                    if (err) reject(err);
+                    else resolve(rows || []);
+                }
+            );
+        });
+    }
+
+    async countUnusedRecoveryCodes(userId) {
+        return new Promise((resolve, reject) => {
+            this.db.get(
+                'SELECT COUNT(*) as count FROM recovery_codes WHERE user_id = ? AND used_at IS NULL',
+                [userId],
+                (err, row) => {
+                    if (err) reject(err);
+                    else resolve(row ? row.count : 0);
+                }
+            );
+        });
+    }
+
+    async markRecoveryCodeUsed(id) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'UPDATE recovery_codes SET used_at = ? WHERE id = ? AND used_at IS NULL',
+                [new Date().toISOString(), id],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve({ changes: this.changes });
+                }
+            );
+        });
+    }
+
+    // ==================== WEBAUTHN METHODS ====================
+
+    async addWebAuthnCredential(userId, { name, credentialId, publicKey, counter, transports }) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'INSERT INTO webauthn_credentials (user_id, name, credential_id, public_key, counter, transports) VALUES (?, ?, ?, ?, ?, ?)',
+                [userId, name, credentialId, publicKey, counter || 0, JSON.stringify(transports || [])],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve({ id: this.lastID });
+                }
+            );
+        });
+    }
+
+    async getWebAuthnCredentials(userId) {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                'SELECT * FROM webauthn_credentials WHERE user_id = ? ORDER BY created_at ASC, id ASC',
+                [userId],
+                (err, rows) => {
+                    if (err) reject(err);
+                    else resolve(rows || []);
+                }
+            );
+        });
+    }
+
+    async countWebAuthnCredentials(userId) {
+        return new Promise((resolve, reject) => {
+            this.db.get(
+                'SELECT COUNT(*) as count FROM webauthn_credentials WHERE user_id = ?',
+                [userId],
+                (err, row) => {
+                    if (err) reject(err);
+                    else resolve(row ? row.count : 0);
+                }
+            );
+        });
+    }
+
+    async updateWebAuthnCredentialUsage(id, counter) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'UPDATE webauthn_credentials SET counter = ?, last_used_at = ? WHERE id = ?',
+                [counter, new Date().toISOString(), id],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve({ changes: this.changes });
+                }
+            );
+        });
+    }
+
+    async renameWebAuthnCredential(userId, id, name) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'UPDATE webauthn_credentials SET name = ? WHERE id = ? AND user_id = ?',
+                [name, id, userId],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve({ changes: this.changes });
+                }
+            );
+        });
+    }
+
+    async deleteWebAuthnCredential(userId, id) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'DELETE FROM webauthn_credentials WHERE id = ? AND user_id = ?',
+                [id, userId],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve({ changes: this.changes });
+                }
+            );
+        });
+    }
+
+    // ==================== OAUTH IDENTITY METHODS ====================
+
+    async getOAuthIdentity(provider, subject) {
+        return new Promise((resolve, reject) => {
+            this.db.get(
+                'SELECT * FROM oauth_identities WHERE provider = ? AND subject = ?',
+                [provider, subject],
+                (err, row) => {
+                    if (err) reject(err);
+                    else resolve(row);
+                }
+            );
+        });
+    }
+
+    async getOAuthIdentities(userId) {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                'SELECT * FROM oauth_identities WHERE user_id = ? ORDER BY created_at ASC',
+                [userId],
+                (err, rows) => {
+                    if (err) reject(err);
+                    else resolve(rows || []);
+                }
+            );
+        });
+    }
+
+    async linkOAuthIdentity(userId, provider, subject, email) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'INSERT INTO oauth_identities (user_id, provider, subject, email, last_used_at) VALUES (?, ?, ?, ?, ?)',
+                [userId, provider, subject, email, new Date().toISOString()],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve({ id: this.lastID });
+                }
+            );
+        });
+    }
+
+    async touchOAuthIdentity(id, email) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'UPDATE oauth_identities SET last_used_at = ?, email = ? WHERE id = ?',
+                [new Date().toISOString(), email, id],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve({ changes: this.changes });
+                }
+            );
+        });
+    }
+
+    async unlinkOAuthIdentity(userId, provider) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'DELETE FROM oauth_identities WHERE user_id = ? AND provider = ?',
+                [userId, provider],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve({ changes: this.changes });
+                }
+            );
+        });
+    }
+
+    // ==================== API KEY METHODS ====================
+
+    async createApiKey(userId, { name, prefix, keyHash, scopes }) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'INSERT INTO api_keys (user_id, name, prefix, key_hash, scopes) VALUES (?, ?, ?, ?, ?)',
+                [userId, name, prefix, keyHash, scopes.join(',')],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve({ id: this.lastID });
+                }
+            );
+        });
+    }
+
+    async getApiKeyByHash(keyHash) {
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT * FROM api_keys WHERE key_hash = ?', [keyHash], (err, row) => {
+                if (err) reject(err);
+                else resolve(row);
+            });
+        });
+    }
+
+    async getApiKeys(userId) {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                'SELECT id, name, prefix, scopes, last_used_at, last_used_ip, created_at FROM api_keys WHERE user_id = ? ORDER BY created_at DESC, id DESC',
+                [userId],
+                (err, rows) => {
+                    if (err) reject(err);
+                    else resolve(rows || []);
+                }
+            );
+        });
+    }
+
+    async touchApiKey(id, ip) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'UPDATE api_keys SET last_used_at = ?, last_used_ip = ? WHERE id = ?',
+                [new Date().toISOString(), ip, id],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve({ changes: this.changes });
+                }
+            );
+        });
+    }
+
+    async deleteApiKey(userId, id) {
+        return new Promise((resolve, reject) => {
+            this.db.run('DELETE FROM api_keys WHERE id = ? AND user_id = ?', [id, userId], function(err) {
+                if (err) reject(err);
+                else resolve({ changes: this.changes });
+            });
+        });
+    }
+
+    // ==================== APPLICATION KEY METHODS ====================
+
+    async createApplicationKey({ name, prefix, keyHash, scopes, createdBy }) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'INSERT INTO application_keys (name, prefix, key_hash, scopes, created_by) VALUES (?, ?, ?, ?, ?)',
+                [name, prefix, keyHash, scopes.join(','), createdBy],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve({ id: this.lastID });
+                }
+            );
+        });
+    }
+
+    async getApplicationKeyByHash(keyHash) {
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT * FROM application_keys WHERE key_hash = ?', [keyHash], (err, row) => {
+                if (err) reject(err);
+                else resolve(row);
+            });
+        });
+    }
+
+    async getApplicationKeys() {
+        return new Promise((resolve, reject) => {
+            this.db.all(`
+                SELECT ak.id, ak.name, ak.prefix, ak.scopes, ak.last_used_at, ak.last_used_ip, ak.created_at,
+                       u.email as created_by_email
+                FROM application_keys ak
+                LEFT JOIN users u ON ak.created_by = u.id
+                ORDER BY ak.created_at DESC, ak.id DESC
+            `, [], (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows || []);
+            });
+        });
+    }
+
+    async touchApplicationKey(id, ip) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'UPDATE application_keys SET last_used_at = ?, last_used_ip = ? WHERE id = ?',
+                [new Date().toISOString(), ip, id],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve({ changes: this.changes });
+                }
+            );
+        });
+    }
+
+    async deleteApplicationKey(id) {
+        return new Promise((resolve, reject) => {
+            this.db.run('DELETE FROM application_keys WHERE id = ?', [id], function(err) {
+                if (err) reject(err);
+                else resolve({ changes: this.changes });
+            });
+        });
+    }
+
+    // Creates an account for a first provider sign-in together with its
+    // identity, so a failed link can't leave an account nobody can sign in to
+    async createOAuthUser(email, password, pterodactylId, provider, subject) {
+        const hashedPassword = await bcrypt.hash(password, 12);
+        return this.transaction(async (tx) => {
+            const result = await tx.run(
+                'INSERT INTO users (email, password, role, pterodactyl_id, twofa_enabled, credits) VALUES (?, ?, ?, ?, ?, ?)',
+                [email, hashedPassword, 'user', pterodactylId, 0, 0]
+            );
+            await tx.run(
+                'INSERT INTO oauth_identities (user_id, provider, subject, email, last_used_at) VALUES (?, ?, ?, ?, ?)',
+                [result.lastID, provider, subject, email, new Date().toISOString()]
+            );
+            await this._queueWebhookEvent(tx, 'user.registered', { id: result.lastID, email, provider });
+            return result.lastID;
+        });
+    }
+
+    async updatePterodactylId(userId, pterodactylId) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'UPDATE users SET pterodactyl_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [pterodactylId, userId],
+                (err) => {
+                    if (err) reject(err);
+                    else resolve();
+                }
+            );
+        });
+    }
+
+    // ==================== WEBHOOK METHODS ====================
+    // Events are queued by the method that makes the change, inside its
+    // transaction, so a delivery exists exactly when the change committed.
+    // services/webhooks.js sends them.
+
+    // Queues `event` for every enabled endpoint subscribed to it
+    async _queueWebhookEvent(tx, event, data) {
+        const endpoints = await tx.all(
+            `SELECT id FROM webhook_endpoints WHERE enabled = 1 AND instr(',' || events || ',', ?) > 0`,
+            [`,${event},`]
+        );
+        if (endpoints.length === 0) return;
+
+        const createdAt = new Date().toISOString();
+        const eventId = 'evt_' + crypto.randomBytes(12).toString('hex');
+        const payload = JSON.stringify({ id: eventId, type: event, created_at: createdAt, data });
+        for (const endpoint of endpoints) {
+            await tx.run(
+                'INSERT INTO webhook_deliveries (endpoint_id, event_id, event, payload, next_attempt_at) VALUES (?, ?, ?, ?, ?)',
+                [endpoint.id, eventId, event, payload, createdAt]
+            );
+        }
+    }
+
+    _serverWebhookData(server, extra = {}) {
+        return {
+            id: server.id,
+            user_id: server.user_id,
+            plan_id: server.plan_id,
+            name: server.server_name,
+            identifier: server.server_identifier,
+            ...extra
+        };
+    }
+
+    // Queues plan.stock_exhausted once the plan's last unit has been taken
+    async _queueStockExhausted(tx, planId) {
+        const plan = await tx.get('SELECT id, name, stock_limit, stock_used FROM server_plans WHERE id = ?', [planId]);
+        if (plan && plan.stock_limit > 0 && plan.stock_used >= plan.stock_limit) {
+            await this._queueWebhookEvent(tx, 'plan.stock_exhausted', {
+                id: plan.id,
+                name: plan.name,
+                stock_limit: plan.stock_limit,
+                stock_used: plan.stock_used
+            });
+        }
+    }
+
+    async createWebhookEndpoint({ url, description, events, secret, createdBy }) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'INSERT INTO webhook_endpoints (url, description, events, secret, created_by) VALUES (?, ?, ?, ?, ?)',
+                [url, description || null, events.join(','), secret, createdBy],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve({ id: this.lastID });
+                }
+            );
+        });
+    }
+
+    async getWebhookEndpoints() {
+        return new Promise((resolve, reject) => {
+            this.db.all(`
+                SELECT we.*,
+                    (SELECT COUNT(*) FROM webhook_deliveries WHERE endpoint_id = we.id AND status = 'pending') AS pending_count,
+                    (SELECT COUNT(*) FROM webhook_deliveries WHERE endpoint_id = we.id AND status = 'failed') AS failed_count,
+                    (SELECT MAX(last_attempt_at) FROM webhook_deliveries WHERE endpoint_id = we.id) AS last_attempt_at
+                FROM webhook_endpoints we
+                ORDER BY we.created_at DESC, we.id DESC
+            `, [], (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows || []);
+            });
+        });
+    }
+
+    async getWebhookEndpointById(id) {
+        return new Promise((resolve, reject) => {
+            this.db.get(`
+                SELECT we.*, u.email as created_by_email
+                FROM webhook_endpoints we
+                LEFT JOIN users u ON we.created_by = u.id
+                WHERE we.id = ?
+            `, [id], (err, row) => {
+                if (err) reject(err);
+                else resolve(row);
+            });
+        });
+    }
+
+    async updateWebhookEndpoint(id, { url, description, events, enabled }) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'UPDATE webhook_endpoints SET url = ?, description = ?, events = ?, enabled = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [url, description || null, events.join(','), enabled ? 1 : 0, id],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve({ changes: this.changes });
+                }
+            );
+        });
+    }
+
+    async deleteWebhookEndpoint(id) {
+        return this.transaction(async (tx) => {
+            await tx.run('DELETE FROM webhook_deliveries WHERE endpoint_id = ?', [id]);
+            return tx.run('DELETE FROM webhook_endpoints WHERE id = ?', [id]);
+        });
+    }
+
+    // Pending deliveries whose next attempt is due, oldest first
+    async getDueWebhookDeliveries(limit) {
+        return new Promise((resolve, reject) => {
+            this.db.all(`
+                SELECT wd.*, we.url, we.secret
+                FROM webhook_deliveries wd
+                JOIN webhook_endpoints we ON wd.endpoint_id = we.id
+                WHERE wd.status = 'pending' AND we.enabled = 1 AND wd.next_attempt_at <= ?
+                ORDER BY wd.next_attempt_at ASC, wd.id ASC
+                LIMIT ?
+            `, [new Date().toISOString(), limit], (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows || []);
+            });
+        });
+    }
+
+    // `attempt` is { status, nextAttemptAt, responseCode, responseBody, error, durationMs }
+    async recordWebhookAttempt(id, attempt) {
+        return new Promise((resolve, reject) => {
+            this.db.run(`
+                UPDATE webhook_deliveries
+                SET status = ?, attempts = attempts + 1, next_attempt_at = ?, last_attempt_at = ?,
+                    response_code = ?, response_body = ?, error = ?, duration_ms = ?
+                WHERE id = ?
+            `, [
+                attempt.status,
+                attempt.nextAttemptAt || null,
+                new Date().toISOString(),
+                attempt.responseCode || null,
+                attempt.responseBody || null,
+                attempt.error || null,
+                attempt.durationMs,
+                id
+            ], function(err) {
+                if (err) reject(err);
+                else resolve({ changes: this.changes });
+            });
+        });
+    }
+
+    _webhookDeliveryFilters(filters = {}) {
+        const conditions = ['1 = 1'];
+        const params = [];
+
+        if (filters.endpointId) {
+            conditions.push('endpoint_id = ?');
+            params.push(filters.endpointId);
+        }
+        if (filters.status) {
+            conditions.push('status = ?');
+            params.push(filters.status);
+        }
+        if (filters.event) {
+            conditions.push('event = ?');
+            params.push(filters.event);
+        }
+
+        return { where: conditions.join(' AND '), params };
+    }
+
+    async getWebhookDeliveries(filters = {}, limit = null, offset = 0) {
+        return new Promise((resolve, reject) => {
+            const { where, params } = this._webhookDeliveryFilters(filters);
+            let sql = `SELECT * FROM webhook_deliveries WHERE ${where} ORDER BY created_at DESC, id DESC`;
+
+            if (limit) {
+                sql += ' LIMIT ? OFFSET ?';
+                params.push(limit, offset);
+            }
+
+            this.db.all(sql, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows || []);
+            });
+        });
+    }
+
+    async countWebhookDeliveries(filters = {}) {
+        return new Promise((resolve, reject) => {
+            const { where, params } = this._webhookDeliveryFilters(filters);
+            this.db.get(`SELECT COUNT(*) as count FROM webhook_deliveries WHERE ${where}`, params, (err, row) => {
+                if (err) reject(err);
+                else resolve(row ? row.count : 0);
+            });
+        });
+    }
+
+    async getWebhookDeliveryById(id) {
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT * FROM webhook_deliveries WHERE id = ?', [id], (err, row) => {
+                if (err) reject(err);
+                else resolve(row);
+            });
+        });
+    }
+
+    // Queues a fresh copy of a delivery with the same event id and payload,
+    // leaving the original in the log
+    async redeliverWebhook(id) {
+        return new Promise((resolve, reject) => {
+            this.db.run(`
+                INSERT INTO webhook_deliveries (endpoint_id, event_id, event, payload, next_attempt_at)
+                SELECT endpoint_id, event_id, event, payload, ? FROM webhook_deliveries WHERE id = ?
+            `, [new Date().toISOString(), id], function(err) {
+                if (err) reject(err);
+                else resolve({ id: this.lastID, changes: this.changes });
+            });
+        });
+    }
+
+    // Removes finished deliveries created before `before`
+    async pruneWebhookDeliveries(before) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `DELETE FROM webhook_deliveries WHERE status != 'pending' AND datetime(created_at) < datetime(?)`,
+                [before],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve({ changes: this.changes });
+                }
+            );
+        });
+    }
+
+    // ==================== CREDIT STORE METHODS ====================
+    // Orders are created pending when checkout starts. Only verified provider
+    // webhooks, through applyPaymentEvent, move them on and change credits.
+
+    async createCreditOrder(order) {
+        return new Promise((resolve, reject) => {
+            this.db.run(`
+                INSERT INTO credit_orders (reference, user_id, package_id, package_name, credits, amount_cents, currency, provider, provider_ref)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                order.reference,
+                order.userId,
+                order.packageId,
+                order.packageName,
+                order.credits,
+                order.amountCents,
+                order.currency,
+                order.provider,
+                order.providerRef
+            ], function(err) {
+                if (err) reject(err);
+                else resolve({ id: this.lastID });
+            });
+        });
+    }
+
+    async getCreditOrderByReference(reference) {
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT * FROM credit_orders WHERE reference = ?', [reference], (err, row) => {
+                if (err) reject(err);
+                else resolve(row);
+            });
+        });
+    }
+
+    async getCreditOrderByProviderRef(provider, providerRef) {
+        return new Promise((resolve, reject) => {
+            this.db.get(
+                'SELECT * FROM credit_orders WHERE provider = ? AND provider_ref = ?',
+                [provider, providerRef],
+                (err, row) => {
+                    if (err) reject(err);
+                    else resolve(row);
+                }
+            );
+        });
+    }
+
+    async getUserCreditOrders(userId, limit = 20) {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                'SELECT * FROM credit_orders WHERE user_id = ? ORDER BY created_at DESC, id DESC LIMIT ?',
+                [userId, limit],
+                (err, rows) => {
+                    if (err) reject(err);
+                    else resolve(rows || []);
+                }
+            );
+        });
+    }
+
+    _creditOrderFilters(filters = {}) {
+        const conditions = ['1 = 1'];
+        const params = [];
+
+        if (filters.status) {
+            conditions.push('o.status = ?');
+            params.push(filters.status);
+        }
+        if (filters.provider) {
+            conditions.push('o.provider = ?');
+            params.push(filters.provider);
+        }
+        if (filters.search) {
+            conditions.push('(o.reference = ? OR o.provider_ref = ? OR o.provider_payment_id = ? OR u.email LIKE ?)');
+            params.push(filters.search, filters.search, filters.search, `%${filters.search}%`);
+        }
+
+        return { where: conditions.join(' AND '), params };
+    }
+
+    async getCreditOrders(filters = {}, limit = null, offset = 0) {
+        return new Promise((resolve, reject) => {
+            const { where, params } = this._creditOrderFilters(filters);
+            let sql = `
+                SELECT o.*, u.email as user_email
+                FROM credit_orders o
+                LEFT JOIN users u ON o.user_id = u.id
+                WHERE ${where}
+                ORDER BY o.created_at DESC, o.id DESC
+            `;
+
+            if (limit) {
+                sql += ' LIMIT ? OFFSET ?';
+                params.push(limit, offset);
+            }
+
+            this.db.all(sql, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows || []);
+            });
+        });
+    }
+
+    async countCreditOrders(filters = {}) {
+        return new Promise((resolve, reject) => {
+            const { where, params } = this._creditOrderFilters(filters);
+            this.db.get(
+                `SELECT COUNT(*) as count FROM credit_orders o LEFT JOIN users u ON o.user_id = u.id WHERE ${where}`,
+                params,
+                (err, row) => {
+                    if (err) reject(err);
+                    else resolve(row ? row.count : 0);
+                }
+            );
+        });
+    }
+
+    // Applies a verified provider webhook event to its order, at most once.
+    // `event` comes from a payment provider adapter:
+    // { id, type, checkoutId, paymentId, amountCents, currency }, where type
+    // is 'paid', 'refunded', 'disputed' or 'dispute_won'. Resolves with
+    // { applied: true, order, status } or { applied: false, reason, retry },
+    // where retry means the event arrived before the one it follows (e.g. a
+    // refund before the payment) and should be delivered again later. Only
+    // applied events are recorded, so a retried one isn't seen as a duplicate.
+    async applyPaymentEvent(provider, event) {
+        return this.transaction(async (tx) => {
+            const order = event.checkoutId
+                ? await tx.get('SELECT * FROM credit_orders WHERE provider = ? AND provider_ref = ?', [provider, event.checkoutId])
+                : await tx.get('SELECT * FROM credit_orders WHERE provider = ? AND provider_payment_id = ?', [provider, event.paymentId || null]);
+            if (!order) {
+                return { applied: false, reason: 'unknown_order' };
+            }
+
+            const seen = await tx.get('SELECT id FROM payment_events WHERE provider = ? AND event_id = ?', [provider, event.id]);
+            if (seen) {
+                return { applied: false, reason: 'duplicate' };
+            }
+            const notYet = () => ({ applied: false, reason: `order is ${order.status}`, retry: true });
+
+            const now = new Date().toISOString();
+            const changeCredits = async (amount, reason, description) => {
+                await tx.run('UPDATE users SET credits = credits + ? WHERE id = ?', [amount, order.user_id]);
+                await this._recordCreditChange(tx, order.user_id, amount, {
+                    reason,
+                    description,
+                    relatedType: 'credit_order',
+                    relatedId: order.id
+                });
+            };
+
+            let status;
+            if (event.type === 'paid') {
+                if (order.status !== 'pending') {
+                    return { applied: false, reason: `order is ${order.status}` };
+                }
+                if (event.amountCents !== order.amount_cents || String(event.currency).toUpperCase() !== order.currency) {
+                    console.warn(`⚠ Payment for order ${order.reference} doesn't match it: ${event.amountCents} ${event.currency}`);
+                    return { applied: false, reason: 'amount mismatch' };
+                }
+
+                status = 'paid';
+                await tx.run(
+                    'UPDATE credit_orders SET status = ?, provider_payment_id = COALESCE(?, provider_payment_id), paid_at = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                    [status, event.paymentId || null, now, order.id]
+                );
+                await changeCredits(order.credits, 'credit_purchase', `Bought ${order.package_name}`);
+            } else if (event.type === 'refunded') {
+                if (order.status === 'pending') {
+                    return notYet();
+                }
+                if (!['paid', 'disputed'].includes(order.status)) {
+                    return { applied: false, reason: `order is ${order.status}` };
+                }
+                // Partial refunds are left to the admin to settle
+                if (event.amountCents < order.amount_cents) {
+                    return { applied: false, reason: 'partial refund' };
+                }
+
+                status = 'refunded';
+                await tx.run(
+                    'UPDATE credit_orders SET status = ?, refunded_at = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                    [status, now, order.id]
+                );
+                // A disputed order's credits were already taken back
+                if (order.status === 'paid') {
+                    await changeCredits(-order.credits, 'payment_reversal', `Refund of order ${order.reference}`);
+                }
+            } else if (event.type === 'disputed') {
+                if (order.status === 'pending') {
+                    return notYet();
+                }
+                if (order.status !== 'paid') {
+                    return { applied: false, reason: `order is ${order.status}` };
+                }
+
+                status = 'disputed';
+                await tx.run(
+                    'UPDATE credit_orders SET status = ?, disputed_at = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                    [status, now, order.id]
+                );
+                // The balance may go negative if the credits were already spent
+                await changeCredits(-order.credits, 'payment_reversal', `Payment for order ${order.reference} disputed`);
+            } else if (event.type === 'dispute_won') {
+                if (['pending', 'paid'].includes(order.status)) {
+                    return notYet();
+                }
+                if (order.status !== 'disputed') {
+                    return { applied: false, reason: `order is ${order.status}` };
+                }
+
+                status = 'paid';
+                await tx.run('UPDATE credit_orders SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [status, order.id]);
+                await changeCredits(order.credits, 'credit_purchase', `Dispute over order ${order.reference} won`);
+            } else {
+                throw new Error(`Unknown payment event type "${event.type}"`);
+            }
+
+            await tx.run(
+                'INSERT INTO payment_events (provider, event_id, type, order_id) VALUES (?, ?, ?, ?)',
+                [provider, event.id, event.type, order.id]
+            );
+            return { applied: true, order, status };
+        });
+    }
+
+    // ==================== SERVER PLANS METHODS ====================
+    
+    async createPlan(planData) {
+        return new Promise((resolve, reject) => {
+            const { name, description, price, billing_cycle, cpu, ram, disk, swap, io, databases, backups, allocations, 
+                    egg_id, location_ids, docker_image, startup_command, environment_variables, 
+                    user_limit, stock_limit, enabled, category, sort_order, transition_plan_ids } = planData;
+            
+            this.db.run(`
+                INSERT INTO server_plans (
+                    name, description, price, billing_cycle, cpu, ram, disk, swap, io, databases, backups, allocations,
+                    egg_id, location_ids, docker_image, startup_command, environment_variables,
+                    user_limit, stock_limit, enabled, category, sort_order, transition_plan_ids
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [name, description, price, billing_cycle || 'monthly', cpu, ram, disk, swap || 0, io || 500, databases || 0, backups || 0, allocations || 1,
+                egg_id, location_ids, docker_image, startup_command, environment_variables,
+                user_limit || 0, stock_limit || 0, enabled ? 1 : 0, category || 'general', sort_order || 0, transition_plan_ids || null],
+            function(err) {
+                if (err) reject(err);
+                else resolve({ id: this.lastID });
+            });
+        });
+    }
+
+    async getAllPlans() {
+        return new Promise((resolve, reject) => {
+            this.db.all('SELECT * FROM server_plans ORDER BY sort_order ASC, created_at DESC', [], (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows || []);
+            });
+        });
+    }
+
+    async getEnabledPlans() {
+        return new Promise((resolve, reject) => {
+            this.db.all('SELECT * FROM server_plans WHERE enabled = 1 ORDER BY sort_order ASC, created_at DESC', [], (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows || []);
+            });
+        });
+    }
+
+    async getPlanById(id) {
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT * FROM server_plans WHERE id = ?', [id], (err, row) => {
+                if (err) reject(err);
+                else resolve(row);
+            });
+        });
+    }
+
+    async updatePlan(id, planData) {
+        return new Promise((resolve, reject) => {
+            const { name, description, price, billing_cycle, cpu, ram, disk, swap, io, databases, backups, allocations,
+                    egg_id, location_ids, docker_image, startup_command, environment_variables,
+                    user_limit, stock_limit, enabled, category, sort_order, transition_plan_ids } = planData;
+            
+            this.db.run(`
+                UPDATE server_plans SET
+                    name = ?, description = ?, price = ?, billing_cycle = ?, cpu = ?, ram = ?, disk = ?, swap = ?, io = ?,
+                    databases = ?, backups = ?, allocations = ?, egg_id = ?, location_ids = ?,
+                    docker_image = ?, startup_command = ?, environment_variables = ?,
+                    user_limit = ?, stock_limit = ?, enabled = ?, category = ?, sort_order = ?,
+                    transition_plan_ids = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [name, description, price, billing_cycle || 'monthly', cpu, ram, disk, swap, io, databases, backups, allocations,
+                egg_id, location_ids, docker_image, startup_command, environment_variables,
+                user_limit, stock_limit, enabled ? 1 : 0, category, sort_order, transition_plan_ids || null, id],
+            function(err) {
                 if (err) reject(err);
                 else resolve({ changes: this.changes });
             });
         });
     }
 
-    async updateUserPassword(id, password) {
+    async deletePlan(id) {
         return new Promise((resolve, reject) => {
-            this.db.run('UPDATE users SET password = ? WHERE id = ?', [password, id], function(err) {
+            this.db.run('DELETE FROM server_plans WHERE id = ?', [id], function(err) {
                 if (err) reject(err);
                 else resolve({ changes: this.changes });
             });
         });
     }
 
-    async updateUserCredits(id, credits) {
+    async incrementPlanStock(id) {
         return new Promise((resolve, reject) => {
-            this.db.run('UPDATE users SET credits = credits + ? WHERE id = ?', [credits, id], function(err) {
+            this.db.run('UPDATE server_plans SET stock_used = stock_used + 1 WHERE id = ?', [id], function(err) {
                 if (err) reject(err);
                 else resolve({ changes: this.changes });
             });
         });
     }
 
-    async setUserCredits(id, credits) {
+    async decrementPlanStock(id) {
         return new Promise((resolve, reject) => {
-            this.db.run('UPDATE users SET credits = ? WHERE id = ?', [credits, id], function(err) {
+            this.db.run('UPDATE server_plans SET stock_used = stock_used - 1 WHERE id = ? AND stock_used > 0', [id], function(err) {
                 if (err) reject(err);
                 else resolve({ changes: this.changes });
             });
         });
     }
 
-    // Settings methods
-    async getSetting(key) {
+    // Stock each plan should be using: every server on it, plus servers
+    // part-way through a change onto it
+    async getPlanStockCounts() {
         return new Promise((resolve, reject) => {
-            this.db.get('SELECT value FROM settings WHERE key = ?', [key], (err, row) => {
+            this.db.all(`
+                SELECT sp.id, sp.name, sp.stock_used,
+                    (SELECT COUNT(*) FROM user_servers WHERE plan_id = sp.id)
+                    + (SELECT COUNT(*) FROM user_servers WHERE pending_plan_id = sp.id AND status = 'changing_plan') AS expected
+                FROM server_plans sp
+                ORDER BY sp.id
+            `, [], (err, rows) => {
                 if (err) reject(err);
-                else resolve(row ? row.value : null);
+                else resolve(rows || []);
             });
         });
     }
 
-    async setSetting(key, value) {
+    async recountPlanStock(id) {
+        return this.transaction(async (tx) => {
+            const result = await tx.run(`
+                UPDATE server_plans SET stock_used =
+                    (SELECT COUNT(*) FROM user_servers WHERE plan_id = ?)
+                    + (SELECT COUNT(*) FROM user_servers WHERE pending_plan_id = ? AND status = 'changing_plan')
+                WHERE id = ?
+            `, [id, id, id]);
+            const plan = await tx.get('SELECT stock_used FROM server_plans WHERE id = ?', [id]);
+            return { changes: result.changes, stockUsed: plan ? plan.stock_used : null };
+        });
+    }
+
+    // ==================== USER SERVERS METHODS ====================
+
+    async createUserServer(serverData) {
         return new Promise((resolve, reject) => {
-            this.db.run(
-                'INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)',
-                [key, value],
-                function(err) {
+            const { user_id, plan_id, pterodactyl_server_id, server_name, server_identifier, status, expires_at, next_billing_date } = serverData;
+            
+            this.db.run(`
+                INSERT INTO user_servers (user_id, plan_id, pterodactyl_server_id, server_name, server_identifier, status, expires_at, next_billing_date)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `, [user_id, plan_id, pterodactyl_server_id, server_name, server_identifier, status || 'active', expires_at, next_billing_date || null],
+            function(err) {
+                if (err) reject(err);
+                else resolve({ id: this.lastID });
+            });
+        });
+    }
+
+    async getUserServers(userId) {
+        return new Promise((resolve, reject) => {
+            this.db.all(`
+                SELECT us.*, sp.name as plan_name, sp.cpu, sp.ram, sp.disk, sp.price, sp.billing_cycle
+                FROM user_servers us
+                LEFT JOIN server_plans sp ON us.plan_id = sp.id
+                WHERE us.user_id = ?
+                ORDER BY us.created_at DESC
+            `, [userId], (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows || []);
+            });
+        });
+    }
+
+    async getUserServerById(id) {
+        return new Promise((resolve, reject) => {
+            this.db.get(`
+                SELECT us.*, sp.name as plan_name, sp.price, sp.billing_cycle
+                FROM user_servers us
+                LEFT JOIN server_plans sp ON us.plan_id = sp.id
+                WHERE us.id = ?
+            `, [id], (err, row) => {
+                if (err) reject(err);
+                else resolve(row);
+            });
+        });
+    }
+
+    async getUserServerByIdentifier(userId, identifier) {
+        return new Promise((resolve, reject) => {
+            this.db.get(
+                'SELECT * FROM user_servers WHERE user_id = ? AND server_identifier = ?',
+                [userId, identifier],
+                (err, row) => {
                     if (err) reject(err);
-                    else resolve({ changes: this.changes });
+                    else resolve(row);
                 }
             );
         });
     }
 
-    // Gift card methods
-    async createGiftCard(code, credits, maxUses = 1, perUserLimit = 1, expiresAt = null) {
+    async getUserServerByPanelId(pterodactylServerId) {
         return new Promise((resolve, reject) => {
-            this.db.run(
-                'INSERT INTO gift_cards (code, credits, max_uses, per_user_limit, expires_at) VALUES (?, ?, ?, ?, ?)',
-                [code, credits, maxUses, perUserLimit, expiresAt],
-                function(err) {
+            this.db.get(
+                'SELECT * FROM user_servers WHERE pterodactyl_server_id = ?',
+                [pterodactylServerId],
+                (err, row) => {
                     if (err) reject(err);
-                    else resolve({ id: this.lastID });
+                    else resolve(row);
                 }
             );
         });
     }
 
-    async getGiftCard(code) {
+    async getUserServerCount(userId, planId) {
         return new Promise((resolve, reject) => {
-            this.db.get('SELECT * FROM gift_cards WHERE code = ?', [code], (err, row) => {
+            this.db.get(
+                'SELECT COUNT(*) as count FROM user_servers WHERE user_id = ? AND plan_id = ? AND status = "active"',
+                [userId, planId],
+                (err, row) => {
+                    if (err) reject(err);
+                    else resolve(row ? row.count : 0);
+                }
+            );
+        });
+    }
+
+    _serverFilters(filters = {}) {
+        const conditions = ['1 = 1'];
+        const params = [];
+
+        if (filters.id) {
+            conditions.push('us.id = ?');
+            params.push(filters.id);
+        }
+        if (filters.userId) {
+            conditions.push('us.user_id = ?');
+            params.push(filters.userId);
+        }
+        if (filters.planId) {
+            conditions.push('us.plan_id = ?');
+            params.push(filters.planId);
+        }
+        if (filters.status) {
+            conditions.push('us.status = ?');
+            params.push(filters.status);
+        }
+        if (filters.q) {
+            conditions.push('(us.server_name LIKE ? OR us.server_identifier = ? OR u.email LIKE ?)');
+            params.push(`%${filters.q}%`, filters.q, `%${filters.q}%`);
+        }
+
+        return { where: conditions.join(' AND '), params };
+    }
+
+    async searchUserServers(filters = {}, limit = null, offset = 0) {
+        return new Promise((resolve, reject) => {
+            const { where, params } = this._serverFilters(filters);
+            let sql = `
+                SELECT us.*, sp.name as plan_name, sp.price, sp.billing_cycle, u.email as user_email
+                FROM user_servers us
+                LEFT JOIN server_plans sp ON us.plan_id = sp.id
+                LEFT JOIN users u ON us.user_id = u.id
+                WHERE ${where}
+                ORDER BY us.created_at DESC, us.id DESC
+            `;
+
+            if (limit) {
+                sql += ' LIMIT ? OFFSET ?';
+                params.push(limit, offset);
+            }
+
+            this.db.all(sql, params, (err, rows) => {
                 if (err) reject(err);
-                else resolve(row);
+                else resolve(rows || []);
             });
         });
     }
 
-    async getAllGiftCards() {
+    async countUserServers(filters = {}) {
         return new Promise((resolve, reject) => {
-            this.db.all('SELECT * FROM gift_cards ORDER BY created_at DESC', [], (err, rows) => {
+            const { where, params } = this._serverFilters(filters);
+            this.db.get(`
+                SELECT COUNT(*) as count FROM user_servers us
+                LEFT JOIN users u ON us.user_id = u.id
+                WHERE ${where}
+            `, params, (err, row) => {
                 if (err) reject(err);
-                else resolve(rows);
+                else resolve(row ? row.count : 0);
             });
         });
     }
 
-    async updateGiftCard(id, data) {
+    async getAllUserServers() {
         return new Promise((resolve, reject) => {
-            const fields = [];
-            const values = [];
-            
-            if (data.credits !== undefined) {
-                fields.push('credits = ?');
-                values.push(data.credits);
+            this.db.all(`
+                SELECT us.*, sp.name as plan_name, sp.billing_cycle, u.email as user_email
+                FROM user_servers us
+                LEFT JOIN server_plans sp ON us.plan_id = sp.id
+                LEFT JOIN users u ON us.user_id = u.id
+                ORDER BY us.created_at DESC
+            `, [], (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows || []);
+            });
+        });
+    }
+
+    // Suspensions through here come from an admin; the billing engine
+    // suspends through updateServerBilling(). Clearing suspended_at keeps
+    // billing away from admin suspensions, and an unsuspended server that
+    // fell due meanwhile starts a new period instead of being re-suspended.
+    async updateServerStatus(id, status) {
+        return this.transaction(async (tx) => {
+            const server = await tx.get(`
+                SELECT us.*, sp.billing_cycle
+                FROM user_servers us
+                LEFT JOIN server_plans sp ON us.plan_id = sp.id
+                WHERE us.id = ?
+            `, [id]);
+            if (!server) {
+                return { changes: 0 };
             }
-            if (data.max_uses !== undefined) {
-                fields.push('max_uses = ?');
-                values.push(data.max_uses);
+
+            let nextBillingDate = server.next_billing_date;
+            const dueDate = BillingEngine.parseDate(nextBillingDate);
+            if (status === 'active' && dueDate && dueDate <= new Date()) {
+                const nextDate = BillingEngine.nextBillingDate(server.billing_cycle);
+                nextBillingDate = nextDate ? nextDate.toISOString() : null;
             }
-            if (data.per_user_limit !== undefined) {
-                fields.push('per_user_limit = ?');
-                values.push(data.per_user_limit);
+
+            const result = await tx.run(
+                'UPDATE user_servers SET status = ?, suspended_at = NULL, next_billing_date = ? WHERE id = ?',
+                [status, nextBillingDate, id]
+            );
+            if (status === 'suspended') {
+                await this._queueWebhookEvent(tx, 'server.suspended', this._serverWebhookData(server, { reason: 'admin' }));
             }
-            if (data.enabled !== undefined) {
-                fields.push('enabled = ?');
-                values.push(data.enabled);
+            return { changes: result.changes };
+        });
+    }
+
+    async transferUserServer(id, userId) {
+        return new Promise((resolve, reject) => {
+            this.db.run('UPDATE user_servers SET user_id = ? WHERE id = ?', [userId, id], function(err) {
+                if (err) reject(err);
+                else resolve({ changes: this.changes });
+            });
+        });
+    }
+
+    // Billing suspends unpaid servers by setting status 'suspended' here.
+    // With expectedStatus the row only changes while it still has that
+    // status, so billing can't undo a plan change or cancellation that
+    // started after it read the server; { changes: 0 } means it was skipped.
+    async updateServerBilling(id, data, expectedStatus = null) {
+        const fields = [];
+        const values = [];
+        
+        if (data.status !== undefined) {
+            fields.push('status = ?');
+            values.push(data.status);
+        }
+        if (data.next_billing_date !== undefined) {
+            fields.push('next_billing_date = ?');
+            values.push(data.next_billing_date);
+        }
+        if (data.suspended_at !== undefined) {
+            fields.push('suspended_at = ?');
+            values.push(data.suspended_at);
+        }
+        if (data.cancel_at_period_end !== undefined) {
+            fields.push('cancel_at_period_end = ?');
+            values.push(data.cancel_at_period_end ? 1 : 0);
+        }
+        
+        let where = 'id = ?';
+        values.push(id);
+        if (expectedStatus !== null) {
+            where += ' AND status = ?';
+            values.push(expectedStatus);
+        }
+        
+        return this.transaction(async (tx) => {
+            const result = await tx.run(`UPDATE user_servers SET ${fields.join(', ')} WHERE ${where}`, values);
+            if (result.changes > 0 && data.status === 'suspended') {
+                const server = await tx.get('SELECT * FROM user_servers WHERE id = ?', [id]);
+                await this._queueWebhookEvent(tx, 'server.suspended', this._serverWebhookData(server, { reason: 'non_payment' }));
             }
-            if (data.expires_at !== undefined) {
-                fields.push('expires_at = ?');
-                values.push(data.expires_at);
+            return { changes: result.changes };
+        });
+    }
+
+    // ==================== PURCHASE METHODS ====================
+    // Purchases run as reserve -> provision -> commit. The reservation takes
+    // the credits and a unit of stock and inserts a 'provisioning' row in a
+    // single transaction; releasePurchase() gives both back.
+
+    async reservePurchase(userId, planId, serverName) {
+        return this.transaction(async (tx) => {
+            const plan = await tx.get('SELECT * FROM server_plans WHERE id = ?', [planId]);
+            if (!plan || !plan.enabled) {
+                return { success: false, error: 'Invalid plan' };
+            }
+
+            const user = await tx.get('SELECT id, credits FROM users WHERE id = ?', [userId]);
+            if (!user) {
+                return { success: false, error: 'User not found' };
+            }
+            if (user.credits < plan.price) {
+                return { success: false, error: 'Insufficient credits' };
+            }
+
+            if (plan.user_limit > 0) {
+                const owned = await tx.get(
+                    `SELECT COUNT(*) as count FROM user_servers
+                     WHERE user_id = ? AND plan_id = ? AND status IN ('active', 'suspended', 'provisioning', 'changing_plan')`,
+                    [userId, planId]
+                );
+                if (owned.count >= plan.user_limit) {
+                    return { success: false, error: 'You have reached the maximum limit for this plan' };
+                }
+            }
+
+            const stock = await tx.run(
+                'UPDATE server_plans SET stock_used = stock_used + 1 WHERE id = ? AND (stock_limit = 0 OR stock_used < stock_limit)',
+                [planId]
+            );
+            if (stock.changes === 0) {
+                return { success: false, error: 'This plan is out of stock' };
+            }
+            await this._queueStockExhausted(tx, planId);
+
+            await tx.run('UPDATE users SET credits = credits - ? WHERE id = ?', [plan.price, userId]);
+
+            const reservation = await tx.run(`
+                INSERT INTO user_servers (user_id, plan_id, pterodactyl_server_id, server_name, server_identifier, status)
+                VALUES (?, ?, 0, ?, '', 'provisioning')
+            `, [userId, planId, serverName]);
+
+            await this._recordCreditChange(tx, userId, -plan.price, {
+                reason: 'server_purchase',
+                description: `Purchased "${serverName}" (${plan.name})`,
+                relatedType: 'server',
+                relatedId: reservation.lastID,
+                actorId: userId
+            });
+
+            return { success: true, reservationId: reservation.lastID, plan };
+        });
+    }
+
+    async commitPurchase(reservationId, pterodactylServerId, serverIdentifier, nextBillingDate = null) {
+        return this.transaction(async (tx) => {
+            const result = await tx.run(`
+                UPDATE user_servers
+                SET pterodactyl_server_id = ?, server_identifier = ?, status = 'active', next_billing_date = ?
+                WHERE id = ? AND status = 'provisioning'
+            `, [pterodactylServerId, serverIdentifier, nextBillingDate, reservationId]);
+
+            if (result.changes === 0) {
+                throw new Error(`Reservation ${reservationId} is no longer pending`);
+            }
+
+            const server = await tx.get(`
+                SELECT us.*, sp.price, sp.billing_cycle
+                FROM user_servers us
+                LEFT JOIN server_plans sp ON us.plan_id = sp.id
+                WHERE us.id = ?
+            `, [reservationId]);
+            await this._queueWebhookEvent(tx, 'server.purchased', this._serverWebhookData(server, {
+                price: server.price,
+                billing_cycle: server.billing_cycle,
+                next_billing_date: nextBillingDate
+            }));
+            return { changes: result.changes };
+        });
+    }
+
+    async releasePurchase(reservationId, description = 'Purchase failed') {
+        return this.transaction(async (tx) => {
+            const reservation = await tx.get(
+                `SELECT * FROM user_servers WHERE id = ? AND status = 'provisioning'`,
+                [reservationId]
+            );
+            if (!reservation) {
+                return { changes: 0 };
             }
-            
-            values.push(id);
-            
-            this.db.run(
-                `UPDATE gift_cards SET ${fields.join(', ')} WHERE id = ?`,
-                values,
-                function(err) {
-                    if (err) reject(err);
-                    else resolve({ changes: this.changes });
-                }
+
+            // Refund exactly what the reservation charged
+            const charge = await tx.get(
+                `SELECT amount FROM credit_transactions
+                 WHERE reason = 'server_purchase' AND related_type = 'server' AND related_id = ?`,
+                [reservationId]
             );
+            const refund = charge ? -charge.amount : 0;
+
+            if (refund > 0) {
+                await tx.run('UPDATE users SET credits = credits + ? WHERE id = ?', [refund, reservation.user_id]);
+                await this._recordCreditChange(tx, reservation.user_id, refund, {
+                    reason: 'refund',
+                    description: `${description}: "${reservation.server_name}"`,
+                    relatedType: 'server',
+                    relatedId: reservationId
+                });
+            }
+
+            await tx.run('UPDATE server_plans SET stock_used = stock_used - 1 WHERE id = ? AND stock_used > 0', [reservation.plan_id]);
+            const result = await tx.run('DELETE FROM user_servers WHERE id = ?', [reservationId]);
+            return { changes: result.changes, refund };
         });
     }
 
-    async deleteGiftCard(id) {
+    async getStaleReservations(olderThanMinutes) {
         return new Promise((resolve, reject) => {
-            this.db.run('DELETE FROM gift_cards WHERE id = ?', [id], function(err) {
+            this.db.all(`
+                SELECT us.*, sp.billing_cycle
+                FROM user_servers us
+                LEFT JOIN server_plans sp ON us.plan_id = sp.id
+                WHERE us.status = 'provisioning'
+                    AND datetime(us.created_at) <= datetime('now', ?)
+            `, [`-${olderThanMinutes} minutes`], (err, rows) => {
                 if (err) reject(err);
-                else resolve({ changes: this.changes });
+                else resolve(rows || []);
             });
         });
     }
 
-    async incrementGiftCardUses(id) {
+    // ==================== CANCELLATION METHODS ====================
+
+    // What was paid for a server's current period, as a positive amount: the
+    // latest purchase or renewal charge net of plan changes (and refunds of
+    // failed ones) since. created_at is when that charge was made.
+    async getLastServerCharge(serverId) {
         return new Promise((resolve, reject) => {
-            this.db.run('UPDATE gift_cards SET uses = uses + 1 WHERE id = ?', [id], function(err) {
+            this.db.get(`
+                SELECT -charge.amount - COALESCE((
+                    SELECT SUM(amount)
+                    FROM credit_transactions
+                    WHERE related_type = 'server' AND related_id = charge.related_id
+                        AND reason IN ('plan_change', 'refund') AND id > charge.id
+                ), 0) as amount, charge.created_at
+                FROM credit_transactions charge
+                WHERE charge.related_type = 'server' AND charge.related_id = ?
+                    AND charge.reason IN ('server_purchase', 'server_renewal')
+                ORDER BY charge.created_at DESC, charge.id DESC
+                LIMIT 1
+            `, [serverId], (err, row) => {
                 if (err) reject(err);
-                else resolve({ changes: this.changes });
+                else resolve(row || null);
             });
         });
     }
 
-    async getUserRedemptions(userId, giftCardId) {
-        return new Promise((resolve, reject) => {
-            this.db.get(
-                'SELECT COUNT(*) as count FROM gift_card_redemptions WHERE user_id = ? AND gift_card_id = ?',
-                [userId, giftCardId],
-                (err, row) => {
-                    if (err) reject(err);
-                    else resolve(row ? row.count : 0);
-                }
-            );
+    // Marks a server as being cancelled so a second request can't refund it twice.
+    // Resolves with the previous status, or null if the server can't be cancelled.
+    async beginServerCancellation(id) {
+        return this.transaction(async (tx) => {
+            const server = await tx.get('SELECT status FROM user_servers WHERE id = ?', [id]);
+            if (!server || !['active', 'suspended'].includes(server.status)) {
+                return null;
+            }
+            await tx.run(`UPDATE user_servers SET status = 'cancelling' WHERE id = ?`, [id]);
+            return server.status;
         });
     }
 
-    async redeemGiftCard(userId, giftCardId, credits) {
+    async revertServerCancellation(id, previousStatus) {
         return new Promise((resolve, reject) => {
             this.db.run(
-                'INSERT INTO gift_card_redemptions (user_id, gift_card_id, credits_received) VALUES (?, ?, ?)',
-                [userId, giftCardId, credits],
+                `UPDATE user_servers SET status = ? WHERE id = ? AND status = 'cancelling'`,
+                [previousStatus, id],
                 function(err) {
                     if (err) reject(err);
-                    else resolve({ id: this.lastID });
+                    else resolve({ changes: this.changes });
                 }
             );
         });
     }
 
-    async createUser(email, password, pterodactylId = null, bonusCredits = 0) {
-        return new Promise(async (resolve, reject) => {
-            try {
-                const hashedPassword = await bcrypt.hash(password, 12);
-                this.db.run(
-                    'INSERT INTO users (email, password, role, pterodactyl_id, twofa_enabled, credits) VALUES (?, ?, ?, ?, ?, ?)',
-                    [email, hashedPassword, 'user', pterodactylId, 0, bonusCredits],
-                    function(err) {
-                        if (err) {
-                            reject(err);
-                            return;
-                        }
-                        resolve(this.lastID);
-                    }
-                );
-            } catch (error) {
-                reject(error);
+    // Removes a cancelled server, releases its stock and pays out the refund
+    async completeServerCancellation(server, refund, actorId = null) {
+        return this.transaction(async (tx) => {
+            const result = await tx.run(`DELETE FROM user_servers WHERE id = ? AND status = 'cancelling'`, [server.id]);
+            if (result.changes === 0) {
+                return { changes: 0, refund: 0 };
+            }
+            await this._queueWebhookEvent(tx, 'server.deleted', this._serverWebhookData(server, { reason: 'cancelled' }));
+
+            await tx.run('UPDATE server_plans SET stock_used = stock_used - 1 WHERE id = ? AND stock_used > 0', [server.plan_id]);
+
+            if (refund > 0) {
+                await tx.run('UPDATE users SET credits = credits + ? WHERE id = ?', [refund, server.user_id]);
+                await this._recordCreditChange(tx, server.user_id, refund, {
+                    reason: 'refund',
+                    description: `Cancelled "${server.server_name}"`,
+                    relatedType: 'server',
+                    relatedId: server.id,
+                    actorId: actorId
+                });
             }
+
+            return { changes: result.changes, refund };
         });
     }
 
-    async updateUser2FA(userId, secret, enabled) {
-        return new Promise((resolve, reject) => {
-            this.db.run(
-                'UPDATE users SET twofa_secret = ?, twofa_enabled = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-                [secret, enabled ? 1 : 0, userId],
-                (err) => {
-                    if (err) reject(err);
-                    else resolve();
+    // ==================== PLAN CHANGE METHODS ====================
+    // Plan changes run as begin -> resize on the panel -> commit. begin takes
+    // a unit of the new plan's stock and charges any upgrade cost while the
+    // server sits in 'changing_plan'; revertPlanChange() gives both back.
+
+    async beginPlanChange(serverId, userId, newPlanId, amount) {
+        return this.transaction(async (tx) => {
+            const server = await tx.get('SELECT * FROM user_servers WHERE id = ? AND user_id = ?', [serverId, userId]);
+            if (!server || server.status !== 'active' || server.cancel_at_period_end) {
+                return { success: false, error: 'This server cannot change plans right now' };
+            }
+
+            const plan = await tx.get('SELECT * FROM server_plans WHERE id = ?', [newPlanId]);
+            if (!plan || !plan.enabled) {
+                return { success: false, error: 'Invalid plan' };
+            }
+
+            if (plan.user_limit > 0) {
+                const owned = await tx.get(
+                    `SELECT COUNT(*) as count FROM user_servers
+                     WHERE user_id = ? AND plan_id = ? AND status IN ('active', 'suspended', 'provisioning', 'changing_plan')`,
+                    [userId, newPlanId]
+                );
+                if (owned.count >= plan.user_limit) {
+                    return { success: false, error: 'You have reached the maximum limit for this plan' };
                 }
-            );
-        });
-    }
+            }
 
-    async updatePterodactylId(userId, pterodactylId) {
-        return new Promise((resolve, reject) => {
-            this.db.run(
-                'UPDATE users SET pterodactyl_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-                [pterodactylId, userId],
-                (err) => {
-                    if (err) reject(err);
-                    else resolve();
+            if (amount > 0) {
+                const charged = await tx.run(
+                    'UPDATE users SET credits = credits - ? WHERE id = ? AND credits >= ?',
+                    [amount, userId, amount]
+                );
+                if (charged.changes === 0) {
+                    return { success: false, error: 'Insufficient credits' };
                 }
+            }
+
+            const stock = await tx.run(
+                'UPDATE server_plans SET stock_used = stock_used + 1 WHERE id = ? AND (stock_limit = 0 OR stock_used < stock_limit)',
+                [newPlanId]
             );
-        });
-    }
+            if (stock.changes === 0) {
+                // Throwing rolls back the charge above
+                throw Object.assign(new Error('This plan is out of stock'), { planChangeError: true });
+            }
+            await this._queueStockExhausted(tx, newPlanId);
 
-    // ==================== SERVER PLANS METHODS ====================
-    
-    async createPlan(planData) {
-        return new Promise((resolve, reject) => {
-            const { name, description, price, billing_cycle, cpu, ram, disk, swap, io, databases, backups, allocations, 
-                    egg_id, location_ids, docker_image, startup_command, environment_variables, 
-                    user_limit, stock_limit, enabled, category, sort_order } = planData;
-            
-            this.db.run(`
-                INSERT INTO server_plans (
-                    name, description, price, billing_cycle, cpu, ram, disk, swap, io, databases, backups, allocations,
-                    egg_id, location_ids, docker_image, startup_command, environment_variables,
-                    user_limit, stock_limit, enabled, category, sort_order
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-            `, [name, description, price, billing_cycle || 'monthly', cpu, ram, disk, swap || 0, io || 500, databases || 0, backups || 0, allocations || 1,
-                egg_id, location_ids, docker_image, startup_command, environment_variables,
-                user_limit || 0, stock_limit || 0, enabled ? 1 : 0, category || 'general', sort_order || 0],
-            function(err) {
-                if (err) reject(err);
-                else resolve({ id: this.lastID });
-            });
-        });
-    }
+            await tx.run(`
+                UPDATE user_servers
+                SET status = 'changing_plan', pending_plan_id = ?, plan_change_amount = ?, plan_change_started_at = ?
+                WHERE id = ?
+            `, [newPlanId, amount, new Date().toISOString(), serverId]);
 
-    async getAllPlans() {
-        return new Promise((resolve, reject) => {
-            this.db.all('SELECT * FROM server_plans ORDER BY sort_order ASC, created_at DESC', [], (err, rows) => {
-                if (err) reject(err);
-                else resolve(rows || []);
-            });
+            if (amount > 0) {
+                await this._recordCreditChange(tx, userId, -amount, {
+                    reason: 'plan_change',
+                    description: `Changed "${server.server_name}" to ${plan.name}`,
+                    relatedType: 'server',
+                    relatedId: serverId,
+                    actorId: userId
+                });
+            }
+
+            return { success: true, server, plan };
+        }).catch(error => {
+            if (error.planChangeError) {
+                return { success: false, error: error.message };
+            }
+            throw error;
         });
     }
 
-    async getEnabledPlans() {
-        return new Promise((resolve, reject) => {
-            this.db.all('SELECT * FROM server_plans WHERE enabled = 1 ORDER BY sort_order ASC, created_at DESC', [], (err, rows) => {
-                if (err) reject(err);
-                else resolve(rows || []);
-            });
+    // Moves the server onto its pending plan, releases the old plan's stock
+    // and credits the user when the change was a downgrade
+    async commitPlanChange(serverId) {
+        return this.transaction(async (tx) => {
+            const server = await tx.get(`
+                SELECT us.*, sp.name as pending_plan_name
+                FROM user_servers us
+                JOIN server_plans sp ON us.pending_plan_id = sp.id
+                WHERE us.id = ? AND us.status = 'changing_plan'
+            `, [serverId]);
+            if (!server) {
+                throw new Error(`Plan change for server ${serverId} is no longer pending`);
+            }
+
+            await tx.run(`
+                UPDATE user_servers
+                SET plan_id = pending_plan_id, status = 'active',
+                    pending_plan_id = NULL, plan_change_amount = NULL, plan_change_started_at = NULL
+                WHERE id = ?
+            `, [serverId]);
+            await tx.run('UPDATE server_plans SET stock_used = stock_used - 1 WHERE id = ? AND stock_used > 0', [server.plan_id]);
+
+            const credit = -(server.plan_change_amount || 0);
+            if (credit > 0) {
+                await tx.run('UPDATE users SET credits = credits + ? WHERE id = ?', [credit, server.user_id]);
+                await this._recordCreditChange(tx, server.user_id, credit, {
+                    reason: 'plan_change',
+                    description: `Changed "${server.server_name}" to ${server.pending_plan_name}`,
+                    relatedType: 'server',
+                    relatedId: serverId,
+                    actorId: server.user_id
+                });
+            }
+
+            return { changes: 1 };
         });
     }
 
-    async getPlanById(id) {
-        return new Promise((resolve, reject) => {
-            this.db.get('SELECT * FROM server_plans WHERE id = ?', [id], (err, row) => {
-                if (err) reject(err);
-                else resolve(row);
-            });
+    // Puts the server back on its old plan and refunds what beginPlanChange charged
+    async revertPlanChange(serverId, description = 'Plan change failed') {
+        return this.transaction(async (tx) => {
+            const server = await tx.get(
+                `SELECT * FROM user_servers WHERE id = ? AND status = 'changing_plan'`,
+                [serverId]
+            );
+            if (!server) {
+                return { changes: 0 };
+            }
+
+            const refund = Math.max(server.plan_change_amount || 0, 0);
+
+            if (refund > 0) {
+                await tx.run('UPDATE users SET credits = credits + ? WHERE id = ?', [refund, server.user_id]);
+                await this._recordCreditChange(tx, server.user_id, refund, {
+                    reason: 'refund',
+                    description: `${description}: "${server.server_name}"`,
+                    relatedType: 'server',
+                    relatedId: serverId
+                });
+            }
+
+            await tx.run('UPDATE server_plans SET stock_used = stock_used - 1 WHERE id = ? AND stock_used > 0', [server.pending_plan_id]);
+            await tx.run(`
+                UPDATE user_servers
+                SET status = 'active', pending_plan_id = NULL, plan_change_amount = NULL, plan_change_started_at = NULL
+                WHERE id = ?
+            `, [serverId]);
+            return { changes: 1, refund };
         });
     }
 
-    async updatePlan(id, planData) {
+    async getStalePlanChanges(olderThanMinutes) {
         return new Promise((resolve, reject) => {
-            const { name, description, price, billing_cycle, cpu, ram, disk, swap, io, databases, backups, allocations,
-                    egg_id, location_ids, docker_image, startup_command, environment_variables,
-                    user_limit, stock_limit, enabled, category, sort_order } = planData;
-            
-            this.db.run(`
-                UPDATE server_plans SET
-                    name = ?, description = ?, price = ?, billing_cycle = ?, cpu = ?, ram = ?, disk = ?, swap = ?, io = ?,
-                    databases = ?, backups = ?, allocations = ?, egg_id = ?, location_ids = ?,
-                    docker_image = ?, startup_command = ?, environment_variables = ?,
-                    user_limit = ?, stock_limit = ?, enabled = ?, category = ?, sort_order = ?,
-                    updated_at = CURRENT_TIMESTAMP
-                WHERE id = ?
-            `, [name, description, price, billing_cycle || 'monthly', cpu, ram, disk, swap, io, databases, backups, allocations,
-                egg_id, location_ids, docker_image, startup_command, environment_variables,
-                user_limit, stock_limit, enabled ? 1 : 0, category, sort_order, id],
-            function(err) {
+            this.db.all(`
+                SELECT us.*, sp.ram, sp.cpu, sp.disk
+                FROM user_servers us
+                JOIN server_plans sp ON us.pending_plan_id = sp.id
+                WHERE us.status = 'changing_plan'
+                    AND datetime(us.plan_change_started_at) <= datetime('now', ?)
+            `, [`-${olderThanMinutes} minutes`], (err, rows) => {
                 if (err) reject(err);
-                else resolve({ changes: this.changes });
+                else resolve(rows || []);
             });
         });
     }
 
-    async deletePlan(id) {
+    // ==================== BILLING METHODS ====================
+
+    async getDueServers() {
         return new Promise((resolve, reject) => {
-            this.db.run('DELETE FROM server_plans WHERE id = ?', [id], function(err) {
+            this.db.all(`
+                SELECT us.*, sp.price, sp.billing_cycle
+                FROM user_servers us
+                JOIN server_plans sp ON us.plan_id = sp.id
+                WHERE us.status = 'active'
+                    AND us.next_billing_date IS NOT NULL
+                    AND datetime(us.next_billing_date) <= datetime('now')
+                ORDER BY us.next_billing_date ASC
+            `, [], (err, rows) => {
                 if (err) reject(err);
-                else resolve({ changes: this.changes });
+                else resolve(rows || []);
             });
         });
     }
 
-    async incrementPlanStock(id) {
+    async getServersWithoutBillingDate() {
         return new Promise((resolve, reject) => {
-            this.db.run('UPDATE server_plans SET stock_used = stock_used + 1 WHERE id = ?', [id], function(err) {
+            this.db.all(`
+                SELECT us.*, sp.billing_cycle
+                FROM user_servers us
+                JOIN server_plans sp ON us.plan_id = sp.id
+                WHERE us.status = 'active'
+                    AND us.next_billing_date IS NULL
+                    AND sp.billing_cycle != 'one-time'
+            `, [], (err, rows) => {
                 if (err) reject(err);
-                else resolve({ changes: this.changes });
+                else resolve(rows || []);
             });
         });
     }
 
-    async decrementPlanStock(id) {
+    async getBillingSuspendedServers(userId = null) {
         return new Promise((resolve, reject) => {
-            this.db.run('UPDATE server_plans SET stock_used = stock_used - 1 WHERE id = ? AND stock_used > 0', [id], function(err) {
+            const params = [];
+            let where = `us.status = 'suspended' AND us.suspended_at IS NOT NULL`;
+            
+            if (userId !== null) {
+                where += ' AND us.user_id = ?';
+                params.push(userId);
+            }
+            
+            this.db.all(`
+                SELECT us.*, sp.price, sp.billing_cycle
+                FROM user_servers us
+                JOIN server_plans sp ON us.plan_id = sp.id
+                WHERE ${where}
+                ORDER BY us.suspended_at ASC
+            `, params, (err, rows) => {
                 if (err) reject(err);
-                else resolve({ changes: this.changes });
+                else resolve(rows || []);
             });
         });
     }
 
-    // ==================== USER SERVERS METHODS ====================
+    // `reason` is sent with the server.deleted webhook, e.g. 'admin'
+    async deleteUserServer(id, reason = null) {
+        return this.transaction(async (tx) => {
+            const server = await tx.get('SELECT * FROM user_servers WHERE id = ?', [id]);
+            if (!server) {
+                return { changes: 0 };
+            }
 
-    async createUserServer(serverData) {
-        return new Promise((resolve, reject) => {
-            const { user_id, plan_id, pterodactyl_server_id, server_name, server_identifier, status, expires_at } = serverData;
-            
-            this.db.run(`
-                INSERT INTO user_servers (user_id, plan_id, pterodactyl_server_id, server_name, server_identifier, status, expires_at)
-                VALUES (?, ?, ?, ?, ?, ?, ?)
-            `, [user_id, plan_id, pterodactyl_server_id, server_name, server_identifier, status || 'active', expires_at],
-            function(err) {
-                if (err) reject(err);
-                else resolve({ id: this.lastID });
-            });
+            const result = await tx.run('DELETE FROM user_servers WHERE id = ?', [id]);
+            await this._queueWebhookEvent(tx, 'server.deleted', this._serverWebhookData(server, { reason }));
+            return { changes: result.changes };
         });
     }
 
-    async getUserServers(userId) {
+    // Resource usage samples
+
+    async getActiveServerIdentifiers() {
         return new Promise((resolve, reject) => {
-            this.db.all(`
-                SELECT us.*, sp.name as plan_name, sp.cpu, sp.ram, sp.disk
-                FROM user_servers us
-                LEFT JOIN server_plans sp ON us.plan_id = sp.id
-                WHERE us.user_id = ?
-                ORDER BY us.created_at DESC
-            `, [userId], (err, rows) => {
-                if (err) reject(err);
-                else resolve(rows || []);
-            });
+            this.db.all(
+                'SELECT server_identifier FROM user_servers WHERE status = "active" AND server_identifier IS NOT NULL',
+                [],
+                (err, rows) => {
+                    if (err) reject(err);
+                    else resolve((rows || []).map(row => row.server_identifier));
+                }
+            );
         });
     }
 
-    async getUserServerById(id) {
-        return new Promise((resolve, reject) => {
-            this.db.get(`
-                SELECT us.*, sp.name as plan_name
-                FROM user_servers us
-                LEFT JOIN server_plans sp ON us.plan_id = sp.id
-                WHERE us.id = ?
-            `, [id], (err, row) => {
-                if (err) reject(err);
-                else resolve(row);
-            });
+    // Samples are keyed by server, resolution and time, so re-inserting a
+    // rolled-up bucket is a no-op
+    async insertResourceSamples(samples) {
+        return this.transaction(async (tx) => {
+            for (const sample of samples) {
+                await tx.run(`
+                    INSERT OR IGNORE INTO resource_samples
+                    (server_identifier, resolution, sampled_at, cpu, memory_bytes, disk_bytes, network_rx_bytes, network_tx_bytes, state)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `, [
+                    sample.server_identifier,
+                    sample.resolution,
+                    sample.sampled_at,
+                    sample.cpu,
+                    sample.memory_bytes,
+                    sample.disk_bytes,
+                    sample.network_rx_bytes,
+                    sample.network_tx_bytes,
+                    sample.state
+                ]);
+            }
+            return samples.length;
         });
     }
 
-    async getUserServerCount(userId, planId) {
+    async getLatestResourceSampleTime(resolution) {
         return new Promise((resolve, reject) => {
             this.db.get(
-                'SELECT COUNT(*) as count FROM user_servers WHERE user_id = ? AND plan_id = ? AND status = "active"',
-                [userId, planId],
+                'SELECT MAX(sampled_at) as latest FROM resource_samples WHERE resolution = ?',
+                [resolution],
                 (err, row) => {
                     if (err) reject(err);
-                    else resolve(row ? row.count : 0);
+                    else resolve(row ? row.latest : null);
                 }
             );
         });
     }
 
-    async getAllUserServers() {
-        return new Promise((resolve, reject) => {
-            this.db.all(`
-                SELECT us.*, sp.name as plan_name, u.email as user_email
-                FROM user_servers us
-                LEFT JOIN server_plans sp ON us.plan_id = sp.id
-                LEFT JOIN users u ON us.user_id = u.id
-                ORDER BY us.created_at DESC
-            `, [], (err, rows) => {
-                if (err) reject(err);
-                else resolve(rows || []);
-            });
-        });
-    }
+    // sampled_at values are ISO strings, so they compare in time order
+    async getResourceSamples(resolution, since, identifier = null) {
+        let where = 'resolution = ? AND sampled_at >= ?';
+        const params = [resolution, since];
+        if (identifier) {
+            where += ' AND server_identifier = ?';
+            params.push(identifier);
+        }
 
-    async updateServerStatus(id, status) {
         return new Promise((resolve, reject) => {
-            this.db.run('UPDATE user_servers SET status = ? WHERE id = ?', [status, id], function(err) {
-                if (err) reject(err);
-                else resolve({ changes: this.changes });
-            });
+            this.db.all(
+                `SELECT * FROM resource_samples WHERE ${where} ORDER BY server_identifier, sampled_at ASC`,
+                params,
+                (err, rows) => {
+                    if (err) reject(err);
+                    else resolve(rows || []);
+                }
+            );
         });
     }
 
-    async deleteUserServer(id) {
+    async pruneResourceSamples(resolution, before) {
         return new Promise((resolve, reject) => {
-            this.db.run('DELETE FROM user_servers WHERE id = ?', [id], function(err) {
-                if (err) reject(err);
-                else resolve({ changes: this.changes });
-            });
+            this.db.run(
+                'DELETE FROM resource_samples WHERE resolution = ? AND sampled_at < ?',
+                [resolution, before],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve({ changes: this.changes });
+                }
+            );
         });
     }
 
     close() {
+        if (this.txDb) {
+            this.txDb.close((err) => {
+                if (err) {
+                    console.error('Error closing database:', err);
+                }
+            });
+        }
         this.db.close((err) => {
             if (err) {
                 console.error('Error closing database:', err);
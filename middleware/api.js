@@ -0,0 +1,102 @@
+const { validationResult } = require('express-validator');
+const { authenticateApiKey, authenticateApplicationKey } = require('../services/apikeys');
+
+// Every API error has the same shape so clients can branch on `code`.
+// `extra` adds fields to the error, e.g. per-field validation messages.
+function apiError(res, status, code, message, extra = {}) {
+    return res.status(status).json({
+        success: false,
+        error: { code, message, ...extra }
+    });
+}
+
+function bearerToken(req) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+    return match ? match[1] : null;
+}
+
+// Authenticates `Authorization: Bearer <key>` and sets req.apiUser and
+// req.apiKey. API requests never use the session, so CSRF doesn't apply.
+async function requireApiKey(req, res, next) {
+    const token = bearerToken(req);
+    if (!token) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return apiError(res, 401, 'unauthorized', 'Missing API key');
+    }
+
+    try {
+        const db = req.app.locals.db;
+        const result = await authenticateApiKey(db, token);
+        if (!result) {
+            res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+            return apiError(res, 401, 'unauthorized', 'Invalid API key');
+        }
+
+        if (result.user.status === 'suspended' || result.user.status === 'banned') {
+            return apiError(res, 403, 'account_disabled', `This account is ${result.user.status}`);
+        }
+
+        await db.touchApiKey(result.apiKey.id, req.ip);
+        req.apiKey = result.apiKey;
+        req.apiUser = result.user;
+        next();
+    } catch (error) {
+        console.error('API key authentication error:', error);
+        apiError(res, 500, 'internal_error', 'Authentication failed');
+    }
+}
+
+// Authenticates an application key for the admin API and sets
+// req.applicationKey. Personal keys are refused here, even an admin's.
+async function requireApplicationKey(req, res, next) {
+    const token = bearerToken(req);
+    if (!token) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return apiError(res, 401, 'unauthorized', 'Missing application key');
+    }
+
+    try {
+        const db = req.app.locals.db;
+        const applicationKey = await authenticateApplicationKey(db, token);
+        if (!applicationKey) {
+            res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+            return apiError(res, 401, 'unauthorized', 'Invalid application key');
+        }
+
+        await db.touchApplicationKey(applicationKey.id, req.ip);
+        req.applicationKey = applicationKey;
+        next();
+    } catch (error) {
+        console.error('Application key authentication error:', error);
+        apiError(res, 500, 'internal_error', 'Authentication failed');
+    }
+}
+
+function requireScope(scope) {
+    return (req, res, next) => {
+        const key = req.apiKey || req.applicationKey;
+        if (key && key.scopes.includes(scope)) {
+            return next();
+        }
+        apiError(res, 403, 'insufficient_scope', `This key is missing the ${scope} scope`);
+    };
+}
+
+// Answers 400 with every failed express-validator check
+function validateRequest(req, res, next) {
+    const errors = validationResult(req);
+    if (errors.isEmpty()) {
+        return next();
+    }
+
+    const fields = errors.array().map(error => ({ field: error.path, message: error.msg }));
+    apiError(res, 400, 'invalid_request', fields[0].message, { fields });
+}
+
+module.exports = {
+    apiError,
+    validateRequest,
+    requireApiKey,
+    requireApplicationKey,
+    requireScope
+};
@@ -50,6 +50,10 @@ class PterodactylAPI {
         });
     }
 
+    clearUserServersCache(userId) {
+        this.cache.delete(`user_servers_${userId}`);
+    }
+
     async createUser(email, password, firstName = 'User', lastName = 'Account') {
         try {
             const username = email.split('@')[0] + Math.floor(Math.random() * 1000);
@@ -116,6 +120,22 @@ class PterodactylAPI {
         }
     }
 
+    async deleteUser(userId) {
+        try {
+            await this.client.delete(`/users/${userId}`);
+            return {
+                success: true
+            };
+        } catch (error) {
+            console.error('Pterodactyl API Error:', error.response?.data || error.message);
+            return {
+                success: false,
+                notFound: error.response?.status === 404,
+                error: error.response?.data?.errors?.[0]?.detail || error.message
+            };
+        }
+    }
+
     async testConnection() {
         try {
             await this.client.get('/users?per_page=1');
@@ -229,6 +249,52 @@ class PterodactylAPI {
         }
     }
 
+    async getWebsocketCredentials(identifier) {
+        if (!this.clientApi) {
+            return {
+                success: false,
+                error: 'Client API key not configured'
+            };
+        }
+
+        try {
+            const response = await this.clientApi.get(`/servers/${identifier}/websocket`);
+            return {
+                success: true,
+                token: response.data.data.token,
+                socket: response.data.data.socket
+            };
+        } catch (error) {
+            console.error('Pterodactyl Client API Error:', error.response?.data || error.message);
+            return {
+                success: false,
+                error: error.response?.data?.errors?.[0]?.detail || error.message
+            };
+        }
+    }
+
+    async sendPowerSignal(identifier, signal) {
+        if (!this.clientApi) {
+            return {
+                success: false,
+                error: 'Client API key not configured'
+            };
+        }
+
+        try {
+            await this.clientApi.post(`/servers/${identifier}/power`, { signal });
+            return {
+                success: true
+            };
+        } catch (error) {
+            console.error('Pterodactyl Client API Error:', error.response?.data || error.message);
+            return {
+                success: false,
+                error: error.response?.data?.errors?.[0]?.detail || error.message
+            };
+        }
+    }
+
     async updateUser(userId, data) {
         try {
             const response = await this.client.patch(`/users/${userId}`, data);
@@ -348,11 +414,12 @@ class PterodactylAPI {
 
     async createServer(serverData) {
         try {
-            const { name, user, egg, docker_image, startup, environment, limits, feature_limits, allocation, deploy } = serverData;
+            const { name, user, egg, docker_image, startup, environment, limits, feature_limits, allocation, deploy, external_id } = serverData;
             
             const response = await this.client.post('/servers', {
                 name: name,
                 user: user,
+                external_id: external_id || undefined,
                 egg: egg,
                 docker_image: docker_image,
                 startup: startup,
@@ -389,6 +456,90 @@ class PterodactylAPI {
                 success: true,
                 data: response.data.attributes
             };
+        } catch (error) {
+            console.error('Pterodactyl API Error:', error.response?.data || error.message);
+            return {
+                success: false,
+                notFound: error.response?.status === 404,
+                error: error.response?.data?.errors?.[0]?.detail || error.message
+            };
+        }
+    }
+
+    async getServerByExternalId(externalId) {
+        try {
+            const response = await this.client.get(`/servers/external/${encodeURIComponent(externalId)}`);
+            return {
+                success: true,
+                data: response.data.attributes
+            };
+        } catch (error) {
+            if (error.response?.status === 404) {
+                return {
+                    success: false,
+                    notFound: true,
+                    error: 'Server not found'
+                };
+            }
+            console.error('Pterodactyl API Error:', error.response?.data || error.message);
+            return {
+                success: false,
+                error: error.response?.data?.errors?.[0]?.detail || error.message
+            };
+        }
+    }
+
+    // Every server on the panel, following pagination
+    async getAllServers() {
+        try {
+            const servers = [];
+            let page = 1;
+            let totalPages = 1;
+            
+            do {
+                const response = await this.client.get(`/servers?per_page=100&page=${page}`);
+                servers.push(...response.data.data.map(server => server.attributes));
+                totalPages = response.data.meta?.pagination?.total_pages || 1;
+                page++;
+            } while (page <= totalPages);
+            
+            return {
+                success: true,
+                servers: servers
+            };
+        } catch (error) {
+            console.error('Pterodactyl API Error:', error.response?.data || error.message);
+            return {
+                success: false,
+                error: error.response?.data?.errors?.[0]?.detail || error.message,
+                servers: []
+            };
+        }
+    }
+
+    async updateServerDetails(serverId, details) {
+        try {
+            const response = await this.client.patch(`/servers/${serverId}/details`, details);
+            return {
+                success: true,
+                data: response.data.attributes
+            };
+        } catch (error) {
+            console.error('Pterodactyl API Error:', error.response?.data || error.message);
+            return {
+                success: false,
+                error: error.response?.data?.errors?.[0]?.detail || error.message
+            };
+        }
+    }
+
+    async updateServerBuild(serverId, buildData) {
+        try {
+            const response = await this.client.patch(`/servers/${serverId}/build`, buildData);
+            return {
+                success: true,
+                data: response.data.attributes
+            };
         } catch (error) {
             console.error('Pterodactyl API Error:', error.response?.data || error.message);
             return {
@@ -438,6 +589,7 @@ class PterodactylAPI {
             console.error('Pterodactyl API Error:', error.response?.data || error.message);
             return {
                 success: false,
+                notFound: error.response?.status === 404,
                 error: error.response?.data?.errors?.[0]?.detail || error.message
             };
         }
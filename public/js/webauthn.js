@@ -0,0 +1,88 @@
+// Browser side of security key registration and sign-in.
+// The server sends and expects WebAuthn JSON with base64url-encoded buffers.
+(function() {
+    function toBuffer(base64url) {
+        const base64 = base64url.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64.padEnd(base64.length + (4 - base64.length % 4) % 4, '='));
+        return Uint8Array.from(binary, c => c.charCodeAt(0)).buffer;
+    }
+
+    function toBase64url(buffer) {
+        const binary = String.fromCharCode(...new Uint8Array(buffer));
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    async function post(url, body) {
+        const csrfToken = document.querySelector('input[name="_csrf"]').value;
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'CSRF-Token': csrfToken
+            },
+            body: JSON.stringify(body || {})
+        });
+        const data = await response.json();
+        if (!data.success) {
+            throw new Error(data.error || 'Request failed');
+        }
+        return data;
+    }
+
+    function credentialToJSON(credential) {
+        const response = credential.response;
+        const json = {
+            id: credential.id,
+            rawId: toBase64url(credential.rawId),
+            type: credential.type,
+            clientExtensionResults: credential.getClientExtensionResults(),
+            authenticatorAttachment: credential.authenticatorAttachment || undefined,
+            response: {
+                clientDataJSON: toBase64url(response.clientDataJSON)
+            }
+        };
+
+        if (response.attestationObject) {
+            json.response.attestationObject = toBase64url(response.attestationObject);
+            json.response.transports = response.getTransports ? response.getTransports() : [];
+        } else {
+            json.response.authenticatorData = toBase64url(response.authenticatorData);
+            json.response.signature = toBase64url(response.signature);
+            if (response.userHandle) {
+                json.response.userHandle = toBase64url(response.userHandle);
+            }
+        }
+        return json;
+    }
+
+    async function register(name) {
+        const { options } = await post('/webauthn/register/options');
+        const credential = await navigator.credentials.create({
+            publicKey: {
+                ...options,
+                challenge: toBuffer(options.challenge),
+                user: { ...options.user, id: toBuffer(options.user.id) },
+                excludeCredentials: (options.excludeCredentials || []).map(c => ({ ...c, id: toBuffer(c.id) }))
+            }
+        });
+        return post('/webauthn/register/verify', { name, response: credentialToJSON(credential) });
+    }
+
+    async function authenticate() {
+        const { options } = await post('/webauthn/authenticate/options');
+        const credential = await navigator.credentials.get({
+            publicKey: {
+                ...options,
+                challenge: toBuffer(options.challenge),
+                allowCredentials: (options.allowCredentials || []).map(c => ({ ...c, id: toBuffer(c.id) }))
+            }
+        });
+        return post('/webauthn/authenticate/verify', { response: credentialToJSON(credential) });
+    }
+
+    window.CosmicaWebAuthn = {
+        supported: !!window.PublicKeyCredential,
+        register,
+        authenticate
+    };
+})();
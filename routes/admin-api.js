@@ -0,0 +1,653 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('yaml');
+const { body, param, query } = require('express-validator');
+const { apiError, validateRequest, requireApplicationKey, requireScope } = require('../middleware/api');
+const BillingEngine = require('../services/billing');
+const { audit } = require('../services/audit');
+
+// Admin API for billing bots and other automation. Requests authenticate
+// with an application key created under Admin → Application Keys; personal
+// keys don't work here. Responses use the same shapes as /api/v1, and list
+// endpoints add a `pagination` object.
+
+const USER_ROLES = ['user', 'admin'];
+const USER_STATUSES = ['active', 'suspended', 'banned'];
+const SERVER_STATUSES = ['provisioning', 'active', 'suspended', 'account_suspended', 'cancelling', 'changing_plan'];
+
+const DEFAULT_PER_PAGE = 25;
+const MAX_PER_PAGE = 100;
+
+const MAX_GIFT_CARD_BATCH = 500;
+
+// No 0/O, 1/I so codes survive being copied by hand
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const OPENAPI_PATH = path.join(__dirname, '..', 'docs', 'openapi-admin.yaml');
+let openApiDocument = null;
+
+const dateRule = field => query(field).optional().isDate({ format: 'YYYY-MM-DD', strictMode: true })
+    .withMessage(`${field} must be a YYYY-MM-DD date`);
+
+const idParam = param('id').isInt({ min: 1 }).withMessage('id must be a positive integer').toInt();
+
+const paginationRules = [
+    query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer').toInt(),
+    query('per_page').optional().isInt({ min: 1, max: MAX_PER_PAGE }).withMessage(`per_page must be 1-${MAX_PER_PAGE}`).toInt()
+];
+
+function pageOf(req) {
+    const page = req.query.page || 1;
+    const perPage = req.query.per_page || DEFAULT_PER_PAGE;
+    return { page, perPage, offset: (page - 1) * perPage };
+}
+
+function sendData(res, data, status = 200) {
+    res.status(status).json({ success: true, data });
+}
+
+function sendPage(res, data, { page, perPage }, total) {
+    res.json({
+        success: true,
+        data,
+        pagination: {
+            page,
+            per_page: perPage,
+            total,
+            total_pages: Math.ceil(total / perPage)
+        }
+    });
+}
+
+function splitIds(value) {
+    return (value || '').split(',').map(id => parseInt(id.trim())).filter(id => !isNaN(id));
+}
+
+function publicUser(user) {
+    return {
+        id: user.id,
+        email: user.email,
+        role: user.role,
+        status: user.status || 'active',
+        status_reason: user.status_reason || null,
+        credits: user.credits || 0,
+        email_verified: !!user.email_verified,
+        twofa_enabled: !!user.twofa_enabled,
+        pterodactyl_id: user.pterodactyl_id || null,
+        created_at: user.created_at
+    };
+}
+
+function publicServer(server) {
+    return {
+        id: server.id,
+        user_id: server.user_id,
+        user_email: server.user_email,
+        plan_id: server.plan_id,
+        plan_name: server.plan_name,
+        name: server.server_name,
+        identifier: server.server_identifier,
+        pterodactyl_server_id: server.pterodactyl_server_id,
+        status: server.status,
+        next_billing_date: server.next_billing_date,
+        cancel_at_period_end: !!server.cancel_at_period_end,
+        created_at: server.created_at
+    };
+}
+
+function publicGiftCard(card) {
+    return {
+        id: card.id,
+        code: card.code,
+        credits: card.credits,
+        max_uses: card.max_uses,
+        uses: card.uses,
+        per_user_limit: card.per_user_limit,
+        enabled: !!card.enabled,
+        expires_at: card.expires_at,
+        created_at: card.created_at
+    };
+}
+
+function publicPlan(plan) {
+    let environment = {};
+    try {
+        environment = plan.environment_variables ? JSON.parse(plan.environment_variables) : {};
+    } catch (e) {
+        console.error(`Plan ${plan.id} has invalid environment variables:`, e);
+    }
+
+    return {
+        id: plan.id,
+        name: plan.name,
+        description: plan.description,
+        category: plan.category || 'general',
+        price: plan.price,
+        billing_cycle: plan.billing_cycle,
+        enabled: !!plan.enabled,
+        sort_order: plan.sort_order,
+        cpu: plan.cpu,
+        ram: plan.ram,
+        disk: plan.disk,
+        swap: plan.swap,
+        io: plan.io,
+        databases: plan.databases,
+        backups: plan.backups,
+        allocations: plan.allocations,
+        egg_id: plan.egg_id,
+        location_ids: splitIds(plan.location_ids),
+        docker_image: plan.docker_image,
+        startup_command: plan.startup_command,
+        environment_variables: environment,
+        user_limit: plan.user_limit,
+        stock_limit: plan.stock_limit,
+        stock_used: plan.stock_used,
+        transition_plan_ids: splitIds(plan.transition_plan_ids),
+        created_at: plan.created_at,
+        updated_at: plan.updated_at
+    };
+}
+
+// ==================== DOCUMENTATION ====================
+
+// OpenAPI description of this API; needs no key
+router.get('/openapi.json', (req, res) => {
+    try {
+        if (!openApiDocument) {
+            openApiDocument = yaml.parse(fs.readFileSync(OPENAPI_PATH, 'utf8'));
+        }
+
+        const config = req.app.locals.config;
+        const publicUrl = String(config.server.publicUrl || `http://localhost:${config.server.port || 3000}`).replace(/\/$/, '');
+        res.json({ ...openApiDocument, servers: [{ url: `${publicUrl}/api/v1/admin` }] });
+    } catch (error) {
+        console.error('OpenAPI document error:', error);
+        apiError(res, 500, 'internal_error', 'Failed to load API description');
+    }
+});
+
+router.use(requireApplicationKey);
+
+// ==================== USERS ====================
+
+router.get('/users', requireScope('users:read'), [
+    query('q').optional().isString().trim(),
+    query('role').optional().isIn(USER_ROLES).withMessage(`role must be one of ${USER_ROLES.join(', ')}`),
+    query('status').optional().isIn(USER_STATUSES).withMessage(`status must be one of ${USER_STATUSES.join(', ')}`),
+    dateRule('from'),
+    dateRule('to'),
+    ...paginationRules
+], validateRequest, async (req, res) => {
+    const db = req.app.locals.db;
+    const { q, role, status, from, to } = req.query;
+    const filters = { q, role, status, from, to };
+    const page = pageOf(req);
+
+    try {
+        const total = await db.countUsers(filters);
+        const users = await db.searchUsers(filters, page.perPage, page.offset);
+        sendPage(res, users.map(publicUser), page, total);
+    } catch (error) {
+        console.error('Admin API users error:', error);
+        apiError(res, 500, 'internal_error', 'Failed to load users');
+    }
+});
+
+router.get('/users/:id', requireScope('users:read'), idParam, validateRequest, async (req, res) => {
+    const db = req.app.locals.db;
+
+    try {
+        const user = await db.getUserById(req.params.id);
+        if (!user) {
+            return apiError(res, 404, 'not_found', 'User not found');
+        }
+
+        const servers = await db.searchUserServers({ userId: user.id });
+        sendData(res, { ...publicUser(user), servers: servers.map(publicServer) });
+    } catch (error) {
+        console.error('Admin API user error:', error);
+        apiError(res, 500, 'internal_error', 'Failed to load user');
+    }
+});
+
+// Creates an account and its panel user. The password is random; the user
+// sets their own with "Forgot password" or signs in with a linked provider.
+router.post('/users', requireScope('users:write'), [
+    body('email').isEmail().withMessage('email must be a valid email address').normalizeEmail(),
+    body('email_verified').optional().isBoolean({ strict: true }).withMessage('email_verified must be a boolean')
+], validateRequest, async (req, res) => {
+    const db = req.app.locals.db;
+    const pterodactyl = req.app.locals.pterodactyl;
+    const { email, email_verified } = req.body;
+
+    try {
+        if (await db.getUserByEmail(email)) {
+            return apiError(res, 409, 'conflict', 'An account with this email already exists');
+        }
+
+        const password = crypto.randomBytes(24).toString('base64url');
+        const pteroResult = await pterodactyl.createUser(email, password);
+        let pterodactylId = null;
+        if (pteroResult.success) {
+            pterodactylId = pteroResult.userId;
+            console.log(`✓ Created Pterodactyl user: ${email} (ID: ${pterodactylId})`);
+        } else {
+            console.warn(`⚠ Could not create Pterodactyl user: ${pteroResult.error}`);
+        }
+
+        const userId = await db.createUser(email, password, pterodactylId);
+        if (email_verified) {
+            await db.verifyUserEmail(userId);
+        }
+
+        await audit(req, 'user.create', {
+            targetType: 'user',
+            targetId: userId,
+            after: { email, pterodactylId, emailVerified: !!email_verified }
+        });
+
+        sendData(res, publicUser(await db.getUserById(userId)), 201);
+    } catch (error) {
+        console.error('Admin API create user error:', error);
+        apiError(res, 500, 'internal_error', 'Failed to create user');
+    }
+});
+
+// Adds or removes credits. A removal fails rather than going below zero.
+router.post('/users/:id/credits', requireScope('credits:write'), [
+    idParam,
+    body('amount').isFloat().withMessage('amount must be a number')
+        .custom(value => Number(value) !== 0).withMessage('amount must not be zero')
+        .toFloat(),
+    body('description').isString().withMessage('description is required').trim()
+        .isLength({ min: 1, max: 255 }).withMessage('description must be 1-255 characters')
+], validateRequest, async (req, res) => {
+    const db = req.app.locals.db;
+    const amount = Math.round(req.body.amount * 100) / 100;
+    const entry = { reason: 'adjustment', description: req.body.description };
+
+    try {
+        const user = await db.getUserById(req.params.id);
+        if (!user) {
+            return apiError(res, 404, 'not_found', 'User not found');
+        }
+
+        if (amount > 0) {
+            await db.updateUserCredits(user.id, amount, entry);
+        } else if (!(await db.chargeUserCredits(user.id, -amount, entry))) {
+            return apiError(res, 422, 'insufficient_credits', 'The user does not have enough credits');
+        }
+
+        const updated = await db.getUserById(user.id);
+        await audit(req, 'user.credits', {
+            targetType: 'user',
+            targetId: user.id,
+            before: { credits: user.credits || 0 },
+            after: { credits: updated.credits },
+            details: `${user.email}: ${req.body.description}`
+        });
+
+        // Renew any servers that were suspended for non-payment
+        if (amount > 0) {
+            await req.app.locals.billing.settleUser(user.id);
+        }
+
+        sendData(res, { user_id: user.id, amount, balance: updated.credits });
+    } catch (error) {
+        console.error('Admin API credits error:', error);
+        apiError(res, 500, 'internal_error', 'Failed to update credits');
+    }
+});
+
+// ==================== GIFT CARDS ====================
+
+router.get('/gift-cards', requireScope('gift_cards:read'), [
+    query('q').optional().isString().trim(),
+    query('enabled').optional().isBoolean().withMessage('enabled must be true or false').toBoolean(),
+    ...paginationRules
+], validateRequest, async (req, res) => {
+    const db = req.app.locals.db;
+    const filters = { q: req.query.q, enabled: req.query.enabled };
+    const page = pageOf(req);
+
+    try {
+        const total = await db.countGiftCards(filters);
+        const cards = await db.getGiftCards(filters, page.perPage, page.offset);
+        sendPage(res, cards.map(publicGiftCard), page, total);
+    } catch (error) {
+        console.error('Admin API gift cards error:', error);
+        apiError(res, 500, 'internal_error', 'Failed to load gift cards');
+    }
+});
+
+// Creates one card with the given code, or `count` cards with random codes
+// after an optional prefix
+router.post('/gift-cards', requireScope('gift_cards:write'), [
+    body('credits').isFloat({ gt: 0 }).withMessage('credits must be a positive number').toFloat(),
+    body('max_uses').optional().isInt({ min: 1 }).withMessage('max_uses must be a positive integer').toInt(),
+    body('per_user_limit').optional().isInt({ min: 1 }).withMessage('per_user_limit must be a positive integer').toInt(),
+    body('expires_at').optional({ values: 'null' }).isISO8601().withMessage('expires_at must be an ISO 8601 date'),
+    body('code').optional().isString().matches(/^[A-Za-z0-9-]{3,32}$/)
+        .withMessage('code must be 3-32 letters, digits or dashes'),
+    body('count').optional().isInt({ min: 1, max: MAX_GIFT_CARD_BATCH })
+        .withMessage(`count must be 1-${MAX_GIFT_CARD_BATCH}`).toInt(),
+    body('prefix').optional().isString().matches(/^[A-Za-z0-9-]{0,16}$/)
+        .withMessage('prefix must be at most 16 letters, digits or dashes'),
+    body().custom(value => !(value.code && (value.count || value.prefix)))
+        .withMessage('Send either code or count and prefix, not both')
+], validateRequest, async (req, res) => {
+    const db = req.app.locals.db;
+    const { credits, code, count, prefix } = req.body;
+    const maxUses = req.body.max_uses || 1;
+    const perUserLimit = req.body.per_user_limit || 1;
+    const expiresAt = req.body.expires_at ? new Date(req.body.expires_at).toISOString() : null;
+
+    const randomCode = () => {
+        let suffix = '';
+        for (let i = 0; i < 12; i++) {
+            suffix += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+        }
+        return (prefix || '').toUpperCase() + suffix;
+    };
+    const codes = code ? [code.toUpperCase()] : Array.from({ length: count || 1 }, randomCode);
+
+    try {
+        const cards = await db.createGiftCards(codes, credits, maxUses, perUserLimit, expiresAt);
+        await audit(req, 'gift_card.create', {
+            targetType: 'gift_card',
+            targetId: cards.length === 1 ? cards[0].id : null,
+            after: { codes, credits, maxUses, perUserLimit, expiresAt },
+            details: cards.length > 1 ? `Batch of ${cards.length}` : null
+        });
+
+        const created = await db.getGiftCards({ ids: cards.map(card => card.id) });
+        sendData(res, created.map(publicGiftCard), 201);
+    } catch (error) {
+        if (error.code === 'SQLITE_CONSTRAINT') {
+            return apiError(res, 409, 'conflict', 'A gift card with this code already exists');
+        }
+        console.error('Admin API create gift cards error:', error);
+        apiError(res, 500, 'internal_error', 'Failed to create gift cards');
+    }
+});
+
+// ==================== PLANS ====================
+
+// Rules for a plan body. For updates every field is optional.
+function planRules(partial) {
+    const field = (name, required) => (partial || !required ? body(name).optional() : body(name));
+    const count = (name, min = 0) => field(name, false).isInt({ min }).withMessage(`${name} must be an integer of at least ${min}`).toInt();
+
+    return [
+        field('name', true).isString().trim().isLength({ min: 1, max: 100 }).withMessage('name must be 1-100 characters'),
+        field('description', false).optional({ values: 'null' }).isString().withMessage('description must be a string'),
+        field('price', true).isFloat({ min: 0 }).withMessage('price must be a number of at least 0').toFloat(),
+        field('billing_cycle', false).isIn(BillingEngine.cycles).withMessage(`billing_cycle must be one of ${BillingEngine.cycles.join(', ')}`),
+        field('cpu', true).isInt({ min: 0 }).withMessage('cpu must be an integer of at least 0').toInt(),
+        field('ram', true).isInt({ min: 0 }).withMessage('ram must be an integer of at least 0').toInt(),
+        field('disk', true).isInt({ min: 0 }).withMessage('disk must be an integer of at least 0').toInt(),
+        count('swap', -1),
+        count('io', 10),
+        count('databases'),
+        count('backups'),
+        count('allocations', 1),
+        field('egg_id', true).isInt({ min: 1 }).withMessage('egg_id must be a positive integer').toInt(),
+        field('location_ids', true).isArray({ min: 1 }).withMessage('location_ids must be a non-empty array'),
+        body('location_ids.*').isInt({ min: 1 }).withMessage('location_ids must contain positive integers').toInt(),
+        field('docker_image', false).optional({ values: 'null' }).isString().withMessage('docker_image must be a string'),
+        field('startup_command', false).optional({ values: 'null' }).isString().withMessage('startup_command must be a string'),
+        field('environment_variables', false).isObject().withMessage('environment_variables must be an object'),
+        count('user_limit'),
+        count('stock_limit'),
+        field('enabled', false).isBoolean({ strict: true }).withMessage('enabled must be a boolean'),
+        field('category', false).isString().trim().isLength({ min: 1, max: 50 }).withMessage('category must be 1-50 characters'),
+        count('sort_order'),
+        field('transition_plan_ids', false).isArray().withMessage('transition_plan_ids must be an array'),
+        body('transition_plan_ids.*').isInt({ min: 1 }).withMessage('transition_plan_ids must contain positive integers').toInt()
+    ];
+}
+
+// Plan columns from a validated body, on top of `base`
+function planFromBody(body, base) {
+    const plan = { ...base };
+    const columns = ['name', 'description', 'price', 'billing_cycle', 'cpu', 'ram', 'disk', 'swap', 'io',
+        'databases', 'backups', 'allocations', 'egg_id', 'docker_image', 'startup_command',
+        'user_limit', 'stock_limit', 'enabled', 'category', 'sort_order'];
+    for (const column of columns) {
+        if (body[column] !== undefined) plan[column] = body[column];
+    }
+
+    if (body.location_ids !== undefined) {
+        plan.location_ids = body.location_ids.join(',');
+    }
+    if (body.environment_variables !== undefined) {
+        plan.environment_variables = JSON.stringify(body.environment_variables);
+    }
+    if (body.transition_plan_ids !== undefined) {
+        plan.transition_plan_ids = body.transition_plan_ids.join(',') || null;
+    }
+    return plan;
+}
+
+const PLAN_DEFAULTS = {
+    description: null,
+    billing_cycle: 'monthly',
+    swap: 0,
+    io: 500,
+    databases: 0,
+    backups: 0,
+    allocations: 1,
+    docker_image: null,
+    startup_command: null,
+    environment_variables: null,
+    user_limit: 0,
+    stock_limit: 0,
+    enabled: true,
+    category: 'general',
+    sort_order: 0,
+    transition_plan_ids: null
+};
+
+router.get('/plans', requireScope('plans:read'), [
+    query('enabled').optional().isBoolean().withMessage('enabled must be true or false').toBoolean(),
+    query('category').optional().isString().trim(),
+    ...paginationRules
+], validateRequest, async (req, res) => {
+    const db = req.app.locals.db;
+    const { enabled, category } = req.query;
+    const page = pageOf(req);
+
+    try {
+        const plans = (await db.getAllPlans()).filter(plan =>
+            (enabled === undefined || !!plan.enabled === enabled) &&
+            (!category || (plan.category || 'general') === category));
+        sendPage(res, plans.slice(page.offset, page.offset + page.perPage).map(publicPlan), page, plans.length);
+    } catch (error) {
+        console.error('Admin API plans error:', error);
+        apiError(res, 500, 'internal_error', 'Failed to load plans');
+    }
+});
+
+router.get('/plans/:id', requireScope('plans:read'), idParam, validateRequest, async (req, res) => {
+    try {
+        const plan = await req.app.locals.db.getPlanById(req.params.id);
+        if (!plan) {
+            return apiError(res, 404, 'not_found', 'Plan not found');
+        }
+        sendData(res, publicPlan(plan));
+    } catch (error) {
+        console.error('Admin API plan error:', error);
+        apiError(res, 500, 'internal_error', 'Failed to load plan');
+    }
+});
+
+router.post('/plans', requireScope('plans:write'), planRules(false), validateRequest, async (req, res) => {
+    const db = req.app.locals.db;
+
+    try {
+        const plan = planFromBody(req.body, PLAN_DEFAULTS);
+        const created = await db.createPlan(plan);
+        await audit(req, 'plan.create', { targetType: 'plan', targetId: created.id, after: plan });
+        sendData(res, publicPlan(await db.getPlanById(created.id)), 201);
+    } catch (error) {
+        console.error('Admin API create plan error:', error);
+        apiError(res, 500, 'internal_error', 'Failed to create plan');
+    }
+});
+
+router.patch('/plans/:id', requireScope('plans:write'), [idParam, ...planRules(true)], validateRequest, async (req, res) => {
+    const db = req.app.locals.db;
+
+    try {
+        const before = await db.getPlanById(req.params.id);
+        if (!before) {
+            return apiError(res, 404, 'not_found', 'Plan not found');
+        }
+
+        const plan = planFromBody(req.body, before);
+        await db.updatePlan(before.id, plan);
+        await audit(req, 'plan.update', { targetType: 'plan', targetId: before.id, before, after: plan });
+        sendData(res, publicPlan(await db.getPlanById(before.id)));
+    } catch (error) {
+        console.error('Admin API update plan error:', error);
+        apiError(res, 500, 'internal_error', 'Failed to update plan');
+    }
+});
+
+router.delete('/plans/:id', requireScope('plans:write'), idParam, validateRequest, async (req, res) => {
+    const db = req.app.locals.db;
+
+    try {
+        const plan = await db.getPlanById(req.params.id);
+        if (!plan) {
+            return apiError(res, 404, 'not_found', 'Plan not found');
+        }
+
+        await db.deletePlan(plan.id);
+        await audit(req, 'plan.delete', { targetType: 'plan', targetId: plan.id, before: plan });
+        sendData(res, { id: plan.id });
+    } catch (error) {
+        console.error('Admin API delete plan error:', error);
+        apiError(res, 500, 'internal_error', 'Failed to delete plan');
+    }
+});
+
+// ==================== SERVERS ====================
+
+router.get('/servers', requireScope('servers:read'), [
+    query('user_id').optional().isInt({ min: 1 }).withMessage('user_id must be a positive integer').toInt(),
+    query('plan_id').optional().isInt({ min: 1 }).withMessage('plan_id must be a positive integer').toInt(),
+    query('status').optional().isIn(SERVER_STATUSES).withMessage(`status must be one of ${SERVER_STATUSES.join(', ')}`),
+    query('q').optional().isString().trim(),
+    ...paginationRules
+], validateRequest, async (req, res) => {
+    const db = req.app.locals.db;
+    const filters = {
+        userId: req.query.user_id,
+        planId: req.query.plan_id,
+        status: req.query.status,
+        q: req.query.q
+    };
+    const page = pageOf(req);
+
+    try {
+        const total = await db.countUserServers(filters);
+        const servers = await db.searchUserServers(filters, page.perPage, page.offset);
+        sendPage(res, servers.map(publicServer), page, total);
+    } catch (error) {
+        console.error('Admin API servers error:', error);
+        apiError(res, 500, 'internal_error', 'Failed to load servers');
+    }
+});
+
+router.get('/servers/:id', requireScope('servers:read'), idParam, validateRequest, async (req, res) => {
+    try {
+        const [server] = await req.app.locals.db.searchUserServers({ id: req.params.id });
+        if (!server) {
+            return apiError(res, 404, 'not_found', 'Server not found');
+        }
+        sendData(res, publicServer(server));
+    } catch (error) {
+        console.error('Admin API server error:', error);
+        apiError(res, 500, 'internal_error', 'Failed to load server');
+    }
+});
+
+// Suspends an active server. updateServerStatus() clears suspended_at, so
+// the billing engine leaves the server alone until it is unsuspended.
+router.post('/servers/:id/suspend', requireScope('servers:write'), idParam, validateRequest, async (req, res) => {
+    const db = req.app.locals.db;
+
+    try {
+        const server = await db.getUserServerById(req.params.id);
+        if (!server) {
+            return apiError(res, 404, 'not_found', 'Server not found');
+        }
+        if (server.status !== 'active') {
+            return apiError(res, 409, 'conflict', `Server is ${server.status}, not active`);
+        }
+
+        const result = await req.app.locals.pterodactyl.suspendServer(server.pterodactyl_server_id);
+        if (!result.success) {
+            return apiError(res, 502, 'panel_error', result.error || 'Failed to suspend server');
+        }
+
+        await db.updateServerStatus(server.id, 'suspended');
+        await audit(req, 'server.suspend', {
+            targetType: 'server',
+            targetId: server.id,
+            before: { status: server.status },
+            after: { status: 'suspended' },
+            details: `${server.server_name} (${server.server_identifier})`
+        });
+
+        sendData(res, { id: server.id, status: 'suspended' });
+    } catch (error) {
+        console.error('Admin API suspend server error:', error);
+        apiError(res, 500, 'internal_error', 'Failed to suspend server');
+    }
+});
+
+// Unsuspends a server, including one suspended for non-payment: if its
+// renewal fell due meanwhile, updateServerStatus() starts a new period
+router.post('/servers/:id/unsuspend', requireScope('servers:write'), idParam, validateRequest, async (req, res) => {
+    const db = req.app.locals.db;
+
+    try {
+        const server = await db.getUserServerById(req.params.id);
+        if (!server) {
+            return apiError(res, 404, 'not_found', 'Server not found');
+        }
+        if (server.status !== 'suspended') {
+            return apiError(res, 409, 'conflict', `Server is ${server.status}, not suspended`);
+        }
+
+        const result = await req.app.locals.pterodactyl.unsuspendServer(server.pterodactyl_server_id);
+        if (!result.success) {
+            return apiError(res, 502, 'panel_error', result.error || 'Failed to unsuspend server');
+        }
+
+        await db.updateServerStatus(server.id, 'active');
+        await audit(req, 'server.unsuspend', {
+            targetType: 'server',
+            targetId: server.id,
+            before: { status: server.status },
+            after: { status: 'active' },
+            details: `${server.server_name} (${server.server_identifier})`
+        });
+
+        sendData(res, { id: server.id, status: 'active' });
+    } catch (error) {
+        console.error('Admin API unsuspend server error:', error);
+        apiError(res, 500, 'internal_error', 'Failed to unsuspend server');
+    }
+});
+
+router.use((req, res) => {
+    apiError(res, 404, 'not_found', 'No such endpoint');
+});
+
+module.exports = router;
@@ -0,0 +1,401 @@
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const path = require('path');
+const yaml = require('yaml');
+const { apiError, requireApiKey, requireScope } = require('../middleware/api');
+const { userOwnsServer } = require('../services/ownership');
+const { purchaseServer } = require('../services/purchase');
+const { parseLedgerFilters } = require('../services/ledger');
+const { audit } = require('../services/audit');
+
+// Versioned REST API for scripts and integrations. Requests authenticate
+// with a personal API key instead of the session, so there's no CSRF token.
+// Successful responses are { success: true, data }; errors are
+// { success: false, error: { code, message } }.
+
+const POWER_SIGNALS = ['start', 'stop', 'restart', 'kill'];
+
+const MAX_PER_PAGE = 100;
+
+const MAX_SERVER_NAME_LENGTH = 40;
+
+const OPENAPI_PATH = path.join(__dirname, '..', 'docs', 'openapi.yaml');
+let openApiDocument = null;
+
+function sendData(res, data, status = 200) {
+    res.status(status).json({ success: true, data });
+}
+
+function parsePagination(query) {
+    const perPage = Math.min(Math.max(parseInt(query.per_page) || 25, 1), MAX_PER_PAGE);
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    return { page, perPage, offset: (page - 1) * perPage };
+}
+
+function publicPlan(plan) {
+    return {
+        id: plan.id,
+        name: plan.name,
+        description: plan.description,
+        category: plan.category || 'general',
+        price: plan.price,
+        billing_cycle: plan.billing_cycle,
+        limits: {
+            cpu: plan.cpu,
+            memory: plan.ram,
+            disk: plan.disk,
+            swap: plan.swap,
+            io: plan.io
+        },
+        feature_limits: {
+            databases: plan.databases,
+            backups: plan.backups,
+            allocations: plan.allocations
+        },
+        stock_remaining: plan.stock_limit > 0 ? Math.max(plan.stock_limit - plan.stock_used, 0) : null
+    };
+}
+
+function publicBilling(owned) {
+    return {
+        id: owned.id,
+        plan_id: owned.plan_id,
+        plan_name: owned.plan_name,
+        price: owned.price,
+        billing_cycle: owned.billing_cycle,
+        status: owned.status,
+        next_billing_date: owned.next_billing_date,
+        cancel_at_period_end: !!owned.cancel_at_period_end,
+        created_at: owned.created_at
+    };
+}
+
+// Servers attached to the user's panel account, with billing details for
+// those bought through Cosmica
+async function listServers(req, user) {
+    const db = req.app.locals.db;
+    const pterodactyl = req.app.locals.pterodactyl;
+
+    const owned = new Map((await db.getUserServers(user.id))
+        .filter(server => server.server_identifier)
+        .map(server => [server.server_identifier, server]));
+
+    let panelServers = [];
+    if (user.pterodactyl_id) {
+        const serversResult = await pterodactyl.getUserServers(user.pterodactyl_id);
+        if (!serversResult.success) {
+            return null;
+        }
+        panelServers = serversResult.servers;
+    }
+
+    return panelServers.map(server => ({
+        identifier: server.identifier,
+        name: server.name,
+        description: server.description,
+        limits: server.limits,
+        feature_limits: server.feature_limits,
+        billing: owned.has(server.identifier) ? publicBilling(owned.get(server.identifier)) : null
+    }));
+}
+
+// Loads a server the key's owner has access to into req.server
+async function loadServer(req, res, next) {
+    try {
+        const pterodactyl = req.app.locals.pterodactyl;
+        const { identifier } = req.params;
+
+        if (!(await userOwnsServer(req.app.locals.db, pterodactyl, req.apiUser, identifier))) {
+            return apiError(res, 404, 'not_found', 'Server not found');
+        }
+
+        next();
+    } catch (error) {
+        console.error('API server lookup error:', error);
+        apiError(res, 500, 'internal_error', 'Failed to load server');
+    }
+}
+
+// ==================== DOCUMENTATION ====================
+
+// OpenAPI description of this API; needs no key
+router.get('/openapi.json', (req, res) => {
+    try {
+        if (!openApiDocument) {
+            openApiDocument = yaml.parse(fs.readFileSync(OPENAPI_PATH, 'utf8'));
+        }
+
+        const config = req.app.locals.config;
+        const publicUrl = String(config.server.publicUrl || `http://localhost:${config.server.port || 3000}`).replace(/\/$/, '');
+        res.json({ ...openApiDocument, servers: [{ url: `${publicUrl}/api/v1` }] });
+    } catch (error) {
+        console.error('OpenAPI document error:', error);
+        apiError(res, 500, 'internal_error', 'Failed to load API description');
+    }
+});
+
+router.use(requireApiKey);
+
+// ==================== ACCOUNT ====================
+
+router.get('/me', requireScope('account:read'), (req, res) => {
+    const user = req.apiUser;
+    sendData(res, {
+        id: user.id,
+        email: user.email,
+        role: user.role,
+        email_verified: !!user.email_verified,
+        credits: user.credits || 0,
+        created_at: user.created_at,
+        api_key: {
+            name: req.apiKey.name,
+            scopes: req.apiKey.scopes
+        }
+    });
+});
+
+// ==================== PLANS ====================
+
+// Any valid key can list plans
+router.get('/plans', async (req, res) => {
+    try {
+        const plans = await req.app.locals.db.getEnabledPlans();
+        sendData(res, plans.map(publicPlan));
+    } catch (error) {
+        console.error('API plans error:', error);
+        apiError(res, 500, 'internal_error', 'Failed to load plans');
+    }
+});
+
+// ==================== SERVERS ====================
+
+router.get('/servers', requireScope('servers:read'), async (req, res) => {
+    try {
+        const servers = await listServers(req, req.apiUser);
+        if (!servers) {
+            return apiError(res, 502, 'panel_error', 'Failed to fetch servers from the panel');
+        }
+        sendData(res, servers);
+    } catch (error) {
+        console.error('API servers error:', error);
+        apiError(res, 500, 'internal_error', 'Failed to load servers');
+    }
+});
+
+router.post('/servers', requireScope('servers:purchase'), async (req, res) => {
+    const db = req.app.locals.db;
+    const pterodactyl = req.app.locals.pterodactyl;
+    const { plan_id } = req.body || {};
+    const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+
+    try {
+        if (!Number.isInteger(plan_id)) {
+            return apiError(res, 400, 'invalid_request', 'plan_id must be an integer');
+        }
+        if (!name || name.length > MAX_SERVER_NAME_LENGTH) {
+            return apiError(res, 400, 'invalid_request', `name must be 1-${MAX_SERVER_NAME_LENGTH} characters`);
+        }
+
+        const user = req.apiUser;
+        const result = await purchaseServer(db, pterodactyl, user, plan_id, name);
+        if (!result.success) {
+            return result.panelError
+                ? apiError(res, 502, 'panel_error', result.error)
+                : apiError(res, 422, 'purchase_failed', result.error);
+        }
+
+        await audit(req, 'server.purchase', {
+            targetType: 'server',
+            targetId: result.server.id,
+            before: { credits: user.credits },
+            after: { credits: user.credits - result.plan.price, plan: result.plan.name, server: name },
+            details: `API key ${req.apiKey.prefix}`
+        });
+
+        sendData(res, {
+            id: result.server.id,
+            identifier: result.server.identifier,
+            name,
+            plan: publicPlan(result.plan)
+        }, 201);
+    } catch (error) {
+        console.error('API purchase error:', error);
+        apiError(res, 500, 'internal_error', 'An error occurred during purchase');
+    }
+});
+
+router.get('/servers/:identifier', requireScope('servers:read'), loadServer, async (req, res) => {
+    try {
+        const servers = await listServers(req, req.apiUser);
+        if (!servers) {
+            return apiError(res, 502, 'panel_error', 'Failed to fetch servers from the panel');
+        }
+
+        const server = servers.find(s => s.identifier === req.params.identifier);
+        if (!server) {
+            return apiError(res, 404, 'not_found', 'Server not found');
+        }
+        sendData(res, server);
+    } catch (error) {
+        console.error('API server error:', error);
+        apiError(res, 500, 'internal_error', 'Failed to load server');
+    }
+});
+
+// Live state and resource usage
+router.get('/servers/:identifier/resources', requireScope('servers:read'), loadServer, async (req, res) => {
+    try {
+        const stats = await req.app.locals.statsHub.get(req.params.identifier);
+        if (!stats) {
+            return apiError(res, 502, 'panel_error', 'Failed to fetch server resources');
+        }
+
+        const resources = stats.resources;
+        sendData(res, {
+            state: stats.state,
+            cpu: resources.cpu_absolute || 0,
+            memory: resources.memory_bytes || 0,
+            disk: resources.disk_bytes || 0,
+            rx: resources.network_rx_bytes || 0,
+            tx: resources.network_tx_bytes || 0,
+            uptime: resources.uptime || 0
+        });
+    } catch (error) {
+        console.error('API resources error:', error);
+        apiError(res, 500, 'internal_error', 'Failed to fetch server resources');
+    }
+});
+
+// Recorded samples for the last hour, day or week
+router.get('/servers/:identifier/usage', requireScope('servers:read'), loadServer, async (req, res) => {
+    const range = req.query.range || 'hour';
+
+    try {
+        const samples = await req.app.locals.sampler.getHistory(req.params.identifier, range);
+        if (!samples) {
+            return apiError(res, 400, 'invalid_request', 'range must be hour, day or week');
+        }
+        sendData(res, { range, samples });
+    } catch (error) {
+        console.error('API usage error:', error);
+        apiError(res, 500, 'internal_error', 'Failed to load usage history');
+    }
+});
+
+router.post('/servers/:identifier/power', requireScope('servers:power'), loadServer, async (req, res) => {
+    const signal = req.body?.signal;
+
+    try {
+        if (!POWER_SIGNALS.includes(signal)) {
+            return apiError(res, 400, 'invalid_request', `signal must be one of ${POWER_SIGNALS.join(', ')}`);
+        }
+
+        const result = await req.app.locals.pterodactyl.sendPowerSignal(req.params.identifier, signal);
+        if (!result.success) {
+            return apiError(res, 502, 'panel_error', result.error || 'Failed to send power action');
+        }
+
+        req.app.locals.statsHub.refresh(req.params.identifier);
+        res.status(202).json({ success: true, data: { signal } });
+    } catch (error) {
+        console.error('API power action error:', error);
+        apiError(res, 500, 'internal_error', 'Failed to send power action');
+    }
+});
+
+// ==================== CREDITS ====================
+
+// Balance and a page of the credit ledger, newest first
+router.get('/credits', requireScope('credits:read'), async (req, res) => {
+    const db = req.app.locals.db;
+
+    try {
+        const user = req.apiUser;
+        const filters = parseLedgerFilters(req.query);
+        const { page, perPage, offset } = parsePagination(req.query);
+        const total = await db.countCreditTransactions(user.id, filters);
+        const transactions = await db.getCreditTransactions(user.id, filters, perPage, offset);
+
+        res.json({
+            success: true,
+            data: {
+                balance: user.credits || 0,
+                transactions: transactions.map(tx => ({
+                    id: tx.id,
+                    amount: tx.amount,
+                    balance_after: tx.balance_after,
+                    reason: tx.reason,
+                    description: tx.description,
+                    related_type: tx.related_type,
+                    related_id: tx.related_id,
+                    created_at: tx.created_at
+                }))
+            },
+            pagination: {
+                page,
+                per_page: perPage,
+                total,
+                total_pages: Math.ceil(total / perPage)
+            }
+        });
+    } catch (error) {
+        console.error('API credits error:', error);
+        apiError(res, 500, 'internal_error', 'Failed to load credits');
+    }
+});
+
+// Redeems a gift card. An Idempotency-Key header makes retries safe.
+router.post('/credits/redeem', requireScope('credits:redeem'), async (req, res) => {
+    const db = req.app.locals.db;
+    const code = req.body?.code;
+    const idempotencyKey = req.get('idempotency-key') || null;
+
+    try {
+        if (!code || typeof code !== 'string') {
+            return apiError(res, 400, 'invalid_request', 'code is required');
+        }
+        if (idempotencyKey && idempotencyKey.length > 64) {
+            return apiError(res, 400, 'invalid_request', 'Idempotency-Key must be at most 64 characters');
+        }
+
+        const user = req.apiUser;
+        const normalizedCode = code.trim().toUpperCase();
+        const result = await db.redeemGiftCardCode(user.id, normalizedCode, idempotencyKey);
+        if (!result.success) {
+            return apiError(res, 422, 'redeem_failed', result.error);
+        }
+
+        if (!result.duplicate) {
+            await audit(req, 'credits.redeem', {
+                targetType: 'gift_card',
+                targetId: normalizedCode,
+                before: { credits: user.credits },
+                after: { credits: user.credits + result.credits },
+                details: `API key ${req.apiKey.prefix}`
+            });
+
+            // Renew any servers that were suspended for non-payment
+            const billing = req.app.locals.billing;
+            if (billing) {
+                await billing.settleUser(user.id);
+            }
+        }
+
+        const updatedUser = await db.getUserById(user.id);
+        sendData(res, {
+            credits_added: result.credits,
+            balance: updatedUser.credits || 0,
+            duplicate: !!result.duplicate
+        });
+    } catch (error) {
+        console.error('API redeem error:', error);
+        apiError(res, 500, 'internal_error', 'Failed to redeem gift card');
+    }
+});
+
+router.use((req, res) => {
+    apiError(res, 404, 'not_found', 'No such endpoint');
+});
+
+module.exports = router;
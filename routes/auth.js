@@ -1,16 +1,69 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const rateLimit = require('express-rate-limit');
 const speakeasy = require('speakeasy');
 const qrcode = require('qrcode');
 const { body, validationResult } = require('express-validator');
-const { redirectIfAuthenticated, requireAuth } = require('../middleware/auth');
+const { redirectIfAuthenticated, requireAuth, require2FA } = require('../middleware/auth');
+const { generateRecoveryCodes, redeemRecoveryCode } = require('../services/recovery');
+const webauthn = require('../services/webauthn');
+const { lockedFor, retryMessage, beginAttempt, endAttempt, recordFailedAttempt } = require('../services/lockout');
+const { audit } = require('../services/audit');
+const { publicUrl, checkVerificationToken, sendVerificationEmail } = require('../services/verification');
+
+const PASSWORD_RULES = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/;
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Credits paid out once a new account's email address is verified
+async function registrationBonus(db) {
+    const bonusEnabled = await db.getSetting('bonus_enabled');
+    const bonusAmount = await db.getSetting('bonus_amount');
+    return (bonusEnabled === 'true' && bonusAmount) ? parseFloat(bonusAmount) : 0;
+}
+
+// Checks a TOTP code and claims its time step so the same code can't be
+// replayed, even within the verification window
+async function verifyTotp(db, userId, secret, token) {
+    const match = speakeasy.totp.verifyDelta({
+        secret: secret,
+        encoding: 'base32',
+        token: token,
+        window: 2
+    });
+    if (!match) {
+        return false;
+    }
+
+    const step = Math.floor(Date.now() / 1000 / 30) + match.delta;
+    return db.useTotpStep(userId, step);
+}
+
+// TOTP or at least one security key
+async function hasSecondFactor(db, user) {
+    return !!user.twofa_enabled || await db.countWebAuthnCredentials(user.id) > 0;
+}
+
+// The 2FA prompt only offers the factors the user has set up
+async function renderVerify2FA(req, res, user, error = null) {
+    res.render('verify-2fa', {
+        title: 'Verify 2FA',
+        totpEnabled: !!user.twofa_enabled,
+        securityKeyCount: await req.app.locals.db.countWebAuthnCredentials(user.id),
+        error
+    });
+}
 
 // Login page
 router.get('/login', redirectIfAuthenticated, (req, res) => {
     res.render('login', {
         title: 'Login',
-        error: null
+        error: null,
+        success: req.query.reset ? 'Your password has been reset. Please sign in.' : null
     });
 });
 
@@ -34,28 +87,75 @@ router.post('/login', redirectIfAuthenticated, [
         const user = await db.getUserByEmail(email);
         
         if (!user) {
+            await audit(req, 'auth.login_failed', { actorId: null, actorEmail: email, details: 'Unknown email' });
             return res.render('login', {
                 title: 'Login',
                 error: 'Invalid email or password'
             });
         }
 
+        // Locked accounts are rejected before the password is even checked
+        const attempt = await beginAttempt(db, user);
+        if (attempt.wait > 0) {
+            await audit(req, 'auth.login_failed', {
+                actorId: user.id,
+                actorEmail: user.email,
+                targetType: 'user',
+                targetId: user.id,
+                details: 'Account locked'
+            });
+            return res.status(429).render('login', {
+                title: 'Login',
+                error: retryMessage(attempt.wait)
+            });
+        }
+
         const validPassword = await bcrypt.compare(password, user.password);
         if (!validPassword) {
+            await recordFailedAttempt(db, req.app.locals.config, user);
+            await audit(req, 'auth.login_failed', {
+                actorId: user.id,
+                actorEmail: user.email,
+                targetType: 'user',
+                targetId: user.id,
+                details: 'Wrong password'
+            });
             return res.render('login', {
                 title: 'Login',
                 error: 'Invalid email or password'
             });
         }
 
+        // The failure count is only cleared once 2FA is passed too
+        await endAttempt(db, attempt);
+
+        // Suspended and banned accounts can't log in
+        if (user.status === 'suspended' || user.status === 'banned') {
+            await audit(req, 'auth.login_failed', {
+                actorId: user.id,
+                actorEmail: user.email,
+                targetType: 'user',
+                targetId: user.id,
+                details: `Account ${user.status}`
+            });
+            return res.render('login', {
+                title: 'Login',
+                error: user.status === 'banned'
+                    ? 'This account has been banned.'
+                    : 'This account is suspended. Please contact support.'
+            });
+        }
+
         // Set session data
         req.session.userId = user.id;
         req.session.userEmail = user.email;
         req.session.role = user.role;
         req.session.twoFAVerified = false;
 
+        await audit(req, 'auth.login', { targetType: 'user', targetId: user.id, details: 'Password accepted' });
+
         // Check if 2FA is enabled
-        if (user.twofa_enabled) {
+        if (await hasSecondFactor(db, user)) {
             return res.redirect('/verify-2fa');
         } else {
             // First time login - must set up 2FA
@@ -71,6 +171,180 @@ router.post('/login', redirectIfAuthenticated, [
     }
 });
 
+// ==================== PASSWORD RESET ====================
+
+// Limits reset emails per IP on top of the global rate limit
+const passwordResetLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 5,
+    handler: (req, res) => {
+        res.status(429).render('forgot-password', {
+            title: 'Forgot Password',
+            error: 'Too many reset requests. Please try again later.',
+            success: null
+        });
+    }
+});
+
+// Forgot password page
+router.get('/forgot-password', redirectIfAuthenticated, (req, res) => {
+    res.render('forgot-password', {
+        title: 'Forgot Password',
+        error: null,
+        success: null
+    });
+});
+
+// Send a reset link. The response is the same whether or not the account
+// exists so the form can't be used to discover registered emails.
+router.post('/forgot-password', redirectIfAuthenticated, passwordResetLimiter, [
+    body('email').isEmail().normalizeEmail().withMessage('Invalid email address')
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.render('forgot-password', {
+            title: 'Forgot Password',
+            error: errors.array()[0].msg,
+            success: null
+        });
+    }
+
+    const db = req.app.locals.db;
+    const mailer = req.app.locals.mailer;
+    const config = req.app.locals.config;
+
+    try {
+        const user = await db.getUserByEmail(req.body.email);
+
+        if (user && user.status !== 'banned') {
+            const token = crypto.randomBytes(32).toString('hex');
+            const ttlMinutes = config.security.passwordResetTtlMinutes || 60;
+            const expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000);
+
+            await db.createPasswordResetToken(user.id, hashToken(token), expiresAt.toISOString());
+            await audit(req, 'auth.password_reset_requested', {
+                actorId: user.id,
+                actorEmail: user.email,
+                targetType: 'user',
+                targetId: user.id
+            });
+
+            const brandName = config.branding?.name || 'Cosmica';
+            await mailer.send({
+                to: user.email,
+                subject: `Reset your ${brandName} password`,
+                text: `Someone asked to reset the password for your ${brandName} account.\n\n` +
+                    `Open this link to choose a new password:\n${publicUrl(config)}/reset-password/${token}\n\n` +
+                    `The link expires in ${ttlMinutes} minutes and can only be used once. ` +
+                    `If you didn't ask for this, you can ignore this email.`
+            });
+        }
+
+        res.render('forgot-password', {
+            title: 'Forgot Password',
+            error: null,
+            success: 'If an account exists for that email, we have sent a link to reset its password.'
+        });
+
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.render('forgot-password', {
+            title: 'Forgot Password',
+            error: 'An error occurred. Please try again.',
+            success: null
+        });
+    }
+});
+
+// Reset password page
+router.get('/reset-password/:token', redirectIfAuthenticated, async (req, res) => {
+    const db = req.app.locals.db;
+
+    try {
+        const resetToken = await db.getValidPasswordResetToken(hashToken(req.params.token));
+
+        res.render('reset-password', {
+            title: 'Reset Password',
+            token: resetToken ? req.params.token : null,
+            error: resetToken ? null : 'This reset link is invalid or has expired.'
+        });
+
+    } catch (error) {
+        console.error('Reset password page error:', error);
+        res.redirect('/forgot-password');
+    }
+});
+
+// Reset password handler
+router.post('/reset-password/:token', redirectIfAuthenticated, [
+    body('password')
+        .isLength({ min: 8 }).withMessage('Password must be at least 8 characters')
+        .matches(PASSWORD_RULES)
+        .withMessage('Password must contain uppercase, lowercase, number and special character'),
+    body('confirmPassword').custom((value, { req }) => {
+        if (value !== req.body.password) {
+            throw new Error('Passwords do not match');
+        }
+        return true;
+    })
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.render('reset-password', {
+            title: 'Reset Password',
+            token: req.params.token,
+            error: errors.array()[0].msg
+        });
+    }
+
+    const db = req.app.locals.db;
+    const pterodactyl = req.app.locals.pterodactyl;
+    const { password } = req.body;
+
+    try {
+        const hashedPassword = await bcrypt.hash(password, 12);
+        const userId = await db.resetPasswordWithToken(hashToken(req.params.token), hashedPassword);
+
+        if (!userId) {
+            return res.render('reset-password', {
+                title: 'Reset Password',
+                token: null,
+                error: 'This reset link is invalid or has expired.'
+            });
+        }
+
+        // Keep the panel login in sync
+        const user = await db.getUserById(userId);
+        if (user && user.pterodactyl_id) {
+            const result = await pterodactyl.updateUserPassword(user.pterodactyl_id, password);
+            if (!result.success) {
+                console.warn(`⚠ Could not update Pterodactyl password for ${user.email}: ${result.error}`);
+            }
+        }
+
+        // Whoever knew the old password is logged out everywhere
+        await req.app.locals.sessions.revokeAll(userId);
+        
+        await audit(req, 'auth.password_reset', {
+            actorId: userId,
+            actorEmail: user ? user.email : null,
+            targetType: 'user',
+            targetId: userId
+        });
+
+        console.log(`✓ Password reset for user ${userId}`);
+        res.redirect('/login?reset=1');
+
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.render('reset-password', {
+            title: 'Reset Password',
+            token: req.params.token,
+            error: 'An error occurred. Please try again.'
+        });
+    }
+});
+
 // Register page
 router.get('/register', redirectIfAuthenticated, (req, res) => {
     res.render('register', {
@@ -84,7 +358,7 @@ router.post('/register', redirectIfAuthenticated, [
     body('email').isEmail().normalizeEmail().withMessage('Invalid email address'),
     body('password')
         .isLength({ min: 8 }).withMessage('Password must be at least 8 characters')
-        .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
+        .matches(PASSWORD_RULES)
         .withMessage('Password must contain uppercase, lowercase, number and special character'),
     body('confirmPassword').custom((value, { req }) => {
         if (value !== req.body.password) {
@@ -127,16 +401,19 @@ router.post('/register', redirectIfAuthenticated, [
             // Continue anyway - user can still use dashboard
         }
 
-        // Get bonus settings
-        const bonusEnabled = await db.getSetting('bonus_enabled');
-        const bonusAmount = await db.getSetting('bonus_amount');
-        const bonusCredits = (bonusEnabled === 'true' && bonusAmount) ? parseFloat(bonusAmount) : 0;
-
-        // Create user in database with bonus credits
-        const userId = await db.createUser(email, password, pterodactylId, bonusCredits);
+        // The registration bonus is paid once the email is verified
+        const userId = await db.createUser(email, password, pterodactylId);
+        await audit(req, 'auth.register', {
+            actorId: userId,
+            actorEmail: email,
+            targetType: 'user',
+            targetId: userId,
+            after: { email, pterodactylId }
+        });
         
-        if (bonusCredits > 0) {
-            console.log(`✓ Awarded ${bonusCredits} bonus credits to new user`);
+        const mailResult = await sendVerificationEmail(req, { id: userId, email });
+        if (!mailResult.success) {
+            console.warn(`⚠ Could not send verification email to ${email}: ${mailResult.error}`);
         }
 
         // Set session
@@ -157,6 +434,91 @@ router.post('/register', redirectIfAuthenticated, [
     }
 });
 
+// ==================== EMAIL VERIFICATION ====================
+
+// Limits verification emails per account on top of the global rate limit
+const resendVerificationLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000,
+    max: 3,
+    keyGenerator: (req) => `user-${req.session.userId}`,
+    handler: (req, res) => {
+        res.redirect('/dashboard?error=' + encodeURIComponent('Too many verification emails requested. Please try again later.'));
+    }
+});
+
+// Verify email link. Works without being logged in so the link can be
+// opened on another device.
+router.get('/verify-email/:token', async (req, res) => {
+    const db = req.app.locals.db;
+    const config = req.app.locals.config;
+    const loggedIn = req.session && req.session.userId && req.session.twoFAVerified;
+
+    const done = (type, message) => loggedIn
+        ? res.redirect(`/dashboard?${type}=` + encodeURIComponent(message))
+        : res.render('login', {
+            title: 'Login',
+            error: type === 'error' ? message : null,
+            success: type === 'success' ? message : null
+        });
+
+    try {
+        const user = await checkVerificationToken(db, config, req.params.token);
+        if (!user) {
+            return done('error', 'This verification link is invalid or has expired.');
+        }
+        if (user.email_verified) {
+            return done('success', 'Your email address is already verified.');
+        }
+
+        const result = await db.verifyUserEmail(user.id, await registrationBonus(db));
+        await audit(req, 'auth.email_verified', {
+            actorId: user.id,
+            actorEmail: user.email,
+            targetType: 'user',
+            targetId: user.id,
+            after: result.bonus > 0 ? { credits: user.credits + result.bonus } : undefined,
+            details: result.bonus > 0 ? `$${result.bonus.toFixed(2)} registration bonus` : null
+        });
+        if (result.bonus > 0) {
+            console.log(`✓ Awarded ${result.bonus} bonus credits to ${user.email}`);
+        }
+
+        done('success', result.bonus > 0
+            ? `Email verified! $${result.bonus.toFixed(2)} bonus credits have been added to your account.`
+            : 'Email verified!');
+
+    } catch (error) {
+        console.error('Email verification error:', error);
+        done('error', 'An error occurred. Please try again.');
+    }
+});
+
+// Send the verification email again
+router.post('/resend-verification', requireAuth, resendVerificationLimiter, async (req, res) => {
+    const db = req.app.locals.db;
+
+    try {
+        const user = await db.getUserById(req.session.userId);
+        if (!user) {
+            return res.redirect('/login');
+        }
+        if (user.email_verified) {
+            return res.redirect('/dashboard?success=' + encodeURIComponent('Your email address is already verified.'));
+        }
+
+        const result = await sendVerificationEmail(req, user);
+        if (!result.success) {
+            return res.redirect('/dashboard?error=' + encodeURIComponent('Could not send the verification email. Please try again later.'));
+        }
+
+        res.redirect('/dashboard?success=' + encodeURIComponent(`We sent a new verification link to ${user.email}.`));
+
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.redirect('/dashboard?error=' + encodeURIComponent('An error occurred. Please try again.'));
+    }
+});
+
 // 2FA Setup page
 router.get('/setup-2fa', requireAuth, async (req, res) => {
     const db = req.app.locals.db;
@@ -164,7 +526,8 @@ router.get('/setup-2fa', requireAuth, async (req, res) => {
     try {
         const user = await db.getUserById(req.session.userId);
         
-        if (user.twofa_enabled) {
+        // Security key users skip TOTP setup, but can still add it once signed in
+        if (user.twofa_enabled || (!req.session.twoFAVerified && await hasSecondFactor(db, user))) {
             return res.redirect('/verify-2fa');
         }
 
@@ -216,12 +579,7 @@ router.post('/setup-2fa', requireAuth, [
     }
 
     try {
-        const verified = speakeasy.totp.verify({
-            secret: secret,
-            encoding: 'base32',
-            token: token,
-            window: 2
-        });
+        const verified = await verifyTotp(db, req.session.userId, secret, token);
 
         if (!verified) {
             const qrCodeUrl = await qrcode.toDataURL(
@@ -237,12 +595,21 @@ router.post('/setup-2fa', requireAuth, [
 
         // Save 2FA secret to database
         await db.updateUser2FA(req.session.userId, secret, true);
+        await req.app.locals.sessions.revokeOthers(req.session.userId, req.sessionID);
+        await audit(req, 'auth.2fa_setup', { targetType: 'user', targetId: req.session.userId, details: 'Authenticator app' });
 
         // Mark 2FA as verified in session
         req.session.twoFAVerified = true;
         delete req.session.tempTwoFASecret;
+        await db.clearFailedLogins(req.session.userId);
 
-        res.redirect('/dashboard');
+        // Shown once, right after setup
+        const codes = await generateRecoveryCodes(db, req.session.userId);
+        res.render('recovery-codes', {
+            title: 'Recovery Codes',
+            codes: codes,
+            continueUrl: '/dashboard'
+        });
 
     } catch (error) {
         console.error('2FA verification error:', error);
@@ -257,7 +624,7 @@ router.get('/verify-2fa', requireAuth, async (req, res) => {
     try {
         const user = await db.getUserById(req.session.userId);
         
-        if (!user.twofa_enabled) {
+        if (!await hasSecondFactor(db, user)) {
             return res.redirect('/setup-2fa');
         }
 
@@ -265,10 +632,7 @@ router.get('/verify-2fa', requireAuth, async (req, res) => {
             return res.redirect('/dashboard');
         }
 
-        res.render('verify-2fa', {
-            title: 'Verify 2FA',
-            error: null
-        });
+        await renderVerify2FA(req, res, user);
 
     } catch (error) {
         console.error('2FA verify page error:', error);
@@ -280,14 +644,6 @@ router.get('/verify-2fa', requireAuth, async (req, res) => {
 router.post('/verify-2fa', requireAuth, [
     body('token').isLength({ min: 6, max: 6 }).withMessage('Invalid token')
 ], async (req, res) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-        return res.render('verify-2fa', {
-            title: 'Verify 2FA',
-            error: 'Invalid token format'
-        });
-    }
-
     const { token } = req.body;
     const db = req.app.locals.db;
 
@@ -298,35 +654,464 @@ router.post('/verify-2fa', requireAuth, [
             return res.redirect('/setup-2fa');
         }
 
-        const verified = speakeasy.totp.verify({
-            secret: user.twofa_secret,
-            encoding: 'base32',
-            token: token,
-            window: 2
-        });
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return renderVerify2FA(req, res, user, 'Invalid token format');
+        }
+
+        const attempt = await beginAttempt(db, user);
+        if (attempt.wait > 0) {
+            res.status(429);
+            return renderVerify2FA(req, res, user, retryMessage(attempt.wait));
+        }
+
+        const verified = await verifyTotp(db, user.id, user.twofa_secret, token);
 
         if (!verified) {
-            return res.render('verify-2fa', {
-                title: 'Verify 2FA',
-                error: 'Invalid token. Please try again.'
-            });
+            await recordFailedAttempt(db, req.app.locals.config, user);
+            await audit(req, 'auth.2fa_failed', { targetType: 'user', targetId: user.id, details: 'Invalid TOTP code' });
+            return renderVerify2FA(req, res, user, 'Invalid token. Please try again.');
         }
 
         // Mark 2FA as verified
         req.session.twoFAVerified = true;
+        await db.clearFailedLogins(user.id);
+        await audit(req, 'auth.2fa_verified', { targetType: 'user', targetId: user.id, details: 'Authenticator app' });
         res.redirect('/dashboard');
 
     } catch (error) {
         console.error('2FA verification error:', error);
-        res.render('verify-2fa', {
-            title: 'Verify 2FA',
-            error: 'An error occurred. Please try again.'
+        res.redirect('/verify-2fa');
+    }
+});
+
+// Sign in with a recovery code instead of a TOTP code
+router.post('/verify-2fa/recovery', requireAuth, [
+    body('recovery_code').trim().notEmpty().withMessage('Enter a recovery code')
+], async (req, res) => {
+    const db = req.app.locals.db;
+
+    try {
+        const user = await db.getUserById(req.session.userId);
+
+        if (!user || !await hasSecondFactor(db, user)) {
+            return res.redirect('/setup-2fa');
+        }
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return renderVerify2FA(req, res, user, errors.array()[0].msg);
+        }
+
+        const attempt = await beginAttempt(db, user);
+        if (attempt.wait > 0) {
+            res.status(429);
+            return renderVerify2FA(req, res, user, retryMessage(attempt.wait));
+        }
+
+        const redeemed = await redeemRecoveryCode(db, user.id, req.body.recovery_code);
+        if (!redeemed) {
+            await recordFailedAttempt(db, req.app.locals.config, user);
+            await audit(req, 'auth.2fa_failed', { targetType: 'user', targetId: user.id, details: 'Invalid recovery code' });
+            return renderVerify2FA(req, res, user, 'Invalid or already used recovery code.');
+        }
+
+        req.session.twoFAVerified = true;
+        await db.clearFailedLogins(user.id);
+
+        const remaining = await db.countUnusedRecoveryCodes(user.id);
+        await audit(req, 'auth.recovery_code_used', {
+            targetType: 'user',
+            targetId: user.id,
+            details: `${remaining} recovery codes left`
         });
+        console.log(`✓ ${user.email} signed in with a recovery code (${remaining} left)`);
+
+        const message = remaining > 0
+            ? `Signed in with a recovery code. You have ${remaining} left.`
+            : 'Signed in with your last recovery code. Generate new ones in Settings.';
+        res.redirect('/dashboard?success=' + encodeURIComponent(message));
+
+    } catch (error) {
+        console.error('Recovery code error:', error);
+        res.redirect('/verify-2fa');
+    }
+});
+
+// ==================== WEBAUTHN ====================
+
+function relyingParty(config) {
+    return webauthn.relyingParty(config, publicUrl(config));
+}
+
+// A signed-in user can always add keys. During setup, a user with no second
+// factor yet may enroll a key instead of TOTP.
+async function canEnrollSecurityKey(req, db, user) {
+    return req.session.twoFAVerified || !await hasSecondFactor(db, user);
+}
+
+// Registration options for a new security key
+router.post('/webauthn/register/options', requireAuth, async (req, res) => {
+    const db = req.app.locals.db;
+
+    try {
+        const user = await db.getUserById(req.session.userId);
+        if (!user || !await canEnrollSecurityKey(req, db, user)) {
+            return res.status(403).json({ success: false, error: 'Verify your second factor first' });
+        }
+
+        const options = await webauthn.registrationOptions(db, relyingParty(req.app.locals.config), user);
+        req.session.webauthnChallenge = options.challenge;
+        res.json({ success: true, options });
+
+    } catch (error) {
+        console.error('WebAuthn registration error:', error);
+        res.status(500).json({ success: false, error: 'Failed to start security key registration' });
+    }
+});
+
+// Verify and store a new security key
+router.post('/webauthn/register/verify', requireAuth, async (req, res) => {
+    const db = req.app.locals.db;
+    const expectedChallenge = req.session.webauthnChallenge;
+    delete req.session.webauthnChallenge;
+
+    try {
+        const user = await db.getUserById(req.session.userId);
+        if (!user || !await canEnrollSecurityKey(req, db, user)) {
+            return res.status(403).json({ success: false, error: 'Verify your second factor first' });
+        }
+        if (!expectedChallenge) {
+            return res.status(400).json({ success: false, error: 'Registration expired. Please try again.' });
+        }
+
+        const result = await webauthn.verifyRegistration(
+            db, relyingParty(req.app.locals.config), user, req.body.response, expectedChallenge, req.body.name
+        );
+        if (!result.success) {
+            return res.status(400).json({ success: false, error: result.error });
+        }
+
+        console.log(`✓ ${user.email} registered a security key`);
+        await audit(req, 'auth.security_key_added', {
+            targetType: 'user',
+            targetId: user.id,
+            details: req.session.twoFAVerified ? null : 'Enrolled during 2FA setup'
+        });
+
+        if (req.session.twoFAVerified) {
+            return res.json({ success: true, redirect: '/dashboard/settings?success=' + encodeURIComponent('Security key added') });
+        }
+
+        // First factor enrolled during setup: sign in and hand out recovery codes
+        req.session.twoFAVerified = true;
+        await db.clearFailedLogins(user.id);
+        req.session.pendingRecoveryCodes = await generateRecoveryCodes(db, user.id);
+        res.json({ success: true, redirect: '/recovery-codes' });
+
+    } catch (error) {
+        console.error('WebAuthn registration error:', error);
+        res.status(500).json({ success: false, error: 'Failed to register security key' });
+    }
+});
+
+// Recovery codes generated during security key setup, shown once
+router.get('/recovery-codes', requireAuth, (req, res) => {
+    const codes = req.session.pendingRecoveryCodes;
+    delete req.session.pendingRecoveryCodes;
+
+    if (!codes || !req.session.twoFAVerified) {
+        return res.redirect('/dashboard');
+    }
+
+    res.render('recovery-codes', {
+        title: 'Recovery Codes',
+        codes: codes,
+        continueUrl: '/dashboard'
+    });
+});
+
+// Challenge for signing in with a security key
+router.post('/webauthn/authenticate/options', requireAuth, async (req, res) => {
+    const db = req.app.locals.db;
+
+    try {
+        const user = await db.getUserById(req.session.userId);
+        if (!user || await db.countWebAuthnCredentials(user.id) === 0) {
+            return res.status(400).json({ success: false, error: 'No security keys are registered' });
+        }
+
+        const options = await webauthn.authenticationOptions(db, relyingParty(req.app.locals.config), user);
+        req.session.webauthnChallenge = options.challenge;
+        res.json({ success: true, options });
+
+    } catch (error) {
+        console.error('WebAuthn authentication error:', error);
+        res.status(500).json({ success: false, error: 'Failed to start security key sign-in' });
+    }
+});
+
+// Complete 2FA with a security key
+router.post('/webauthn/authenticate/verify', requireAuth, async (req, res) => {
+    const db = req.app.locals.db;
+    const expectedChallenge = req.session.webauthnChallenge;
+    delete req.session.webauthnChallenge;
+
+    try {
+        const user = await db.getUserById(req.session.userId);
+        if (!user) {
+            return res.status(401).json({ success: false, error: 'Not signed in' });
+        }
+        if (!expectedChallenge) {
+            return res.status(400).json({ success: false, error: 'Sign-in expired. Please try again.' });
+        }
+
+        const attempt = await beginAttempt(db, user);
+        if (attempt.wait > 0) {
+            return res.status(429).json({ success: false, error: retryMessage(attempt.wait) });
+        }
+
+        const result = await webauthn.verifyAuthentication(
+            db, relyingParty(req.app.locals.config), user, req.body.response, expectedChallenge
+        );
+        if (!result.success) {
+            await recordFailedAttempt(db, req.app.locals.config, user);
+            await audit(req, 'auth.2fa_failed', { targetType: 'user', targetId: user.id, details: result.error });
+            return res.status(400).json({ success: false, error: result.error });
+        }
+
+        req.session.twoFAVerified = true;
+        await db.clearFailedLogins(user.id);
+        await audit(req, 'auth.security_key_used', { targetType: 'user', targetId: user.id });
+        res.json({ success: true, redirect: '/dashboard' });
+
+    } catch (error) {
+        console.error('WebAuthn authentication error:', error);
+        res.status(500).json({ success: false, error: 'Failed to verify security key' });
+    }
+});
+
+// ==================== OAUTH / OIDC ====================
+
+// How long the user has to finish signing in at the provider
+const OAUTH_FLOW_TTL_MS = 10 * 60 * 1000;
+
+// Sends the browser to the provider. 'login' signs in or registers; 'link'
+// adds the provider account to the signed-in user.
+async function beginOAuth(req, res, intent) {
+    const oauth = req.app.locals.oauth;
+    const provider = oauth.get(req.params.provider);
+    const fail = (message) => intent === 'link'
+        ? res.redirect('/dashboard/settings?error=' + encodeURIComponent(message))
+        : res.status(400).render('login', { title: 'Login', error: message, success: null });
+
+    if (!provider) {
+        return fail('Unknown sign-in provider');
+    }
+
+    try {
+        const { url, pending } = await oauth.authorizationRequest(provider);
+        req.session.oauth = {
+            ...pending,
+            intent,
+            userId: intent === 'link' ? req.session.userId : null,
+            startedAt: Date.now()
+        };
+        res.redirect(url);
+    } catch (error) {
+        console.error(`OAuth ${provider.key} error:`, error.message);
+        fail(`Could not reach ${provider.name}. Please try again later.`);
+    }
+}
+
+// First sign-in with a provider: create the account and its panel user.
+// The provider has already verified the address, so the registration bonus
+// is paid straight away.
+async function registerOAuthUser(req, provider, account) {
+    const db = req.app.locals.db;
+    const pterodactyl = req.app.locals.pterodactyl;
+    const email = account.email.toLowerCase();
+
+    // Nobody knows this password; it can be replaced with "Forgot password"
+    const password = crypto.randomBytes(24).toString('base64url');
+
+    const pteroResult = await pterodactyl.createUser(email, password);
+    let pterodactylId = null;
+    if (pteroResult.success) {
+        pterodactylId = pteroResult.userId;
+        console.log(`✓ Created Pterodactyl user: ${email} (ID: ${pterodactylId})`);
+    } else {
+        console.warn(`⚠ Could not create Pterodactyl user: ${pteroResult.error}`);
+    }
+
+    const userId = await db.createOAuthUser(email, password, pterodactylId, provider.key, account.subject);
+    const verified = await db.verifyUserEmail(userId, await registrationBonus(db));
+    if (verified.bonus > 0) {
+        console.log(`✓ Awarded ${verified.bonus} bonus credits to ${email}`);
+    }
+
+    await audit(req, 'auth.register', {
+        actorId: userId,
+        actorEmail: email,
+        targetType: 'user',
+        targetId: userId,
+        after: { email, pterodactylId },
+        details: `Registered with ${provider.name}`
+    });
+
+    return db.getUserById(userId);
+}
+
+async function completeOAuthLogin(req, res, provider, account) {
+    const db = req.app.locals.db;
+    const fail = (message, status = 400) => res.status(status).render('login', { title: 'Login', error: message, success: null });
+
+    let user;
+    const identity = await db.getOAuthIdentity(provider.key, account.subject);
+    if (identity) {
+        user = await db.getUserById(identity.user_id);
+        await db.touchOAuthIdentity(identity.id, account.email);
+    } else {
+        if (!account.email || !account.emailVerified) {
+            return fail(`Your ${provider.name} account has no verified email address.`);
+        }
+        // Never attach a provider account to an existing user by email alone
+        if (await db.getUserByEmail(account.email.toLowerCase())) {
+            return fail(`An account with ${account.email} already exists. Sign in with your password and link ${provider.name} from Settings.`);
+        }
+        user = await registerOAuthUser(req, provider, account);
+    }
+
+    // The same checks as a password login
+    const wait = lockedFor(user);
+    if (wait > 0) {
+        await audit(req, 'auth.login_failed', {
+            actorId: user.id,
+            actorEmail: user.email,
+            targetType: 'user',
+            targetId: user.id,
+            details: `Account locked (${provider.name})`
+        });
+        return fail(retryMessage(wait), 429);
+    }
+
+    if (user.status === 'suspended' || user.status === 'banned') {
+        await audit(req, 'auth.login_failed', {
+            actorId: user.id,
+            actorEmail: user.email,
+            targetType: 'user',
+            targetId: user.id,
+            details: `Account ${user.status} (${provider.name})`
+        });
+        return fail(user.status === 'banned'
+            ? 'This account has been banned.'
+            : 'This account is suspended. Please contact support.');
+    }
+
+    req.session.userId = user.id;
+    req.session.userEmail = user.email;
+    req.session.role = user.role;
+    req.session.twoFAVerified = false;
+
+    await audit(req, 'auth.login', { targetType: 'user', targetId: user.id, details: `Signed in with ${provider.name}` });
+
+    // Provider sign-ins still need the account's second factor
+    res.redirect(await hasSecondFactor(db, user) ? '/verify-2fa' : '/setup-2fa');
+}
+
+async function completeOAuthLink(req, res, provider, account) {
+    const db = req.app.locals.db;
+    const done = (type, message) => res.redirect(`/dashboard/settings?${type}=` + encodeURIComponent(message));
+
+    const existing = await db.getOAuthIdentity(provider.key, account.subject);
+    if (existing) {
+        return done('error', existing.user_id === req.session.userId
+            ? `This ${provider.name} account is already linked`
+            : `This ${provider.name} account is linked to another user`);
+    }
+
+    try {
+        await db.linkOAuthIdentity(req.session.userId, provider.key, account.subject, account.email);
+    } catch (error) {
+        if (error.message.includes('UNIQUE')) {
+            return done('error', `Unlink your current ${provider.name} account first`);
+        }
+        throw error;
+    }
+
+    await audit(req, 'account.oauth_linked', {
+        targetType: 'user',
+        targetId: req.session.userId,
+        after: { provider: provider.key, email: account.email },
+        details: provider.name
+    });
+    done('success', `${provider.name} account linked`);
+}
+
+// Sign in or register with a provider
+router.get('/auth/oauth/:provider', redirectIfAuthenticated, (req, res) => beginOAuth(req, res, 'login'));
+
+// Link a provider to the signed-in account. A GET, because the form-action
+// CSP would stop a form submission from redirecting to the provider.
+router.get('/auth/oauth/:provider/link', require2FA, (req, res) => beginOAuth(req, res, 'link'));
+
+// The provider redirects back here with a code
+router.get('/auth/oauth/:provider/callback', async (req, res) => {
+    const oauth = req.app.locals.oauth;
+    const provider = oauth.get(req.params.provider);
+    const pending = req.session.oauth;
+    delete req.session.oauth;
+
+    const linking = pending && pending.intent === 'link';
+    const fail = (message) => linking
+        ? res.redirect('/dashboard/settings?error=' + encodeURIComponent(message))
+        : res.status(400).render('login', { title: 'Login', error: message, success: null });
+
+    if (!provider || !pending || pending.provider !== provider.key || Date.now() - pending.startedAt > OAUTH_FLOW_TTL_MS) {
+        return fail('Sign-in expired. Please try again.');
+    }
+    if (req.query.error) {
+        return fail(`${provider.name} sign-in was cancelled`);
+    }
+    if (req.query.state !== pending.state || typeof req.query.code !== 'string') {
+        return fail('Sign-in could not be verified. Please try again.');
+    }
+    // The session must still belong to whoever started the link
+    if (linking && (req.session.userId !== pending.userId || !req.session.twoFAVerified)) {
+        return res.redirect('/login');
+    }
+
+    let account;
+    try {
+        account = await oauth.completeAuthorization(provider, req.query.code, pending);
+    } catch (error) {
+        console.error(`OAuth ${provider.key} error:`, error.response?.data || error.message);
+        return fail(`Could not sign in with ${provider.name}. Please try again.`);
+    }
+
+    try {
+        if (linking) {
+            await completeOAuthLink(req, res, provider, account);
+        } else {
+            await completeOAuthLogin(req, res, provider, account);
+        }
+    } catch (error) {
+        console.error('OAuth callback error:', error);
+        fail('An error occurred. Please try again.');
     }
 });
 
 // Logout
-router.get('/logout', (req, res) => {
+router.get('/logout', async (req, res) => {
+    try {
+        if (req.session.userId) {
+            await audit(req, 'auth.logout', { targetType: 'user', targetId: req.session.userId });
+        }
+        await req.app.locals.sessions.forget(req.sessionID);
+    } catch (error) {
+        console.error('Logout error:', error);
+    }
+
     req.session.destroy((err) => {
         if (err) {
             console.error('Logout error:', err);
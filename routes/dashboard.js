@@ -1,6 +1,78 @@
 const express = require('express');
 const router = express.Router();
+const crypto = require('crypto');
 const { require2FA, requireAdmin } = require('../middleware/auth');
+const BillingEngine = require('../services/billing');
+const WebhookDispatcher = require('../services/webhooks');
+const { userOwnsServer } = require('../services/ownership');
+const { purchaseServer } = require('../services/purchase');
+const { generateRecoveryCodes } = require('../services/recovery');
+const { MAX_NAME_LENGTH } = require('../services/webauthn');
+const { audit } = require('../services/audit');
+const { sendVerificationEmail } = require('../services/verification');
+const { toCsv } = require('../services/csv');
+const { CREDIT_REASONS, parseLedgerFilters } = require('../services/ledger');
+const { API_SCOPES, APPLICATION_SCOPES, MAX_API_KEYS, MAX_API_KEY_NAME_LENGTH, parseScopes, splitScopes,
+        createApiKey, createApplicationKey } = require('../services/apikeys');
+
+const REFUND_POLICIES = ['none', 'prorated', 'full_window'];
+
+async function getRefundPolicy(db) {
+    const mode = await db.getSetting('refund_policy');
+    const windowHours = await db.getSetting('refund_window_hours');
+    return {
+        mode: REFUND_POLICIES.includes(mode) ? mode : 'none',
+        windowHours: parseFloat(windowHours || 0)
+    };
+}
+
+// Display name of a server the user owns
+async function getServerName(db, pterodactyl, user, identifier) {
+    const owned = await db.getUserServerByIdentifier(user.id, identifier);
+    if (owned) {
+        return owned.server_name;
+    }
+    
+    if (user.pterodactyl_id) {
+        const serversResult = await pterodactyl.getUserServers(user.pterodactyl_id);
+        const server = serversResult.success && serversResult.servers.find(s => s.identifier === identifier);
+        if (server) return server.name;
+    }
+    
+    return identifier;
+}
+
+// Plans a server on `currentPlan` may move to: those the admin allowed,
+// enabled, in the same category and billed on the same cycle
+function getPlanChangeOptions(currentPlan, plans) {
+    const allowed = (currentPlan.transition_plan_ids || '')
+        .split(',')
+        .map(id => parseInt(id.trim()))
+        .filter(id => !isNaN(id));
+    
+    return plans.filter(plan => allowed.includes(plan.id) &&
+        plan.id !== currentPlan.id &&
+        plan.enabled &&
+        (plan.category || 'general') === (currentPlan.category || 'general') &&
+        plan.billing_cycle === currentPlan.billing_cycle);
+}
+
+// Build settings for the panel's server build endpoint
+function planBuild(plan, allocationId) {
+    return {
+        allocation: allocationId,
+        memory: plan.ram,
+        swap: plan.swap,
+        disk: plan.disk,
+        io: plan.io,
+        cpu: plan.cpu,
+        feature_limits: {
+            databases: plan.databases,
+            backups: plan.backups,
+            allocations: plan.allocations
+        }
+    };
+}
 
 // Dashboard home
 router.get('/', require2FA, async (req, res) => {
@@ -55,6 +127,36 @@ router.get('/', require2FA, async (req, res) => {
             console.log('No pterodactyl_id or API not available');
         }
         
+        // Servers bought through Cosmica can be cancelled or moved to
+        // another plan from the dashboard
+        const ownedServers = {};
+        const refundPolicy = await getRefundPolicy(db);
+        const plans = await db.getAllPlans();
+        for (const owned of await db.getUserServers(user.id)) {
+            if (!['active', 'suspended'].includes(owned.status)) continue;
+            const lastCharge = await db.getLastServerCharge(owned.id);
+            const currentPlan = plans.find(plan => plan.id === owned.plan_id);
+            const canChangePlan = currentPlan && owned.status === 'active' && !owned.cancel_at_period_end;
+            
+            ownedServers[owned.server_identifier] = {
+                id: owned.id,
+                status: owned.status,
+                nextBillingDate: owned.next_billing_date,
+                cancelAtPeriodEnd: !!owned.cancel_at_period_end,
+                refundEstimate: BillingEngine.calculateRefund(owned, lastCharge, refundPolicy),
+                planName: owned.plan_name,
+                planOptions: canChangePlan ? getPlanChangeOptions(currentPlan, plans).map(plan => ({
+                    id: plan.id,
+                    name: plan.name,
+                    cpu: plan.cpu,
+                    ram: plan.ram,
+                    disk: plan.disk,
+                    price: plan.price,
+                    amount: BillingEngine.planChangeAmount(owned, currentPlan, plan)
+                })) : []
+            };
+        }
+        
         res.render('dashboard', {
             title: 'Dashboard',
             brandName: req.app.locals.config.branding.name,
@@ -63,9 +165,13 @@ router.get('/', require2FA, async (req, res) => {
                 email: user.email || 'user',
                 role: user.role || 'user',
                 pterodactylId: user.pterodactyl_id,
-                credits: user.credits || 0
+                credits: user.credits || 0,
+                emailVerified: !!user.email_verified
             },
             servers: servers,
+            ownedServers: ownedServers,
+            success: req.query.success || null,
+            error: req.query.error || null,
             resources: {
                 cpu: totalResources.cpu,
                 memory: totalResources.memory, // Already in MB from limits
@@ -144,6 +250,7 @@ router.post('/api/sync-servers', require2FA, async (req, res) => {
 router.get('/api/stats', require2FA, async (req, res) => {
     const db = req.app.locals.db;
     const pterodactyl = req.app.locals.pterodactyl;
+    const statsHub = req.app.locals.statsHub;
     
     try {
         const user = await db.getUserById(req.session.userId);
@@ -160,25 +267,23 @@ router.get('/api/stats', require2FA, async (req, res) => {
             if (serversResult.success) {
                 servers = serversResult.servers;
                 
-                // Calculate total resource usage and collect statuses
+                // Calculate total resource usage and collect statuses.
+                // Stats come from the shared per-server pollers, so
+                // repeated calls don't each hit the panel.
                 if (pterodactyl.clientApi && servers.length > 0) {
-                    for (const server of servers) {
-                        try {
-                            const resourcesResult = await pterodactyl.getServerResources(server.identifier);
-                            if (resourcesResult.success) {
-                                const res = resourcesResult.resources;
-                                totalResources.cpu += res.cpu_absolute || 0;
-                                totalResources.memory += res.memory_bytes || 0;
-                                totalResources.disk += res.disk_bytes || 0;
-                                
-                                serverStatuses.push({
-                                    identifier: server.identifier,
-                                    status: res.state
-                                });
-                            }
-                        } catch (err) {
-                            console.log(`Could not fetch resources for ${server.identifier}`);
-                        }
+                    const results = await Promise.all(servers.map(server => statsHub.get(server.identifier)));
+                    for (const stats of results) {
+                        if (!stats) continue;
+                        
+                        const res = stats.resources;
+                        totalResources.cpu += res.cpu_absolute || 0;
+                        totalResources.memory += res.memory_bytes || 0;
+                        totalResources.disk += res.disk_bytes || 0;
+                        
+                        serverStatuses.push({
+                            identifier: stats.identifier,
+                            status: stats.state
+                        });
                     }
                 }
             }
@@ -200,31 +305,300 @@ router.get('/api/stats', require2FA, async (req, res) => {
     }
 });
 
-// Settings page
-router.get('/settings', require2FA, async (req, res) => {
+// ==================== LIVE STATS ROUTES ====================
+
+// Keeps proxies from closing an idle stream
+const STREAM_HEARTBEAT_MS = 25000;
+
+// Server-Sent Events stream of state and resource updates for all of the
+// user's servers
+router.get('/api/stream', require2FA, async (req, res) => {
     const db = req.app.locals.db;
+    const pterodactyl = req.app.locals.pterodactyl;
+    const statsHub = req.app.locals.statsHub;
+    
+    // Listen before the first await so a client that leaves while the
+    // servers load still releases its subscriptions
+    let heartbeat = null;
+    let unsubscribers = [];
+    const untrack = req.app.locals.sessions.trackConnection(req.sessionID, () => res.end());
+    req.on('close', () => {
+        untrack();
+        clearInterval(heartbeat);
+        unsubscribers.forEach(unsubscribe => unsubscribe());
+        unsubscribers = [];
+    });
     
     try {
         const user = await db.getUserById(req.session.userId);
-        
         if (!user) {
-            return res.redirect('/login');
+            return res.status(404).end();
+        }
+        
+        const identifiers = new Set(
+            (await db.getUserServers(user.id))
+                .filter(server => server.server_identifier && server.status !== 'provisioning')
+                .map(server => server.server_identifier)
+        );
+        if (user.pterodactyl_id) {
+            const serversResult = await pterodactyl.getUserServers(user.pterodactyl_id);
+            if (serversResult.success) {
+                serversResult.servers.forEach(server => identifiers.add(server.identifier));
+            }
+        }
+        
+        // Gone already, and 'close' won't fire again
+        if (req.destroyed) {
+            return;
+        }
+        
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        res.write('retry: 5000\n\n');
+        
+        unsubscribers = [...identifiers].map(identifier => statsHub.subscribe(identifier, stats => {
+            res.write(`event: stats\ndata: ${JSON.stringify(stats)}\n\n`);
+        }));
+        
+        heartbeat = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT_MS);
+    } catch (error) {
+        console.error('Stats stream error:', error);
+        if (!res.headersSent) {
+            res.status(500).end();
+        } else {
+            res.end();
+        }
+    }
+});
+
+// ==================== SERVER POWER ROUTES ====================
+
+const POWER_SIGNALS = {
+    start: 'starting',
+    stop: 'stopping',
+    restart: 'starting',
+    kill: 'offline'
+};
+
+// Send a power signal to one of the user's servers
+router.post('/api/servers/:identifier/power', require2FA, async (req, res) => {
+    const db = req.app.locals.db;
+    const pterodactyl = req.app.locals.pterodactyl;
+    const { identifier } = req.params;
+    const { signal } = req.body;
+    
+    try {
+        if (!Object.prototype.hasOwnProperty.call(POWER_SIGNALS, signal)) {
+            return res.status(400).json({ success: false, error: 'Invalid power action' });
+        }
+        
+        const user = await db.getUserById(req.session.userId);
+        if (!user || !(await userOwnsServer(db, pterodactyl, user, identifier))) {
+            return res.status(404).json({ success: false, error: 'Server not found' });
+        }
+        
+        const result = await pterodactyl.sendPowerSignal(identifier, signal);
+        if (!result.success) {
+            return res.status(502).json({ success: false, error: result.error || 'Failed to send power action' });
+        }
+        
+        req.app.locals.statsHub.refresh(identifier);
+        res.json({ success: true, state: POWER_SIGNALS[signal] });
+    } catch (error) {
+        console.error('Power action error:', error);
+        res.status(500).json({ success: false, error: 'Failed to send power action' });
+    }
+});
+
+// Current power state of one of the user's servers
+router.get('/api/servers/:identifier/state', require2FA, async (req, res) => {
+    const db = req.app.locals.db;
+    const pterodactyl = req.app.locals.pterodactyl;
+    const { identifier } = req.params;
+    
+    try {
+        const user = await db.getUserById(req.session.userId);
+        if (!user || !(await userOwnsServer(db, pterodactyl, user, identifier))) {
+            return res.status(404).json({ success: false, error: 'Server not found' });
+        }
+        
+        const stats = await req.app.locals.statsHub.get(identifier);
+        if (!stats) {
+            return res.status(502).json({ success: false, error: 'Failed to fetch server state' });
+        }
+        
+        res.json({ success: true, state: stats.state });
+    } catch (error) {
+        console.error('Server state error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch server state' });
+    }
+});
+
+// ==================== SERVER USAGE ROUTES ====================
+
+// Usage charts page; data comes from /api/servers/:identifier/usage
+router.get('/servers/:identifier/usage', require2FA, async (req, res) => {
+    const db = req.app.locals.db;
+    const pterodactyl = req.app.locals.pterodactyl;
+    const { identifier } = req.params;
+    
+    try {
+        const user = await db.getUserById(req.session.userId);
+        if (!user || !(await userOwnsServer(db, pterodactyl, user, identifier))) {
+            return res.redirect('/dashboard?error=Server not found');
         }
         
-        res.render('settings', {
-            title: 'Settings',
+        const serverName = await getServerName(db, pterodactyl, user, identifier);
+        
+        res.render('usage', {
+            title: `Usage - ${serverName}`,
             brandName: req.app.locals.config.branding.name,
             user: {
                 id: user.id,
-                email: user.email || 'user',
-                role: user.role || 'user',
-                pterodactylId: user.pterodactyl_id,
+                email: user.email,
+                role: user.role,
                 credits: user.credits || 0
             },
+            server: {
+                identifier: identifier,
+                name: serverName
+            },
             panelUrl: req.app.locals.config.pterodactyl.url,
-            csrfToken: req.csrfToken(),
-            activePage: 'settings'
+            activePage: 'dashboard',
+            csrfToken: req.csrfToken()
+        });
+    } catch (error) {
+        console.error('Usage page error:', error);
+        res.redirect('/dashboard?error=Failed to load usage history');
+    }
+});
+
+// Recorded samples for the last hour, day or week
+router.get('/api/servers/:identifier/usage', require2FA, async (req, res) => {
+    const db = req.app.locals.db;
+    const pterodactyl = req.app.locals.pterodactyl;
+    const sampler = req.app.locals.sampler;
+    const { identifier } = req.params;
+    const range = req.query.range || 'hour';
+    
+    try {
+        const user = await db.getUserById(req.session.userId);
+        if (!user || !(await userOwnsServer(db, pterodactyl, user, identifier))) {
+            return res.status(404).json({ success: false, error: 'Server not found' });
+        }
+        
+        const samples = await sampler.getHistory(identifier, range);
+        if (!samples) {
+            return res.status(400).json({ success: false, error: 'Invalid range' });
+        }
+        
+        res.json({ success: true, range, samples });
+    } catch (error) {
+        console.error('Usage API error:', error);
+        res.status(500).json({ success: false, error: 'Failed to load usage history' });
+    }
+});
+
+// ==================== SERVER CONSOLE ROUTES ====================
+
+// Console page; output is streamed over /servers/:identifier/console/ws
+router.get('/servers/:identifier/console', require2FA, async (req, res) => {
+    const db = req.app.locals.db;
+    const pterodactyl = req.app.locals.pterodactyl;
+    const { identifier } = req.params;
+    
+    try {
+        const user = await db.getUserById(req.session.userId);
+        if (!user || !(await userOwnsServer(db, pterodactyl, user, identifier))) {
+            return res.redirect('/dashboard?error=Server not found');
+        }
+        
+        const serverName = await getServerName(db, pterodactyl, user, identifier);
+        
+        res.render('console', {
+            title: `Console - ${serverName}`,
+            brandName: req.app.locals.config.branding.name,
+            user: {
+                id: user.id,
+                email: user.email,
+                role: user.role,
+                credits: user.credits || 0
+            },
+            server: {
+                identifier: identifier,
+                name: serverName
+            },
+            panelUrl: req.app.locals.config.pterodactyl.url,
+            activePage: 'dashboard',
+            csrfToken: req.csrfToken()
         });
+    } catch (error) {
+        console.error('Console page error:', error);
+        res.redirect('/dashboard?error=Failed to open console');
+    }
+});
+
+// Renders the settings page for a user, with an optional success/error message
+async function renderSettings(req, res, user, messages = {}) {
+    const db = req.app.locals.db;
+    const oauth = req.app.locals.oauth;
+    
+    // Every enabled provider, plus linked ones that have since been disabled
+    const identities = await db.getOAuthIdentities(user.id);
+    const linkedAccounts = oauth.list().map(provider => ({
+        ...provider,
+        identity: identities.find(identity => identity.provider === provider.key) || null
+    }));
+    identities.filter(identity => !oauth.get(identity.provider)).forEach(identity => {
+        linkedAccounts.push({ key: identity.provider, name: identity.provider, identity, disabled: true });
+    });
+
+    res.render('settings', {
+        title: 'Settings',
+        brandName: req.app.locals.config.branding.name,
+        user: {
+            id: user.id,
+            email: user.email || 'user',
+            role: user.role || 'user',
+            pterodactylId: user.pterodactyl_id,
+            credits: user.credits || 0
+        },
+        recoveryCodesRemaining: await db.countUnusedRecoveryCodes(user.id),
+        sessions: (await req.app.locals.sessions.list(user.id))
+            .map(({ sid, ...session }) => ({ ...session, current: sid === req.sessionID })),
+        totpEnabled: !!user.twofa_enabled,
+        securityKeys: await db.getWebAuthnCredentials(user.id),
+        linkedAccounts: linkedAccounts,
+        apiKeys: (await db.getApiKeys(user.id))
+            .map(key => ({ ...key, scopes: splitScopes(key.scopes) })),
+        apiScopes: API_SCOPES,
+        maxApiKeys: MAX_API_KEYS,
+        newApiKey: messages.newApiKey || null,
+        panelUrl: req.app.locals.config.pterodactyl.url,
+        csrfToken: req.csrfToken(),
+        success: messages.success,
+        error: messages.error,
+        activePage: 'settings'
+    });
+}
+
+// Settings page
+router.get('/settings', require2FA, async (req, res) => {
+    const db = req.app.locals.db;
+    
+    try {
+        const user = await db.getUserById(req.session.userId);
+        
+        if (!user) {
+            return res.redirect('/login');
+        }
+        
+        await renderSettings(req, res, user, { success: req.query.success, error: req.query.error });
     } catch (error) {
         console.error('Settings error:', error);
         res.redirect('/dashboard');
@@ -245,33 +619,39 @@ router.post('/settings/email', require2FA, async (req, res) => {
         const validPassword = await bcrypt.compare(password, user.password);
         
         if (!validPassword) {
-            return res.render('settings', {
-                title: 'Settings',
-                brandName: req.app.locals.config.branding.name,
-                user: { id: user.id, email: user.email, role: user.role, pterodactylId: user.pterodactyl_id, credits: user.credits || 0 },
-                panelUrl: req.app.locals.config.pterodactyl.url,
-                csrfToken: req.csrfToken(),
-                error: 'Invalid password',
-                activePage: 'settings'
-            });
+            return renderSettings(req, res, user, { error: 'Invalid password' });
         }
         
-        // Update in database
+        if (email === user.email) {
+            return renderSettings(req, res, user, { error: 'That is already your email address' });
+        }
+        
+        // Update in database. The new address is unverified until its link is opened.
         await db.updateUserEmail(user.id, email);
+        req.session.userEmail = email;
+        
+        await audit(req, 'account.email_change', {
+            targetType: 'user',
+            targetId: user.id,
+            before: { email: user.email, emailVerified: !!user.email_verified },
+            after: { email, emailVerified: false }
+        });
         
         // Update in Pterodactyl if linked
         if (user.pterodactyl_id && pterodactyl) {
             await pterodactyl.updateUser(user.pterodactyl_id, { email });
         }
         
-        res.render('settings', {
-            title: 'Settings',
-            brandName: req.app.locals.config.branding.name,
-            user: { id: user.id, email: email, role: user.role, pterodactylId: user.pterodactyl_id, credits: user.credits || 0 },
-            panelUrl: req.app.locals.config.pterodactyl.url,
-            csrfToken: req.csrfToken(),
-            success: 'Email updated successfully',
-            activePage: 'settings'
+        const updated = { ...user, email, email_verified: 0 };
+        const mailResult = await sendVerificationEmail(req, updated, { changed: true });
+        if (!mailResult.success) {
+            console.warn(`⚠ Could not send verification email to ${email}: ${mailResult.error}`);
+        }
+        
+        await renderSettings(req, res, updated, {
+            success: mailResult.success
+                ? `Email updated. We sent a verification link to ${email}.`
+                : 'Email updated. Request a new verification link from the dashboard.'
         });
     } catch (error) {
         console.error('Email update error:', error);
@@ -293,28 +673,12 @@ router.post('/settings/password', require2FA, async (req, res) => {
         const validPassword = await bcrypt.compare(currentPassword, user.password);
         
         if (!validPassword) {
-            return res.render('settings', {
-                title: 'Settings',
-                brandName: req.app.locals.config.branding.name,
-                user: { id: user.id, email: user.email, role: user.role, pterodactylId: user.pterodactyl_id, credits: user.credits || 0 },
-                panelUrl: req.app.locals.config.pterodactyl.url,
-                csrfToken: req.csrfToken(),
-                error: 'Invalid current password',
-                activePage: 'settings'
-            });
+            return renderSettings(req, res, user, { error: 'Invalid current password' });
         }
         
         // Check if passwords match
         if (newPassword !== confirmPassword) {
-            return res.render('settings', {
-                title: 'Settings',
-                brandName: req.app.locals.config.branding.name,
-                user: { id: user.id, email: user.email, role: user.role, pterodactylId: user.pterodactyl_id, credits: user.credits || 0 },
-                panelUrl: req.app.locals.config.pterodactyl.url,
-                csrfToken: req.csrfToken(),
-                error: 'Passwords do not match',
-                activePage: 'settings'
-            });
+            return renderSettings(req, res, user, { error: 'Passwords do not match' });
         }
         
         // Hash new password
@@ -328,14 +692,19 @@ router.post('/settings/password', require2FA, async (req, res) => {
             await pterodactyl.updateUserPassword(user.pterodactyl_id, newPassword);
         }
         
-        res.render('settings', {
-            title: 'Settings',
-            brandName: req.app.locals.config.branding.name,
-            user: { id: user.id, email: user.email, role: user.role, pterodactylId: user.pterodactyl_id, credits: user.credits || 0 },
-            panelUrl: req.app.locals.config.pterodactyl.url,
-            csrfToken: req.csrfToken(),
-            success: 'Password updated successfully',
-            activePage: 'settings'
+        // Anyone signed in with the old password is logged out
+        const revoked = await req.app.locals.sessions.revokeOthers(user.id, req.sessionID);
+        
+        await audit(req, 'account.password_change', {
+            targetType: 'user',
+            targetId: user.id,
+            details: revoked > 0 ? `${revoked} other sessions logged out` : null
+        });
+        
+        await renderSettings(req, res, user, {
+            success: revoked > 0
+                ? `Password updated successfully. ${revoked} other session${revoked === 1 ? ' was' : 's were'} logged out.`
+                : 'Password updated successfully'
         });
     } catch (error) {
         console.error('Password update error:', error);
@@ -343,304 +712,1865 @@ router.post('/settings/password', require2FA, async (req, res) => {
     }
 });
 
-// Admin panel
-router.get('/admin', requireAdmin, async (req, res) => {
+// Regenerate 2FA recovery codes; the old set stops working immediately
+router.post('/settings/recovery-codes', require2FA, async (req, res) => {
     const db = req.app.locals.db;
-    const pterodactyl = req.app.locals.pterodactyl;
+    const { password } = req.body;
     
     try {
         const user = await db.getUserById(req.session.userId);
         
-        if (!user) {
-            return res.redirect('/login');
-        }
-        
-        const allUsers = await db.getAllUsers();
-        
-        // Get total servers count (only count from users with pterodactyl_id)
-        let totalServers = 0;
-        const usersWithServers = allUsers.filter(u => u.pterodactyl_id);
+        // Verify password
+        const bcrypt = require('bcrypt');
+        const validPassword = await bcrypt.compare(password || '', user.password);
         
-        // Limit concurrent API calls to prevent rate limiting
-        const chunkSize = 3;
-        for (let i = 0; i < usersWithServers.length; i += chunkSize) {
-            const chunk = usersWithServers.slice(i, i + chunkSize);
-            const results = await Promise.allSettled(
-                chunk.map(u => pterodactyl ? pterodactyl.getUserServers(u.pterodactyl_id) : null)
-            );
-            
-            results.forEach(result => {
-                if (result.status === 'fulfilled' && result.value?.success) {
-                    totalServers += result.value.servers.length;
-                }
-            });
-            
-            // Small delay between chunks to avoid rate limiting
-            if (i + chunkSize < usersWithServers.length) {
-                await new Promise(resolve => setTimeout(resolve, 100));
-            }
+        if (!validPassword) {
+            return renderSettings(req, res, user, { error: 'Invalid password' });
         }
         
-        // Get gift cards
-        const giftCards = await db.getAllGiftCards();
-        
-        // Get all server plans
-        const plans = await db.getAllPlans();
+        const codes = await generateRecoveryCodes(db, user.id);
         
-        // Get bonus settings
-        const bonusEnabled = await db.getSetting('bonus_enabled');
-        const bonusAmount = await db.getSetting('bonus_amount');
+        await audit(req, 'account.recovery_codes_regenerated', { targetType: 'user', targetId: user.id });
         
-        res.render('admin', {
-            title: 'Admin Panel',
-            brandName: req.app.locals.config.branding.name,
-            user: {
-                id: user.id,
-                email: user.email || 'admin',
-                role: user.role || 'admin',
-                credits: user.credits || 0
-            },
-            panelUrl: req.app.locals.config.pterodactyl.url,
-            stats: {
-                totalUsers: allUsers.length,
-                totalServers: totalServers
-            },
-            users: allUsers,
-            giftCards: giftCards,
-            plans: plans,
-            bonusSettings: {
-                enabled: bonusEnabled === 'true',
-                amount: parseFloat(bonusAmount || 0)
-            },
-            csrfToken: req.csrfToken(),
-            activePage: 'admin'
+        res.render('recovery-codes', {
+            title: 'Recovery Codes',
+            codes,
+            continueUrl: '/dashboard/settings'
         });
     } catch (error) {
-        console.error('Admin panel error:', error);
-        res.redirect('/dashboard');
+        console.error('Recovery code error:', error);
+        res.redirect('/dashboard/settings?error=Failed to generate recovery codes');
     }
 });
 
-// Admin: Update bonus settings
-router.post('/admin/settings/bonus', requireAdmin, async (req, res) => {
+// Rename a security key
+router.post('/settings/security-keys/:id/rename', require2FA, async (req, res) => {
     const db = req.app.locals.db;
-    const { enabled, amount } = req.body;
+    const name = String(req.body.name || '').trim();
     
     try {
-        await db.setSetting('bonus_enabled', enabled === 'on' ? 'true' : 'false');
-        await db.setSetting('bonus_amount', amount || '0');
-        res.redirect('/dashboard/admin');
+        if (!name || name.length > MAX_NAME_LENGTH) {
+            return res.redirect('/dashboard/settings?error=' + encodeURIComponent(`Name must be 1-${MAX_NAME_LENGTH} characters`));
+        }
+        
+        const id = parseInt(req.params.id, 10);
+        const key = (await db.getWebAuthnCredentials(req.session.userId)).find(k => k.id === id);
+        if (!key) {
+            return res.redirect('/dashboard/settings?error=' + encodeURIComponent('Security key not found'));
+        }
+        
+        await db.renameWebAuthnCredential(req.session.userId, id, name);
+        
+        await audit(req, 'account.security_key_renamed', {
+            targetType: 'security_key',
+            targetId: id,
+            before: { name: key.name },
+            after: { name }
+        });
+        
+        res.redirect('/dashboard/settings?success=' + encodeURIComponent('Security key renamed'));
     } catch (error) {
-        console.error('Bonus settings error:', error);
-        res.redirect('/dashboard/admin');
+        console.error('Security key rename error:', error);
+        res.redirect('/dashboard/settings?error=' + encodeURIComponent('Failed to rename security key'));
     }
 });
 
-// Admin: Create gift card
-router.post('/admin/gift-cards/create', requireAdmin, async (req, res) => {
+// Remove a security key. The last second factor can't be removed.
+router.post('/settings/security-keys/:id/delete', require2FA, async (req, res) => {
     const db = req.app.locals.db;
-    const { code, credits, max_uses, per_user_limit } = req.body;
     
     try {
-        await db.createGiftCard(
-            code.toUpperCase(),
-            parseFloat(credits),
-            parseInt(max_uses),
-            parseInt(per_user_limit)
-        );
-        res.redirect('/dashboard/admin');
-    } catch (error) {
-        console.error('Create gift card error:', error);
+        const user = await db.getUserById(req.session.userId);
+        
+        if (!user.twofa_enabled && await db.countWebAuthnCredentials(user.id) <= 1) {
+            return res.redirect('/dashboard/settings?error=' + encodeURIComponent('Set up an authenticator app or add another security key before removing your last one'));
+        }
+        
+        const id = parseInt(req.params.id, 10);
+        const key = (await db.getWebAuthnCredentials(user.id)).find(k => k.id === id);
+        if (!key) {
+            return res.redirect('/dashboard/settings?error=' + encodeURIComponent('Security key not found'));
+        }
+        
+        await db.deleteWebAuthnCredential(user.id, id);
+        await req.app.locals.sessions.revokeOthers(user.id, req.sessionID);
+        
+        await audit(req, 'account.security_key_removed', {
+            targetType: 'security_key',
+            targetId: id,
+            before: { name: key.name }
+        });
+        
+        res.redirect('/dashboard/settings?success=' + encodeURIComponent('Security key removed'));
+    } catch (error) {
+        console.error('Security key delete error:', error);
+        res.redirect('/dashboard/settings?error=' + encodeURIComponent('Failed to remove security key'));
+    }
+});
+
+// Unlink an OAuth provider. The account keeps its password, which can be
+// reset by email if it was created through the provider.
+router.post('/settings/oauth/:provider/unlink', require2FA, async (req, res) => {
+    const db = req.app.locals.db;
+    const provider = req.app.locals.oauth.get(req.params.provider);
+    const name = provider ? provider.name : req.params.provider;
+    
+    try {
+        const result = await db.unlinkOAuthIdentity(req.session.userId, req.params.provider);
+        if (result.changes === 0) {
+            return res.redirect('/dashboard/settings?error=' + encodeURIComponent(`No ${name} account is linked`));
+        }
+        
+        await audit(req, 'account.oauth_unlinked', {
+            targetType: 'user',
+            targetId: req.session.userId,
+            before: { provider: req.params.provider },
+            details: name
+        });
+        
+        res.redirect('/dashboard/settings?success=' + encodeURIComponent(`${name} account unlinked`));
+    } catch (error) {
+        console.error('OAuth unlink error:', error);
+        res.redirect('/dashboard/settings?error=' + encodeURIComponent('Failed to unlink account'));
+    }
+});
+
+// Log out one signed-in session
+router.post('/settings/sessions/:id/revoke', require2FA, async (req, res) => {
+    try {
+        const id = parseInt(req.params.id, 10);
+        const revoked = await req.app.locals.sessions.revoke(req.session.userId, id);
+        if (!revoked) {
+            return res.redirect('/dashboard/settings?error=' + encodeURIComponent('Session not found'));
+        }
+        
+        await audit(req, 'account.session_revoked', { targetType: 'session', targetId: id });
+        
+        res.redirect('/dashboard/settings?success=' + encodeURIComponent('Session logged out'));
+    } catch (error) {
+        console.error('Session revoke error:', error);
+        res.redirect('/dashboard/settings?error=' + encodeURIComponent('Failed to log out session'));
+    }
+});
+
+// Log out every session except this one
+router.post('/settings/sessions/revoke-others', require2FA, async (req, res) => {
+    try {
+        const revoked = await req.app.locals.sessions.revokeOthers(req.session.userId, req.sessionID);
+        await audit(req, 'account.session_revoked', { details: `Logged out ${revoked} other sessions` });
+        res.redirect('/dashboard/settings?success=' + encodeURIComponent(`Logged out ${revoked} other session${revoked === 1 ? '' : 's'}`));
+    } catch (error) {
+        console.error('Session revoke error:', error);
+        res.redirect('/dashboard/settings?error=' + encodeURIComponent('Failed to log out sessions'));
+    }
+});
+
+// ==================== API KEY ROUTES ====================
+
+// Create a personal API key. The key is only ever shown on this response.
+router.post('/settings/api-keys', require2FA, async (req, res) => {
+    const db = req.app.locals.db;
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    const scopes = parseScopes(req.body.scopes);
+    
+    try {
+        const user = await db.getUserById(req.session.userId);
+        
+        if (!name || name.length > MAX_API_KEY_NAME_LENGTH) {
+            return renderSettings(req, res, user, { error: `Key name must be 1-${MAX_API_KEY_NAME_LENGTH} characters` });
+        }
+        if (scopes.length === 0) {
+            return renderSettings(req, res, user, { error: 'Select at least one scope' });
+        }
+        if ((await db.getApiKeys(user.id)).length >= MAX_API_KEYS) {
+            return renderSettings(req, res, user, { error: `You can have at most ${MAX_API_KEYS} API keys` });
+        }
+        
+        const { id, key } = await createApiKey(db, user.id, name, scopes);
+        await audit(req, 'account.api_key_created', {
+            targetType: 'api_key',
+            targetId: id,
+            after: { name, scopes }
+        });
+        
+        await renderSettings(req, res, user, {
+            success: 'API key created. Copy it now, it won\'t be shown again.',
+            newApiKey: key
+        });
+    } catch (error) {
+        console.error('API key create error:', error);
+        res.redirect('/dashboard/settings?error=' + encodeURIComponent('Failed to create API key'));
+    }
+});
+
+// Revoke an API key
+router.post('/settings/api-keys/:id/revoke', require2FA, async (req, res) => {
+    const db = req.app.locals.db;
+    
+    try {
+        const apiKey = (await db.getApiKeys(req.session.userId)).find(key => key.id === parseInt(req.params.id));
+        if (!apiKey) {
+            return res.redirect('/dashboard/settings?error=' + encodeURIComponent('API key not found'));
+        }
+        
+        await db.deleteApiKey(req.session.userId, apiKey.id);
+        await audit(req, 'account.api_key_revoked', {
+            targetType: 'api_key',
+            targetId: apiKey.id,
+            before: { name: apiKey.name, scopes: splitScopes(apiKey.scopes) }
+        });
+        res.redirect('/dashboard/settings?success=' + encodeURIComponent('API key revoked'));
+    } catch (error) {
+        console.error('API key revoke error:', error);
+        res.redirect('/dashboard/settings?error=' + encodeURIComponent('Failed to revoke API key'));
+    }
+});
+
+// Admin panel
+router.get('/admin', requireAdmin, async (req, res) => {
+    const db = req.app.locals.db;
+    const pterodactyl = req.app.locals.pterodactyl;
+    
+    try {
+        const user = await db.getUserById(req.session.userId);
+        
+        if (!user) {
+            return res.redirect('/login');
+        }
+        
+        const allUsers = await db.getAllUsers();
+        
+        // Get total servers count (only count from users with pterodactyl_id)
+        let totalServers = 0;
+        const usersWithServers = allUsers.filter(u => u.pterodactyl_id);
+        
+        // Limit concurrent API calls to prevent rate limiting
+        const chunkSize = 3;
+        for (let i = 0; i < usersWithServers.length; i += chunkSize) {
+            const chunk = usersWithServers.slice(i, i + chunkSize);
+            const results = await Promise.allSettled(
+                chunk.map(u => pterodactyl ? pterodactyl.getUserServers(u.pterodactyl_id) : null)
+            );
+            
+            results.forEach(result => {
+                if (result.status === 'fulfilled' && result.value?.success) {
+                    totalServers += result.value.servers.length;
+                }
+            });
+            
+            // Small delay between chunks to avoid rate limiting
+            if (i + chunkSize < usersWithServers.length) {
+                await new Promise(resolve => setTimeout(resolve, 100));
+            }
+        }
+        
+        // Get gift cards
+        const giftCards = await db.getAllGiftCards();
+        
+        // Get all server plans
+        const plans = await db.getAllPlans();
+        
+        // Get bonus settings
+        const bonusEnabled = await db.getSetting('bonus_enabled');
+        const bonusAmount = await db.getSetting('bonus_amount');
+        
+        const refundPolicy = await getRefundPolicy(db);
+        
+        const recentAudit = await db.getAuditLog({}, 10);
+        
+        const lockedUsers = await db.getLockedUsers();
+        
+        const servers = await db.getAllUserServers();
+        
+        res.render('admin', {
+            title: 'Admin Panel',
+            brandName: req.app.locals.config.branding.name,
+            user: {
+                id: user.id,
+                email: user.email || 'admin',
+                role: user.role || 'admin',
+                credits: user.credits || 0
+            },
+            panelUrl: req.app.locals.config.pterodactyl.url,
+            stats: {
+                totalUsers: allUsers.length,
+                totalServers: totalServers
+            },
+            users: allUsers,
+            giftCards: giftCards,
+            plans: plans,
+            servers: servers,
+            bonusSettings: {
+                enabled: bonusEnabled === 'true',
+                amount: parseFloat(bonusAmount || 0)
+            },
+            refundPolicy: refundPolicy,
+            recentAudit: recentAudit,
+            lockedUsers: lockedUsers,
+            success: req.query.success || null,
+            error: req.query.error || null,
+            csrfToken: req.csrfToken(),
+            activePage: 'admin'
+        });
+    } catch (error) {
+        console.error('Admin panel error:', error);
+        res.redirect('/dashboard');
+    }
+});
+
+// Admin: Update bonus settings
+router.post('/admin/settings/bonus', requireAdmin, async (req, res) => {
+    const db = req.app.locals.db;
+    const { enabled, amount } = req.body;
+    
+    try {
+        const before = {
+            enabled: await db.getSetting('bonus_enabled'),
+            amount: await db.getSetting('bonus_amount')
+        };
+        const after = {
+            enabled: enabled === 'on' ? 'true' : 'false',
+            amount: amount || '0'
+        };
+        
+        await db.setSetting('bonus_enabled', after.enabled);
+        await db.setSetting('bonus_amount', after.amount);
+        
+        await audit(req, 'settings.bonus', { targetType: 'settings', before, after });
+        res.redirect('/dashboard/admin');
+    } catch (error) {
+        console.error('Bonus settings error:', error);
+        res.redirect('/dashboard/admin');
+    }
+});
+
+// Admin: Update refund policy
+router.post('/admin/settings/refunds', requireAdmin, async (req, res) => {
+    const db = req.app.locals.db;
+    const { policy, window_hours } = req.body;
+    
+    try {
+        const before = await getRefundPolicy(db);
+        const mode = REFUND_POLICIES.includes(policy) ? policy : 'none';
+        const windowHours = Math.max(parseFloat(window_hours) || 0, 0);
+        await db.setSetting('refund_policy', mode);
+        await db.setSetting('refund_window_hours', String(windowHours));
+        
+        await audit(req, 'settings.refunds', { targetType: 'settings', before, after: { mode, windowHours } });
+        res.redirect('/dashboard/admin');
+    } catch (error) {
+        console.error('Refund settings error:', error);
+        res.redirect('/dashboard/admin');
+    }
+});
+
+// Admin: Create gift card
+router.post('/admin/gift-cards/create', requireAdmin, async (req, res) => {
+    const db = req.app.locals.db;
+    const { code, credits, max_uses, per_user_limit } = req.body;
+    
+    try {
+        const giftCard = await db.createGiftCard(
+            code.toUpperCase(),
+            parseFloat(credits),
+            parseInt(max_uses),
+            parseInt(per_user_limit)
+        );
+        
+        await audit(req, 'gift_card.create', {
+            targetType: 'gift_card',
+            targetId: giftCard.id,
+            after: {
+                code: code.toUpperCase(),
+                credits: parseFloat(credits),
+                maxUses: parseInt(max_uses),
+                perUserLimit: parseInt(per_user_limit)
+            }
+        });
+        res.redirect('/dashboard/admin');
+    } catch (error) {
+        console.error('Create gift card error:', error);
+        res.redirect('/dashboard/admin');
+    }
+});
+
+// Admin: Toggle gift card
+router.post('/admin/gift-cards/:id/toggle', requireAdmin, async (req, res) => {
+    const db = req.app.locals.db;
+    const { id } = req.params;
+    const { enabled } = req.body;
+    
+    try {
+        await db.updateGiftCard(id, { enabled: enabled ? 1 : 0 });
+        await audit(req, 'gift_card.toggle', {
+            targetType: 'gift_card',
+            targetId: id,
+            after: { enabled: !!enabled }
+        });
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Toggle gift card error:', error);
+        res.status(500).json({ error: 'Failed to toggle gift card' });
+    }
+});
+
+// Admin: Delete gift card
+router.post('/admin/gift-cards/:id/delete', requireAdmin, async (req, res) => {
+    const db = req.app.locals.db;
+    const { id } = req.params;
+
+    try {
+        await db.deleteGiftCard(id);
+        await audit(req, 'gift_card.delete', { targetType: 'gift_card', targetId: id });
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete gift card error:', error);
+        res.status(500).json({ error: 'Failed to delete gift card' });
+    }
+});
+
+// ==================== USER MANAGEMENT ROUTES ====================
+
+const USER_ROLES = ['user', 'admin'];
+const USER_STATUSES = ['active', 'suspended', 'banned'];
+
+function redirectAdmin(res, type, message, tab = null) {
+    res.redirect(`/dashboard/admin?${type}=` + encodeURIComponent(message) + (tab ? `&tab=${tab}` : ''));
+}
+
+// Suspends or unsuspends every panel server of a user. Servers suspended by
+// billing stay suspended when the account is restored.
+async function setAccountServersSuspended(db, pterodactyl, user, suspended) {
+    if (!user.pterodactyl_id) return [];
+    
+    pterodactyl.clearUserServersCache(user.pterodactyl_id);
+    const serversResult = await pterodactyl.getUserServers(user.pterodactyl_id);
+    if (!serversResult.success) {
+        return [serversResult.error || 'Failed to fetch panel servers'];
+    }
+    
+    const billingSuspended = new Set((await db.getUserServers(user.id))
+        .filter(server => server.status === 'suspended')
+        .map(server => server.server_identifier));
+    
+    const errors = [];
+    for (const server of serversResult.servers) {
+        if (!suspended && billingSuspended.has(server.identifier)) continue;
+        
+        const result = suspended
+            ? await pterodactyl.suspendServer(server.id)
+            : await pterodactyl.unsuspendServer(server.id);
+        if (!result.success) {
+            errors.push(`${server.identifier}: ${result.error}`);
+        }
+    }
+    return errors;
+}
+
+// Admin: Set a user's credit balance
+router.post('/admin/users/:id/credits', requireAdmin, async (req, res) => {
+    const db = req.app.locals.db;
+    const billing = req.app.locals.billing;
+    const credits = parseFloat(req.body.credits);
+    const reason = (req.body.reason || '').trim();
+    
+    try {
+        const target = await db.getUserById(req.params.id);
+        if (!target) {
+            return redirectAdmin(res, 'error', 'User not found');
+        }
+        if (isNaN(credits) || credits < 0) {
+            return redirectAdmin(res, 'error', 'Credits must be a positive number');
+        }
+        if (!reason) {
+            return redirectAdmin(res, 'error', 'A reason is required to change credits');
+        }
+        
+        const balance = Math.round(credits * 100) / 100;
+        await db.setUserCredits(target.id, balance, {
+            reason: 'adjustment',
+            description: reason,
+            actorId: req.session.userId
+        });
+        await audit(req, 'user.credits', {
+            targetType: 'user',
+            targetId: target.id,
+            before: { credits: target.credits || 0 },
+            after: { credits: balance },
+            details: `${target.email}: ${reason}`
+        });
+        
+        if (balance > (target.credits || 0)) {
+            await billing.settleUser(target.id);
+        }
+        
+        redirectAdmin(res, 'success', `Credits for ${target.email} set to $${balance.toFixed(2)}`);
+    } catch (error) {
+        console.error('Update credits error:', error);
+        redirectAdmin(res, 'error', 'Failed to update credits');
+    }
+});
+
+// Admin: Change a user's role
+router.post('/admin/users/:id/role', requireAdmin, async (req, res) => {
+    const db = req.app.locals.db;
+    const { role } = req.body;
+    
+    try {
+        const target = await db.getUserById(req.params.id);
+        if (!target) {
+            return redirectAdmin(res, 'error', 'User not found');
+        }
+        if (target.id === req.session.userId) {
+            return redirectAdmin(res, 'error', 'You cannot change your own role');
+        }
+        if (!USER_ROLES.includes(role)) {
+            return redirectAdmin(res, 'error', 'Invalid role');
+        }
+        
+        await db.updateUserRole(target.id, role);
+        // Sessions carry the role they signed in with
+        if (role !== target.role) {
+            await req.app.locals.sessions.revokeAll(target.id);
+        }
+        await audit(req, 'user.role', {
+            targetType: 'user',
+            targetId: target.id,
+            before: { role: target.role },
+            after: { role },
+            details: target.email
+        });
+        
+        redirectAdmin(res, 'success', `${target.email} is now ${role === 'admin' ? 'an admin' : 'a user'}`);
+    } catch (error) {
+        console.error('Update role error:', error);
+        redirectAdmin(res, 'error', 'Failed to update role');
+    }
+});
+
+// Admin: Suspend, ban or reactivate a user. Suspended and banned users
+// cannot log in and their panel servers are suspended.
+router.post('/admin/users/:id/status', requireAdmin, async (req, res) => {
+    const db = req.app.locals.db;
+    const pterodactyl = req.app.locals.pterodactyl;
+    const { status } = req.body;
+    const reason = (req.body.reason || '').trim();
+    
+    try {
+        const target = await db.getUserById(req.params.id);
+        if (!target) {
+            return redirectAdmin(res, 'error', 'User not found');
+        }
+        if (target.id === req.session.userId) {
+            return redirectAdmin(res, 'error', 'You cannot change your own account status');
+        }
+        if (!USER_STATUSES.includes(status)) {
+            return redirectAdmin(res, 'error', 'Invalid status');
+        }
+        
+        const wasActive = (target.status || 'active') === 'active';
+        const nowActive = status === 'active';
+        let errors = [];
+        
+        if (wasActive && !nowActive) {
+            errors = await setAccountServersSuspended(db, pterodactyl, target, true);
+            await db.suspendAccountServers(target.id);
+        } else if (!wasActive && nowActive) {
+            errors = await setAccountServersSuspended(db, pterodactyl, target, false);
+            await db.restoreAccountServers(target.id);
+        }
+        
+        await db.updateUserStatus(target.id, status, reason || null);
+        if (!nowActive) {
+            await req.app.locals.sessions.revokeAll(target.id);
+        }
+        if (target.pterodactyl_id) {
+            pterodactyl.clearUserServersCache(target.pterodactyl_id);
+        }
+        await audit(req, 'user.status', {
+            targetType: 'user',
+            targetId: target.id,
+            before: { status: target.status || 'active', reason: target.status_reason },
+            after: { status, reason: reason || null },
+            details: target.email
+        });
+        
+        if (errors.length > 0) {
+            console.error(`Panel errors while changing status of ${target.email}:`, errors);
+            return redirectAdmin(res, 'error', `${target.email} is now ${status}, but some panel servers could not be updated`);
+        }
+        redirectAdmin(res, 'success', `${target.email} is now ${status}`);
+    } catch (error) {
+        console.error('Update status error:', error);
+        redirectAdmin(res, 'error', 'Failed to update account status');
+    }
+});
+
+// Admin: Clear a user's failed sign-in attempts and lift any lockout
+router.post('/admin/users/:id/unlock', requireAdmin, async (req, res) => {
+    const db = req.app.locals.db;
+    
+    try {
+        const target = await db.getUserById(req.params.id);
+        if (!target) {
+            return redirectAdmin(res, 'error', 'User not found');
+        }
+        
+        await db.clearFailedLogins(target.id);
+        await audit(req, 'user.unlock', {
+            targetType: 'user',
+            targetId: target.id,
+            before: { failedAttempts: target.failed_login_attempts || 0, lockedUntil: target.locked_until },
+            after: { failedAttempts: 0, lockedUntil: null },
+            details: target.email
+        });
+        
+        redirectAdmin(res, 'success', `${target.email} has been unlocked`);
+    } catch (error) {
+        console.error('Unlock user error:', error);
+        redirectAdmin(res, 'error', 'Failed to unlock user');
+    }
+});
+
+// Admin: Remove a user's second factors and log them out everywhere. They
+// set up 2FA again at their next login.
+router.post('/admin/users/:id/reset-2fa', requireAdmin, async (req, res) => {
+    const db = req.app.locals.db;
+    
+    try {
+        const target = await db.getUserById(req.params.id);
+        if (!target) {
+            return redirectAdmin(res, 'error', 'User not found');
+        }
+        if (target.id === req.session.userId) {
+            return redirectAdmin(res, 'error', 'You cannot reset your own 2FA');
+        }
+        
+        await db.resetUser2FA(target.id);
+        await req.app.locals.sessions.revokeAll(target.id);
+        await audit(req, 'user.reset_2fa', {
+            targetType: 'user',
+            targetId: target.id,
+            before: { totpEnabled: !!target.twofa_enabled },
+            details: target.email
+        });
+        
+        redirectAdmin(res, 'success', `2FA reset for ${target.email}`);
+    } catch (error) {
+        console.error('Reset 2FA error:', error);
+        redirectAdmin(res, 'error', 'Failed to reset 2FA');
+    }
+});
+
+// Admin: Delete a user, their servers and their Pterodactyl account
+router.post('/admin/users/:id/delete', requireAdmin, async (req, res) => {
+    const db = req.app.locals.db;
+    const pterodactyl = req.app.locals.pterodactyl;
+    
+    try {
+        const target = await db.getUserById(req.params.id);
+        if (!target) {
+            return redirectAdmin(res, 'error', 'User not found');
+        }
+        if (target.id === req.session.userId) {
+            return redirectAdmin(res, 'error', 'You cannot delete your own account');
+        }
+        if ((req.body.confirm_email || '').trim().toLowerCase() !== target.email.toLowerCase()) {
+            return redirectAdmin(res, 'error', 'Type the user\'s email address to confirm deletion');
+        }
+        
+        // The panel won't delete a user that still owns servers
+        if (target.pterodactyl_id) {
+            pterodactyl.clearUserServersCache(target.pterodactyl_id);
+            const serversResult = await pterodactyl.getUserServers(target.pterodactyl_id);
+            if (!serversResult.success) {
+                return redirectAdmin(res, 'error', `Could not load panel servers: ${serversResult.error}`);
+            }
+            
+            for (const server of serversResult.servers) {
+                const result = await pterodactyl.deleteServer(server.id);
+                if (!result.success) {
+                    return redirectAdmin(res, 'error', `Could not delete panel server ${server.identifier}: ${result.error}`);
+                }
+            }
+            
+            const userResult = await pterodactyl.deleteUser(target.pterodactyl_id);
+            if (!userResult.success && !userResult.notFound) {
+                return redirectAdmin(res, 'error', `Could not delete Pterodactyl user: ${userResult.error}`);
+            }
+            pterodactyl.clearUserServersCache(target.pterodactyl_id);
+        }
+        
+        await req.app.locals.sessions.revokeAll(target.id);
+        const result = await db.deleteUserCascade(target.id);
+        await audit(req, 'user.delete', {
+            targetType: 'user',
+            targetId: target.id,
+            before: { email: target.email, role: target.role, credits: target.credits || 0, servers: result.servers },
+            details: target.email
+        });
+        
+        redirectAdmin(res, 'success', `${target.email} was deleted`);
+    } catch (error) {
+        console.error('Delete user error:', error);
+        redirectAdmin(res, 'error', 'Failed to delete user');
+    }
+});
+
+// ==================== SERVER MANAGEMENT ROUTES ====================
+
+// Admin: Live panel state of every provisioned server
+router.get('/admin/api/servers/state', requireAdmin, async (req, res) => {
+    const db = req.app.locals.db;
+    const pterodactyl = req.app.locals.pterodactyl;
+    const statsHub = req.app.locals.statsHub;
+    
+    try {
+        const panelResult = await pterodactyl.getAllServers();
+        if (!panelResult.success) {
+            return res.status(502).json({ success: false, error: panelResult.error || 'Failed to reach the panel' });
+        }
+        
+        const panelServers = new Map(panelResult.servers.map(server => [server.id, server]));
+        const servers = await db.getAllUserServers();
+        
+        const states = await Promise.all(servers.map(async server => {
+            const panelServer = panelServers.get(server.pterodactyl_server_id);
+            if (!panelServer) {
+                return [server.id, { exists: false }];
+            }
+            
+            const stats = panelServer.suspended ? null : await statsHub.get(server.server_identifier);
+            return [server.id, {
+                exists: true,
+                suspended: !!panelServer.suspended,
+                state: stats ? stats.state : null
+            }];
+        }));
+        
+        res.json({ success: true, servers: Object.fromEntries(states) });
+    } catch (error) {
+        console.error('Admin server state error:', error);
+        res.status(500).json({ success: false, error: 'Failed to load server state' });
+    }
+});
+
+// Admin: Suspend a server. Admin suspensions have no suspended_at, so the
+// billing engine leaves them alone.
+router.post('/admin/servers/:id/suspend', requireAdmin, async (req, res) => {
+    const db = req.app.locals.db;
+    const pterodactyl = req.app.locals.pterodactyl;
+    
+    try {
+        const server = await db.getUserServerById(req.params.id);
+        if (!server) {
+            return redirectAdmin(res, 'error', 'Server not found', 'servers');
+        }
+        if (server.status !== 'active') {
+            return redirectAdmin(res, 'error', `${server.server_name} is not active`, 'servers');
+        }
+        
+        const result = await pterodactyl.suspendServer(server.pterodactyl_server_id);
+        if (!result.success) {
+            return redirectAdmin(res, 'error', `Failed to suspend server: ${result.error}`, 'servers');
+        }
+        
+        await db.updateServerStatus(server.id, 'suspended');
+        await audit(req, 'server.suspend', {
+            targetType: 'server',
+            targetId: server.id,
+            before: { status: server.status },
+            after: { status: 'suspended' },
+            details: `${server.server_name} (${server.server_identifier})`
+        });
+        
+        redirectAdmin(res, 'success', `${server.server_name} was suspended`, 'servers');
+    } catch (error) {
+        console.error('Suspend server error:', error);
+        redirectAdmin(res, 'error', 'Failed to suspend server', 'servers');
+    }
+});
+
+// Admin: Unsuspend a server, including one suspended for non-payment
+router.post('/admin/servers/:id/unsuspend', requireAdmin, async (req, res) => {
+    const db = req.app.locals.db;
+    const pterodactyl = req.app.locals.pterodactyl;
+    
+    try {
+        const server = await db.getUserServerById(req.params.id);
+        if (!server) {
+            return redirectAdmin(res, 'error', 'Server not found', 'servers');
+        }
+        if (server.status !== 'suspended') {
+            return redirectAdmin(res, 'error', `${server.server_name} is not suspended`, 'servers');
+        }
+        
+        const result = await pterodactyl.unsuspendServer(server.pterodactyl_server_id);
+        if (!result.success) {
+            return redirectAdmin(res, 'error', `Failed to unsuspend server: ${result.error}`, 'servers');
+        }
+        
+        await db.updateServerStatus(server.id, 'active');
+        await audit(req, 'server.unsuspend', {
+            targetType: 'server',
+            targetId: server.id,
+            before: { status: server.status },
+            after: { status: 'active' },
+            details: `${server.server_name} (${server.server_identifier})`
+        });
+        
+        redirectAdmin(res, 'success', `${server.server_name} was unsuspended`, 'servers');
+    } catch (error) {
+        console.error('Unsuspend server error:', error);
+        redirectAdmin(res, 'error', 'Failed to unsuspend server', 'servers');
+    }
+});
+
+// Admin: Delete a server without a refund
+router.post('/admin/servers/:id/delete', requireAdmin, async (req, res) => {
+    const db = req.app.locals.db;
+    const pterodactyl = req.app.locals.pterodactyl;
+    
+    try {
+        const server = await db.getUserServerById(req.params.id);
+        if (!server) {
+            return redirectAdmin(res, 'error', 'Server not found', 'servers');
+        }
+        if (['provisioning', 'cancelling', 'changing_plan'].includes(server.status)) {
+            return redirectAdmin(res, 'error', `${server.server_name} is busy, try again shortly`, 'servers');
+        }
+        
+        // A server already missing from the panel only needs the local row removed
+        const result = await pterodactyl.deleteServer(server.pterodactyl_server_id);
+        if (!result.success && !result.notFound) {
+            return redirectAdmin(res, 'error', `Failed to delete server: ${result.error}`, 'servers');
+        }
+        
+        await db.decrementPlanStock(server.plan_id);
+        await db.deleteUserServer(server.id, 'admin');
+        
+        const owner = await db.getUserById(server.user_id);
+        if (owner && owner.pterodactyl_id) {
+            pterodactyl.clearUserServersCache(owner.pterodactyl_id);
+        }
+        await audit(req, 'server.delete', {
+            targetType: 'server',
+            targetId: server.id,
+            before: { name: server.server_name, identifier: server.server_identifier, planId: server.plan_id, owner: owner ? owner.email : `user #${server.user_id}` },
+            details: `${server.server_name} (${server.server_identifier})`
+        });
+        
+        redirectAdmin(res, 'success', `${server.server_name} was deleted`, 'servers');
+    } catch (error) {
+        console.error('Admin delete server error:', error);
+        redirectAdmin(res, 'error', 'Failed to delete server', 'servers');
+    }
+});
+
+// Admin: Move a server to another user, on the panel and locally
+router.post('/admin/servers/:id/transfer', requireAdmin, async (req, res) => {
+    const db = req.app.locals.db;
+    const pterodactyl = req.app.locals.pterodactyl;
+    
+    try {
+        const server = await db.getUserServerById(req.params.id);
+        if (!server) {
+            return redirectAdmin(res, 'error', 'Server not found', 'servers');
+        }
+        if (!['active', 'suspended'].includes(server.status)) {
+            return redirectAdmin(res, 'error', `${server.server_name} cannot be transferred right now`, 'servers');
+        }
+        
+        const target = await db.getUserById(req.body.user_id);
+        if (!target || !target.pterodactyl_id) {
+            return redirectAdmin(res, 'error', 'Choose a user with a Pterodactyl account', 'servers');
+        }
+        if (target.id === server.user_id) {
+            return redirectAdmin(res, 'error', 'The server already belongs to that user', 'servers');
+        }
+        
+        // The details endpoint replaces name, owner and external id together
+        const panelServer = await pterodactyl.getServer(server.pterodactyl_server_id);
+        if (!panelServer.success) {
+            return redirectAdmin(res, 'error', `Failed to load server from panel: ${panelServer.error}`, 'servers');
+        }
+        
+        const result = await pterodactyl.updateServerDetails(server.pterodactyl_server_id, {
+            name: panelServer.data.name,
+            user: target.pterodactyl_id,
+            external_id: panelServer.data.external_id || null,
+            description: panelServer.data.description || ''
+        });
+        if (!result.success) {
+            return redirectAdmin(res, 'error', `Failed to transfer server: ${result.error}`, 'servers');
+        }
+        
+        await db.transferUserServer(server.id, target.id);
+        
+        const owner = await db.getUserById(server.user_id);
+        if (owner && owner.pterodactyl_id) {
+            pterodactyl.clearUserServersCache(owner.pterodactyl_id);
+        }
+        pterodactyl.clearUserServersCache(target.pterodactyl_id);
+        await audit(req, 'server.transfer', {
+            targetType: 'server',
+            targetId: server.id,
+            before: { owner: owner ? owner.email : `user #${server.user_id}` },
+            after: { owner: target.email },
+            details: `${server.server_name} (${server.server_identifier})`
+        });
+        
+        redirectAdmin(res, 'success', `${server.server_name} now belongs to ${target.email}`, 'servers');
+    } catch (error) {
+        console.error('Transfer server error:', error);
+        redirectAdmin(res, 'error', 'Failed to transfer server', 'servers');
+    }
+});
+
+// Admin: Push a server's next billing date back by a number of days
+router.post('/admin/servers/:id/extend', requireAdmin, async (req, res) => {
+    const db = req.app.locals.db;
+    const days = parseInt(req.body.days, 10);
+    
+    try {
+        const server = await db.getUserServerById(req.params.id);
+        if (!server) {
+            return redirectAdmin(res, 'error', 'Server not found', 'servers');
+        }
+        if (!server.next_billing_date) {
+            return redirectAdmin(res, 'error', `${server.server_name} has no expiry to extend`, 'servers');
+        }
+        if (isNaN(days) || days < 1 || days > 3650) {
+            return redirectAdmin(res, 'error', 'Days must be between 1 and 3650', 'servers');
+        }
+        
+        // Extend from now if the date has already passed
+        const current = BillingEngine.parseDate(server.next_billing_date) || new Date();
+        const from = Math.max(current.getTime(), Date.now());
+        const extended = new Date(from + days * 24 * 60 * 60 * 1000);
+        
+        await db.updateServerBilling(server.id, { next_billing_date: extended.toISOString() });
+        await audit(req, 'server.extend', {
+            targetType: 'server',
+            targetId: server.id,
+            before: { nextBillingDate: server.next_billing_date },
+            after: { nextBillingDate: extended.toISOString() },
+            details: `${server.server_name} (${server.server_identifier}): +${days} days`
+        });
+        
+        redirectAdmin(res, 'success', `${server.server_name} now renews on ${extended.toLocaleDateString()}`, 'servers');
+    } catch (error) {
+        console.error('Extend server error:', error);
+        redirectAdmin(res, 'error', 'Failed to extend server', 'servers');
+    }
+});
+
+// ==================== RECONCILIATION ROUTES ====================
+
+const RECONCILIATION_ISSUES = {
+    orphan_panel_server: 'Panel server with no Cosmica record',
+    missing_panel_server: 'Cosmica record with no panel server',
+    stock_mismatch: 'Wrong plan stock count'
+};
+
+function redirectReconciliation(res, type, message) {
+    res.redirect(`/dashboard/admin/reconciliation?${type}=` + encodeURIComponent(message));
+}
+
+// Admin: Latest reconciliation report
+router.get('/admin/reconciliation', requireAdmin, async (req, res) => {
+    const db = req.app.locals.db;
+    const reconciler = req.app.locals.reconciler;
+    
+    try {
+        const user = await db.getUserById(req.session.userId);
+        
+        res.render('reconciliation', {
+            title: 'Reconciliation',
+            brandName: req.app.locals.config.branding.name,
+            user: {
+                id: user.id,
+                email: user.email,
+                role: user.role,
+                credits: user.credits || 0
+            },
+            report: reconciler.lastReport,
+            running: reconciler.running,
+            ignoredCount: (await reconciler.getIgnoredServerIds()).length,
+            issueLabels: RECONCILIATION_ISSUES,
+            success: req.query.success || null,
+            error: req.query.error || null,
+            panelUrl: req.app.locals.config.pterodactyl.url,
+            csrfToken: req.csrfToken(),
+            activePage: 'admin'
+        });
+    } catch (error) {
+        console.error('Reconciliation page error:', error);
+        res.redirect('/dashboard/admin');
+    }
+});
+
+// Admin: Run reconciliation now
+router.post('/admin/reconciliation/run', requireAdmin, async (req, res) => {
+    const reconciler = req.app.locals.reconciler;
+    
+    try {
+        if (reconciler.running) {
+            return redirectReconciliation(res, 'error', 'A reconciliation run is already in progress');
+        }
+        
+        const report = await reconciler.runOnce();
+        await audit(req, 'reconciliation.run', {
+            details: report.error || `${report.issues.length} discrepancies found`
+        });
+        if (report.error) {
+            return redirectReconciliation(res, 'error', report.error);
+        }
+        redirectReconciliation(res, 'success', report.issues.length === 0
+            ? 'Everything matches the panel'
+            : `Found ${report.issues.length} discrepancies`);
+    } catch (error) {
+        console.error('Reconciliation run error:', error);
+        redirectReconciliation(res, 'error', 'Reconciliation failed');
+    }
+});
+
+// Admin: Fix one reported discrepancy
+router.post('/admin/reconciliation/fix', requireAdmin, async (req, res) => {
+    const db = req.app.locals.db;
+    const reconciler = req.app.locals.reconciler;
+    const { type } = req.body;
+    const id = parseInt(req.body.id, 10);
+    
+    try {
+        if (!RECONCILIATION_ISSUES[type] || isNaN(id)) {
+            return redirectReconciliation(res, 'error', 'Invalid discrepancy');
+        }
+        
+        const result = await reconciler.fix(type, id);
+        if (!result.success) {
+            return redirectReconciliation(res, 'error', result.error);
+        }
+        
+        await audit(req, 'reconciliation.fix', { targetType: type, targetId: id, details: result.message });
+        redirectReconciliation(res, 'success', result.message);
+    } catch (error) {
+        console.error('Reconciliation fix error:', error);
+        redirectReconciliation(res, 'error', 'Failed to apply fix');
+    }
+});
+
+// Admin: Stop reporting a panel server Cosmica doesn't manage
+router.post('/admin/reconciliation/ignore', requireAdmin, async (req, res) => {
+    const reconciler = req.app.locals.reconciler;
+    const id = parseInt(req.body.id, 10);
+    
+    try {
+        if (isNaN(id)) {
+            return redirectReconciliation(res, 'error', 'Invalid discrepancy');
+        }
+        
+        const result = await reconciler.ignoreOrphanServer(id);
+        await audit(req, 'reconciliation.ignore', { targetType: 'orphan_panel_server', targetId: id, details: result.message });
+        redirectReconciliation(res, 'success', result.message);
+    } catch (error) {
+        console.error('Reconciliation ignore error:', error);
+        redirectReconciliation(res, 'error', 'Failed to ignore server');
+    }
+});
+
+// Admin: Report every ignored panel server again
+router.post('/admin/reconciliation/unignore', requireAdmin, async (req, res) => {
+    const reconciler = req.app.locals.reconciler;
+    
+    try {
+        const result = await reconciler.clearIgnoredServers();
+        await audit(req, 'reconciliation.unignore', { details: result.message });
+        redirectReconciliation(res, 'success', result.message);
+    } catch (error) {
+        console.error('Reconciliation unignore error:', error);
+        redirectReconciliation(res, 'error', 'Failed to clear ignored servers');
+    }
+});
+
+// Pricing/Features comparison page
+router.get('/pricing', require2FA, async (req, res) => {
+    const db = req.app.locals.db;
+
+    try {
+        const user = await db.getUserById(req.session.userId);
+        if (!user) {
+            return res.redirect('/login');
+        }
+
+        res.render('pricing', {
+            title: 'Feature Comparison',
+            brandName: req.app.locals.config.branding.name,
+            user: {
+                id: user.id,
+                email: user.email || 'user',
+                role: user.role || 'user',
+                credits: user.credits || 0
+            },
+            panelUrl: req.app.locals.config.pterodactyl.url,
+            csrfToken: req.csrfToken(),
+            activePage: 'pricing'
+        });
+    } catch (error) {
+        console.error('Pricing page error:', error);
+        res.redirect('/dashboard');
+    }
+});
+
+function renderRedeem(req, res, user, message = {}) {
+    res.render('redeem', {
+        title: 'Redeem Gift Card',
+        brandName: req.app.locals.config.branding.name,
+        user: { id: user.id, email: user.email || 'user', role: user.role || 'user', credits: user.credits || 0 },
+        panelUrl: req.app.locals.config.pterodactyl.url,
+        csrfToken: req.csrfToken(),
+        // A fresh key per rendered form lets a double submit be recognised
+        idempotencyKey: crypto.randomUUID(),
+        error: message.error,
+        success: message.success,
+        activePage: 'redeem'
+    });
+}
+
+// Redeem gift card page
+router.get('/redeem', require2FA, async (req, res) => {
+    const db = req.app.locals.db;
+    
+    try {
+        const user = await db.getUserById(req.session.userId);
+        if (!user) {
+            return res.redirect('/login');
+        }
+        
+        renderRedeem(req, res, user);
+    } catch (error) {
+        console.error('Redeem page error:', error);
+        res.redirect('/dashboard');
+    }
+});
+
+// Redeem gift card
+router.post('/redeem', require2FA, async (req, res) => {
+    const db = req.app.locals.db;
+    const { code, idempotency_key } = req.body;
+    
+    try {
+        const user = await db.getUserById(req.session.userId);
+        if (!user) {
+            return res.redirect('/login');
+        }
+        
+        if (!code || typeof code !== 'string') {
+            return renderRedeem(req, res, user, { error: 'Invalid gift card code' });
+        }
+        
+        const idempotencyKey = typeof idempotency_key === 'string' && idempotency_key.length <= 64 ? idempotency_key : null;
+        const result = await db.redeemGiftCardCode(user.id, code.trim().toUpperCase(), idempotencyKey);
+        
+        if (!result.success) {
+            return renderRedeem(req, res, user, { error: result.error });
+        }
+        
+        if (!result.duplicate) {
+            await audit(req, 'credits.redeem', {
+                targetType: 'gift_card',
+                targetId: code.trim().toUpperCase(),
+                before: { credits: user.credits },
+                after: { credits: user.credits + result.credits }
+            });
+        }
+        
+        // Renew any servers that were suspended for non-payment
+        const billing = req.app.locals.billing;
+        if (billing && !result.duplicate) {
+            await billing.settleUser(user.id);
+        }
+        
+        // Get updated user
+        const updatedUser = await db.getUserById(user.id);
+        
+        renderRedeem(req, res, updatedUser, {
+            success: `Successfully redeemed $${result.credits.toFixed(2)} in credits!`
+        });
+    } catch (error) {
+        console.error('Redeem error:', error);
+        res.redirect('/dashboard/redeem');
+    }
+});
+
+// ==================== CREDIT STORE ROUTES ====================
+
+const CREDIT_ORDER_PAGE_SIZE = 50;
+const CREDIT_ORDER_STATUSES = ['pending', 'paid', 'refunded', 'disputed'];
+
+function redirectStore(res, type, message) {
+    res.redirect('/dashboard/store?' + type + '=' + encodeURIComponent(message));
+}
+
+// Credit store with the user's recent orders
+router.get('/store', require2FA, async (req, res) => {
+    const db = req.app.locals.db;
+    const payments = req.app.locals.payments;
+    
+    try {
+        const user = await db.getUserById(req.session.userId);
+        if (!user) {
+            return res.redirect('/login');
+        }
+        
+        const orders = await db.getUserCreditOrders(user.id);
+        
+        res.render('store', {
+            title: 'Buy Credits',
+            brandName: req.app.locals.config.branding.name,
+            user: {
+                id: user.id,
+                email: user.email,
+                role: user.role,
+                credits: user.credits || 0
+            },
+            packages: payments.enabled ? payments.packages : [],
+            providers: payments.enabled ? payments.list() : [],
+            currency: payments.currency,
+            orders: orders,
+            success: req.query.success || null,
+            error: req.query.error || null,
+            panelUrl: req.app.locals.config.pterodactyl.url,
+            csrfToken: req.csrfToken(),
+            activePage: 'store'
+        });
+    } catch (error) {
+        console.error('Store page error:', error);
+        res.redirect('/dashboard');
+    }
+});
+
+// Start checkout for a package. The order stays pending until the
+// provider's webhook confirms the payment.
+router.post('/store/checkout', require2FA, async (req, res) => {
+    const db = req.app.locals.db;
+    const payments = req.app.locals.payments;
+    
+    try {
+        const pkg = payments.enabled ? payments.getPackage(req.body.package) : null;
+        const provider = payments.enabled ? payments.get(req.body.provider) : null;
+        if (!pkg || !provider) {
+            return redirectStore(res, 'error', 'Choose a package and a payment method');
+        }
+        
+        const { order, url } = await payments.startCheckout(provider, pkg, req.session.userId);
+        const { id } = await db.createCreditOrder(order);
+        await audit(req, 'credits.checkout', {
+            targetType: 'credit_order',
+            targetId: id,
+            details: `${pkg.name} via ${provider.name} (${order.reference})`
+        });
+        
+        res.redirect(url);
+    } catch (error) {
+        console.error('Store checkout error:', error);
+        redirectStore(res, 'error', 'Could not start checkout. Please try again.');
+    }
+});
+
+// Where the provider sends the buyer after paying. Providers that need it
+// (PayPal) finish the checkout here; credits still wait for the webhook.
+router.get('/store/orders/:reference/return', require2FA, async (req, res) => {
+    const db = req.app.locals.db;
+    const payments = req.app.locals.payments;
+    
+    try {
+        const order = await db.getCreditOrderByReference(req.params.reference);
+        if (!order || order.user_id !== req.session.userId) {
+            return redirectStore(res, 'error', 'Order not found');
+        }
+        
+        const provider = payments.get(order.provider);
+        if (order.status === 'pending' && provider && provider.completeCheckout) {
+            await provider.completeCheckout(order.provider_ref);
+        }
+        
+        redirectStore(res, 'success', order.status === 'pending'
+            ? 'Thanks! Your credits will be added as soon as the payment is confirmed.'
+            : `Order ${order.reference} is ${order.status}`);
+    } catch (error) {
+        console.error('Store return error:', error);
+        redirectStore(res, 'error', 'We could not confirm your payment yet. If you were charged, the credits will be added once the payment provider confirms it.');
+    }
+});
+
+// Admin: Credit store orders
+router.get('/admin/orders', requireAdmin, async (req, res) => {
+    const db = req.app.locals.db;
+    const payments = req.app.locals.payments;
+    
+    try {
+        const user = await db.getUserById(req.session.userId);
+        const filters = {
+            status: CREDIT_ORDER_STATUSES.includes(req.query.status) ? req.query.status : '',
+            provider: typeof req.query.provider === 'string' && /^[a-z0-9_-]{1,50}$/.test(req.query.provider) ? req.query.provider : '',
+            search: typeof req.query.search === 'string' ? req.query.search.trim().slice(0, 255) : ''
+        };
+        const total = await db.countCreditOrders(filters);
+        const totalPages = Math.max(1, Math.ceil(total / CREDIT_ORDER_PAGE_SIZE));
+        const page = Math.min(Math.max(parseInt(req.query.page) || 1, 1), totalPages);
+        const orders = await db.getCreditOrders(filters, CREDIT_ORDER_PAGE_SIZE, (page - 1) * CREDIT_ORDER_PAGE_SIZE);
+        
+        res.render('orders', {
+            title: 'Credit Orders',
+            brandName: req.app.locals.config.branding.name,
+            user: {
+                id: user.id,
+                email: user.email,
+                role: user.role,
+                credits: user.credits || 0
+            },
+            orders: orders,
+            providers: payments.list(),
+            statuses: CREDIT_ORDER_STATUSES,
+            filters: filters,
+            filterQuery: new URLSearchParams(Object.entries(filters).filter(([, value]) => value)).toString(),
+            page: page,
+            totalPages: totalPages,
+            total: total,
+            panelUrl: req.app.locals.config.pterodactyl.url,
+            csrfToken: req.csrfToken(),
+            activePage: 'admin'
+        });
+    } catch (error) {
+        console.error('Credit orders page error:', error);
         res.redirect('/dashboard/admin');
     }
 });
 
-// Admin: Toggle gift card
-router.post('/admin/gift-cards/:id/toggle', requireAdmin, async (req, res) => {
+// ==================== BILLING HISTORY ROUTES ====================
+
+const LEDGER_PAGE_SIZE = 25;
+
+function sendLedgerCsv(res, rows, filename) {
+    const header = ['Date', 'Reason', 'Description', 'Amount', 'Balance', 'Related', 'Actor'];
+    const lines = rows.map(tx => [
+        tx.created_at,
+        CREDIT_REASONS[tx.reason] || tx.reason,
+        tx.description,
+        tx.amount.toFixed(2),
+        tx.balance_after.toFixed(2),
+        tx.related_type ? `${tx.related_type}#${tx.related_id}` : '',
+        tx.actor_email || 'system'
+    ]);
+    
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(toCsv(header, lines));
+}
+
+async function renderLedger(req, res, ledgerUser, baseUrl, activePage) {
+    const db = req.app.locals.db;
+    const user = await db.getUserById(req.session.userId);
+    const filters = parseLedgerFilters(req.query);
+    const total = await db.countCreditTransactions(ledgerUser.id, filters);
+    const totalPages = Math.max(1, Math.ceil(total / LEDGER_PAGE_SIZE));
+    const page = Math.min(Math.max(parseInt(req.query.page) || 1, 1), totalPages);
+    const transactions = await db.getCreditTransactions(ledgerUser.id, filters, LEDGER_PAGE_SIZE, (page - 1) * LEDGER_PAGE_SIZE);
+    
+    const query = new URLSearchParams(Object.entries(filters).filter(([, value]) => value)).toString();
+    
+    res.render('billing', {
+        title: 'Billing History',
+        brandName: req.app.locals.config.branding.name,
+        user: {
+            id: user.id,
+            email: user.email,
+            role: user.role,
+            credits: user.credits || 0
+        },
+        ledgerUser: ledgerUser,
+        isAdminView: ledgerUser.id !== user.id,
+        transactions: transactions,
+        reasons: CREDIT_REASONS,
+        filters: filters,
+        filterQuery: query,
+        page: page,
+        totalPages: totalPages,
+        total: total,
+        baseUrl: baseUrl,
+        panelUrl: req.app.locals.config.pterodactyl.url,
+        csrfToken: req.csrfToken(),
+        activePage: activePage
+    });
+}
+
+// Billing history page
+router.get('/billing', require2FA, async (req, res) => {
+    const db = req.app.locals.db;
+    
+    try {
+        const user = await db.getUserById(req.session.userId);
+        if (!user) {
+            return res.redirect('/login');
+        }
+        
+        await renderLedger(req, res, user, '/dashboard/billing', 'billing');
+    } catch (error) {
+        console.error('Billing history error:', error);
+        res.redirect('/dashboard');
+    }
+});
+
+// Billing history CSV export
+router.get('/billing/export', require2FA, async (req, res) => {
     const db = req.app.locals.db;
-    const { id } = req.params;
-    const { enabled } = req.body;
     
     try {
-        await db.updateGiftCard(id, { enabled: enabled ? 1 : 0 });
-        res.json({ success: true });
+        const transactions = await db.getCreditTransactions(req.session.userId, parseLedgerFilters(req.query));
+        sendLedgerCsv(res, transactions, 'billing-history.csv');
     } catch (error) {
-        console.error('Toggle gift card error:', error);
-        res.status(500).json({ error: 'Failed to toggle gift card' });
+        console.error('Billing export error:', error);
+        res.redirect('/dashboard/billing');
     }
 });
 
-// Admin: Delete gift card
-router.post('/admin/gift-cards/:id/delete', requireAdmin, async (req, res) => {
+// Admin: View a user's credit ledger
+router.get('/admin/users/:id/ledger', requireAdmin, async (req, res) => {
     const db = req.app.locals.db;
-    const { id } = req.params;
-
+    
     try {
-        await db.deleteGiftCard(id);
-        res.json({ success: true });
+        const ledgerUser = await db.getUserById(req.params.id);
+        if (!ledgerUser) {
+            return res.redirect('/dashboard/admin');
+        }
+        
+        await renderLedger(req, res, ledgerUser, `/dashboard/admin/users/${ledgerUser.id}/ledger`, 'admin');
     } catch (error) {
-        console.error('Delete gift card error:', error);
-        res.status(500).json({ error: 'Failed to delete gift card' });
+        console.error('Admin ledger error:', error);
+        res.redirect('/dashboard/admin');
     }
 });
 
-// Pricing/Features comparison page
-router.get('/pricing', require2FA, async (req, res) => {
+// Admin: Export a user's credit ledger
+router.get('/admin/users/:id/ledger/export', requireAdmin, async (req, res) => {
     const db = req.app.locals.db;
-
+    
     try {
-        const user = await db.getUserById(req.session.userId);
-        if (!user) {
-            return res.redirect('/login');
+        const ledgerUser = await db.getUserById(req.params.id);
+        if (!ledgerUser) {
+            return res.redirect('/dashboard/admin');
         }
+        
+        const transactions = await db.getCreditTransactions(ledgerUser.id, parseLedgerFilters(req.query));
+        sendLedgerCsv(res, transactions, `ledger-user-${ledgerUser.id}.csv`);
+    } catch (error) {
+        console.error('Admin ledger export error:', error);
+        res.redirect('/dashboard/admin');
+    }
+});
 
-        res.render('pricing', {
-            title: 'Feature Comparison',
+// ==================== AUDIT LOG ROUTES ====================
+
+const AUDIT_PAGE_SIZE = 50;
+
+function parseAuditFilters(query) {
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    const text = value => typeof value === 'string' ? value.trim().slice(0, 100) : '';
+    return {
+        action: text(query.action),
+        actor: text(query.actor),
+        q: text(query.q),
+        from: datePattern.test(query.from || '') ? query.from : '',
+        to: datePattern.test(query.to || '') ? query.to : ''
+    };
+}
+
+// Admin: Search the audit log
+router.get('/admin/audit', requireAdmin, async (req, res) => {
+    const db = req.app.locals.db;
+    
+    try {
+        const user = await db.getUserById(req.session.userId);
+        const filters = parseAuditFilters(req.query);
+        const total = await db.countAuditLog(filters);
+        const totalPages = Math.max(1, Math.ceil(total / AUDIT_PAGE_SIZE));
+        const page = Math.min(Math.max(parseInt(req.query.page) || 1, 1), totalPages);
+        const entries = await db.getAuditLog(filters, AUDIT_PAGE_SIZE, (page - 1) * AUDIT_PAGE_SIZE);
+        
+        res.render('audit', {
+            title: 'Audit Log',
             brandName: req.app.locals.config.branding.name,
             user: {
                 id: user.id,
-                email: user.email || 'user',
-                role: user.role || 'user',
+                email: user.email,
+                role: user.role,
                 credits: user.credits || 0
             },
+            entries: entries,
+            actions: await db.getAuditActions(),
+            filters: filters,
+            filterQuery: new URLSearchParams(Object.entries(filters).filter(([, value]) => value)).toString(),
+            page: page,
+            totalPages: totalPages,
+            total: total,
             panelUrl: req.app.locals.config.pterodactyl.url,
             csrfToken: req.csrfToken(),
-            activePage: 'pricing'
+            activePage: 'admin'
         });
     } catch (error) {
-        console.error('Pricing page error:', error);
-        res.redirect('/dashboard');
+        console.error('Audit log error:', error);
+        res.redirect('/dashboard/admin');
     }
 });
 
-// Redeem gift card page
-router.get('/redeem', require2FA, async (req, res) => {
+// Admin: Export the audit log
+router.get('/admin/audit/export', requireAdmin, async (req, res) => {
     const db = req.app.locals.db;
     
     try {
-        const user = await db.getUserById(req.session.userId);
-        if (!user) {
-            return res.redirect('/login');
+        const entries = await db.getAuditLog(parseAuditFilters(req.query));
+        
+        const header = ['Date', 'Actor', 'Action', 'Target', 'Before', 'After', 'Details', 'IP', 'User Agent'];
+        const lines = entries.map(entry => [
+            entry.created_at,
+            entry.actor_email || (entry.actor_id ? `#${entry.actor_id}` : 'system'),
+            entry.action,
+            entry.target_type ? entry.target_type + (entry.target_id ? `#${entry.target_id}` : '') : '',
+            entry.before_value,
+            entry.after_value,
+            entry.details,
+            entry.ip,
+            entry.user_agent
+        ]);
+        
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', 'attachment; filename="audit-log.csv"');
+        res.send(toCsv(header, lines));
+    } catch (error) {
+        console.error('Audit log export error:', error);
+        res.redirect('/dashboard/admin');
+    }
+});
+
+// ==================== APPLICATION KEY ROUTES ====================
+
+async function renderApplicationKeys(req, res, messages = {}) {
+    const db = req.app.locals.db;
+    const user = await db.getUserById(req.session.userId);
+    
+    res.render('application-keys', {
+        title: 'Application Keys',
+        brandName: req.app.locals.config.branding.name,
+        user: {
+            id: user.id,
+            email: user.email,
+            role: user.role,
+            credits: user.credits || 0
+        },
+        keys: (await db.getApplicationKeys()).map(key => ({ ...key, scopes: splitScopes(key.scopes) })),
+        scopes: APPLICATION_SCOPES,
+        newKey: messages.newKey || null,
+        success: messages.success || req.query.success || null,
+        error: messages.error || req.query.error || null,
+        panelUrl: req.app.locals.config.pterodactyl.url,
+        csrfToken: req.csrfToken(),
+        activePage: 'admin'
+    });
+}
+
+// Admin: Application keys for the admin API
+router.get('/admin/application-keys', requireAdmin, async (req, res) => {
+    try {
+        await renderApplicationKeys(req, res);
+    } catch (error) {
+        console.error('Application keys error:', error);
+        res.redirect('/dashboard/admin');
+    }
+});
+
+// Admin: Create an application key. The key is only ever shown on this response.
+router.post('/admin/application-keys', requireAdmin, async (req, res) => {
+    const db = req.app.locals.db;
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    const scopes = parseScopes(req.body.scopes, APPLICATION_SCOPES);
+    
+    try {
+        if (!name || name.length > MAX_API_KEY_NAME_LENGTH) {
+            return renderApplicationKeys(req, res, { error: `Key name must be 1-${MAX_API_KEY_NAME_LENGTH} characters` });
+        }
+        if (scopes.length === 0) {
+            return renderApplicationKeys(req, res, { error: 'Select at least one scope' });
+        }
+        
+        const { id, key } = await createApplicationKey(db, req.session.userId, name, scopes);
+        await audit(req, 'application_key.create', {
+            targetType: 'application_key',
+            targetId: id,
+            after: { name, scopes }
+        });
+        
+        await renderApplicationKeys(req, res, {
+            success: 'Application key created. Copy it now, it won\'t be shown again.',
+            newKey: key
+        });
+    } catch (error) {
+        console.error('Application key create error:', error);
+        res.redirect('/dashboard/admin/application-keys?error=' + encodeURIComponent('Failed to create application key'));
+    }
+});
+
+// Admin: Revoke an application key
+router.post('/admin/application-keys/:id/revoke', requireAdmin, async (req, res) => {
+    const db = req.app.locals.db;
+    
+    try {
+        const key = (await db.getApplicationKeys()).find(k => k.id === parseInt(req.params.id));
+        if (!key) {
+            return res.redirect('/dashboard/admin/application-keys?error=' + encodeURIComponent('Application key not found'));
+        }
+        
+        await db.deleteApplicationKey(key.id);
+        await audit(req, 'application_key.revoke', {
+            targetType: 'application_key',
+            targetId: key.id,
+            before: { name: key.name, scopes: splitScopes(key.scopes) }
+        });
+        res.redirect('/dashboard/admin/application-keys?success=' + encodeURIComponent(`"${key.name}" was revoked`));
+    } catch (error) {
+        console.error('Application key revoke error:', error);
+        res.redirect('/dashboard/admin/application-keys?error=' + encodeURIComponent('Failed to revoke application key'));
+    }
+});
+
+// ==================== WEBHOOK ROUTES ====================
+
+const WEBHOOK_DELIVERY_PAGE_SIZE = 50;
+const WEBHOOK_DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+const MAX_WEBHOOK_DESCRIPTION_LENGTH = 200;
+
+function redirectWebhooks(res, type, message, endpointId = null) {
+    res.redirect(`/dashboard/admin/webhooks${endpointId ? '/' + endpointId : ''}?${type}=` + encodeURIComponent(message));
+}
+
+// Validated endpoint fields from the create and edit forms, or { error }
+function parseWebhookForm(body) {
+    let url = null;
+    try {
+        const parsed = new URL(String(body.url || '').trim());
+        if (['http:', 'https:'].includes(parsed.protocol)) {
+            url = parsed.toString();
         }
+    } catch (e) {
+        // Reported below
+    }
+    const description = typeof body.description === 'string' ? body.description.trim() : '';
+    const events = WebhookDispatcher.parseEvents(body.events);
+    
+    if (!url || url.length > 2048) {
+        return { error: 'Enter a valid http(s) URL' };
+    }
+    if (description.length > MAX_WEBHOOK_DESCRIPTION_LENGTH) {
+        return { error: `Description must be at most ${MAX_WEBHOOK_DESCRIPTION_LENGTH} characters` };
+    }
+    if (events.length === 0) {
+        return { error: 'Select at least one event' };
+    }
+    return { url, description, events };
+}
+
+// Admin: Webhook endpoints
+router.get('/admin/webhooks', requireAdmin, async (req, res) => {
+    const db = req.app.locals.db;
+    
+    try {
+        const user = await db.getUserById(req.session.userId);
+        const endpoints = await db.getWebhookEndpoints();
         
-        res.render('redeem', {
-            title: 'Redeem Gift Card',
+        res.render('webhooks', {
+            title: 'Webhooks',
             brandName: req.app.locals.config.branding.name,
             user: {
                 id: user.id,
-                email: user.email || 'user',
-                role: user.role || 'user',
+                email: user.email,
+                role: user.role,
                 credits: user.credits || 0
             },
+            endpoints: endpoints.map(endpoint => ({ ...endpoint, events: WebhookDispatcher.parseEvents(endpoint.events) })),
+            events: WebhookDispatcher.events,
+            success: req.query.success || null,
+            error: req.query.error || null,
             panelUrl: req.app.locals.config.pterodactyl.url,
             csrfToken: req.csrfToken(),
-            activePage: 'redeem'
+            activePage: 'admin'
         });
     } catch (error) {
-        console.error('Redeem page error:', error);
-        res.redirect('/dashboard');
+        console.error('Webhooks page error:', error);
+        res.redirect('/dashboard/admin');
     }
 });
 
-// Redeem gift card
-router.post('/redeem', require2FA, async (req, res) => {
+// Admin: Add a webhook endpoint with a new signing secret
+router.post('/admin/webhooks', requireAdmin, async (req, res) => {
     const db = req.app.locals.db;
-    const { code } = req.body;
     
     try {
-        const user = await db.getUserById(req.session.userId);
-        if (!user) {
-            return res.redirect('/login');
+        const form = parseWebhookForm(req.body);
+        if (form.error) {
+            return redirectWebhooks(res, 'error', form.error);
         }
         
-        // Get gift card
-        const giftCard = await db.getGiftCard(code.toUpperCase());
+        const { id } = await db.createWebhookEndpoint({
+            ...form,
+            secret: WebhookDispatcher.generateSecret(),
+            createdBy: req.session.userId
+        });
+        await audit(req, 'webhook.create', {
+            targetType: 'webhook',
+            targetId: id,
+            after: form
+        });
         
-        if (!giftCard) {
-            return res.render('redeem', {
-                title: 'Redeem Gift Card',
-                brandName: req.app.locals.config.branding.name,
-                user: { id: user.id, email: user.email, role: user.role, credits: user.credits || 0 },
-                panelUrl: req.app.locals.config.pterodactyl.url,
-                csrfToken: req.csrfToken(),
-                error: 'Invalid gift card code',
-                activePage: 'redeem'
-            });
+        redirectWebhooks(res, 'success', 'Endpoint added. Use its signing secret to verify deliveries.', id);
+    } catch (error) {
+        console.error('Webhook create error:', error);
+        redirectWebhooks(res, 'error', 'Failed to add endpoint');
+    }
+});
+
+// Admin: One endpoint with its delivery log
+router.get('/admin/webhooks/:id', requireAdmin, async (req, res) => {
+    const db = req.app.locals.db;
+    
+    try {
+        const endpoint = await db.getWebhookEndpointById(req.params.id);
+        if (!endpoint) {
+            return redirectWebhooks(res, 'error', 'Endpoint not found');
         }
         
-        // Check if enabled
-        if (!giftCard.enabled) {
-            return res.render('redeem', {
-                title: 'Redeem Gift Card',
-                brandName: req.app.locals.config.branding.name,
-                user: { id: user.id, email: user.email, role: user.role, credits: user.credits || 0 },
-                panelUrl: req.app.locals.config.pterodactyl.url,
-                csrfToken: req.csrfToken(),
-                error: 'This gift card is no longer active',
-                activePage: 'redeem'
-            });
+        const user = await db.getUserById(req.session.userId);
+        const filters = {
+            status: WEBHOOK_DELIVERY_STATUSES.includes(req.query.status) ? req.query.status : '',
+            event: WebhookDispatcher.events[req.query.event] ? req.query.event : ''
+        };
+        const query = { ...filters, endpointId: endpoint.id };
+        const total = await db.countWebhookDeliveries(query);
+        const totalPages = Math.max(1, Math.ceil(total / WEBHOOK_DELIVERY_PAGE_SIZE));
+        const page = Math.min(Math.max(parseInt(req.query.page) || 1, 1), totalPages);
+        const deliveries = await db.getWebhookDeliveries(query, WEBHOOK_DELIVERY_PAGE_SIZE, (page - 1) * WEBHOOK_DELIVERY_PAGE_SIZE);
+        
+        res.render('webhook', {
+            title: 'Webhook',
+            brandName: req.app.locals.config.branding.name,
+            user: {
+                id: user.id,
+                email: user.email,
+                role: user.role,
+                credits: user.credits || 0
+            },
+            endpoint: { ...endpoint, events: WebhookDispatcher.parseEvents(endpoint.events) },
+            events: WebhookDispatcher.events,
+            deliveries: deliveries,
+            statuses: WEBHOOK_DELIVERY_STATUSES,
+            filters: filters,
+            filterQuery: new URLSearchParams(Object.entries(filters).filter(([, value]) => value)).toString(),
+            page: page,
+            totalPages: totalPages,
+            total: total,
+            success: req.query.success || null,
+            error: req.query.error || null,
+            panelUrl: req.app.locals.config.pterodactyl.url,
+            csrfToken: req.csrfToken(),
+            activePage: 'admin'
+        });
+    } catch (error) {
+        console.error('Webhook page error:', error);
+        res.redirect('/dashboard/admin/webhooks');
+    }
+});
+
+// Admin: Change an endpoint's URL, events or enabled state
+router.post('/admin/webhooks/:id/update', requireAdmin, async (req, res) => {
+    const db = req.app.locals.db;
+    
+    try {
+        const endpoint = await db.getWebhookEndpointById(req.params.id);
+        if (!endpoint) {
+            return redirectWebhooks(res, 'error', 'Endpoint not found');
         }
         
-        // Check if expired
-        if (giftCard.expires_at && new Date(giftCard.expires_at) < new Date()) {
-            return res.render('redeem', {
-                title: 'Redeem Gift Card',
-                brandName: req.app.locals.config.branding.name,
-                user: { id: user.id, email: user.email, role: user.role, credits: user.credits || 0 },
-                panelUrl: req.app.locals.config.pterodactyl.url,
-                csrfToken: req.csrfToken(),
-                error: 'This gift card has expired',
-                activePage: 'redeem'
-            });
+        const form = parseWebhookForm(req.body);
+        if (form.error) {
+            return redirectWebhooks(res, 'error', form.error, endpoint.id);
         }
         
-        // Check max uses
-        if (giftCard.uses >= giftCard.max_uses) {
-            return res.render('redeem', {
-                title: 'Redeem Gift Card',
-                brandName: req.app.locals.config.branding.name,
-                user: { id: user.id, email: user.email, role: user.role, credits: user.credits || 0 },
-                panelUrl: req.app.locals.config.pterodactyl.url,
-                csrfToken: req.csrfToken(),
-                error: 'This gift card has reached its usage limit',
-                activePage: 'redeem'
-            });
-        }
+        const enabled = req.body.enabled === 'on';
+        await db.updateWebhookEndpoint(endpoint.id, { ...form, enabled });
+        await audit(req, 'webhook.update', {
+            targetType: 'webhook',
+            targetId: endpoint.id,
+            before: {
+                url: endpoint.url,
+                description: endpoint.description,
+                events: WebhookDispatcher.parseEvents(endpoint.events),
+                enabled: !!endpoint.enabled
+            },
+            after: { ...form, enabled }
+        });
         
-        // Check per user limit
-        const userRedemptions = await db.getUserRedemptions(user.id, giftCard.id);
-        if (userRedemptions >= giftCard.per_user_limit) {
-            return res.render('redeem', {
-                title: 'Redeem Gift Card',
-                brandName: req.app.locals.config.branding.name,
-                user: { id: user.id, email: user.email, role: user.role, credits: user.credits || 0 },
-                panelUrl: req.app.locals.config.pterodactyl.url,
-                csrfToken: req.csrfToken(),
-                error: 'You have already redeemed this gift card the maximum number of times',
-                activePage: 'redeem'
-            });
+        redirectWebhooks(res, 'success', 'Endpoint updated', endpoint.id);
+    } catch (error) {
+        console.error('Webhook update error:', error);
+        redirectWebhooks(res, 'error', 'Failed to update endpoint', req.params.id);
+    }
+});
+
+// Admin: Remove an endpoint and its delivery log
+router.post('/admin/webhooks/:id/delete', requireAdmin, async (req, res) => {
+    const db = req.app.locals.db;
+    
+    try {
+        const endpoint = await db.getWebhookEndpointById(req.params.id);
+        if (!endpoint) {
+            return redirectWebhooks(res, 'error', 'Endpoint not found');
         }
         
-        // Redeem the gift card
-        await db.updateUserCredits(user.id, giftCard.credits);
-        await db.incrementGiftCardUses(giftCard.id);
-        await db.redeemGiftCard(user.id, giftCard.id, giftCard.credits);
+        await db.deleteWebhookEndpoint(endpoint.id);
+        await audit(req, 'webhook.delete', {
+            targetType: 'webhook',
+            targetId: endpoint.id,
+            before: { url: endpoint.url, events: WebhookDispatcher.parseEvents(endpoint.events) }
+        });
         
-        // Get updated user
-        const updatedUser = await db.getUserById(user.id);
+        redirectWebhooks(res, 'success', `${endpoint.url} was removed`);
+    } catch (error) {
+        console.error('Webhook delete error:', error);
+        redirectWebhooks(res, 'error', 'Failed to remove endpoint');
+    }
+});
+
+// Admin: Send a delivery again. The copy is queued with the same event id,
+// so receivers that deduplicate on it will ignore an event they already have.
+router.post('/admin/webhooks/deliveries/:id/redeliver', requireAdmin, async (req, res) => {
+    const db = req.app.locals.db;
+    
+    try {
+        const delivery = await db.getWebhookDeliveryById(req.params.id);
+        if (!delivery) {
+            return redirectWebhooks(res, 'error', 'Delivery not found');
+        }
         
-        res.render('redeem', {
-            title: 'Redeem Gift Card',
-            brandName: req.app.locals.config.branding.name,
-            user: { id: updatedUser.id, email: updatedUser.email, role: updatedUser.role, credits: updatedUser.credits || 0 },
-            panelUrl: req.app.locals.config.pterodactyl.url,
-            csrfToken: req.csrfToken(),
-            success: `Successfully redeemed $${giftCard.credits.toFixed(2)} in credits!`,
-            activePage: 'redeem'
+        const { id } = await db.redeliverWebhook(delivery.id);
+        await audit(req, 'webhook.redeliver', {
+            targetType: 'webhook',
+            targetId: delivery.endpoint_id,
+            details: `${delivery.event} ${delivery.event_id} (delivery #${delivery.id} as #${id})`
         });
+        
+        redirectWebhooks(res, 'success', `${delivery.event} queued for redelivery`, delivery.endpoint_id);
     } catch (error) {
-        console.error('Redeem error:', error);
-        res.redirect('/dashboard/redeem');
+        console.error('Webhook redeliver error:', error);
+        redirectWebhooks(res, 'error', 'Failed to redeliver webhook');
     }
 });
 
@@ -667,10 +2597,12 @@ router.get('/instances', require2FA, async (req, res) => {
                 id: user.id,
                 email: user.email,
                 role: user.role,
-                credits: user.credits || 0
+                credits: user.credits || 0,
+                emailVerified: !!user.email_verified
             },
             panelUrl: req.app.locals.config.pterodactyl.url,
             plans: plans,
+            error: req.query.error || null,
             csrfToken: req.csrfToken(),
             activePage: 'instances'
         });
@@ -681,6 +2613,8 @@ router.get('/instances', require2FA, async (req, res) => {
 });
 
 // Purchase instance
+// Credits and stock are reserved first, then the server is provisioned on the
+// panel, then the reservation is committed. Any failure releases the reservation.
 router.post('/instances/purchase', require2FA, async (req, res) => {
     const db = req.app.locals.db;
     const pterodactyl = req.app.locals.pterodactyl;
@@ -693,108 +2627,193 @@ router.post('/instances/purchase', require2FA, async (req, res) => {
             return res.redirect('/dashboard/instances?error=Missing required fields');
         }
         
-        // Get plan
-        const plan = await db.getPlanById(plan_id);
-        if (!plan || !plan.enabled) {
-            return res.redirect('/dashboard/instances?error=Invalid plan');
+        const result = await purchaseServer(db, pterodactyl, user, plan_id, server_name);
+        if (!result.success) {
+            return res.redirect('/dashboard/instances?error=' + encodeURIComponent(result.error));
         }
         
-        // Check user credits
-        if (user.credits < plan.price) {
-            return res.redirect('/dashboard/instances?error=Insufficient credits');
+        await audit(req, 'server.purchase', {
+            targetType: 'server',
+            targetId: result.server.id,
+            before: { credits: user.credits },
+            after: { credits: user.credits - result.plan.price, plan: result.plan.name, server: server_name }
+        });
+        
+        res.redirect('/dashboard?success=' + encodeURIComponent(`Server "${server_name}" created successfully!`));
+    } catch (error) {
+        console.error('Purchase error:', error);
+        res.redirect('/dashboard/instances?error=An error occurred during purchase');
+    }
+});
+
+// ==================== SERVER CANCELLATION ROUTES ====================
+
+// Cancel an owned server, either now (with a refund per the admin policy)
+// or when its current billing period ends
+router.post('/servers/:id/cancel', require2FA, async (req, res) => {
+    const db = req.app.locals.db;
+    const pterodactyl = req.app.locals.pterodactyl;
+    const { mode } = req.body;
+    
+    try {
+        const user = await db.getUserById(req.session.userId);
+        const server = await db.getUserServerById(req.params.id);
+        
+        if (!user || !server || server.user_id !== user.id) {
+            return res.redirect('/dashboard?error=Server not found');
         }
         
-        // Check user limit
-        if (plan.user_limit > 0) {
-            const userServerCount = await db.getUserServerCount(user.id, plan_id);
-            if (userServerCount >= plan.user_limit) {
-                return res.redirect('/dashboard/instances?error=You have reached the maximum limit for this plan');
+        if (mode === 'period_end') {
+            if (server.status !== 'active' || !server.next_billing_date) {
+                return res.redirect('/dashboard?error=' + encodeURIComponent('This server has no billing period to cancel at'));
             }
+            
+            await db.updateServerBilling(server.id, { cancel_at_period_end: true });
+            await audit(req, 'server.cancel', {
+                targetType: 'server',
+                targetId: server.id,
+                details: `"${server.server_name}" scheduled for deletion at period end`
+            });
+            const endDate = BillingEngine.parseDate(server.next_billing_date);
+            return res.redirect('/dashboard?success=' + encodeURIComponent(
+                `"${server.server_name}" will be deleted on ${endDate.toUTCString()}`
+            ));
         }
         
-        // Check stock limit
-        if (plan.stock_limit > 0 && plan.stock_used >= plan.stock_limit) {
-            return res.redirect('/dashboard/instances?error=This plan is out of stock');
+        const previousStatus = await db.beginServerCancellation(server.id);
+        if (!previousStatus) {
+            return res.redirect('/dashboard?error=' + encodeURIComponent('This server cannot be cancelled right now'));
         }
         
-        // Ensure user has Pterodactyl account
-        if (!user.pterodactyl_id) {
-            // Create Pterodactyl user
-            const pteroUser = await pterodactyl.createUser(user.email, Math.random().toString(36).slice(2) + Math.random().toString(36).slice(2));
-            if (!pteroUser.success) {
-                return res.redirect('/dashboard/instances?error=Failed to create panel account');
-            }
-            await db.linkPterodactylUser(user.id, pteroUser.data.id);
-            user.pterodactyl_id = pteroUser.data.id;
+        const refundPolicy = await getRefundPolicy(db);
+        const lastCharge = await db.getLastServerCharge(server.id);
+        const refund = BillingEngine.calculateRefund({ ...server, status: previousStatus }, lastCharge, refundPolicy);
+        
+        // A server already missing from the panel is as good as deleted
+        const deleteResult = await pterodactyl.deleteServer(server.pterodactyl_server_id);
+        if (!deleteResult.success && !deleteResult.notFound) {
+            await db.revertServerCancellation(server.id, previousStatus);
+            return res.redirect('/dashboard?error=' + encodeURIComponent('Failed to delete server: ' + deleteResult.error));
         }
         
-        // Parse environment variables
-        let environment = {};
-        if (plan.environment_variables) {
-            try {
-                environment = JSON.parse(plan.environment_variables);
-            } catch (e) {
-                console.error('Failed to parse environment variables:', e);
-            }
+        await db.completeServerCancellation(server, refund, user.id);
+        await audit(req, 'server.cancel', {
+            targetType: 'server',
+            targetId: server.id,
+            before: { status: previousStatus, credits: user.credits },
+            after: { status: 'deleted', credits: user.credits + refund },
+            details: `"${server.server_name}" deleted`
+        });
+        if (user.pterodactyl_id) {
+            pterodactyl.clearUserServersCache(user.pterodactyl_id);
         }
         
-        // Parse location IDs
-        const locationIds = plan.location_ids.split(',').map(id => parseInt(id.trim())).filter(id => !isNaN(id));
-        
-        // Create server
-        const serverData = {
-            name: server_name,
-            user: user.pterodactyl_id,
-            egg: plan.egg_id,
-            docker_image: plan.docker_image || 'ghcr.io/pterodactyl/yolks:java_17',
-            startup: plan.startup_command || undefined,
-            environment: environment,
-            limits: {
-                memory: plan.ram,
-                disk: plan.disk,
-                cpu: plan.cpu,
-                swap: plan.swap,
-                io: plan.io
-            },
-            feature_limits: {
-                databases: plan.databases,
-                backups: plan.backups,
-                allocations: plan.allocations
-            },
-            deploy: {
-                locations: locationIds,
-                dedicated_ip: false,
-                port_range: []
-            }
-        };
+        const message = refund > 0
+            ? `"${server.server_name}" was deleted and $${refund.toFixed(2)} was refunded`
+            : `"${server.server_name}" was deleted`;
+        res.redirect('/dashboard?success=' + encodeURIComponent(message));
+    } catch (error) {
+        console.error('Server cancellation error:', error);
+        res.redirect('/dashboard?error=' + encodeURIComponent('An error occurred while cancelling the server'));
+    }
+});
+
+// Undo a scheduled end-of-period cancellation
+router.post('/servers/:id/resume', require2FA, async (req, res) => {
+    const db = req.app.locals.db;
+    
+    try {
+        const server = await db.getUserServerById(req.params.id);
+        
+        if (!server || server.user_id !== req.session.userId) {
+            return res.redirect('/dashboard?error=Server not found');
+        }
+        
+        await db.updateServerBilling(server.id, { cancel_at_period_end: false });
+        await audit(req, 'server.resume', { targetType: 'server', targetId: server.id });
+        res.redirect('/dashboard?success=' + encodeURIComponent(`"${server.server_name}" will keep renewing`));
+    } catch (error) {
+        console.error('Server resume error:', error);
+        res.redirect('/dashboard');
+    }
+});
+
+// ==================== PLAN CHANGE ROUTES ====================
+
+// Move an owned server to another plan, charging or crediting the prorated
+// price difference for the rest of the billing period
+router.post('/servers/:id/change-plan', require2FA, async (req, res) => {
+    const db = req.app.locals.db;
+    const pterodactyl = req.app.locals.pterodactyl;
+    
+    try {
+        const user = await db.getUserById(req.session.userId);
+        const server = await db.getUserServerById(req.params.id);
+        
+        if (!user || !server || server.user_id !== user.id) {
+            return res.redirect('/dashboard?error=Server not found');
+        }
+        
+        const plans = await db.getAllPlans();
+        const currentPlan = plans.find(plan => plan.id === server.plan_id);
+        const newPlan = currentPlan && getPlanChangeOptions(currentPlan, plans)
+            .find(plan => plan.id === parseInt(req.body.plan_id));
         
-        const serverResult = await pterodactyl.createServer(serverData);
+        if (!newPlan) {
+            return res.redirect('/dashboard?error=' + encodeURIComponent('That plan change is not available'));
+        }
         
-        if (!serverResult.success) {
-            console.error('Server creation failed:', serverResult.error);
-            return res.redirect('/dashboard/instances?error=' + encodeURIComponent('Server creation failed: ' + serverResult.error));
+        const amount = BillingEngine.planChangeAmount(server, currentPlan, newPlan);
+        const change = await db.beginPlanChange(server.id, user.id, newPlan.id, amount);
+        if (!change.success) {
+            return res.redirect('/dashboard?error=' + encodeURIComponent(change.error));
         }
         
-        // Deduct credits
-        await db.updateUserCredits(user.id, -plan.price);
+        // The build endpoint needs the server's primary allocation
+        const panelServer = await pterodactyl.getServer(server.pterodactyl_server_id);
+        const buildResult = panelServer.success
+            ? await pterodactyl.updateServerBuild(server.pterodactyl_server_id, planBuild(newPlan, panelServer.data.allocation))
+            : panelServer;
         
-        // Increment stock
-        await db.incrementPlanStock(plan_id);
+        if (!buildResult.success) {
+            console.error('Plan change build update failed:', buildResult.error);
+            await db.revertPlanChange(server.id, 'Plan change failed');
+            return res.redirect('/dashboard?error=' + encodeURIComponent('Failed to resize server. You have not been charged.'));
+        }
+        
+        try {
+            await db.commitPlanChange(server.id);
+        } catch (error) {
+            console.error('Plan change commit failed, restoring old limits:', error);
+            const restoreResult = await pterodactyl.updateServerBuild(server.pterodactyl_server_id, planBuild(currentPlan, panelServer.data.allocation));
+            if (!restoreResult.success) {
+                console.error(`Could not restore limits of server ${server.server_identifier}:`, restoreResult.error);
+            }
+            await db.revertPlanChange(server.id, 'Plan change could not be completed');
+            return res.redirect('/dashboard?error=' + encodeURIComponent('Failed to change plan. You have not been charged.'));
+        }
         
-        // Save server to database
-        await db.createUserServer({
-            user_id: user.id,
-            plan_id: plan_id,
-            pterodactyl_server_id: serverResult.data.id,
-            server_name: server_name,
-            server_identifier: serverResult.data.identifier,
-            status: 'active'
+        await audit(req, 'server.change_plan', {
+            targetType: 'server',
+            targetId: server.id,
+            before: { plan: currentPlan.name, credits: user.credits },
+            after: { plan: newPlan.name, credits: user.credits - amount }
         });
         
-        res.redirect('/dashboard?success=' + encodeURIComponent(`Server "${server_name}" created successfully!`));
+        if (user.pterodactyl_id) {
+            pterodactyl.clearUserServersCache(user.pterodactyl_id);
+        }
+        
+        let message = `"${server.server_name}" moved to ${newPlan.name}`;
+        if (amount > 0) {
+            message += ` for $${amount.toFixed(2)}`;
+        } else if (amount < 0) {
+            message += ` and $${(-amount).toFixed(2)} was credited`;
+        }
+        res.redirect('/dashboard?success=' + encodeURIComponent(message));
     } catch (error) {
-        console.error('Purchase error:', error);
-        res.redirect('/dashboard/instances?error=An error occurred during purchase');
+        console.error('Plan change error:', error);
+        res.redirect('/dashboard?error=' + encodeURIComponent('Failed to change plan'));
     }
 });
 
@@ -807,9 +2826,9 @@ router.post('/admin/plans/create', requireAdmin, async (req, res) => {
     try {
         const { name, description, price, billing_cycle, cpu, ram, disk, swap, io, databases, backups, allocations,
                 egg_id, location_ids, docker_image, startup_command, environment_variables,
-                user_limit, stock_limit, enabled, category, sort_order } = req.body;
+                user_limit, stock_limit, enabled, category, sort_order, transition_plan_ids } = req.body;
         
-        await db.createPlan({
+        const plan = {
             name,
             description,
             price: parseFloat(price),
@@ -831,8 +2850,12 @@ router.post('/admin/plans/create', requireAdmin, async (req, res) => {
             stock_limit: parseInt(stock_limit || 0),
             enabled: enabled === 'on',
             category: category || 'general',
-            sort_order: parseInt(sort_order || 0)
-        });
+            sort_order: parseInt(sort_order || 0),
+            transition_plan_ids: [].concat(transition_plan_ids || []).join(',') || null
+        };
+        
+        const created = await db.createPlan(plan);
+        await audit(req, 'plan.create', { targetType: 'plan', targetId: created.id, after: plan });
         
         res.redirect('/dashboard/admin');
     } catch (error) {
@@ -846,7 +2869,9 @@ router.post('/admin/plans/:id/delete', requireAdmin, async (req, res) => {
     const db = req.app.locals.db;
     
     try {
+        const plan = await db.getPlanById(req.params.id);
         await db.deletePlan(req.params.id);
+        await audit(req, 'plan.delete', { targetType: 'plan', targetId: req.params.id, before: plan });
         res.redirect('/dashboard/admin');
     } catch (error) {
         console.error('Plan deletion error:', error);
@@ -861,9 +2886,10 @@ router.post('/admin/plans/:id/update', requireAdmin, async (req, res) => {
     try {
         const { name, description, price, billing_cycle, cpu, ram, disk, swap, io, databases, backups, allocations,
                 egg_id, location_ids, docker_image, startup_command, environment_variables,
-                user_limit, stock_limit, enabled, category, sort_order } = req.body;
+                user_limit, stock_limit, enabled, category, sort_order, transition_plan_ids } = req.body;
         
-        await db.updatePlan(req.params.id, {
+        const before = await db.getPlanById(req.params.id);
+        const plan = {
             name,
             description,
             price: parseFloat(price),
@@ -885,8 +2911,12 @@ router.post('/admin/plans/:id/update', requireAdmin, async (req, res) => {
             stock_limit: parseInt(stock_limit || 0),
             enabled: enabled === 'on',
             category: category || 'general',
-            sort_order: parseInt(sort_order || 0)
-        });
+            sort_order: parseInt(sort_order || 0),
+            transition_plan_ids: [].concat(transition_plan_ids || []).join(',') || null
+        };
+        
+        await db.updatePlan(req.params.id, plan);
+        await audit(req, 'plan.update', { targetType: 'plan', targetId: req.params.id, before, after: plan });
         
         res.redirect('/dashboard/admin');
     } catch (error) {
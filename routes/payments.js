@@ -0,0 +1,60 @@
+const express = require('express');
+const router = express.Router();
+
+// Payment provider webhooks. Providers sign the exact bytes they send, so the
+// body is kept raw, and they authenticate with that signature rather than a
+// session, so there's no CSRF token. Anything but a 2xx makes the provider
+// retry later; applyPaymentEvent makes the retries harmless.
+
+router.post('/webhooks/:provider', express.raw({ type: '*/*', limit: '1mb' }), async (req, res) => {
+    const db = req.app.locals.db;
+    const provider = req.app.locals.payments.get(req.params.provider);
+    if (!provider) {
+        return res.status(404).json({ error: 'Unknown payment provider' });
+    }
+
+    let event;
+    try {
+        event = await provider.parseWebhook(req.headers, Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0));
+    } catch (error) {
+        console.warn(`⚠ Rejected ${provider.key} webhook: ${error.message}`);
+        return res.status(400).json({ error: 'Invalid webhook' });
+    }
+
+    try {
+        if (!event) {
+            return res.json({ received: true });
+        }
+
+        // The buyer approved but may never come back to the return page
+        if (event.type === 'approved') {
+            const order = await db.getCreditOrderByProviderRef(provider.key, event.checkoutId);
+            if (order && order.status === 'pending' && provider.completeCheckout) {
+                await provider.completeCheckout(order.provider_ref);
+            }
+            return res.json({ received: true });
+        }
+
+        const result = await db.applyPaymentEvent(provider.key, event);
+        if (result.applied) {
+            console.log(`✓ Credit order ${result.order.reference} is now ${result.status}`);
+        } else if (result.retry) {
+            // Out of order: fail so the provider sends it again after the event it follows
+            console.warn(`⚠ Deferred ${provider.key} ${event.type} event ${event.id}: ${result.reason}`);
+            return res.status(409).json({ error: 'Event arrived out of order' });
+        }
+
+        // Renew any servers that were suspended for non-payment. The credits
+        // are already in, so a panel failure here mustn't fail the webhook.
+        const billing = req.app.locals.billing;
+        if (billing && result.applied && result.status === 'paid') {
+            await billing.settleUser(result.order.user_id).catch(error => console.error('Settle after payment error:', error));
+        }
+        res.json({ received: true });
+    } catch (error) {
+        console.error('Payment webhook error:', error);
+        res.status(500).json({ error: 'Failed to process webhook' });
+    }
+});
+
+module.exports = router;
@@ -11,8 +11,22 @@ const yaml = require('yaml');
 
 const Database = require('./database');
 const PterodactylAPI = require('./pterodactyl');
+const BillingEngine = require('./services/billing');
+const ConsoleProxy = require('./services/console');
+const ResourceSampler = require('./services/sampler');
+const StatsHub = require('./services/stats');
+const Reconciler = require('./services/reconciler');
+const WebhookDispatcher = require('./services/webhooks');
+const Mailer = require('./services/mailer');
+const SessionManager = require('./services/sessions');
+const OAuthProviders = require('./services/oauth');
+const PaymentProviders = require('./services/payments');
 const authRoutes = require('./routes/auth');
 const dashboardRoutes = require('./routes/dashboard');
+const apiRoutes = require('./routes/api');
+const adminApiRoutes = require('./routes/admin-api');
+const paymentRoutes = require('./routes/payments');
+const { apiError } = require('./middleware/api');
 
 // Load configuration
 const configPath = path.join(__dirname, 'config.yml');
@@ -36,9 +50,59 @@ const pterodactyl = new PterodactylAPI(
     config.pterodactyl.clientKey
 );
 
+// Initialize recurring billing
+const billing = new BillingEngine(db, pterodactyl, {
+    intervalMs: config.billing?.intervalMs,
+    gracePeriodHours: config.billing?.gracePeriodHours
+});
+
+// Initialize resource usage history
+const sampler = new ResourceSampler(db, pterodactyl, {
+    intervalMs: config.metrics?.intervalMs,
+    rawRetentionHours: config.metrics?.rawRetentionHours,
+    fiveMinuteRetentionDays: config.metrics?.fiveMinuteRetentionDays,
+    hourlyRetentionDays: config.metrics?.hourlyRetentionDays
+});
+
+// Initialize shared live stats pollers
+const statsHub = new StatsHub(pterodactyl, {
+    intervalMs: config.stats?.intervalMs,
+    maxIdleIntervalMs: config.stats?.maxIdleIntervalMs,
+    idleTimeoutMs: config.stats?.idleTimeoutMs
+});
+
+// Initialize panel reconciliation
+const reconciler = new Reconciler(db, pterodactyl, {
+    intervalMs: config.reconciliation?.intervalMs
+});
+
+// Initialize outbound webhooks
+const webhooks = new WebhookDispatcher(db, {
+    intervalMs: config.webhooks?.intervalMs,
+    timeoutMs: config.webhooks?.timeoutMs,
+    maxAttempts: config.webhooks?.maxAttempts,
+    retentionDays: config.webhooks?.retentionDays
+});
+
+// Initialize outgoing email
+const mailer = new Mailer(config.mail);
+
+// Initialize sign-in with external OAuth/OIDC providers
+const oauth = new OAuthProviders(config.oauth, config.server.publicUrl || `http://localhost:${config.server.port || 3000}`);
+
+// Initialize the credit store's payment providers
+const payments = new PaymentProviders(config.store, config.server.publicUrl || `http://localhost:${config.server.port || 3000}`);
+
 // Make db and pterodactyl available to routes
 app.locals.db = db;
 app.locals.pterodactyl = pterodactyl;
+app.locals.billing = billing;
+app.locals.sampler = sampler;
+app.locals.statsHub = statsHub;
+app.locals.reconciler = reconciler;
+app.locals.mailer = mailer;
+app.locals.oauth = oauth;
+app.locals.payments = payments;
 app.locals.config = config;
 
 // Security middleware
@@ -49,6 +113,7 @@ app.use(helmet({
             styleSrc: ["'self'", "'unsafe-inline'", "https://fonts.googleapis.com"],
             fontSrc: ["'self'", "https://fonts.gstatic.com"],
             scriptSrc: ["'self'", "'unsafe-inline'"],
+            connectSrc: ["'self'", "ws:", "wss:"],
             imgSrc: ["'self'", "data:", "https:"]
         }
     }
@@ -62,11 +127,19 @@ const limiter = rateLimit({
 });
 app.use(limiter);
 
+// Payment provider webhooks need the raw body to check signatures
+app.use('/payments', paymentRoutes);
+
 // Body parsing middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
 
+// The APIs authenticate with keys, not cookies, so they sit in front of the
+// session and CSRF middleware
+app.use('/api/v1/admin', adminApiRoutes);
+app.use('/api/v1', apiRoutes);
+
 // Create sessions directory if it doesn't exist
 const sessionsDir = path.join(__dirname, 'sessions');
 if (!fs.existsSync(sessionsDir)) {
@@ -74,11 +147,12 @@ if (!fs.existsSync(sessionsDir)) {
 }
 
 // Session configuration
-app.use(session({
-    store: new SQLiteStore({
-        db: 'sessions.sqlite',
-        dir: sessionsDir
-    }),
+const sessionStore = new SQLiteStore({
+    db: 'sessions.sqlite',
+    dir: sessionsDir
+});
+const sessionMiddleware = session({
+    store: sessionStore,
     secret: config.server.sessionSecret,
     resave: false,
     saveUninitialized: false,
@@ -86,9 +160,20 @@ app.use(session({
         secure: process.env.NODE_ENV === 'production',
         httpOnly: true,
         maxAge: config.security.sessionMaxAge,
-        sameSite: 'strict'
+        // Lax so the cookie comes back with the redirect from an OAuth
+        // provider; POSTs are still covered by the CSRF token
+        sameSite: 'lax'
     }
-}));
+});
+app.use(sessionMiddleware);
+
+// Lists signed-in sessions and logs out revoked ones
+const sessions = new SessionManager(db, sessionStore, { maxAgeMs: config.security.sessionMaxAge });
+app.locals.sessions = sessions;
+app.use(sessions.middleware());
+
+// Server consoles are proxied over websockets on the same HTTP server
+const consoleProxy = new ConsoleProxy(db, pterodactyl, sessionMiddleware, sessions);
 
 // CSRF protection
 const csrfProtection = csurf({ cookie: true });
@@ -98,6 +183,7 @@ app.use(csrfProtection);
 app.use((req, res, next) => {
     res.locals.csrfToken = req.csrfToken();
     res.locals.brandName = config.branding?.name || 'Cosmica';
+    res.locals.oauthProviders = oauth.list();
     res.locals.user = req.session.userId ? {
         id: req.session.userId,
         email: req.session.userEmail,
@@ -139,6 +225,14 @@ app.use((req, res) => {
 app.use((err, req, res, next) => {
     console.error('Error:', err);
     
+    // API requests that fail before reaching a route, e.g. malformed JSON
+    if (req.path.startsWith('/api/v1/')) {
+        const status = err.status || err.statusCode || 500;
+        return status < 500
+            ? apiError(res, status, 'invalid_request', err.expose ? err.message : 'Invalid request')
+            : apiError(res, 500, 'internal_error', 'An unexpected error occurred');
+    }
+    
     if (err.code === 'EBADCSRFTOKEN') {
         return res.status(403).render('error', {
             title: 'Invalid Request',
@@ -208,13 +302,34 @@ async function start() {
             console.warn('  Please check your config.yml settings');
         }
         
+        // Start recurring billing
+        if (config.billing?.enabled !== false) {
+            billing.start();
+        }
+        
+        // Start resource usage sampling
+        if (config.metrics?.enabled !== false) {
+            sampler.start();
+        }
+        
+        // Start panel reconciliation
+        if (config.reconciliation?.enabled !== false) {
+            reconciler.start();
+        }
+        
+        // Start webhook deliveries
+        if (config.webhooks?.enabled !== false) {
+            webhooks.start();
+        }
+        
         // Start server
         const PORT = config.server.port || 3000;
-        app.listen(PORT, () => {
+        const server = app.listen(PORT, () => {
             console.log(`\n✓ Server running on http://localhost:${PORT}`);
             console.log(`✓ Admin email: ${config.admin.email}`);
             console.log('\n📝 Remember to set up 2FA on first login!\n');
         });
+        consoleProxy.attach(server);
         
     } catch (error) {
         console.error('❌ Failed to start server:', error);
@@ -225,12 +340,24 @@ async function start() {
 // Graceful shutdown
 process.on('SIGINT', () => {
     console.log('\n\n🛑 Shutting down gracefully...');
+    billing.stop();
+    sampler.stop();
+    reconciler.stop();
+    webhooks.stop();
+    statsHub.stop();
+    consoleProxy.close();
     db.close();
     process.exit(0);
 });
 
 process.on('SIGTERM', () => {
     console.log('\n\n🛑 Shutting down gracefully...');
+    billing.stop();
+    sampler.stop();
+    reconciler.stop();
+    webhooks.stop();
+    statsHub.stop();
+    consoleProxy.close();
     db.close();
     process.exit(0);
 });
@@ -0,0 +1,115 @@
+// API keys
+// Personal keys authenticate requests to /api/v1 as the user who created
+// them. Application keys are created by admins for bots and integrations and
+// only work on the admin API under /api/v1/admin. Both are limited to the
+// scopes picked when the key was made. Only a SHA-256 hash is stored; the
+// plain key is shown once. A fast hash is enough here because keys are long
+// random strings, not passwords.
+
+const crypto = require('crypto');
+
+const KEY_PREFIX = 'csk_';
+const APPLICATION_KEY_PREFIX = 'csa_';
+
+const MAX_API_KEYS = 10;
+
+const MAX_API_KEY_NAME_LENGTH = 64;
+
+const API_SCOPES = {
+    'account:read': 'View account details',
+    'servers:read': 'View servers, live resources and usage history',
+    'servers:power': 'Start, stop, restart and kill servers',
+    'servers:purchase': 'Buy servers with credits',
+    'credits:read': 'View credit balance and history',
+    'credits:redeem': 'Redeem gift cards'
+};
+
+const APPLICATION_SCOPES = {
+    'users:read': 'List and search users',
+    'users:write': 'Create users',
+    'credits:write': 'Adjust credit balances',
+    'gift_cards:read': 'List gift cards',
+    'gift_cards:write': 'Create gift cards',
+    'plans:read': 'List server plans, including disabled ones',
+    'plans:write': 'Create, update and delete server plans',
+    'servers:read': 'List servers of every user',
+    'servers:write': 'Suspend and unsuspend servers'
+};
+
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function generateKey(prefix) {
+    const key = prefix + crypto.randomBytes(32).toString('base64url');
+    return { key, prefix: key.slice(0, prefix.length + 6), keyHash: hashApiKey(key) };
+}
+
+function splitScopes(scopes) {
+    return scopes ? scopes.split(',') : [];
+}
+
+// Known scopes from a form field or request body, without duplicates
+function parseScopes(input, known = API_SCOPES) {
+    const scopes = [].concat(input || []).map(String);
+    return Object.keys(known).filter(scope => scopes.includes(scope));
+}
+
+// Creates a key for the user and returns it in plain text with its row id
+async function createApiKey(db, userId, name, scopes) {
+    const { key, prefix, keyHash } = generateKey(KEY_PREFIX);
+    const { id } = await db.createApiKey(userId, { name, prefix, keyHash, scopes });
+    return { id, key };
+}
+
+// Creates an application key and returns it in plain text with its row id
+async function createApplicationKey(db, createdBy, name, scopes) {
+    const { key, prefix, keyHash } = generateKey(APPLICATION_KEY_PREFIX);
+    const { id } = await db.createApplicationKey({ name, prefix, keyHash, scopes, createdBy });
+    return { id, key };
+}
+
+// Resolves with { apiKey, user } for a valid key or null
+async function authenticateApiKey(db, key) {
+    if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) {
+        return null;
+    }
+
+    const apiKey = await db.getApiKeyByHash(hashApiKey(key));
+    if (!apiKey) {
+        return null;
+    }
+
+    const user = await db.getUserById(apiKey.user_id);
+    if (!user) {
+        return null;
+    }
+
+    return {
+        apiKey: { ...apiKey, scopes: splitScopes(apiKey.scopes) },
+        user
+    };
+}
+
+// Resolves with the application key row for a valid key or null
+async function authenticateApplicationKey(db, key) {
+    if (typeof key !== 'string' || !key.startsWith(APPLICATION_KEY_PREFIX)) {
+        return null;
+    }
+
+    const applicationKey = await db.getApplicationKeyByHash(hashApiKey(key));
+    return applicationKey ? { ...applicationKey, scopes: splitScopes(applicationKey.scopes) } : null;
+}
+
+module.exports = {
+    API_SCOPES,
+    APPLICATION_SCOPES,
+    MAX_API_KEYS,
+    MAX_API_KEY_NAME_LENGTH,
+    parseScopes,
+    splitScopes,
+    createApiKey,
+    createApplicationKey,
+    authenticateApiKey,
+    authenticateApplicationKey
+};
@@ -0,0 +1,34 @@
+// Audit log
+// Append-only record of sign-ins, 2FA changes, credit movements, purchases
+// and admin changes, with who did it and from where. The database rejects
+// edits and deletes of existing entries.
+
+// Admin API requests are made by an application key, not a user
+function applicationActor(req) {
+    return req.applicationKey ? `app:${req.applicationKey.name}` : undefined;
+}
+
+// Records an event for the current request. The actor defaults to the
+// signed-in user, the key's owner for API requests, or the application key
+// for admin API requests. Errors are logged rather than thrown so a logging
+// problem never undoes the action being logged.
+async function audit(req, action, entry = {}) {
+    try {
+        await req.app.locals.db.recordAudit({
+            actorId: 'actorId' in entry ? entry.actorId : req.session?.userId ?? req.apiUser?.id,
+            actorEmail: 'actorEmail' in entry ? entry.actorEmail : req.session?.userEmail ?? req.apiUser?.email ?? applicationActor(req),
+            action,
+            targetType: entry.targetType,
+            targetId: entry.targetId,
+            before: entry.before,
+            after: entry.after,
+            details: entry.details,
+            ip: req.ip,
+            userAgent: req.get('user-agent')
+        });
+    } catch (error) {
+        console.error('Audit log error:', error);
+    }
+}
+
+module.exports = { audit };
@@ -0,0 +1,387 @@
+// Recurring billing engine
+// Renews user_servers on their plan's billing cycle, suspends servers whose
+// owners can't pay and terminates them once the grace period runs out.
+
+const CYCLE_MONTHS = {
+    monthly: 1,
+    quarterly: 3,
+    'semi-annually': 6,
+    annually: 12,
+    yearly: 12
+};
+
+const CYCLE_MS = {
+    hourly: 60 * 60 * 1000,
+    daily: 24 * 60 * 60 * 1000,
+    weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+// Reservations older than this are considered interrupted
+const STALE_RESERVATION_MINUTES = 15;
+
+class BillingEngine {
+    constructor(db, pterodactyl, options = {}) {
+        this.db = db;
+        this.pterodactyl = pterodactyl;
+        this.intervalMs = options.intervalMs || 60000; // 1 minute
+        this.gracePeriodMs = (options.gracePeriodHours ?? 72) * 60 * 60 * 1000;
+        this.timer = null;
+        this.running = false;
+    }
+
+    // Billing cycles a plan can use. One-time plans are only charged on purchase.
+    static get cycles() {
+        return ['one-time', ...Object.keys(CYCLE_MS), ...Object.keys(CYCLE_MONTHS)];
+    }
+
+    // Returns the date one billing cycle after `from`, or null for one-time plans
+    static nextBillingDate(cycle, from = new Date()) {
+        return BillingEngine.shiftByCycle(cycle, from, 1);
+    }
+
+    // Returns the date one billing cycle before `date` (the start of the period it ends)
+    static previousBillingDate(cycle, date) {
+        return BillingEngine.shiftByCycle(cycle, date, -1);
+    }
+
+    static shiftByCycle(cycle, from, direction) {
+        const date = new Date(from.getTime());
+
+        if (CYCLE_MS[cycle]) {
+            return new Date(date.getTime() + direction * CYCLE_MS[cycle]);
+        }
+
+        const months = CYCLE_MONTHS[cycle || 'monthly'];
+        if (!months) {
+            return null;
+        }
+
+        // Clamp to the last day of the target month (Jan 31 -> Feb 28)
+        const day = date.getUTCDate();
+        date.setUTCDate(1);
+        date.setUTCMonth(date.getUTCMonth() + direction * months);
+        const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+        date.setUTCDate(Math.min(day, lastDay));
+        return date;
+    }
+
+    // Refund owed when a server is deleted before its period ends.
+    // policy: { mode: 'none' | 'prorated' | 'full_window', windowHours }
+    // lastCharge: { amount, created_at } paid for the current period, see
+    // Database#getLastServerCharge
+    static calculateRefund(server, lastCharge, policy, now = new Date()) {
+        if (!lastCharge || lastCharge.amount <= 0 || server.status !== 'active') {
+            return 0;
+        }
+
+        if (policy.mode === 'full_window') {
+            const chargedAt = BillingEngine.parseDate(lastCharge.created_at);
+            const windowMs = (policy.windowHours || 0) * 60 * 60 * 1000;
+            return chargedAt && now.getTime() - chargedAt.getTime() <= windowMs ? lastCharge.amount : 0;
+        }
+
+        if (policy.mode === 'prorated') {
+            const fraction = BillingEngine.remainingFraction(server, now);
+            if (fraction === null) {
+                return 0;
+            }
+            // Only what was paid comes back: lastCharge already nets plan
+            // changes, and the plan's price may have changed since
+            return Math.floor(lastCharge.amount * fraction * 100) / 100;
+        }
+
+        return 0;
+    }
+
+    // Share of the current billing period still ahead of `now` (0..1), or
+    // null when the server has no recurring period
+    static remainingFraction(server, now = new Date()) {
+        const periodEnd = BillingEngine.parseDate(server.next_billing_date);
+        const periodStart = periodEnd && BillingEngine.previousBillingDate(server.billing_cycle, periodEnd);
+        if (!periodStart) {
+            return null;
+        }
+
+        const remaining = periodEnd.getTime() - now.getTime();
+        return Math.min(Math.max(remaining / (periodEnd.getTime() - periodStart.getTime()), 0), 1);
+    }
+
+    // Credits owed (positive) or returned (negative) for moving a server to
+    // another plan: the price difference for the rest of the current period.
+    // One-time plans pay the full difference.
+    static planChangeAmount(server, currentPlan, newPlan, now = new Date()) {
+        const fraction = BillingEngine.remainingFraction({ ...server, billing_cycle: currentPlan.billing_cycle }, now);
+        const amount = (newPlan.price - currentPlan.price) * (fraction === null ? 1 : fraction);
+        // Round in the user's favour
+        return amount >= 0 ? Math.floor(amount * 100) / 100 : -Math.floor(-amount * 100) / 100;
+    }
+
+    // Panel external_id for a purchase reservation, used to find servers
+    // whose purchase was interrupted before it could be committed
+    static externalId(reservationId) {
+        return `cosmica-${reservationId}`;
+    }
+
+    // SQLite CURRENT_TIMESTAMP values are UTC without a zone suffix
+    static parseDate(value) {
+        if (!value) return null;
+        if (value instanceof Date) return value;
+        const normalized = /[zZ]|[+-]\d{2}:\d{2}$/.test(value) ? value : value.replace(' ', 'T') + 'Z';
+        const date = new Date(normalized);
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => {
+            this.runOnce().catch(err => console.error('Billing run error:', err));
+        }, this.intervalMs);
+        this.timer.unref();
+
+        console.log(`✓ Billing engine started (every ${Math.round(this.intervalMs / 1000)}s)`);
+        this.runOnce().catch(err => console.error('Billing run error:', err));
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    async runOnce() {
+        if (this.running) return;
+        this.running = true;
+
+        try {
+            await this.recoverStalePurchases();
+            await this.recoverStalePlanChanges();
+            await this.initializeBillingDates();
+
+            const dueServers = await this.db.getDueServers();
+            for (const server of dueServers) {
+                await this.renewServer(server);
+            }
+
+            const suspendedServers = await this.db.getBillingSuspendedServers();
+            for (const server of suspendedServers) {
+                await this.processSuspendedServer(server);
+            }
+        } finally {
+            this.running = false;
+        }
+    }
+
+    // Purchases still 'provisioning' long after they started were interrupted
+    // (e.g. by a restart). Complete them if the panel server exists, otherwise
+    // hand the reserved credits and stock back.
+    async recoverStalePurchases() {
+        const reservations = await this.db.getStaleReservations(STALE_RESERVATION_MINUTES);
+        for (const reservation of reservations) {
+            const result = await this.pterodactyl.getServerByExternalId(BillingEngine.externalId(reservation.id));
+
+            if (result.success) {
+                const nextDate = BillingEngine.nextBillingDate(reservation.billing_cycle);
+                await this.db.commitPurchase(reservation.id, result.data.id, result.data.identifier,
+                    nextDate ? nextDate.toISOString() : null);
+                console.log(`✓ Recovered interrupted purchase of server ${result.data.identifier}`);
+            } else if (result.notFound) {
+                await this.db.releasePurchase(reservation.id, 'Purchase interrupted');
+                console.warn(`⚠ Released interrupted purchase reservation ${reservation.id}`);
+            }
+        }
+    }
+
+    // Plan changes still pending long after they started were interrupted.
+    // If the panel already has the new limits keep them, otherwise undo.
+    async recoverStalePlanChanges() {
+        const servers = await this.db.getStalePlanChanges(STALE_RESERVATION_MINUTES);
+        for (const server of servers) {
+            const result = await this.pterodactyl.getServer(server.pterodactyl_server_id);
+            if (!result.success) continue;
+
+            const limits = result.data.limits || {};
+            if (limits.memory === server.ram && limits.cpu === server.cpu && limits.disk === server.disk) {
+                await this.db.commitPlanChange(server.id);
+                console.log(`✓ Recovered interrupted plan change of server ${server.server_identifier}`);
+            } else {
+                await this.db.revertPlanChange(server.id, 'Plan change interrupted');
+                console.warn(`⚠ Reverted interrupted plan change of server ${server.server_identifier}`);
+            }
+        }
+    }
+
+    // Servers purchased before the engine existed have no billing date yet.
+    // Start their first cycle now instead of charging them retroactively.
+    async initializeBillingDates() {
+        const servers = await this.db.getServersWithoutBillingDate();
+        for (const server of servers) {
+            const nextDate = BillingEngine.nextBillingDate(server.billing_cycle);
+            if (nextDate) {
+                await this.db.updateServerBilling(server.id, { next_billing_date: nextDate.toISOString() });
+            }
+        }
+    }
+
+    // Audit log entry with no actor, i.e. done by the system
+    async audit(action, server, details) {
+        try {
+            await this.db.recordAudit({
+                action,
+                targetType: 'server',
+                targetId: server.id,
+                details: `"${server.server_name}" (${server.server_identifier}) ${details}`
+            });
+        } catch (error) {
+            console.error('Audit log error:', error);
+        }
+    }
+
+    async chargeRenewal(server) {
+        return this.db.chargeUserCredits(server.user_id, server.price, {
+            reason: 'server_renewal',
+            description: `Renewal of "${server.server_name}" (${server.billing_cycle})`,
+            relatedType: 'server',
+            relatedId: server.id
+        });
+    }
+
+    async renewServer(server) {
+        // The user cancelled this server at the end of its period
+        if (server.cancel_at_period_end) {
+            await this.terminateServer(server, 'cancelled at period end');
+            return;
+        }
+
+        const charged = await this.chargeRenewal(server);
+
+        if (charged) {
+            const dueDate = BillingEngine.parseDate(server.next_billing_date) || new Date();
+            const nextDate = BillingEngine.nextBillingDate(server.billing_cycle, dueDate);
+            await this.db.updateServerBilling(server.id, {
+                next_billing_date: nextDate ? nextDate.toISOString() : null
+            });
+            await this.audit('billing.renewal', server, `renewed for $${server.price.toFixed(2)}`);
+            console.log(`✓ Renewed server ${server.server_identifier} for $${server.price.toFixed(2)}`);
+            return;
+        }
+
+        const result = await this.pterodactyl.suspendServer(server.pterodactyl_server_id);
+        if (!result.success) {
+            console.error(`Failed to suspend unpaid server ${server.server_identifier}:`, result.error);
+            return;
+        }
+
+        const suspended = await this.db.updateServerBilling(server.id, {
+            status: 'suspended',
+            suspended_at: new Date().toISOString()
+        }, 'active');
+        // A plan change or cancellation took the server over meanwhile
+        if (suspended.changes === 0) {
+            const undo = await this.pterodactyl.unsuspendServer(server.pterodactyl_server_id);
+            if (!undo.success) {
+                console.error(`Failed to unsuspend server ${server.server_identifier}:`, undo.error);
+            }
+            return;
+        }
+        await this.audit('billing.suspend', server, 'suspended for insufficient credits');
+        console.warn(`⚠ Suspended server ${server.server_identifier} (insufficient credits)`);
+    }
+
+    async processSuspendedServer(server) {
+        // Paying again reactivates the server
+        if (await this.canReactivate(server)) {
+            await this.reactivateServer(server);
+            return;
+        }
+
+        const suspendedAt = BillingEngine.parseDate(server.suspended_at);
+        if (suspendedAt && Date.now() - suspendedAt.getTime() >= this.gracePeriodMs) {
+            await this.terminateServer(server);
+        }
+    }
+
+    // Banned and suspended accounts keep their servers suspended however
+    // many credits they hold
+    async canReactivate(server) {
+        const user = await this.db.getUserById(server.user_id);
+        return !!user && user.status === 'active' && user.credits >= server.price;
+    }
+
+    // Unsuspends on the panel first and only charges once that worked, so a
+    // panel that keeps failing doesn't charge and refund the user every run
+    async reactivateServer(server) {
+        const result = await this.pterodactyl.unsuspendServer(server.pterodactyl_server_id);
+        if (!result.success) {
+            console.error(`Failed to unsuspend server ${server.server_identifier}:`, result.error);
+            return;
+        }
+
+        // The balance was spent in the meantime
+        const charged = await this.chargeRenewal(server);
+        if (!charged) {
+            const undo = await this.pterodactyl.suspendServer(server.pterodactyl_server_id);
+            if (!undo.success) {
+                console.error(`Failed to suspend unpaid server ${server.server_identifier}:`, undo.error);
+            }
+            return;
+        }
+
+        const nextDate = BillingEngine.nextBillingDate(server.billing_cycle);
+        const reactivated = await this.db.updateServerBilling(server.id, {
+            status: 'active',
+            suspended_at: null,
+            next_billing_date: nextDate ? nextDate.toISOString() : null
+        }, 'suspended');
+        // A cancellation or an admin took the server over meanwhile
+        if (reactivated.changes === 0) {
+            await this.db.updateUserCredits(server.user_id, server.price, {
+                reason: 'refund',
+                description: `Reactivation of "${server.server_name}" did not go through`,
+                relatedType: 'server',
+                relatedId: server.id
+            });
+            const undo = await this.pterodactyl.suspendServer(server.pterodactyl_server_id);
+            if (!undo.success) {
+                console.error(`Failed to suspend unpaid server ${server.server_identifier}:`, undo.error);
+            }
+            return;
+        }
+        await this.audit('billing.reactivate', server, `reactivated after a $${server.price.toFixed(2)} payment`);
+        console.log(`✓ Reactivated server ${server.server_identifier} after payment`);
+    }
+
+    async terminateServer(server, reason = 'grace period expired') {
+        const result = await this.pterodactyl.deleteServer(server.pterodactyl_server_id);
+        // notFound: already gone from the panel, e.g. deleted there by hand
+        if (!result.success && !result.notFound) {
+            console.error(`Failed to delete server ${server.server_identifier}:`, result.error);
+            return;
+        }
+
+        await this.db.decrementPlanStock(server.plan_id);
+        await this.db.deleteUserServer(server.id, server.cancel_at_period_end ? 'cancelled' : 'non_payment');
+        await this.audit('billing.terminate', server, `terminated (${reason})`);
+        console.warn(`⚠ Terminated server ${server.server_identifier} (${reason})`);
+    }
+
+    // Settle a user's suspended servers right away, e.g. after they add credits
+    async settleUser(userId) {
+        // A running pass already handles these servers
+        if (this.running) return;
+        this.running = true;
+
+        try {
+            const servers = await this.db.getBillingSuspendedServers(userId);
+            for (const server of servers) {
+                if (!(await this.canReactivate(server))) break;
+                await this.reactivateServer(server);
+            }
+        } finally {
+            this.running = false;
+        }
+    }
+}
+
+module.exports = BillingEngine;
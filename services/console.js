@@ -0,0 +1,171 @@
+// Live server console
+// Browsers connect to Cosmica, which authenticates them like any dashboard
+// request and relays the server's Wings websocket. The panel client key and
+// Wings tokens never leave the server.
+
+const WebSocket = require('ws');
+const { userOwnsServer } = require('./ownership');
+
+const CONSOLE_PATH = /^\/dashboard\/servers\/([A-Za-z0-9-]+)\/console\/ws$/;
+
+// Events the browser may send to Wings (no power or auth events)
+const CLIENT_EVENTS = ['send command', 'send logs', 'send stats'];
+
+// Events handled here instead of being relayed to the browser
+const TOKEN_EVENTS = ['token expiring', 'token expired', 'jwt error'];
+
+class ConsoleProxy {
+    constructor(db, pterodactyl, sessionMiddleware, sessions) {
+        this.db = db;
+        this.pterodactyl = pterodactyl;
+        this.sessionMiddleware = sessionMiddleware;
+        this.sessions = sessions;
+        this.wss = new WebSocket.Server({ noServer: true });
+    }
+
+    attach(server) {
+        server.on('upgrade', (req, socket, head) => {
+            this.handleUpgrade(req, socket, head).catch(err => {
+                console.error('Console upgrade error:', err);
+                this.reject(socket, 500, 'Internal Server Error');
+            });
+        });
+    }
+
+    reject(socket, status, message) {
+        if (socket.writable) {
+            socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+        }
+        socket.destroy();
+    }
+
+    async handleUpgrade(req, socket, head) {
+        const match = CONSOLE_PATH.exec(req.url.split('?')[0]);
+        if (!match) {
+            return this.reject(socket, 404, 'Not Found');
+        }
+
+        // Browsers always send Origin; refuse sockets opened by other sites
+        const origin = req.headers.origin;
+        if (!origin || new URL(origin).host !== req.headers.host) {
+            return this.reject(socket, 403, 'Forbidden');
+        }
+
+        await new Promise(resolve => this.sessionMiddleware(req, {}, resolve));
+
+        // Same rules as require2FA plus ownership of the server
+        if (!req.session || !req.session.userId || !req.session.twoFAVerified) {
+            return this.reject(socket, 401, 'Unauthorized');
+        }
+
+        const identifier = match[1];
+        const user = await this.db.getUserById(req.session.userId);
+        if (!user || !(await userOwnsServer(this.db, this.pterodactyl, user, identifier))) {
+            return this.reject(socket, 403, 'Forbidden');
+        }
+
+        this.wss.handleUpgrade(req, socket, head, client => {
+            // Signing out or being revoked ends the console too
+            const untrack = this.sessions.trackConnection(req.sessionID, () => client.close(1008, 'Session ended'));
+            client.on('close', untrack);
+
+            this.connect(client, identifier).catch(err => {
+                console.error(`Console proxy error for ${identifier}:`, err);
+                client.close(1011);
+            });
+        });
+    }
+
+    async connect(client, identifier) {
+        const send = (event, args = []) => {
+            if (client.readyState === WebSocket.OPEN) {
+                client.send(JSON.stringify({ event, args }));
+            }
+        };
+
+        const credentials = await this.pterodactyl.getWebsocketCredentials(identifier);
+        if (!credentials.success) {
+            send('daemon error', [credentials.error || 'Could not connect to the server']);
+            return client.close(1011);
+        }
+
+        if (client.readyState !== WebSocket.OPEN) return;
+
+        // Wings only accepts connections that appear to come from the panel
+        const upstream = new WebSocket(credentials.socket, { origin: this.pterodactyl.panelUrl });
+
+        const authenticate = token => {
+            upstream.send(JSON.stringify({ event: 'auth', args: [token] }));
+        };
+
+        const refreshToken = async () => {
+            const refreshed = await this.pterodactyl.getWebsocketCredentials(identifier);
+            if (refreshed.success && upstream.readyState === WebSocket.OPEN) {
+                authenticate(refreshed.token);
+            } else if (!refreshed.success) {
+                send('daemon error', [refreshed.error || 'Console session expired']);
+                upstream.close();
+            }
+        };
+
+        upstream.on('open', () => authenticate(credentials.token));
+
+        upstream.on('message', data => {
+            let message;
+            try {
+                message = JSON.parse(data.toString());
+            } catch (err) {
+                return;
+            }
+
+            if (TOKEN_EVENTS.includes(message.event)) {
+                refreshToken().catch(err => console.error(`Console token refresh failed for ${identifier}:`, err));
+                return;
+            }
+
+            send(message.event, message.args);
+        });
+
+        upstream.on('error', err => {
+            console.error(`Wings websocket error for ${identifier}:`, err.message);
+            send('daemon error', ['Lost connection to the server']);
+        });
+
+        upstream.on('close', () => {
+            if (client.readyState === WebSocket.OPEN) {
+                client.close(1000);
+            }
+        });
+
+        client.on('message', data => {
+            let message;
+            try {
+                message = JSON.parse(data.toString());
+            } catch (err) {
+                return;
+            }
+
+            if (!CLIENT_EVENTS.includes(message.event) || upstream.readyState !== WebSocket.OPEN) {
+                return;
+            }
+
+            const args = Array.isArray(message.args) ? message.args.map(String) : [];
+            upstream.send(JSON.stringify({ event: message.event, args }));
+        });
+
+        client.on('close', () => {
+            if (upstream.readyState === WebSocket.OPEN || upstream.readyState === WebSocket.CONNECTING) {
+                upstream.terminate();
+            }
+        });
+    }
+
+    close() {
+        for (const client of this.wss.clients) {
+            client.terminate();
+        }
+        this.wss.close();
+    }
+}
+
+module.exports = ConsoleProxy;
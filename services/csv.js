@@ -0,0 +1,25 @@
+// CSV exports
+// Exports are opened in spreadsheets by admins, so a cell holding user text
+// that starts like a formula (=, +, -, @, tab or CR) is prefixed with ' to
+// keep it text. Plain numbers such as -5.00 are left as they are.
+
+const FORMULA_START = /^[=+\-@\t\r]/;
+const NUMBER = /^[-+]?\d+(\.\d+)?$/;
+
+function csvField(value) {
+    let str = value === null || value === undefined ? '' : String(value);
+    if (FORMULA_START.test(str) && !NUMBER.test(str)) {
+        str = `'${str}`;
+    }
+    return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// One CSV document with CRLF line endings
+function toCsv(header, rows) {
+    return [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n');
+}
+
+module.exports = {
+    csvField,
+    toCsv
+};
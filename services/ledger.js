@@ -0,0 +1,31 @@
+// Credit ledger filters
+// Shared by the billing history pages, their CSV exports and the API so
+// they all accept the same filters.
+
+const CREDIT_REASONS = {
+    registration_bonus: 'Registration Bonus',
+    gift_card: 'Gift Card',
+    credit_purchase: 'Credit Purchase',
+    payment_reversal: 'Payment Reversal',
+    server_purchase: 'Server Purchase',
+    server_renewal: 'Server Renewal',
+    plan_change: 'Plan Change',
+    refund: 'Refund',
+    adjustment: 'Adjustment'
+};
+
+// Filters from a query string; anything unrecognised is dropped
+function parseLedgerFilters(query) {
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    return {
+        reason: CREDIT_REASONS[query.reason] ? query.reason : '',
+        direction: ['credit', 'debit'].includes(query.direction) ? query.direction : '',
+        from: datePattern.test(query.from || '') ? query.from : '',
+        to: datePattern.test(query.to || '') ? query.to : ''
+    };
+}
+
+module.exports = {
+    CREDIT_REASONS,
+    parseLedgerFilters
+};
@@ -0,0 +1,84 @@
+// Per-account sign-in throttling
+// Failed passwords, TOTP codes, recovery codes and security key assertions
+// all count against the account, on top of the per-IP rate limit. After a few
+// failures each retry has to wait twice as long as the last, and past the
+// limit the account is locked for a while. Completing 2FA or an admin unlock
+// clears the count.
+//
+// Guesses are checked one at a time per account: each attempt first takes
+// the account's attempt slot by locking it briefly, in the same statement
+// that checks it isn't locked, so parallel requests can't all get in before
+// the first failure is counted. Recording the result releases the slot.
+
+// Longest an attempt can hold the slot, should it never record a result
+const ATTEMPT_SLOT_SECONDS = 10;
+
+const DEFAULTS = {
+    freeAttempts: 3,
+    maxAttempts: 10,
+    lockoutMinutes: 15
+};
+
+function lockoutPolicy(config) {
+    return { ...DEFAULTS, ...(config.security?.lockout || {}) };
+}
+
+// Seconds the account has to wait after this many failures
+function lockSeconds(policy, failures) {
+    const lockout = policy.lockoutMinutes * 60;
+    if (failures >= policy.maxAttempts) return lockout;
+    if (failures < policy.freeAttempts) return 0;
+    return Math.min(2 ** (failures - policy.freeAttempts + 1), lockout);
+}
+
+// Seconds until the account may try again, 0 if it can try now
+function lockedFor(user) {
+    if (!user.locked_until) return 0;
+    return Math.max(0, Math.ceil((new Date(user.locked_until).getTime() - Date.now()) / 1000));
+}
+
+function retryMessage(seconds) {
+    const wait = seconds >= 60
+        ? `${Math.ceil(seconds / 60)} minute${Math.ceil(seconds / 60) === 1 ? '' : 's'}`
+        : `${seconds} second${seconds === 1 ? '' : 's'}`;
+    return `Too many failed attempts. Try again in ${wait}.`;
+}
+
+// Resolves with { wait } seconds the caller must reject the attempt for, or
+// { wait: 0, slot } when it may check the guess
+async function beginAttempt(db, user) {
+    const claim = await db.claimLoginAttempt(user.id, ATTEMPT_SLOT_SECONDS);
+    if (claim.claimed) {
+        return { wait: 0, slot: { userId: user.id, lockedUntil: claim.lockedUntil } };
+    }
+
+    const current = await db.getUserById(user.id);
+    return { wait: Math.max(current ? lockedFor(current) : 0, 1) };
+}
+
+// Gives the slot back after a correct guess that doesn't clear the failure
+// count, e.g. a password that still needs 2FA
+async function endAttempt(db, attempt) {
+    if (attempt.slot) {
+        await db.releaseLoginAttempt(attempt.slot.userId, attempt.slot.lockedUntil);
+    }
+}
+
+async function recordFailedAttempt(db, config, user) {
+    const policy = lockoutPolicy(config);
+    const result = await db.recordFailedLogin(user.id, failures => lockSeconds(policy, failures));
+
+    if (result.failures === policy.maxAttempts) {
+        console.warn(`⚠ ${user.email} locked after ${result.failures} failed sign-in attempts`);
+    }
+    return result;
+}
+
+module.exports = {
+    lockoutPolicy,
+    lockedFor,
+    retryMessage,
+    beginAttempt,
+    endAttempt,
+    recordFailedAttempt
+};
@@ -0,0 +1,67 @@
+// Outgoing email
+// Sends through SMTP in production. The file transport writes each message
+// to an .eml file and the console transport prints it, so development and
+// tests don't need a mail server. Message bodies hold password reset and
+// verification links, so the console transport leaves them out of the logs
+// when NODE_ENV is production.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+const TRANSPORTS = ['console', 'file', 'smtp'];
+
+class Mailer {
+    constructor(options = {}) {
+        this.transport = options.transport || 'console';
+        this.from = options.from || 'Cosmica <no-reply@localhost>';
+        this.directory = path.resolve(options.directory || './mail');
+
+        if (!TRANSPORTS.includes(this.transport)) {
+            throw new Error(`Unknown mail transport "${this.transport}"`);
+        }
+
+        this.redactBodies = process.env.NODE_ENV === 'production';
+        if (this.transport === 'console' && this.redactBodies) {
+            console.warn('⚠ Mail transport is "console" in production: emails are not delivered');
+        }
+
+        if (this.transport === 'smtp') {
+            const smtp = options.smtp || {};
+            this.client = nodemailer.createTransport({
+                host: smtp.host,
+                port: smtp.port || 587,
+                secure: !!smtp.secure,
+                auth: smtp.user ? { user: smtp.user, pass: smtp.pass } : undefined
+            });
+        } else {
+            // Renders the full message without delivering it
+            this.client = nodemailer.createTransport({ streamTransport: true, buffer: true });
+        }
+    }
+
+    // Resolves with { success } or { success: false, error }; never throws
+    async send({ to, subject, text }) {
+        try {
+            const info = await this.client.sendMail({ from: this.from, to, subject, text });
+
+            if (this.transport === 'file') {
+                await fs.promises.mkdir(this.directory, { recursive: true });
+                const name = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.eml`;
+                await fs.promises.writeFile(path.join(this.directory, name), info.message);
+            } else if (this.transport === 'console' && this.redactBodies) {
+                console.log(`📧 Email to ${to}: ${subject} (body hidden in production)`);
+            } else if (this.transport === 'console') {
+                console.log(`📧 Email to ${to}: ${subject}\n${text}\n`);
+            }
+
+            return { success: true };
+        } catch (error) {
+            console.error('Mail error:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+}
+
+module.exports = Mailer;
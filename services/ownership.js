@@ -0,0 +1,18 @@
+// A server belongs to a user if they bought it through Cosmica or it is
+// attached to their account on the panel
+async function userOwnsServer(db, pterodactyl, user, identifier) {
+    if (await db.getUserServerByIdentifier(user.id, identifier)) {
+        return true;
+    }
+    
+    if (!user.pterodactyl_id) {
+        return false;
+    }
+    
+    const serversResult = await pterodactyl.getUserServers(user.pterodactyl_id);
+    return serversResult.success && serversResult.servers.some(server => server.identifier === identifier);
+}
+
+module.exports = {
+    userOwnsServer
+};
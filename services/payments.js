@@ -0,0 +1,110 @@
+// Credit store
+// Packages and payment providers are configured under store in config.yml.
+// Each provider adapter starts a hosted checkout for an order and turns its
+// signed webhooks into payment events:
+//   createCheckout(order)            -> { providerRef, url }
+//   parseWebhook(headers, rawBody)   -> { id, type, checkoutId, paymentId, amountCents, currency } or null
+//   completeCheckout(providerRef)    (optional) finishes an approved checkout
+// Credits only change when Database#applyPaymentEvent applies such an event.
+
+const crypto = require('crypto');
+const StripeProvider = require('./stripe');
+const PayPalProvider = require('./paypal');
+
+const TYPES = {
+    stripe: StripeProvider,
+    paypal: PayPalProvider
+};
+
+function trimSlash(url) {
+    return String(url).replace(/\/$/, '');
+}
+
+class PaymentProviders {
+    constructor(config = {}, publicUrl) {
+        this.publicUrl = trimSlash(publicUrl);
+        this.enabled = Boolean(config.enabled);
+        this.currency = String(config.currency || 'USD').toUpperCase();
+        this.packages = [];
+        this.providers = new Map();
+
+        if (!this.enabled) return;
+
+        for (const options of config.packages || []) {
+            const credits = parseFloat(options.credits);
+            const price = parseFloat(options.price);
+            if (!options.id || !/^[a-z0-9_-]+$/.test(options.id)) {
+                throw new Error(`Invalid credit package id "${options.id}"`);
+            }
+            if (!(credits > 0) || !(price > 0)) {
+                throw new Error(`Credit package "${options.id}" needs positive credits and price`);
+            }
+
+            this.packages.push({
+                id: options.id,
+                name: options.name || `${credits} credits`,
+                description: options.description || null,
+                credits,
+                amountCents: Math.round(price * 100)
+            });
+        }
+
+        for (const [key, options] of Object.entries(config.providers || {})) {
+            if (!options || !options.enabled) continue;
+
+            const type = options.type || key;
+            if (!/^[a-z0-9_-]+$/.test(key)) {
+                throw new Error(`Invalid payment provider name "${key}"`);
+            }
+            if (!TYPES[type]) {
+                throw new Error(`Unknown payment provider type "${type}" for "${key}"`);
+            }
+
+            this.providers.set(key, new TYPES[type](key, options));
+        }
+    }
+
+    // Enabled providers, for the store's payment buttons
+    list() {
+        return [...this.providers.values()].map(provider => ({ key: provider.key, name: provider.name }));
+    }
+
+    get(key) {
+        return this.providers.get(key) || null;
+    }
+
+    getPackage(id) {
+        return this.packages.find(pkg => pkg.id === id) || null;
+    }
+
+    // Starts checkout for a package and resolves with the order to save and
+    // the URL to send the buyer to
+    async startCheckout(provider, pkg, userId) {
+        const reference = `ord_${crypto.randomBytes(12).toString('hex')}`;
+        const { providerRef, url } = await provider.createCheckout({
+            reference,
+            description: `${pkg.name} (${pkg.credits} credits)`,
+            amountCents: pkg.amountCents,
+            currency: this.currency,
+            returnUrl: `${this.publicUrl}/dashboard/store/orders/${reference}/return`,
+            cancelUrl: `${this.publicUrl}/dashboard/store?error=${encodeURIComponent('Checkout cancelled')}`
+        });
+
+        return {
+            url,
+            order: {
+                reference,
+                userId,
+                packageId: pkg.id,
+                packageName: pkg.name,
+                credits: pkg.credits,
+                amountCents: pkg.amountCents,
+                currency: this.currency,
+                provider: provider.key,
+                providerRef
+            }
+        };
+    }
+}
+
+module.exports = PaymentProviders;
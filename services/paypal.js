@@ -0,0 +1,240 @@
+// PayPal Checkout payment provider
+// Orders are paid on a PayPal order (intent CAPTURE). The buyer approves it
+// on PayPal and the payment is captured when they come back, or when the
+// CHECKOUT.ORDER.APPROVED webhook arrives if they don't. Credits follow from
+// PAYMENT.CAPTURE.COMPLETED.
+//
+// Webhooks are verified offline: PAYPAL-TRANSMISSION-SIG is an RSA-SHA256
+// signature of `<transmission id>|<transmission time>|<webhook id>|<crc32 of
+// the raw body>`, made with the certificate at PAYPAL-CERT-URL.
+
+const crypto = require('crypto');
+const axios = require('axios');
+
+const API_BASES = {
+    live: 'https://api-m.paypal.com',
+    sandbox: 'https://api-m.sandbox.paypal.com'
+};
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Access tokens are renewed this long before PayPal says they expire
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC32_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function trimSlash(url) {
+    return String(url).replace(/\/$/, '');
+}
+
+// PayPal amounts are decimal strings such as "5.00"
+function toCents(value) {
+    return Math.round(parseFloat(value) * 100);
+}
+
+class PayPalProvider {
+    constructor(key, options = {}) {
+        if (!options.clientId || !options.clientSecret || !options.webhookId) {
+            throw new Error(`Payment provider "${key}" needs a clientId, clientSecret and webhookId`);
+        }
+
+        this.key = key;
+        this.type = 'paypal';
+        this.name = options.name || 'PayPal';
+        this.clientId = options.clientId;
+        this.clientSecret = options.clientSecret;
+        this.webhookId = options.webhookId;
+        // Can be overridden to point at a mock server
+        this.apiBase = trimSlash(options.apiBase || API_BASES[options.mode === 'live' ? 'live' : 'sandbox']);
+        this.token = null;
+        this.certificates = new Map();
+    }
+
+    async accessToken() {
+        if (this.token && this.token.expiresAt > Date.now()) {
+            return this.token.value;
+        }
+
+        const { data } = await axios.post(`${this.apiBase}/v1/oauth2/token`, 'grant_type=client_credentials', {
+            auth: { username: this.clientId, password: this.clientSecret },
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+            timeout: REQUEST_TIMEOUT_MS
+        });
+        if (!data.access_token) {
+            throw new Error('PayPal did not return an access token');
+        }
+
+        this.token = {
+            value: data.access_token,
+            expiresAt: Date.now() + (data.expires_in || 0) * 1000 - TOKEN_EXPIRY_MARGIN_MS
+        };
+        return this.token.value;
+    }
+
+    async request(method, path, body, headers = {}) {
+        const token = await this.accessToken();
+        const { data } = await axios({
+            method,
+            url: `${this.apiBase}${path}`,
+            data: body,
+            headers: {
+                Authorization: `Bearer ${token}`,
+                'Content-Type': 'application/json',
+                Accept: 'application/json',
+                ...headers
+            },
+            timeout: REQUEST_TIMEOUT_MS
+        });
+        return data;
+    }
+
+    // Creates a PayPal order and resolves with { providerRef, url }, the
+    // PayPal order id and the page where the buyer approves it
+    async createCheckout(order) {
+        const data = await this.request('POST', '/v2/checkout/orders', {
+            intent: 'CAPTURE',
+            purchase_units: [{
+                reference_id: order.reference,
+                custom_id: order.reference,
+                description: order.description,
+                amount: {
+                    currency_code: order.currency,
+                    value: (order.amountCents / 100).toFixed(2)
+                }
+            }],
+            application_context: {
+                return_url: order.returnUrl,
+                cancel_url: order.cancelUrl,
+                shipping_preference: 'NO_SHIPPING',
+                user_action: 'PAY_NOW'
+            }
+        }, { 'PayPal-Request-Id': order.reference });
+
+        const approve = (data.links || []).find(link => link.rel === 'approve' || link.rel === 'payer-action');
+        if (!data.id || !approve) {
+            throw new Error('PayPal did not return an approval link');
+        }
+
+        return { providerRef: data.id, url: approve.href };
+    }
+
+    // Captures an approved order. Capturing twice is harmless, so both the
+    // return page and the approval webhook call this.
+    async completeCheckout(providerRef) {
+        try {
+            await this.request('POST', `/v2/checkout/orders/${encodeURIComponent(providerRef)}/capture`, {}, {
+                'PayPal-Request-Id': `capture-${providerRef}`
+            });
+        } catch (error) {
+            const issue = error.response && error.response.data && error.response.data.details
+                ? error.response.data.details.map(detail => detail.issue)
+                : [];
+            if (!issue.includes('ORDER_ALREADY_CAPTURED')) {
+                throw error;
+            }
+        }
+    }
+
+    // Signing certificates are only fetched from PayPal, or from the
+    // configured API host so a mock server can sign its own events
+    async certificate(url) {
+        const parsed = new URL(url);
+        const trusted = (parsed.protocol === 'https:' && (parsed.hostname === 'paypal.com' || parsed.hostname.endsWith('.paypal.com')))
+            || parsed.origin === new URL(this.apiBase).origin;
+        if (!trusted) {
+            throw new Error(`Untrusted PayPal certificate URL ${url}`);
+        }
+
+        let certificate = this.certificates.get(url);
+        if (!certificate) {
+            const { data } = await axios.get(url, { responseType: 'text', timeout: REQUEST_TIMEOUT_MS });
+            certificate = new crypto.X509Certificate(data);
+            this.certificates.set(url, certificate);
+        }
+
+        const now = Date.now();
+        if (now < Date.parse(certificate.validFrom) || now > Date.parse(certificate.validTo)) {
+            throw new Error('PayPal signing certificate is not valid at this time');
+        }
+        return certificate;
+    }
+
+    async verifySignature(headers, rawBody) {
+        const transmissionId = headers['paypal-transmission-id'];
+        const transmissionTime = headers['paypal-transmission-time'];
+        const signature = headers['paypal-transmission-sig'];
+        const certUrl = headers['paypal-cert-url'];
+        if (!transmissionId || !transmissionTime || !signature || !certUrl || headers['paypal-auth-algo'] !== 'SHA256withRSA') {
+            return false;
+        }
+
+        const certificate = await this.certificate(certUrl);
+        const message = `${transmissionId}|${transmissionTime}|${this.webhookId}|${crc32(rawBody)}`;
+        return crypto.verify('sha256', Buffer.from(message), certificate.publicKey, Buffer.from(signature, 'base64'));
+    }
+
+    // Verifies a webhook request and resolves with the payment event it
+    // describes, or null for events that don't change an order. Throws if
+    // the signature doesn't check out. 'approved' events aren't payments;
+    // the caller captures the order with completeCheckout().
+    async parseWebhook(headers, rawBody) {
+        if (!await this.verifySignature(headers, rawBody)) {
+            throw new Error('Invalid PayPal signature');
+        }
+
+        const event = JSON.parse(rawBody.toString('utf8'));
+        const resource = event.resource || {};
+
+        if (event.event_type === 'CHECKOUT.ORDER.APPROVED') {
+            return { id: event.id, type: 'approved', checkoutId: resource.id };
+        }
+        if (event.event_type === 'PAYMENT.CAPTURE.COMPLETED') {
+            const relatedIds = resource.supplementary_data && resource.supplementary_data.related_ids;
+            return {
+                id: event.id,
+                type: 'paid',
+                checkoutId: relatedIds ? relatedIds.order_id : null,
+                paymentId: resource.id,
+                amountCents: toCents(resource.amount && resource.amount.value),
+                currency: resource.amount && resource.amount.currency_code
+            };
+        }
+        if (event.event_type === 'PAYMENT.CAPTURE.REFUNDED' || event.event_type === 'PAYMENT.CAPTURE.REVERSED') {
+            // The resource is the refund; its "up" link points at the capture
+            const capture = (resource.links || []).find(link => link.rel === 'up');
+            return {
+                id: event.id,
+                type: 'refunded',
+                paymentId: capture ? capture.href.split('/').pop() : null,
+                amountCents: toCents(resource.amount && resource.amount.value),
+                currency: resource.amount && resource.amount.currency_code
+            };
+        }
+        if (event.event_type === 'CUSTOMER.DISPUTE.CREATED' || event.event_type === 'CUSTOMER.DISPUTE.RESOLVED') {
+            const transaction = (resource.disputed_transactions || [])[0];
+            const paymentId = transaction ? transaction.seller_transaction_id : null;
+            if (event.event_type === 'CUSTOMER.DISPUTE.CREATED') {
+                return { id: event.id, type: 'disputed', paymentId };
+            }
+            const outcome = resource.dispute_outcome && resource.dispute_outcome.outcome_code;
+            return outcome === 'RESOLVED_SELLER_FAVOUR' ? { id: event.id, type: 'dispute_won', paymentId } : null;
+        }
+        return null;
+    }
+}
+
+module.exports = PayPalProvider;
@@ -0,0 +1,124 @@
+// Server purchases
+// Credits, plan stock and the per-user slot are reserved in one transaction,
+// then the server is created on the panel and the reservation committed.
+// Every failure releases the reservation, so the user is only charged for
+// a server that exists.
+
+const BillingEngine = require('./billing');
+
+function provisioningData(plan, user, serverName, reservationId) {
+    // Parse environment variables
+    let environment = {};
+    if (plan.environment_variables) {
+        try {
+            environment = JSON.parse(plan.environment_variables);
+        } catch (e) {
+            console.error('Failed to parse environment variables:', e);
+        }
+    }
+
+    // Parse location IDs
+    const locationIds = plan.location_ids.split(',').map(id => parseInt(id.trim())).filter(id => !isNaN(id));
+
+    return {
+        name: serverName,
+        user: user.pterodactyl_id,
+        external_id: BillingEngine.externalId(reservationId),
+        egg: plan.egg_id,
+        docker_image: plan.docker_image || 'ghcr.io/pterodactyl/yolks:java_17',
+        startup: plan.startup_command || undefined,
+        environment: environment,
+        limits: {
+            memory: plan.ram,
+            disk: plan.disk,
+            cpu: plan.cpu,
+            swap: plan.swap,
+            io: plan.io
+        },
+        feature_limits: {
+            databases: plan.databases,
+            backups: plan.backups,
+            allocations: plan.allocations
+        },
+        deploy: {
+            locations: locationIds,
+            dedicated_ip: false,
+            port_range: []
+        }
+    };
+}
+
+// Buys a server on a plan for the user. Resolves with
+// { success, server: { id, identifier }, plan } or { success: false, error }.
+// panelError is set when the request was fine but the panel side failed.
+async function purchaseServer(db, pterodactyl, user, planId, serverName) {
+    if (!user.email_verified) {
+        return { success: false, error: 'Verify your email address before purchasing a server' };
+    }
+
+    // Reserve credits, stock and the per-user slot atomically
+    const reservation = await db.reservePurchase(user.id, planId, serverName);
+    if (!reservation.success) {
+        return { success: false, error: reservation.error };
+    }
+
+    const plan = reservation.plan;
+    let serverResult;
+
+    try {
+        // Ensure user has Pterodactyl account
+        if (!user.pterodactyl_id) {
+            const pteroUser = await pterodactyl.createUser(user.email, Math.random().toString(36).slice(2) + Math.random().toString(36).slice(2));
+            if (!pteroUser.success) {
+                await db.releasePurchase(reservation.reservationId, 'Panel account creation failed');
+                return { success: false, error: 'Failed to create panel account', panelError: true };
+            }
+            await db.updatePterodactylId(user.id, pteroUser.userId);
+            user.pterodactyl_id = pteroUser.userId;
+        }
+
+        serverResult = await pterodactyl.createServer(provisioningData(plan, user, serverName, reservation.reservationId));
+    } catch (error) {
+        console.error('Provisioning error:', error);
+        serverResult = { success: false, error: 'Unexpected provisioning error' };
+    }
+
+    if (!serverResult.success) {
+        console.error('Server creation failed:', serverResult.error);
+        await db.releasePurchase(reservation.reservationId, 'Server creation failed');
+        return { success: false, error: 'Server creation failed: ' + serverResult.error, panelError: true };
+    }
+
+    // Commit the reservation; if that fails the panel server must go too
+    try {
+        const nextBillingDate = BillingEngine.nextBillingDate(plan.billing_cycle);
+        await db.commitPurchase(
+            reservation.reservationId,
+            serverResult.data.id,
+            serverResult.data.identifier,
+            nextBillingDate ? nextBillingDate.toISOString() : null
+        );
+    } catch (error) {
+        console.error('Purchase commit failed, removing panel server:', error);
+        const deleteResult = await pterodactyl.deleteServer(serverResult.data.id);
+        if (!deleteResult.success) {
+            console.error(`Could not remove panel server ${serverResult.data.id}:`, deleteResult.error);
+        }
+        await db.releasePurchase(reservation.reservationId, 'Purchase could not be completed');
+        return { success: false, error: 'An error occurred during purchase', panelError: true };
+    }
+
+    pterodactyl.clearUserServersCache(user.pterodactyl_id);
+    return {
+        success: true,
+        plan,
+        server: {
+            id: reservation.reservationId,
+            identifier: serverResult.data.identifier
+        }
+    };
+}
+
+module.exports = {
+    purchaseServer
+};
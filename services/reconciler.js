@@ -0,0 +1,245 @@
+// Panel reconciliation
+// Compares user_servers and plan stock counts against the servers that
+// actually exist on the panel and reports where they have drifted apart.
+// Nothing is changed automatically; each issue is fixed from the admin page.
+// Panel servers Cosmica didn't create are never deleted from here, only
+// ignored, since they may belong to someone managing the panel directly.
+
+const BillingEngine = require('./billing');
+
+// Rows in these states are mid-operation and may legitimately disagree with the panel
+const TRANSIENT_STATUSES = ['provisioning', 'cancelling', 'changing_plan'];
+
+// Setting holding the panel server ids an admin chose to ignore, as JSON
+const IGNORED_SERVERS_SETTING = 'reconciliation_ignored_servers';
+
+class Reconciler {
+    constructor(db, pterodactyl, options = {}) {
+        this.db = db;
+        this.pterodactyl = pterodactyl;
+        this.intervalMs = options.intervalMs || 60 * 60 * 1000; // 1 hour
+        this.lastReport = null;
+        this.timer = null;
+        this.running = false;
+    }
+
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => {
+            this.runOnce().catch(err => console.error('Reconciliation error:', err));
+        }, this.intervalMs);
+        this.timer.unref();
+
+        console.log(`✓ Reconciliation job started (every ${Math.round(this.intervalMs / 60000)}m)`);
+        this.runOnce().catch(err => console.error('Reconciliation error:', err));
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    async runOnce() {
+        if (this.running) return this.lastReport;
+        this.running = true;
+
+        try {
+            const startedAt = new Date().toISOString();
+            const report = { startedAt, finishedAt: null, error: null, issues: [] };
+
+            try {
+                report.issues = await this.check();
+            } catch (err) {
+                report.error = err.message;
+            }
+
+            report.finishedAt = new Date().toISOString();
+            this.lastReport = report;
+
+            if (report.error) {
+                console.error('Reconciliation failed:', report.error);
+            } else if (report.issues.length > 0) {
+                console.warn(`⚠ Reconciliation found ${report.issues.length} discrepancies`);
+            }
+            return report;
+        } finally {
+            this.running = false;
+        }
+    }
+
+    async check() {
+        const panelResult = await this.pterodactyl.getAllServers();
+        if (!panelResult.success) {
+            throw new Error(`Could not list panel servers: ${panelResult.error}`);
+        }
+
+        const localServers = await this.db.getAllUserServers();
+        const users = await this.db.getAllUsers();
+        const ignoredIds = new Set(await this.getIgnoredServerIds());
+        const issues = [];
+
+        const localByPanelId = new Map(localServers.map(server => [server.pterodactyl_server_id, server]));
+        const panelIds = new Set(panelResult.servers.map(server => server.id));
+        const provisioningIds = new Set(localServers
+            .filter(server => server.status === 'provisioning')
+            .map(server => BillingEngine.externalId(server.id)));
+        const emailByPanelUser = new Map(users
+            .filter(user => user.pterodactyl_id)
+            .map(user => [user.pterodactyl_id, user.email]));
+
+        for (const server of panelResult.servers) {
+            if (localByPanelId.has(server.id) || provisioningIds.has(server.external_id) || ignoredIds.has(server.id)) continue;
+
+            issues.push({
+                type: 'orphan_panel_server',
+                id: server.id,
+                name: server.name,
+                identifier: server.identifier,
+                owner: emailByPanelUser.get(server.user) || `Panel user #${server.user}`,
+                createdByCosmica: Reconciler.isCosmicaServer(server)
+            });
+        }
+
+        for (const server of localServers) {
+            if (TRANSIENT_STATUSES.includes(server.status) || panelIds.has(server.pterodactyl_server_id)) continue;
+
+            issues.push({
+                type: 'missing_panel_server',
+                id: server.id,
+                name: server.server_name,
+                identifier: server.server_identifier,
+                owner: server.user_email || `User #${server.user_id}`,
+                status: server.status
+            });
+        }
+
+        for (const plan of await this.db.getPlanStockCounts()) {
+            if (plan.stock_used === plan.expected) continue;
+
+            issues.push({
+                type: 'stock_mismatch',
+                id: plan.id,
+                name: plan.name,
+                recorded: plan.stock_used,
+                expected: plan.expected
+            });
+        }
+
+        return issues;
+    }
+
+    static isCosmicaServer(server) {
+        return typeof server.external_id === 'string' && server.external_id.startsWith(BillingEngine.externalId(''));
+    }
+
+    // Fixes one reported issue after checking it still applies.
+    // Resolves with { success, message } or { success: false, error }.
+    async fix(type, id) {
+        let result;
+        if (type === 'orphan_panel_server') {
+            result = await this.deleteOrphanServer(id);
+        } else if (type === 'missing_panel_server') {
+            result = await this.removeMissingServer(id);
+        } else if (type === 'stock_mismatch') {
+            result = await this.recountStock(id);
+        } else {
+            return { success: false, error: 'Unknown issue type' };
+        }
+
+        if (result.success) {
+            this.forgetIssue(type, id);
+        }
+        return result;
+    }
+
+    forgetIssue(type, id) {
+        if (this.lastReport) {
+            this.lastReport.issues = this.lastReport.issues.filter(issue => !(issue.type === type && issue.id === id));
+        }
+    }
+
+    async getIgnoredServerIds() {
+        try {
+            const ids = JSON.parse(await this.db.getSetting(IGNORED_SERVERS_SETTING) || '[]');
+            return Array.isArray(ids) ? ids : [];
+        } catch (err) {
+            return [];
+        }
+    }
+
+    // Stops reporting a panel server that has no Cosmica record
+    async ignoreOrphanServer(panelServerId) {
+        const ids = await this.getIgnoredServerIds();
+        if (!ids.includes(panelServerId)) {
+            await this.db.setSetting(IGNORED_SERVERS_SETTING, JSON.stringify([...ids, panelServerId]));
+        }
+        this.forgetIssue('orphan_panel_server', panelServerId);
+        return { success: true, message: `Panel server #${panelServerId} will no longer be reported` };
+    }
+
+    // Reports ignored panel servers again from the next run
+    async clearIgnoredServers() {
+        const count = (await this.getIgnoredServerIds()).length;
+        await this.db.setSetting(IGNORED_SERVERS_SETTING, '[]');
+        return { success: true, message: `${count} ignored panel servers will be reported again` };
+    }
+
+    async deleteOrphanServer(panelServerId) {
+        if (await this.db.getUserServerByPanelId(panelServerId)) {
+            return { success: false, error: 'This server is now tracked by Cosmica' };
+        }
+
+        const server = await this.pterodactyl.getServer(panelServerId);
+        if (!server.success) {
+            return server.notFound
+                ? { success: true, message: 'The panel server was already gone' }
+                : { success: false, error: server.error };
+        }
+        if (!Reconciler.isCosmicaServer(server.data)) {
+            return { success: false, error: 'This server was not created by Cosmica; ignore it instead' };
+        }
+
+        const result = await this.pterodactyl.deleteServer(panelServerId);
+        if (!result.success && !result.notFound) {
+            return { success: false, error: result.error };
+        }
+
+        this.pterodactyl.clearUserServersCache(server.data.user);
+        return { success: true, message: `Deleted panel server ${server.data.identifier}` };
+    }
+
+    async removeMissingServer(userServerId) {
+        const server = await this.db.getUserServerById(userServerId);
+        if (!server) {
+            return { success: true, message: 'The server record was already gone' };
+        }
+        if (TRANSIENT_STATUSES.includes(server.status)) {
+            return { success: false, error: 'This server is busy, try again shortly' };
+        }
+
+        const panelServer = await this.pterodactyl.getServer(server.pterodactyl_server_id);
+        if (panelServer.success) {
+            return { success: false, error: 'The server exists on the panel again' };
+        }
+        if (!panelServer.notFound) {
+            return { success: false, error: panelServer.error };
+        }
+
+        await this.db.decrementPlanStock(server.plan_id);
+        await this.db.deleteUserServer(server.id, 'missing_on_panel');
+        return { success: true, message: `Removed record of ${server.server_name}` };
+    }
+
+    async recountStock(planId) {
+        const result = await this.db.recountPlanStock(planId);
+        if (result.changes === 0) {
+            return { success: false, error: 'Plan not found' };
+        }
+        return { success: true, message: `Stock recounted to ${result.stockUsed}` };
+    }
+}
+
+module.exports = Reconciler;
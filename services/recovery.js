@@ -0,0 +1,53 @@
+// 2FA recovery codes
+// Single-use codes that stand in for a TOTP code when the authenticator is
+// lost. Only bcrypt hashes are stored; the plain codes are shown once.
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+
+const CODE_COUNT = 10;
+
+// No 0/o, 1/l/i so codes survive being copied by hand
+const ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+
+function randomCode() {
+    let code = '';
+    for (let i = 0; i < 10; i++) {
+        code += ALPHABET[crypto.randomInt(ALPHABET.length)];
+    }
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+}
+
+function normalizeCode(code) {
+    return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Replaces a user's codes with a fresh set and returns them in plain text
+async function generateRecoveryCodes(db, userId) {
+    const codes = Array.from({ length: CODE_COUNT }, randomCode);
+    const hashes = await Promise.all(codes.map(code => bcrypt.hash(normalizeCode(code), 10)));
+    await db.replaceRecoveryCodes(userId, hashes);
+    return codes;
+}
+
+// Uses up a matching code. Resolves true if the code was valid and unused.
+async function redeemRecoveryCode(db, userId, code) {
+    const normalized = normalizeCode(code);
+    if (normalized.length !== 10) {
+        return false;
+    }
+
+    for (const row of await db.getUnusedRecoveryCodes(userId)) {
+        if (await bcrypt.compare(normalized, row.code_hash)) {
+            // Fails if a concurrent request used the same code first
+            const result = await db.markRecoveryCodeUsed(row.id);
+            return result.changes > 0;
+        }
+    }
+    return false;
+}
+
+module.exports = {
+    generateRecoveryCodes,
+    redeemRecoveryCode
+};
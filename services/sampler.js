@@ -0,0 +1,171 @@
+// Resource usage sampler
+// Records CPU, memory, disk, network and power state for every active server,
+// rolls raw samples up into 5-minute and hourly averages and prunes each
+// resolution once it falls out of its retention window.
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Each resolution is built from complete buckets of the one before it
+const ROLLUPS = [
+    { resolution: '5m', source: 'raw', bucketMs: 5 * MINUTE },
+    { resolution: '1h', source: '5m', bucketMs: HOUR }
+];
+
+// Chart ranges and the resolution each one is drawn from
+const RANGES = {
+    hour: { resolution: 'raw', spanMs: HOUR },
+    day: { resolution: '5m', spanMs: DAY },
+    week: { resolution: '1h', spanMs: 7 * DAY }
+};
+
+class ResourceSampler {
+    constructor(db, pterodactyl, options = {}) {
+        this.db = db;
+        this.pterodactyl = pterodactyl;
+        this.intervalMs = options.intervalMs || 60000; // 1 minute
+        this.retentionMs = {
+            raw: (options.rawRetentionHours ?? 24) * HOUR,
+            '5m': (options.fiveMinuteRetentionDays ?? 8) * DAY,
+            '1h': (options.hourlyRetentionDays ?? 90) * DAY
+        };
+        this.timer = null;
+        this.running = false;
+    }
+
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => {
+            this.runOnce().catch(err => console.error('Resource sampler error:', err));
+        }, this.intervalMs);
+        this.timer.unref();
+
+        console.log(`✓ Resource sampler started (every ${Math.round(this.intervalMs / 1000)}s)`);
+        this.runOnce().catch(err => console.error('Resource sampler error:', err));
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    async runOnce(now = new Date()) {
+        if (this.running) return;
+        this.running = true;
+
+        try {
+            await this.sample(now);
+            await this.rollup(now);
+            await this.prune(now);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    async sample(now = new Date()) {
+        const identifiers = await this.db.getActiveServerIdentifiers();
+        const samples = [];
+
+        for (const identifier of identifiers) {
+            const result = await this.pterodactyl.getServerResources(identifier);
+            if (!result.success) continue;
+
+            const resources = result.resources;
+            samples.push({
+                server_identifier: identifier,
+                resolution: 'raw',
+                sampled_at: now.toISOString(),
+                cpu: resources.cpu_absolute || 0,
+                memory_bytes: resources.memory_bytes || 0,
+                disk_bytes: resources.disk_bytes || 0,
+                network_rx_bytes: resources.network_rx_bytes || 0,
+                network_tx_bytes: resources.network_tx_bytes || 0,
+                state: resources.state || null
+            });
+        }
+
+        if (samples.length > 0) {
+            await this.db.insertResourceSamples(samples);
+        }
+        return samples.length;
+    }
+
+    async rollup(now = new Date()) {
+        for (const { resolution, source, bucketMs } of ROLLUPS) {
+            // Start from the newest bucket already written; it is skipped on insert
+            const latest = await this.db.getLatestResourceSampleTime(resolution);
+            const samples = await this.db.getResourceSamples(source, latest || new Date(0).toISOString());
+            const lastCompleteEnd = Math.floor(now.getTime() / bucketMs) * bucketMs;
+
+            const buckets = new Map();
+            for (const sample of samples) {
+                const start = Math.floor(new Date(sample.sampled_at).getTime() / bucketMs) * bucketMs;
+                if (start + bucketMs > lastCompleteEnd) continue;
+
+                const key = `${sample.server_identifier}|${start}`;
+                if (!buckets.has(key)) {
+                    buckets.set(key, { identifier: sample.server_identifier, start, samples: [] });
+                }
+                buckets.get(key).samples.push(sample);
+            }
+
+            const rolledUp = [...buckets.values()].map(bucket => ResourceSampler.aggregate(bucket, resolution));
+            if (rolledUp.length > 0) {
+                await this.db.insertResourceSamples(rolledUp);
+            }
+        }
+    }
+
+    // Gauges are averaged; network counters are cumulative so the bucket keeps
+    // the highest value, and the state is the last one seen
+    static aggregate(bucket, resolution) {
+        const { samples } = bucket;
+        const average = field => samples.reduce((sum, sample) => sum + (sample[field] || 0), 0) / samples.length;
+        const maximum = field => Math.max(...samples.map(sample => sample[field] || 0));
+
+        return {
+            server_identifier: bucket.identifier,
+            resolution,
+            sampled_at: new Date(bucket.start).toISOString(),
+            cpu: Math.round(average('cpu') * 100) / 100,
+            memory_bytes: Math.round(average('memory_bytes')),
+            disk_bytes: Math.round(average('disk_bytes')),
+            network_rx_bytes: maximum('network_rx_bytes'),
+            network_tx_bytes: maximum('network_tx_bytes'),
+            state: samples[samples.length - 1].state
+        };
+    }
+
+    async prune(now = new Date()) {
+        for (const [resolution, retentionMs] of Object.entries(this.retentionMs)) {
+            await this.db.pruneResourceSamples(resolution, new Date(now.getTime() - retentionMs).toISOString());
+        }
+    }
+
+    // Samples for a chart range ('hour', 'day' or 'week'), or null for any other range
+    async getHistory(identifier, range, now = new Date()) {
+        if (!Object.prototype.hasOwnProperty.call(RANGES, range)) {
+            return null;
+        }
+
+        const { resolution, spanMs } = RANGES[range];
+        const since = new Date(now.getTime() - spanMs).toISOString();
+        const samples = await this.db.getResourceSamples(resolution, since, identifier);
+
+        return samples.map(sample => ({
+            time: sample.sampled_at,
+            cpu: sample.cpu,
+            memory: sample.memory_bytes,
+            disk: sample.disk_bytes,
+            rx: sample.network_rx_bytes,
+            tx: sample.network_tx_bytes,
+            state: sample.state
+        }));
+    }
+}
+
+module.exports = ResourceSampler;
@@ -0,0 +1,154 @@
+// Signed-in session tracking
+// Session data lives in the connect-sqlite3 store. Each signed-in session
+// also gets a row in user_sessions so users can see where they are logged in
+// and revoke sessions. Revoking destroys the session in the store and deletes
+// the row; a session that comes back without its row is logged out. Open
+// console sockets and live stats streams are tracked per session and closed
+// along with it, since they were authenticated once when they opened.
+
+// How often last-seen times are written, to avoid a write on every request
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+class SessionManager {
+    constructor(db, store, options = {}) {
+        this.db = db;
+        this.store = store;
+        this.maxAgeMs = options.maxAgeMs || 24 * 60 * 60 * 1000;
+        this.connections = new Map();
+    }
+
+    // Calls close() if the session is revoked or logged out. Returns a
+    // function that stops tracking, for when the connection ends on its own.
+    trackConnection(sid, close) {
+        let closers = this.connections.get(sid);
+        if (!closers) {
+            closers = new Set();
+            this.connections.set(sid, closers);
+        }
+        closers.add(close);
+
+        return () => {
+            closers.delete(close);
+            if (closers.size === 0 && this.connections.get(sid) === closers) {
+                this.connections.delete(sid);
+            }
+        };
+    }
+
+    closeConnections(sid) {
+        const closers = this.connections.get(sid);
+        if (!closers) return;
+
+        this.connections.delete(sid);
+        for (const close of closers) {
+            try {
+                close();
+            } catch (err) {
+                console.error('Session connection close error:', err);
+            }
+        }
+    }
+
+    // Records and refreshes the current session. Mount after express-session.
+    middleware() {
+        return async (req, res, next) => {
+            if (!req.session || !req.session.userId) return next();
+
+            try {
+                const now = Date.now();
+
+                if (req.session.trackedUserId !== req.session.userId) {
+                    await this.db.createUserSession(req.sessionID, req.session.userId, req.ip, req.get('user-agent') || null);
+                    req.session.trackedUserId = req.session.userId;
+                    req.session.lastSeenAt = now;
+                    return next();
+                }
+
+                if (now - (req.session.lastSeenAt || 0) < TOUCH_INTERVAL_MS) return next();
+
+                const result = await this.db.touchUserSession(req.sessionID, req.ip);
+                if (result.changes === 0) {
+                    // Revoked from another device while this request was in flight
+                    return req.session.destroy(() => res.redirect('/login'));
+                }
+                req.session.lastSeenAt = now;
+                next();
+            } catch (error) {
+                next(error);
+            }
+        };
+    }
+
+    async list(userId) {
+        await this.db.deleteExpiredUserSessions(new Date(Date.now() - this.maxAgeMs).toISOString());
+        const sessions = await this.db.getUserSessions(userId);
+        return sessions.map(session => ({ ...session, device: SessionManager.describeDevice(session.user_agent) }));
+    }
+
+    // Revokes one of a user's sessions by row id. Resolves false if it isn't theirs.
+    async revoke(userId, id) {
+        const session = (await this.db.getUserSessions(userId)).find(s => s.id === id);
+        if (!session) return false;
+
+        await this.destroy(session.sid);
+        return true;
+    }
+
+    // Revokes every session of a user except keepSid. Resolves with the number revoked.
+    async revokeOthers(userId, keepSid) {
+        const sessions = (await this.db.getUserSessions(userId)).filter(s => s.sid !== keepSid);
+        for (const session of sessions) {
+            await this.destroy(session.sid);
+        }
+        return sessions.length;
+    }
+
+    async revokeAll(userId) {
+        return this.revokeOthers(userId, null);
+    }
+
+    // Called on logout so the row doesn't linger
+    async forget(sid) {
+        this.closeConnections(sid);
+        await this.db.deleteUserSession(sid);
+    }
+
+    async destroy(sid) {
+        this.closeConnections(sid);
+        await new Promise(resolve => {
+            this.store.destroy(sid, (err) => {
+                if (err) console.error('Session destroy error:', err);
+                resolve();
+            });
+        });
+        await this.db.deleteUserSession(sid);
+    }
+
+    // "Chrome on Windows" from a user agent string
+    static describeDevice(userAgent) {
+        if (!userAgent) return 'Unknown device';
+
+        const browsers = [
+            [/Edg\//, 'Edge'],
+            [/OPR\/|Opera/, 'Opera'],
+            [/Firefox\//, 'Firefox'],
+            [/Chrome\//, 'Chrome'],
+            [/Safari\//, 'Safari']
+        ];
+        const systems = [
+            [/iPhone|iPad/, 'iOS'],
+            [/Android/, 'Android'],
+            [/Windows/, 'Windows'],
+            [/Mac OS X|Macintosh/, 'macOS'],
+            [/Linux/, 'Linux']
+        ];
+
+        const browser = browsers.find(([pattern]) => pattern.test(userAgent))?.[1];
+        const system = systems.find(([pattern]) => pattern.test(userAgent))?.[1];
+
+        if (browser && system) return `${browser} on ${system}`;
+        return browser || system || userAgent.slice(0, 60);
+    }
+}
+
+module.exports = SessionManager;
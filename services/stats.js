@@ -0,0 +1,179 @@
+// Live server stats
+// One poller per server fetches its resources from the client API and fans
+// the result out to every subscriber (dashboard streams, the stats API), so
+// the panel sees one request per server per interval no matter how many tabs
+// are open. Pollers back off while nobody is subscribed and stop entirely
+// once they have been idle for a while.
+
+class StatsHub {
+    constructor(pterodactyl, options = {}) {
+        this.pterodactyl = pterodactyl;
+        this.intervalMs = options.intervalMs || 5000;
+        this.maxIdleIntervalMs = options.maxIdleIntervalMs || 60000;
+        this.idleTimeoutMs = options.idleTimeoutMs || 5 * 60 * 1000;
+        this.pollers = new Map();
+        this.sweepTimer = null;
+    }
+
+    _getPoller(identifier) {
+        let poller = this.pollers.get(identifier);
+        if (!poller) {
+            poller = {
+                identifier,
+                listeners: new Set(),
+                latest: null,
+                updatedAt: 0,
+                inFlight: null,
+                timer: null,
+                delay: this.intervalMs,
+                idleSince: null
+            };
+            this.pollers.set(identifier, poller);
+        }
+        return poller;
+    }
+
+    // Calls listener({ identifier, state, resources }) on every update.
+    // Returns a function that removes the subscription.
+    subscribe(identifier, listener) {
+        const poller = this._getPoller(identifier);
+        poller.listeners.add(listener);
+        poller.idleSince = null;
+
+        if (poller.latest) {
+            listener(poller.latest);
+        }
+
+        // Back to full speed now that someone is watching
+        if (poller.delay !== this.intervalMs || !poller.timer) {
+            const fresh = poller.latest && Date.now() - poller.updatedAt < this.intervalMs;
+            poller.delay = this.intervalMs;
+            this._schedule(poller, fresh ? this.intervalMs : 0);
+        }
+
+        return () => {
+            poller.listeners.delete(listener);
+            if (poller.listeners.size === 0) {
+                poller.idleSince = Date.now();
+            }
+        };
+    }
+
+    // Latest stats for a server, polling only if the cached value is stale
+    async get(identifier) {
+        const poller = this._getPoller(identifier);
+        if (poller.listeners.size === 0) {
+            poller.idleSince = Date.now();
+            this._scheduleSweep();
+        }
+
+        if (poller.latest && Date.now() - poller.updatedAt < this.intervalMs) {
+            return poller.latest;
+        }
+        return this._poll(poller);
+    }
+
+    // Pollers only ever read through get() have no timer of their own to
+    // notice they've gone idle, so they're swept up here instead
+    _scheduleSweep() {
+        if (this.sweepTimer) return;
+
+        this.sweepTimer = setTimeout(() => {
+            this.sweepTimer = null;
+            let waiting = false;
+            for (const poller of this.pollers.values()) {
+                if (poller.timer || poller.listeners.size > 0) continue;
+                if (!poller.inFlight && Date.now() - poller.idleSince >= this.idleTimeoutMs) {
+                    this.pollers.delete(poller.identifier);
+                } else {
+                    waiting = true;
+                }
+            }
+            if (waiting) {
+                this._scheduleSweep();
+            }
+        }, this.idleTimeoutMs);
+        this.sweepTimer.unref();
+    }
+
+    // Poll a server soon, e.g. right after a power action
+    refresh(identifier) {
+        const poller = this.pollers.get(identifier);
+        if (poller && poller.listeners.size > 0) {
+            poller.delay = this.intervalMs;
+            this._schedule(poller, 1000);
+        }
+    }
+
+    _schedule(poller, delay) {
+        clearTimeout(poller.timer);
+        poller.timer = setTimeout(() => this._tick(poller), delay);
+        poller.timer.unref();
+    }
+
+    async _tick(poller) {
+        poller.timer = null;
+
+        if (poller.listeners.size === 0) {
+            // Nobody listening: stop after the idle timeout, otherwise slow down
+            if (poller.idleSince && Date.now() - poller.idleSince >= this.idleTimeoutMs) {
+                this.pollers.delete(poller.identifier);
+                return;
+            }
+            poller.delay = Math.min(poller.delay * 2, this.maxIdleIntervalMs);
+        }
+
+        await this._poll(poller);
+
+        if (this.pollers.get(poller.identifier) === poller && !poller.timer) {
+            this._schedule(poller, poller.delay);
+        }
+    }
+
+    // Concurrent callers share one request to the panel
+    async _poll(poller) {
+        if (poller.inFlight) {
+            return poller.inFlight;
+        }
+
+        poller.inFlight = (async () => {
+            try {
+                const result = await this.pterodactyl.getServerResources(poller.identifier);
+                if (!result.success) {
+                    return poller.latest;
+                }
+
+                poller.latest = {
+                    identifier: poller.identifier,
+                    state: result.resources.state,
+                    resources: result.resources
+                };
+                poller.updatedAt = Date.now();
+
+                for (const listener of poller.listeners) {
+                    try {
+                        listener(poller.latest);
+                    } catch (err) {
+                        console.error('Stats listener error:', err);
+                    }
+                }
+                return poller.latest;
+            } finally {
+                poller.inFlight = null;
+            }
+        })();
+
+        return poller.inFlight;
+    }
+
+    stop() {
+        clearTimeout(this.sweepTimer);
+        this.sweepTimer = null;
+        for (const poller of this.pollers.values()) {
+            clearTimeout(poller.timer);
+        }
+        this.pollers.clear();
+    }
+}
+
+module.exports = StatsHub;
@@ -0,0 +1,122 @@
+// Stripe Checkout payment provider
+// Orders are paid on a hosted Checkout Session. Stripe then calls
+// <publicUrl>/payments/webhooks/<provider name> with events signed using the
+// endpoint's signing secret: `Stripe-Signature: t=<unix seconds>,v1=<hex>`,
+// where v1 is the HMAC-SHA256 of `<t>.<raw body>`.
+
+const crypto = require('crypto');
+const axios = require('axios');
+
+const API_BASE = 'https://api.stripe.com';
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Signed events older than this are rejected as replays
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+function trimSlash(url) {
+    return String(url).replace(/\/$/, '');
+}
+
+class StripeProvider {
+    constructor(key, options = {}) {
+        if (!options.secretKey || !options.webhookSecret) {
+            throw new Error(`Payment provider "${key}" needs a secretKey and a webhookSecret`);
+        }
+
+        this.key = key;
+        this.type = 'stripe';
+        this.name = options.name || 'Card';
+        this.secretKey = options.secretKey;
+        this.webhookSecret = options.webhookSecret;
+        // Can be overridden to point at a mock server
+        this.apiBase = trimSlash(options.apiBase || API_BASE);
+    }
+
+    // Creates a Checkout Session for the order and resolves with
+    // { providerRef, url }, the session id and the page to send the buyer to
+    async createCheckout(order) {
+        const params = new URLSearchParams({
+            mode: 'payment',
+            success_url: order.returnUrl,
+            cancel_url: order.cancelUrl,
+            client_reference_id: order.reference,
+            'metadata[order]': order.reference,
+            'payment_intent_data[metadata][order]': order.reference,
+            'line_items[0][quantity]': '1',
+            'line_items[0][price_data][currency]': order.currency.toLowerCase(),
+            'line_items[0][price_data][unit_amount]': String(order.amountCents),
+            'line_items[0][price_data][product_data][name]': order.description
+        });
+
+        const { data } = await axios.post(`${this.apiBase}/v1/checkout/sessions`, params.toString(), {
+            headers: {
+                Authorization: `Bearer ${this.secretKey}`,
+                'Content-Type': 'application/x-www-form-urlencoded',
+                'Idempotency-Key': order.reference
+            },
+            timeout: REQUEST_TIMEOUT_MS
+        });
+        if (!data.id || !data.url) {
+            throw new Error('Stripe did not return a checkout session');
+        }
+
+        return { providerRef: data.id, url: data.url };
+    }
+
+    verifySignature(header, rawBody, now = Date.now()) {
+        const parts = String(header || '').split(',').map(part => part.split('=', 2));
+        const timestamp = parseInt((parts.find(([name]) => name === 't') || [])[1], 10);
+        const signatures = parts.filter(([name]) => name === 'v1').map(([, value]) => Buffer.from(value || ''));
+        if (!timestamp || signatures.length === 0 || Math.abs(now / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+            return false;
+        }
+
+        const expected = Buffer.from(crypto.createHmac('sha256', this.webhookSecret).update(`${timestamp}.${rawBody}`).digest('hex'));
+        return signatures.some(signature => signature.length === expected.length && crypto.timingSafeEqual(signature, expected));
+    }
+
+    // Verifies a webhook request and resolves with the payment event it
+    // describes, or null for events that don't change an order. Throws if
+    // the signature doesn't check out.
+    async parseWebhook(headers, rawBody) {
+        if (!this.verifySignature(headers['stripe-signature'], rawBody)) {
+            throw new Error('Invalid Stripe signature');
+        }
+
+        const event = JSON.parse(rawBody.toString('utf8'));
+        const object = event.data && event.data.object ? event.data.object : {};
+
+        if (event.type === 'checkout.session.completed' || event.type === 'checkout.session.async_payment_succeeded') {
+            // Delayed payment methods complete the session unpaid and
+            // follow up with async_payment_succeeded
+            if (object.payment_status !== 'paid') return null;
+            return {
+                id: event.id,
+                type: 'paid',
+                checkoutId: object.id,
+                paymentId: object.payment_intent,
+                amountCents: object.amount_total,
+                currency: object.currency
+            };
+        }
+        if (event.type === 'charge.refunded') {
+            return {
+                id: event.id,
+                type: 'refunded',
+                paymentId: object.payment_intent,
+                amountCents: object.amount_refunded,
+                currency: object.currency
+            };
+        }
+        if (event.type === 'charge.dispute.created') {
+            return { id: event.id, type: 'disputed', paymentId: object.payment_intent };
+        }
+        if (event.type === 'charge.dispute.closed' && object.status === 'won') {
+            return { id: event.id, type: 'dispute_won', paymentId: object.payment_intent };
+        }
+        return null;
+    }
+}
+
+module.exports = StripeProvider;
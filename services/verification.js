@@ -0,0 +1,67 @@
+// Email address verification
+// Verification links carry the user id and an expiry, signed with the
+// session secret. The signature covers the email too, so a link stops
+// working if the address changes. Changing the address makes the account
+// unverified again until the new address is confirmed.
+
+const crypto = require('crypto');
+
+// Base URL for links sent by email. Never taken from the Host header, which
+// the client controls.
+function publicUrl(config) {
+    return (config.server.publicUrl || `http://localhost:${config.server.port || 3000}`).replace(/\/$/, '');
+}
+
+function signVerification(config, user, expires) {
+    return crypto.createHmac('sha256', config.server.sessionSecret)
+        .update(`verify-email.${user.id}.${user.email}.${expires}`)
+        .digest('base64url');
+}
+
+function createVerificationToken(config, user) {
+    const ttlHours = config.security.emailVerificationTtlHours || 48;
+    const expires = Date.now() + ttlHours * 60 * 60 * 1000;
+    return `${user.id}.${expires}.${signVerification(config, user, expires)}`;
+}
+
+// Resolves with the user a token was issued for, or null if it is invalid or expired
+async function checkVerificationToken(db, config, token) {
+    const [id, expires, signature] = String(token).split('.');
+    if (!id || !expires || !signature || Number(expires) < Date.now()) {
+        return null;
+    }
+
+    const user = await db.getUserById(parseInt(id, 10));
+    if (!user) {
+        return null;
+    }
+
+    const expected = Buffer.from(signVerification(config, user, expires));
+    const actual = Buffer.from(signature);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual) ? user : null;
+}
+
+// options.changed: the user changed their address rather than signing up
+async function sendVerificationEmail(req, user, options = {}) {
+    const config = req.app.locals.config;
+    const brandName = config.branding?.name || 'Cosmica';
+    const ttlHours = config.security.emailVerificationTtlHours || 48;
+    const greeting = options.changed
+        ? `This is now the email address of your ${brandName} account.`
+        : `Welcome to ${brandName}!`;
+
+    return req.app.locals.mailer.send({
+        to: user.email,
+        subject: `Verify your ${brandName} email address`,
+        text: `${greeting}\n\n` +
+            `Open this link to verify your email address:\n` +
+            `${publicUrl(config)}/verify-email/${createVerificationToken(config, user)}\n\n` +
+            `The link expires in ${ttlHours} hours. You can't buy servers until your address is verified.`
+    });
+}
+
+module.exports = {
+    publicUrl,
+    checkVerificationToken,
+    sendVerificationEmail
+};
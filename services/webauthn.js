@@ -0,0 +1,145 @@
+// WebAuthn second factor
+// Security keys and platform passkeys as an alternative to TOTP. The relying
+// party is the dashboard's public URL, so server.publicUrl must match the
+// address users actually open. Challenges are kept in the session between
+// the options and verify requests.
+
+const {
+    generateRegistrationOptions,
+    verifyRegistrationResponse,
+    generateAuthenticationOptions,
+    verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+
+const MAX_NAME_LENGTH = 50;
+
+function relyingParty(config, publicUrl) {
+    const url = new URL(publicUrl);
+    return {
+        rpID: url.hostname,
+        rpName: config.branding?.name || 'Cosmica',
+        origin: url.origin
+    };
+}
+
+function toDescriptor(credential) {
+    return {
+        id: credential.credential_id,
+        transports: JSON.parse(credential.transports || '[]')
+    };
+}
+
+function cleanName(name) {
+    return String(name || '').trim().slice(0, MAX_NAME_LENGTH) || 'Security key';
+}
+
+async function registrationOptions(db, rp, user) {
+    const existing = await db.getWebAuthnCredentials(user.id);
+
+    return generateRegistrationOptions({
+        rpName: rp.rpName,
+        rpID: rp.rpID,
+        userName: user.email,
+        userID: Buffer.from(String(user.id)),
+        attestationType: 'none',
+        // Stops the same authenticator being registered twice
+        excludeCredentials: existing.map(toDescriptor),
+        authenticatorSelection: {
+            residentKey: 'preferred',
+            userVerification: 'preferred'
+        }
+    });
+}
+
+// Stores a new authenticator. Resolves with { success } or { success: false, error }.
+async function verifyRegistration(db, rp, user, response, expectedChallenge, name) {
+    let verification;
+    try {
+        verification = await verifyRegistrationResponse({
+            response,
+            expectedChallenge,
+            expectedOrigin: rp.origin,
+            expectedRPID: rp.rpID,
+            requireUserVerification: false
+        });
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+
+    if (!verification.verified) {
+        return { success: false, error: 'The security key could not be verified' };
+    }
+
+    const { credential } = verification.registrationInfo;
+    try {
+        await db.addWebAuthnCredential(user.id, {
+            name: cleanName(name),
+            credentialId: credential.id,
+            publicKey: Buffer.from(credential.publicKey).toString('base64url'),
+            counter: credential.counter,
+            transports: credential.transports
+        });
+    } catch (error) {
+        if (error.message.includes('UNIQUE')) {
+            return { success: false, error: 'This security key is already registered' };
+        }
+        throw error;
+    }
+
+    return { success: true };
+}
+
+async function authenticationOptions(db, rp, user) {
+    const credentials = await db.getWebAuthnCredentials(user.id);
+
+    return generateAuthenticationOptions({
+        rpID: rp.rpID,
+        allowCredentials: credentials.map(toDescriptor),
+        userVerification: 'preferred'
+    });
+}
+
+// Checks an assertion against the user's own authenticators.
+// Resolves with { success } or { success: false, error }.
+async function verifyAuthentication(db, rp, user, response, expectedChallenge) {
+    const credentials = await db.getWebAuthnCredentials(user.id);
+    const credential = credentials.find(c => c.credential_id === response?.id);
+    if (!credential) {
+        return { success: false, error: 'This security key is not registered to your account' };
+    }
+
+    let verification;
+    try {
+        verification = await verifyAuthenticationResponse({
+            response,
+            expectedChallenge,
+            expectedOrigin: rp.origin,
+            expectedRPID: rp.rpID,
+            credential: {
+                id: credential.credential_id,
+                publicKey: Buffer.from(credential.public_key, 'base64url'),
+                counter: credential.counter,
+                transports: JSON.parse(credential.transports || '[]')
+            },
+            requireUserVerification: false
+        });
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+
+    if (!verification.verified) {
+        return { success: false, error: 'The security key could not be verified' };
+    }
+
+    await db.updateWebAuthnCredentialUsage(credential.id, verification.authenticationInfo.newCounter);
+    return { success: true };
+}
+
+module.exports = {
+    MAX_NAME_LENGTH,
+    relyingParty,
+    registrationOptions,
+    verifyRegistration,
+    authenticationOptions,
+    verifyAuthentication
+};
@@ -0,0 +1,180 @@
+// Outbound webhooks
+// Database methods queue a webhook_deliveries row per subscribed endpoint in
+// the same transaction as the change they describe. This job posts due
+// deliveries, signed with the endpoint's secret, and retries failures with
+// exponential backoff until they succeed or run out of attempts.
+//
+// Each request carries `Cosmica-Signature: t=<unix seconds>,v1=<hex>`, where
+// v1 is the HMAC-SHA256 of `<t>.<raw body>`. Receivers should recompute it
+// and reject old timestamps, as verifySignature() does.
+
+const crypto = require('crypto');
+const axios = require('axios');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const WEBHOOK_EVENTS = {
+    'user.registered': 'A user signed up or was created by an admin',
+    'credits.changed': 'A user\'s credit balance changed',
+    'giftcard.redeemed': 'A gift card was redeemed',
+    'server.purchased': 'A server was bought and is ready',
+    'server.suspended': 'A server was suspended by an admin, for non-payment or with its account',
+    'server.deleted': 'A server was deleted',
+    'plan.stock_exhausted': 'A plan sold its last unit of stock'
+};
+
+const SECRET_PREFIX = 'whsec_';
+
+// Deliveries sent per query; a busy queue is worked through batch by batch
+const BATCH_SIZE = 25;
+
+// Only the start of a response is kept for the delivery log
+const MAX_RESPONSE_BODY = 1000;
+
+function sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+class WebhookDispatcher {
+    constructor(db, options = {}) {
+        this.db = db;
+        this.intervalMs = options.intervalMs || 10000; // 10 seconds
+        this.timeoutMs = options.timeoutMs || 10000;
+        this.maxAttempts = options.maxAttempts || 10;
+        this.retryBaseMs = options.retryBaseMs || 30000;
+        this.retentionMs = (options.retentionDays ?? 30) * DAY;
+        this.client = axios.create({
+            timeout: this.timeoutMs,
+            maxRedirects: 0,
+            responseType: 'text',
+            transformResponse: data => data,
+            validateStatus: () => true
+        });
+        this.lastPrunedAt = 0;
+        this.timer = null;
+        this.running = false;
+    }
+
+    static get events() {
+        return WEBHOOK_EVENTS;
+    }
+
+    static generateSecret() {
+        return SECRET_PREFIX + crypto.randomBytes(24).toString('base64url');
+    }
+
+    static signatureHeader(secret, body, now = Date.now()) {
+        const timestamp = Math.floor(now / 1000);
+        return `t=${timestamp},v1=${sign(secret, timestamp, body)}`;
+    }
+
+    // True if `header` is a valid signature of `body` made in the last `toleranceSeconds`
+    static verifySignature(secret, header, body, toleranceSeconds = 300, now = Date.now()) {
+        const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=', 2)));
+        const timestamp = parseInt(parts.t, 10);
+        if (!timestamp || !parts.v1 || Math.abs(now / 1000 - timestamp) > toleranceSeconds) {
+            return false;
+        }
+
+        const expected = Buffer.from(sign(secret, timestamp, body));
+        const actual = Buffer.from(parts.v1);
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    // Known events from a form field or stored list, without duplicates
+    static parseEvents(input) {
+        const events = typeof input === 'string' ? input.split(',') : [].concat(input || []).map(String);
+        return Object.keys(WEBHOOK_EVENTS).filter(event => events.includes(event));
+    }
+
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => {
+            this.runOnce().catch(err => console.error('Webhook dispatch error:', err));
+        }, this.intervalMs);
+        this.timer.unref();
+
+        console.log(`✓ Webhook dispatcher started (every ${Math.round(this.intervalMs / 1000)}s)`);
+        this.runOnce().catch(err => console.error('Webhook dispatch error:', err));
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // Delay before retrying after `attempts` failed attempts: 30s, 1m, 2m, ...
+    retryDelay(attempts) {
+        return Math.min(this.retryBaseMs * 2 ** (attempts - 1), 12 * HOUR);
+    }
+
+    async runOnce() {
+        if (this.running) return;
+        this.running = true;
+
+        try {
+            let deliveries;
+            do {
+                deliveries = await this.db.getDueWebhookDeliveries(BATCH_SIZE);
+                for (const delivery of deliveries) {
+                    await this.deliver(delivery);
+                }
+            } while (deliveries.length === BATCH_SIZE);
+
+            if (Date.now() - this.lastPrunedAt >= HOUR) {
+                this.lastPrunedAt = Date.now();
+                await this.db.pruneWebhookDeliveries(new Date(Date.now() - this.retentionMs).toISOString());
+            }
+        } finally {
+            this.running = false;
+        }
+    }
+
+    // Sends one delivery and records the outcome. Any 2xx response counts as
+    // delivered; anything else is retried later.
+    async deliver(delivery) {
+        const startedAt = Date.now();
+        const attempts = delivery.attempts + 1;
+        const attempt = {};
+
+        try {
+            const response = await this.client.post(delivery.url, delivery.payload, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'Cosmica-Webhooks/1.0',
+                    'Cosmica-Event': delivery.event,
+                    'Cosmica-Delivery': String(delivery.id),
+                    'Cosmica-Signature': WebhookDispatcher.signatureHeader(delivery.secret, delivery.payload)
+                }
+            });
+            attempt.responseCode = response.status;
+            attempt.responseBody = typeof response.data === 'string' ? response.data.slice(0, MAX_RESPONSE_BODY) : null;
+            if (response.status < 200 || response.status >= 300) {
+                attempt.error = `HTTP ${response.status}`;
+            }
+        } catch (error) {
+            attempt.error = error.code === 'ECONNABORTED' ? `Timed out after ${this.timeoutMs}ms` : error.message;
+        }
+
+        attempt.durationMs = Date.now() - startedAt;
+        if (!attempt.error) {
+            attempt.status = 'succeeded';
+        } else if (attempts >= this.maxAttempts) {
+            attempt.status = 'failed';
+            console.warn(`⚠ Webhook delivery ${delivery.id} (${delivery.event}) failed after ${attempts} attempts: ${attempt.error}`);
+        } else {
+            attempt.status = 'pending';
+            attempt.nextAttemptAt = new Date(Date.now() + this.retryDelay(attempts)).toISOString();
+        }
+
+        await this.db.recordWebhookAttempt(delivery.id, attempt);
+        return attempt;
+    }
+}
+
+module.exports = WebhookDispatcher;
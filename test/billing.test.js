@@ -0,0 +1,258 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const BillingEngine = require('../services/billing');
+const { createTestDatabase } = require('./helpers/database');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+test('calculateRefund prorates the last charge over the rest of the period', () => {
+    const now = new Date('2024-03-11T00:00:00Z');
+    const server = { status: 'active', price: 10, billing_cycle: 'daily', next_billing_date: new Date(now.getTime() + DAY / 2).toISOString() };
+    const lastCharge = { amount: 10, created_at: '2024-03-10 12:00:00' };
+
+    assert.strictEqual(BillingEngine.calculateRefund(server, lastCharge, { mode: 'prorated' }, now), 5);
+    assert.strictEqual(BillingEngine.calculateRefund(server, lastCharge, { mode: 'full_window', windowHours: 24 }, now), 10);
+    assert.strictEqual(BillingEngine.calculateRefund(server, lastCharge, { mode: 'full_window', windowHours: 1 }, now), 0);
+    assert.strictEqual(BillingEngine.calculateRefund(server, lastCharge, { mode: 'none' }, now), 0);
+    assert.strictEqual(BillingEngine.calculateRefund({ ...server, status: 'suspended' }, lastCharge, { mode: 'prorated' }, now), 0);
+    // A price change after the charge doesn't change what comes back
+    assert.strictEqual(BillingEngine.calculateRefund({ ...server, price: 40 }, lastCharge, { mode: 'prorated' }, now), 5);
+    assert.strictEqual(BillingEngine.calculateRefund({ ...server, price: 2 }, lastCharge, { mode: 'prorated' }, now), 5);
+});
+
+test('one-time plans are a valid cycle that never renews', () => {
+    assert.ok(BillingEngine.cycles.includes('one-time'));
+    assert.strictEqual(BillingEngine.nextBillingDate('one-time'), null);
+});
+
+test('downgrading then cancelling never refunds more than was paid', async (t) => {
+    const db = await createTestDatabase();
+    t.after(() => db.cleanup());
+
+    const userId = await db.createUser('refund@example.com', 'password123', null, 10);
+    const plan = { billing_cycle: 'monthly', cpu: 100, ram: 1024, disk: 1024, egg_id: 1, location_ids: '1', enabled: true };
+    const { id: bigPlanId } = await db.createPlan({ ...plan, name: 'Big', price: 10 });
+    const { id: smallPlanId } = await db.createPlan({ ...plan, name: 'Small', price: 2 });
+
+    const nextBillingDate = BillingEngine.nextBillingDate('monthly');
+    const { id: serverId } = await db.createUserServer({
+        user_id: userId,
+        plan_id: bigPlanId,
+        pterodactyl_server_id: 1,
+        server_name: 'Refund test',
+        server_identifier: 'abcd1234',
+        status: 'active',
+        next_billing_date: nextBillingDate.toISOString()
+    });
+    assert.ok(await db.chargeUserCredits(userId, 10, { reason: 'server_purchase', relatedType: 'server', relatedId: serverId }));
+
+    // Downgrade straight away: the user gets (10 - 2) back for the period
+    const server = await db.getUserServerById(serverId);
+    const credit = BillingEngine.planChangeAmount(server, { price: 10, billing_cycle: 'monthly' }, { price: 2 });
+    const begun = await db.beginPlanChange(serverId, userId, smallPlanId, credit);
+    assert.ok(begun.success);
+    await db.commitPlanChange(serverId);
+
+    const lastCharge = await db.getLastServerCharge(serverId);
+    const downgraded = await db.getUserServerById(serverId);
+    for (const policy of [{ mode: 'prorated' }, { mode: 'full_window', windowHours: 24 }]) {
+        const refund = BillingEngine.calculateRefund(downgraded, lastCharge, policy);
+        const user = await db.getUserById(userId);
+        assert.ok(user.credits + refund <= 10, `${policy.mode} refunds ${refund} on top of ${user.credits}`);
+    }
+});
+
+test('a reverted upgrade does not count as paid', async (t) => {
+    const db = await createTestDatabase();
+    t.after(() => db.cleanup());
+
+    const userId = await db.createUser('upgrade@example.com', 'password123', null, 20);
+    const plan = { billing_cycle: 'monthly', cpu: 100, ram: 1024, disk: 1024, egg_id: 1, location_ids: '1', enabled: true };
+    const { id: smallPlanId } = await db.createPlan({ ...plan, name: 'Small', price: 2 });
+    const { id: bigPlanId } = await db.createPlan({ ...plan, name: 'Big', price: 10 });
+
+    const { id: serverId } = await db.createUserServer({
+        user_id: userId,
+        plan_id: smallPlanId,
+        pterodactyl_server_id: 1,
+        server_name: 'Upgrade test',
+        server_identifier: 'efgh5678',
+        status: 'active',
+        next_billing_date: BillingEngine.nextBillingDate('monthly').toISOString()
+    });
+    await db.chargeUserCredits(userId, 2, { reason: 'server_purchase', relatedType: 'server', relatedId: serverId });
+
+    assert.ok((await db.beginPlanChange(serverId, userId, bigPlanId, 8)).success);
+    await db.revertPlanChange(serverId);
+
+    const lastCharge = await db.getLastServerCharge(serverId);
+    assert.strictEqual(lastCharge.amount, 2);
+});
+
+test('an admin unsuspend is not undone by the next billing run', async (t) => {
+    const db = await createTestDatabase();
+    t.after(() => db.cleanup());
+
+    const panel = {
+        suspendServer: async () => ({ success: true }),
+        unsuspendServer: async () => ({ success: true }),
+        deleteServer: async () => ({ success: true })
+    };
+    const engine = new BillingEngine(db, panel, { gracePeriodHours: 1 });
+
+    const userId = await db.createUser('unpaid@example.com', 'password123', null, 0);
+    const { id: planId } = await db.createPlan({ name: 'Plan', price: 5, billing_cycle: 'monthly', cpu: 100, ram: 1024, disk: 1024, egg_id: 1, location_ids: '1', enabled: true });
+    const { id: serverId } = await db.createUserServer({
+        user_id: userId,
+        plan_id: planId,
+        pterodactyl_server_id: 1,
+        server_name: 'Unpaid',
+        server_identifier: 'ijkl9012',
+        status: 'active',
+        next_billing_date: new Date(Date.now() - 60 * 1000).toISOString()
+    });
+
+    await engine.runOnce();
+    assert.strictEqual((await db.getUserServerById(serverId)).status, 'suspended');
+    await db.updateServerBilling(serverId, { suspended_at: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString() });
+
+    await db.updateServerStatus(serverId, 'active');
+    await engine.runOnce();
+    const server = await db.getUserServerById(serverId);
+    assert.strictEqual(server.status, 'active');
+    assert.ok(BillingEngine.parseDate(server.next_billing_date) > new Date());
+
+    // An admin suspension is never terminated by the grace period
+    await db.updateServerStatus(serverId, 'suspended');
+    await engine.runOnce();
+    assert.strictEqual((await db.getUserServerById(serverId)).status, 'suspended');
+});
+
+test('restoring a long-suspended account does not bill the time it was off', async (t) => {
+    const db = await createTestDatabase();
+    t.after(() => db.cleanup());
+
+    const panel = {
+        suspendServer: async () => ({ success: true }),
+        unsuspendServer: async () => ({ success: true }),
+        deleteServer: async () => ({ success: true })
+    };
+    const engine = new BillingEngine(db, panel, { gracePeriodHours: 24 });
+
+    const userId = await db.createUser('returning@example.com', 'password123', null, 20);
+    const { id: planId } = await db.createPlan({ name: 'Plan', price: 5, billing_cycle: 'monthly', cpu: 100, ram: 1024, disk: 1024, egg_id: 1, location_ids: '1', enabled: true });
+    const { id: serverId } = await db.createUserServer({
+        user_id: userId,
+        plan_id: planId,
+        pterodactyl_server_id: 1,
+        server_name: 'Returning',
+        server_identifier: 'mnop3456',
+        status: 'active',
+        next_billing_date: new Date(Date.now() + DAY).toISOString()
+    });
+
+    await db.suspendAccountServers(userId);
+    // Four months later the account is reactivated
+    await db.updateServerBilling(serverId, { next_billing_date: new Date(Date.now() - 120 * DAY).toISOString() });
+    await db.restoreAccountServers(userId);
+
+    await engine.runOnce();
+    await engine.runOnce();
+    const server = await db.getUserServerById(serverId);
+    assert.strictEqual(server.status, 'active');
+    assert.ok(BillingEngine.parseDate(server.next_billing_date) > new Date());
+    assert.strictEqual((await db.getUserById(userId)).credits, 20);
+});
+
+test('billing leaves servers alone that a plan change or cancellation took over', async (t) => {
+    const db = await createTestDatabase();
+    t.after(() => db.cleanup());
+
+    // Each panel call lets the user act in between billing reading the server and writing it back
+    const calls = [];
+    let during = async () => {};
+    const panel = {
+        suspendServer: async () => { calls.push('suspend'); await during(); return { success: true }; },
+        unsuspendServer: async () => { calls.push('unsuspend'); await during(); return { success: true }; },
+        deleteServer: async () => ({ success: true })
+    };
+    const engine = new BillingEngine(db, panel, { gracePeriodHours: 24 });
+
+    const userId = await db.createUser('racing@example.com', 'password123', null, 0);
+    const plan = { billing_cycle: 'monthly', cpu: 100, ram: 1024, disk: 1024, egg_id: 1, location_ids: '1', enabled: true };
+    const { id: planId } = await db.createPlan({ ...plan, name: 'Plan', price: 5 });
+    const { id: otherPlanId } = await db.createPlan({ ...plan, name: 'Other', price: 5 });
+    const { id: serverId } = await db.createUserServer({
+        user_id: userId,
+        plan_id: planId,
+        pterodactyl_server_id: 1,
+        server_name: 'Racing',
+        server_identifier: 'qrst7890',
+        status: 'active',
+        next_billing_date: new Date(Date.now() - 60 * 1000).toISOString()
+    });
+
+    // The renewal can't be paid, and the user changes plans while the panel suspends the server
+    during = async () => {
+        during = async () => {};
+        assert.ok((await db.beginPlanChange(serverId, userId, otherPlanId, 0)).success);
+    };
+    await engine.renewServer(await db.getUserServerById(serverId));
+    assert.strictEqual((await db.getUserServerById(serverId)).status, 'changing_plan');
+    assert.deepStrictEqual(calls, ['suspend', 'unsuspend']);
+    await db.revertPlanChange(serverId);
+
+    // Suspended and then paid, but cancelled while the panel unsuspends it
+    await db.updateServerBilling(serverId, { status: 'suspended', suspended_at: new Date().toISOString() });
+    await db.updateUserCredits(userId, 5);
+    calls.length = 0;
+    during = async () => {
+        during = async () => {};
+        assert.strictEqual(await db.beginServerCancellation(serverId), 'suspended');
+    };
+    await engine.reactivateServer(await db.getUserServerById(serverId));
+    assert.strictEqual((await db.getUserServerById(serverId)).status, 'cancelling');
+    assert.deepStrictEqual(calls, ['unsuspend', 'suspend']);
+    assert.strictEqual((await db.getUserById(userId)).credits, 5);
+});
+
+test('servers of a banned or suspended account are not reactivated', async (t) => {
+    const db = await createTestDatabase();
+    t.after(() => db.cleanup());
+
+    const panel = {
+        suspendServer: async () => ({ success: true }),
+        unsuspendServer: async () => ({ success: true }),
+        deleteServer: async () => ({ success: true })
+    };
+    const engine = new BillingEngine(db, panel, { gracePeriodHours: 24 });
+
+    const userId = await db.createUser('banned@example.com', 'password123', null, 0);
+    const { id: planId } = await db.createPlan({ name: 'Plan', price: 5, billing_cycle: 'monthly', cpu: 100, ram: 1024, disk: 1024, egg_id: 1, location_ids: '1', enabled: true });
+    const { id: serverId } = await db.createUserServer({
+        user_id: userId,
+        plan_id: planId,
+        pterodactyl_server_id: 1,
+        server_name: 'Banned',
+        server_identifier: 'uvwx1234',
+        status: 'active',
+        next_billing_date: new Date(Date.now() - 60 * 1000).toISOString()
+    });
+
+    await engine.runOnce();
+    assert.strictEqual((await db.getUserServerById(serverId)).status, 'suspended');
+
+    await db.updateUserCredits(userId, 20);
+    for (const status of ['banned', 'suspended']) {
+        await db.updateUserStatus(userId, status, 'Abuse');
+        await engine.runOnce();
+        await engine.settleUser(userId);
+        assert.strictEqual((await db.getUserServerById(serverId)).status, 'suspended');
+        assert.strictEqual((await db.getUserById(userId)).credits, 20);
+    }
+
+    await db.updateUserStatus(userId, 'active');
+    await engine.runOnce();
+    assert.strictEqual((await db.getUserServerById(serverId)).status, 'active');
+    assert.strictEqual((await db.getUserById(userId)).credits, 15);
+});
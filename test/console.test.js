@@ -0,0 +1,178 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const WebSocket = require('ws');
+const ConsoleProxy = require('../services/console');
+const SessionManager = require('../services/sessions');
+const { createTestDatabase } = require('./helpers/database');
+const { startWingsServer } = require('./helpers/wings');
+
+const PANEL_URL = 'https://panel.cosmica.test';
+const CONSOLE_PATH = '/dashboard/servers/abcd1234/console/ws';
+
+// A Cosmica server with the console proxy attached, one user who owns
+// server abcd1234 and a stand-in Wings behind it. Sessions are looked up by
+// a plain sid cookie instead of going through express-session.
+async function startConsole(t) {
+    const db = await createTestDatabase();
+    const wings = await startWingsServer();
+
+    const userId = await db.createUser('owner@example.com', 'password123');
+    const otherId = await db.createUser('other@example.com', 'password123');
+    const { id: planId } = await db.createPlan({
+        name: 'Small', price: 2, billing_cycle: 'monthly', cpu: 100, ram: 1024, disk: 1024, egg_id: 1, location_ids: '1', enabled: true
+    });
+    await db.createUserServer({
+        user_id: userId,
+        plan_id: planId,
+        pterodactyl_server_id: 1,
+        server_name: 'Console test',
+        server_identifier: 'abcd1234',
+        status: 'active'
+    });
+
+    let issued = 0;
+    const pterodactyl = {
+        panelUrl: PANEL_URL,
+        getWebsocketCredentials: async () => ({ success: true, token: `token-${++issued}`, socket: wings.url }),
+        getUserServers: async () => ({ success: true, servers: [] })
+    };
+
+    const store = new Map([
+        ['owner', { userId, twoFAVerified: true }],
+        ['owner-no-2fa', { userId, twoFAVerified: false }],
+        ['other', { userId: otherId, twoFAVerified: true }]
+    ]);
+    const sessionMiddleware = (req, res, next) => {
+        req.sessionID = /sid=([^;]+)/.exec(req.headers.cookie || '')?.[1];
+        req.session = store.get(req.sessionID);
+        next();
+    };
+    const sessions = new SessionManager(db, {
+        destroy: (sid, callback) => {
+            store.delete(sid);
+            callback();
+        }
+    });
+
+    const proxy = new ConsoleProxy(db, pterodactyl, sessionMiddleware, sessions);
+    const server = http.createServer();
+    proxy.attach(server);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    t.after(async () => {
+        proxy.close();
+        await new Promise(resolve => server.close(resolve));
+        await wings.close();
+        db.cleanup();
+    });
+
+    const port = server.address().port;
+    return {
+        wings,
+        sessions,
+        open: ({ sid = 'owner', origin = `http://127.0.0.1:${port}`, path = CONSOLE_PATH } = {}) => {
+            const client = new WebSocket(`ws://127.0.0.1:${port}${path}`, { origin, headers: sid ? { cookie: `sid=${sid}` } : {} });
+            client.inbox = [];
+            client.on('message', data => client.inbox.push(JSON.parse(data.toString())));
+            client.on('error', () => {});
+            return client;
+        }
+    };
+}
+
+// 101 once the socket opens, otherwise the status the upgrade was refused with
+function upgradeStatus(client) {
+    return new Promise(resolve => {
+        client.on('open', () => resolve(101));
+        client.on('unexpected-response', (req, res) => resolve(res.statusCode));
+    });
+}
+
+function nextEvent(client, event) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Never received ${event}`)), 2000);
+        const onMessage = data => {
+            const message = JSON.parse(data.toString());
+            if (message.event === event) {
+                clearTimeout(timer);
+                client.off('message', onMessage);
+                resolve(message);
+            }
+        };
+        client.on('message', onMessage);
+    });
+}
+
+test('refuses sockets without a signed-in owner from this site', async (t) => {
+    const { open } = await startConsole(t);
+
+    assert.strictEqual(await upgradeStatus(open({ path: '/dashboard/servers/abcd1234/other' })), 404);
+    assert.strictEqual(await upgradeStatus(open({ origin: 'https://evil.test' })), 403);
+    assert.strictEqual(await upgradeStatus(open({ sid: null })), 401);
+    assert.strictEqual(await upgradeStatus(open({ sid: 'owner-no-2fa' })), 401);
+    assert.strictEqual(await upgradeStatus(open({ sid: 'other' })), 403);
+
+    const client = open();
+    const authed = nextEvent(client, 'auth success');
+    assert.strictEqual(await upgradeStatus(client), 101);
+    await authed;
+});
+
+test('relays console events and only the commands a browser may send', async (t) => {
+    const { open, wings } = await startConsole(t);
+
+    const client = open();
+    const authed = nextEvent(client, 'auth success');
+    await upgradeStatus(client);
+    await authed;
+
+    assert.deepStrictEqual(await wings.waitFor(message => message.event === 'auth'), { event: 'auth', args: ['token-1'] });
+    assert.strictEqual(wings.sockets[0].origin, PANEL_URL);
+
+    const output = nextEvent(client, 'console output');
+    wings.broadcast('console output', ['[Server] Done (1.2s)!']);
+    assert.deepStrictEqual((await output).args, ['[Server] Done (1.2s)!']);
+
+    client.send(JSON.stringify({ event: 'set state', args: ['kill'] }));
+    client.send(JSON.stringify({ event: 'auth', args: ['stolen-token'] }));
+    client.send(JSON.stringify({ event: 'send command', args: ['say', 42] }));
+
+    const command = await wings.waitFor(message => message.event === 'send command');
+    assert.deepStrictEqual(command.args, ['say', '42']);
+    assert.ok(!wings.received.some(message => message.event === 'set state'));
+    assert.ok(!wings.received.some(message => message.args?.[0] === 'stolen-token'));
+});
+
+test('refreshes the Wings token without telling the browser', async (t) => {
+    const { open, wings } = await startConsole(t);
+
+    const client = open();
+    const authed = nextEvent(client, 'auth success');
+    await upgradeStatus(client);
+    await authed;
+
+    wings.broadcast('token expiring');
+    await wings.waitFor(message => message.event === 'auth' && message.args[0] === 'token-2');
+
+    const output = nextEvent(client, 'console output');
+    wings.broadcast('console output', ['still here']);
+    await output;
+    assert.ok(!client.inbox.some(message => message.event === 'token expiring'));
+});
+
+test('closes the console when its session is revoked', async (t) => {
+    const { open, wings, sessions } = await startConsole(t);
+
+    const client = open();
+    const authed = nextEvent(client, 'auth success');
+    await upgradeStatus(client);
+    await authed;
+
+    const closed = new Promise(resolve => client.on('close', (code, reason) => resolve({ code, reason: reason.toString() })));
+    const upstreamClosed = new Promise(resolve => wings.sockets[0].on('close', resolve));
+    await sessions.destroy('owner');
+
+    assert.deepStrictEqual(await closed, { code: 1008, reason: 'Session ended' });
+    await upstreamClosed;
+});
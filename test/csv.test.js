@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { csvField, toCsv } = require('../services/csv');
+
+test('quotes fields that hold separators, quotes or line breaks', () => {
+    assert.strictEqual(csvField('plain'), 'plain');
+    assert.strictEqual(csvField(null), '');
+    assert.strictEqual(csvField('a,b'), '"a,b"');
+    assert.strictEqual(csvField('say "hi"'), '"say ""hi"""');
+    assert.strictEqual(csvField('two\nlines'), '"two\nlines"');
+});
+
+test('keeps user text that looks like a formula from running as one', () => {
+    assert.strictEqual(csvField('=HYPERLINK("https://evil.test","click")'), '"\'=HYPERLINK(""https://evil.test"",""click"")"');
+    assert.strictEqual(csvField('+1+cmd|calc'), "'+1+cmd|calc");
+    assert.strictEqual(csvField('-2+3'), "'-2+3");
+    assert.strictEqual(csvField('@SUM(A1:A2)'), "'@SUM(A1:A2)");
+    assert.strictEqual(csvField('\t=1+1'), "'\t=1+1");
+    assert.strictEqual(csvField('\r=1+1'), '"\'\r=1+1"');
+
+    // Amounts stay numbers
+    assert.strictEqual(csvField('-5.00'), '-5.00');
+    assert.strictEqual(csvField(-5), '-5');
+});
+
+test('builds a document with CRLF line endings', () => {
+    assert.strictEqual(toCsv(['Name', 'Amount'], [['=cmd', '-1.50'], ['ok', '2.00']]), "Name,Amount\r\n'=cmd,-1.50\r\nok,2.00");
+});
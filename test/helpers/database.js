@@ -0,0 +1,21 @@
+// Fresh on-disk database per test file. Database opens a second connection
+// for transactions, so an in-memory database can't be used.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('../../database');
+
+async function createTestDatabase() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cosmica-test-'));
+    const db = new Database(path.join(dir, 'test.sqlite'));
+    await db.initialize();
+
+    db.cleanup = () => {
+        db.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    };
+    return db;
+}
+
+module.exports = { createTestDatabase };
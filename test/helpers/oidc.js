@@ -0,0 +1,112 @@
+// Stand-in OpenID Connect issuer. Serves discovery, token and userinfo
+// endpoints for one client and checks PKCE, the redirect URI and the client
+// credentials like a real issuer would. Tests can change the discovery
+// document, the ID token claims and the userinfo response before a sign-in.
+
+const http = require('http');
+const crypto = require('crypto');
+
+const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+async function startOidcIssuer({ clientId, clientSecret }) {
+    const grants = new Map();
+    const accessTokens = new Map();
+
+    const issuer = {
+        account: { sub: 'user-1', email: 'oidc@example.com', email_verified: true, name: 'OIDC User' },
+        discovery: {},
+        claims: {},
+        userInfo: {},
+        tokenRequests: []
+    };
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const json = (status, data) => {
+                res.writeHead(status, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(data));
+            };
+            const { pathname } = new URL(req.url, issuer.url);
+
+            if (pathname === '/.well-known/openid-configuration') {
+                return json(200, {
+                    issuer: issuer.url,
+                    authorization_endpoint: `${issuer.url}/authorize`,
+                    token_endpoint: `${issuer.url}/token`,
+                    userinfo_endpoint: `${issuer.url}/userinfo`,
+                    ...issuer.discovery
+                });
+            }
+
+            if (pathname === '/token') {
+                const form = new URLSearchParams(body);
+                let credentials = [form.get('client_id'), form.get('client_secret')];
+                if (req.headers.authorization) {
+                    const basic = Buffer.from(req.headers.authorization.replace(/^Basic /, ''), 'base64').toString('utf8');
+                    credentials = basic.split(':').map(decodeURIComponent);
+                }
+                issuer.tokenRequests.push({ form, basicAuth: Boolean(req.headers.authorization) });
+
+                if (credentials[0] !== clientId || credentials[1] !== clientSecret) {
+                    return json(401, { error: 'invalid_client' });
+                }
+                const grant = grants.get(form.get('code'));
+                grants.delete(form.get('code'));
+                if (!grant || grant.redirectUri !== form.get('redirect_uri')) {
+                    return json(400, { error: 'invalid_grant' });
+                }
+                const challenge = crypto.createHash('sha256').update(form.get('code_verifier') || '').digest('base64url');
+                if (challenge !== grant.challenge) {
+                    return json(400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+                }
+
+                const accessToken = crypto.randomBytes(16).toString('hex');
+                accessTokens.set(accessToken, { ...issuer.account });
+                const claims = {
+                    iss: issuer.url,
+                    aud: clientId,
+                    sub: issuer.account.sub,
+                    exp: Math.floor(Date.now() / 1000) + 300,
+                    nonce: grant.nonce,
+                    ...issuer.claims
+                };
+                return json(200, {
+                    access_token: accessToken,
+                    token_type: 'Bearer',
+                    id_token: `${encode({ alg: 'RS256' })}.${encode(claims)}.signature`
+                });
+            }
+
+            if (pathname === '/userinfo') {
+                const account = accessTokens.get((req.headers.authorization || '').replace(/^Bearer /, ''));
+                if (!account) return json(401, { error: 'invalid_token' });
+                return json(200, { ...account, ...issuer.userInfo });
+            }
+
+            json(404, { error: 'not_found' });
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    issuer.url = `http://127.0.0.1:${server.address().port}`;
+
+    // Plays the browser signing in at the issuer: resolves with the code the
+    // callback would receive for this authorization URL
+    issuer.authorize = (authorizationUrl) => {
+        const params = new URL(authorizationUrl).searchParams;
+        const code = crypto.randomBytes(16).toString('hex');
+        grants.set(code, {
+            redirectUri: params.get('redirect_uri'),
+            challenge: params.get('code_challenge'),
+            nonce: params.get('nonce')
+        });
+        return code;
+    };
+
+    issuer.close = () => new Promise(resolve => server.close(resolve));
+    return issuer;
+}
+
+module.exports = { startOidcIssuer };
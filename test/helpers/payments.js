@@ -0,0 +1,160 @@
+// Stand-ins for the Stripe and PayPal APIs, and signers for their webhooks.
+// The PayPal fake serves its signing certificate from the same origin as its
+// API, which the adapter trusts as it would a mock server's in development.
+// Each fake signs with a key pair generated when it starts.
+
+const http = require('http');
+const crypto = require('crypto');
+
+// DER encoding of one ASN.1 value
+function der(tag, ...contents) {
+    const body = Buffer.concat(contents);
+    // Lengths from 128 up are written as 0x82 and two bytes, which covers a certificate
+    const length = body.length < 0x80
+        ? Buffer.from([body.length])
+        : Buffer.from([0x82, body.length >> 8, body.length & 0xff]);
+    return Buffer.concat([Buffer.from([tag]), length, body]);
+}
+
+function utcTime(date) {
+    return der(0x17, Buffer.from(date.toISOString().replace(/[-:T]/g, '').slice(2, 14) + 'Z'));
+}
+
+// Self-signed certificate for a fresh key, valid from yesterday to tomorrow.
+// Node can verify certificates but not issue them, so it is encoded here.
+function selfSignedCertificate(name) {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const sha256WithRsa = der(0x30, der(0x06, Buffer.from('2a864886f70d01010b', 'hex')), der(0x05));
+    const subject = der(0x30, der(0x31, der(0x30,
+        der(0x06, Buffer.from('550403', 'hex')),
+        der(0x0c, Buffer.from(name))
+    )));
+    const day = 24 * 60 * 60 * 1000;
+
+    const tbs = der(0x30,
+        der(0x02, Buffer.from([1])),
+        sha256WithRsa,
+        subject,
+        der(0x30, utcTime(new Date(Date.now() - day)), utcTime(new Date(Date.now() + day))),
+        subject,
+        publicKey.export({ type: 'spki', format: 'der' })
+    );
+    const signature = crypto.sign('sha256', tbs, privateKey);
+    const certificate = der(0x30, tbs, sha256WithRsa, der(0x03, Buffer.from([0]), signature));
+
+    const pem = `-----BEGIN CERTIFICATE-----\n${certificate.toString('base64').match(/.{1,64}/g).join('\n')}\n-----END CERTIFICATE-----\n`;
+    return { privateKey, certificate: pem };
+}
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc ^= byte;
+        for (let k = 0; k < 8; k++) {
+            crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+        }
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Runs handler(req, body, json) on a local port; the requests are kept
+async function startApi(handler) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+            const json = (status, data) => {
+                res.writeHead(status, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(data));
+            };
+            handler(req, body, json, res);
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+// `Stripe-Signature` header for a raw body, signed at `timestamp` (unix seconds)
+function signStripe(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+}
+
+async function startStripeApi() {
+    let sessions = 0;
+    return startApi((req, body, json) => {
+        if (req.method === 'POST' && req.url === '/v1/checkout/sessions') {
+            const id = `cs_test_${++sessions}`;
+            return json(200, { id, url: `https://checkout.stripe.test/c/pay/${id}` });
+        }
+        json(404, { error: { message: 'Unknown request' } });
+    });
+}
+
+async function startPayPalApi({ clientId, clientSecret }) {
+    const captured = new Set();
+    const signing = selfSignedCertificate('PayPal test signing');
+    let orders = 0;
+
+    const api = await startApi((req, body, json, res) => {
+        if (req.method === 'GET' && req.url === '/certs/signing.pem') {
+            res.writeHead(200, { 'Content-Type': 'application/x-pem-file' });
+            return res.end(signing.certificate);
+        }
+        if (req.method === 'POST' && req.url === '/v1/oauth2/token') {
+            const basic = `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`;
+            if (req.headers.authorization !== basic) {
+                return json(401, { error: 'invalid_client' });
+            }
+            return json(200, { access_token: 'A21-test-token', token_type: 'Bearer', expires_in: 32400 });
+        }
+        if (req.headers.authorization !== 'Bearer A21-test-token') {
+            return json(401, { name: 'AUTHENTICATION_FAILURE' });
+        }
+        if (req.method === 'POST' && req.url === '/v2/checkout/orders') {
+            const id = `5O190127TN36471${String(++orders).padStart(2, '0')}`;
+            return json(201, {
+                id,
+                status: 'CREATED',
+                links: [{ rel: 'approve', href: `https://www.sandbox.paypal.test/checkoutnow?token=${id}` }]
+            });
+        }
+        const capture = /^\/v2\/checkout\/orders\/([^/]+)\/capture$/.exec(req.url);
+        if (req.method === 'POST' && capture) {
+            if (captured.has(capture[1])) {
+                return json(422, { name: 'UNPROCESSABLE_ENTITY', details: [{ issue: 'ORDER_ALREADY_CAPTURED' }] });
+            }
+            captured.add(capture[1]);
+            return json(201, { id: capture[1], status: 'COMPLETED' });
+        }
+        json(404, { name: 'RESOURCE_NOT_FOUND' });
+    });
+
+    api.certUrl = `${api.url}/certs/signing.pem`;
+
+    // Webhook headers for a raw body, signed the way PayPal signs them
+    api.sign = (webhookId, body, headers = {}) => {
+        const transmissionId = crypto.randomUUID();
+        const transmissionTime = new Date().toISOString();
+        const message = `${transmissionId}|${transmissionTime}|${webhookId}|${crc32(Buffer.from(body))}`;
+        return {
+            'paypal-transmission-id': transmissionId,
+            'paypal-transmission-time': transmissionTime,
+            'paypal-transmission-sig': crypto.sign('sha256', Buffer.from(message), signing.privateKey).toString('base64'),
+            'paypal-cert-url': api.certUrl,
+            'paypal-auth-algo': 'SHA256withRSA',
+            ...headers
+        };
+    };
+
+    return api;
+}
+
+module.exports = { signStripe, startStripeApi, startPayPalApi };
@@ -0,0 +1,6 @@
+// Loaded into every test file (see the test script in package.json).
+// Node 20's test runner shares stdout with its child processes and fails to
+// parse multi-byte characters written there, such as the ✓ in status logs,
+// so those go to stderr during tests.
+console.log = console.error;
+console.info = console.error;
@@ -0,0 +1,68 @@
+// Stand-in SMTP server that accepts every message and keeps it in memory.
+// Speaks just enough of the protocol for nodemailer over plain TCP.
+
+const net = require('net');
+
+async function startSmtpServer() {
+    const messages = [];
+
+    const server = net.createServer(socket => {
+        let envelope = { from: null, to: [] };
+        let data = null;
+        let buffer = '';
+
+        const reply = line => socket.write(line + '\r\n');
+        reply('220 localhost ESMTP test');
+
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+
+            let index;
+            while ((index = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+
+                if (data !== null) {
+                    if (line === '.') {
+                        messages.push({ ...envelope, raw: data.join('\r\n') });
+                        envelope = { from: null, to: [] };
+                        data = null;
+                        reply('250 OK queued');
+                    } else {
+                        data.push(line.startsWith('..') ? line.slice(1) : line);
+                    }
+                    continue;
+                }
+
+                const command = line.slice(0, 4).toUpperCase();
+                if (command === 'EHLO' || command === 'HELO') {
+                    reply('250 localhost');
+                } else if (command === 'MAIL') {
+                    envelope.from = line.slice(line.indexOf(':') + 1).trim().replace(/^<|>.*$/g, '');
+                    reply('250 OK');
+                } else if (command === 'RCPT') {
+                    envelope.to.push(line.slice(line.indexOf(':') + 1).trim().replace(/^<|>.*$/g, ''));
+                    reply('250 OK');
+                } else if (command === 'DATA') {
+                    data = [];
+                    reply('354 End data with <CR><LF>.<CR><LF>');
+                } else if (command === 'QUIT') {
+                    reply('221 Bye');
+                    socket.end();
+                } else {
+                    reply('250 OK');
+                }
+            }
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        port: server.address().port,
+        messages,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+module.exports = { startSmtpServer };
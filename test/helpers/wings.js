@@ -0,0 +1,64 @@
+// Stand-in Wings websocket. Accepts any connection, answers auth events like
+// Wings does and keeps every event it receives so tests can inspect them.
+
+const WebSocket = require('ws');
+
+async function startWingsServer() {
+    const sockets = [];
+    const received = [];
+    const waiters = [];
+
+    const wss = new WebSocket.Server({ port: 0, host: '127.0.0.1' });
+
+    wss.on('connection', (socket, req) => {
+        socket.origin = req.headers.origin;
+        sockets.push(socket);
+
+        socket.on('message', data => {
+            const message = JSON.parse(data.toString());
+            received.push(message);
+            if (message.event === 'auth') {
+                socket.send(JSON.stringify({ event: 'auth success' }));
+            }
+            waiters.splice(0).forEach(wake => wake());
+        });
+    });
+
+    await new Promise(resolve => wss.on('listening', resolve));
+
+    // Resolves with the first event received so far that matches
+    const waitFor = (match) => new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('Wings never received the event')), 2000);
+        const check = () => {
+            const message = received.find(match);
+            if (message) {
+                clearTimeout(timer);
+                resolve(message);
+            } else {
+                waiters.push(check);
+            }
+        };
+        check();
+    });
+
+    return {
+        url: `ws://127.0.0.1:${wss.address().port}/api/servers/test/ws`,
+        sockets,
+        received,
+        waitFor,
+        // Sends an event to every connected console
+        broadcast: (event, args = []) => {
+            for (const socket of sockets) {
+                if (socket.readyState === WebSocket.OPEN) {
+                    socket.send(JSON.stringify({ event, args }));
+                }
+            }
+        },
+        close: () => new Promise(resolve => {
+            for (const socket of wss.clients) socket.terminate();
+            wss.close(resolve);
+        })
+    };
+}
+
+module.exports = { startWingsServer };
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { beginAttempt, endAttempt, recordFailedAttempt, lockedFor } = require('../services/lockout');
+const { createTestDatabase } = require('./helpers/database');
+
+const config = { security: { lockout: { freeAttempts: 3, maxAttempts: 10, lockoutMinutes: 15 } } };
+
+test('parallel attempts on one account are checked one at a time', async (t) => {
+    const db = await createTestDatabase();
+    t.after(() => db.cleanup());
+
+    const userId = await db.createUser('parallel@example.com', 'password123');
+    const user = await db.getUserById(userId);
+
+    const attempts = await Promise.all(Array.from({ length: 20 }, () => beginAttempt(db, user)));
+    const admitted = attempts.filter(attempt => attempt.wait === 0);
+    assert.strictEqual(admitted.length, 1);
+
+    // A wrong guess records its failure and frees the slot for the next one
+    await recordFailedAttempt(db, config, user);
+    const next = await beginAttempt(db, user);
+    assert.strictEqual(next.wait, 0);
+
+    // A right password that still needs 2FA gives the slot back
+    await endAttempt(db, next);
+    assert.strictEqual(lockedFor(await db.getUserById(userId)), 0);
+});
+
+test('a lock set by failures outlasts the attempt that caused it', async (t) => {
+    const db = await createTestDatabase();
+    t.after(() => db.cleanup());
+
+    const userId = await db.createUser('locked@example.com', 'password123');
+    const user = await db.getUserById(userId);
+
+    // No backoff before the limit, so the attempts can run back to back
+    const strict = { security: { lockout: { freeAttempts: 10, maxAttempts: 10, lockoutMinutes: 15 } } };
+    let attempt;
+    for (let i = 0; i < 10; i++) {
+        attempt = await beginAttempt(db, user);
+        assert.strictEqual(attempt.wait, 0);
+        await recordFailedAttempt(db, strict, user);
+    }
+
+    // Releasing the finished attempt must not lift the lockout
+    await endAttempt(db, attempt);
+    const locked = await beginAttempt(db, user);
+    assert.ok(locked.wait > 14 * 60, `locked for ${locked.wait}s`);
+});
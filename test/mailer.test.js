@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Mailer = require('../services/mailer');
+const { startSmtpServer } = require('./helpers/smtp');
+
+const message = {
+    to: 'user@example.com',
+    subject: 'Reset your password',
+    text: 'Open https://cosmica.test/reset-password/secret-token to choose a new password.'
+};
+
+test('rejects unknown transports', () => {
+    assert.throws(() => new Mailer({ transport: 'carrier-pigeon' }), /Unknown mail transport/);
+});
+
+test('smtp transport delivers through the configured server', async (t) => {
+    const smtp = await startSmtpServer();
+    t.after(() => smtp.close());
+
+    const mailer = new Mailer({
+        transport: 'smtp',
+        from: 'Cosmica <no-reply@cosmica.test>',
+        smtp: { host: '127.0.0.1', port: smtp.port, secure: false }
+    });
+    const result = await mailer.send(message);
+
+    assert.deepStrictEqual(result, { success: true });
+    assert.strictEqual(smtp.messages.length, 1);
+    assert.strictEqual(smtp.messages[0].from, 'no-reply@cosmica.test');
+    assert.deepStrictEqual(smtp.messages[0].to, ['user@example.com']);
+    assert.match(smtp.messages[0].raw, /Subject: Reset your password/);
+    assert.match(smtp.messages[0].raw, /secret-token/);
+});
+
+test('smtp failures resolve with an error instead of throwing', async (t) => {
+    const smtp = await startSmtpServer();
+    await smtp.close();
+
+    t.mock.method(console, 'error', () => {});
+    const mailer = new Mailer({ transport: 'smtp', smtp: { host: '127.0.0.1', port: smtp.port } });
+    const result = await mailer.send(message);
+
+    assert.strictEqual(result.success, false);
+    assert.ok(result.error);
+});
+
+test('file transport writes an .eml file', async (t) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cosmica-mail-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    const mailer = new Mailer({ transport: 'file', directory });
+    assert.deepStrictEqual(await mailer.send(message), { success: true });
+
+    const files = fs.readdirSync(directory);
+    assert.strictEqual(files.length, 1);
+    assert.match(files[0], /\.eml$/);
+    const eml = fs.readFileSync(path.join(directory, files[0]), 'utf8');
+    assert.match(eml, /To: user@example.com/);
+    assert.match(eml, /secret-token/);
+});
+
+test('console transport prints the message outside production', async (t) => {
+    const previous = process.env.NODE_ENV;
+    delete process.env.NODE_ENV;
+    t.after(() => {
+        if (previous !== undefined) process.env.NODE_ENV = previous;
+    });
+
+    const log = t.mock.method(console, 'log', () => {});
+    await new Mailer({ transport: 'console' }).send(message);
+
+    const output = log.mock.calls.map(call => call.arguments.join(' ')).join('\n');
+    assert.match(output, /user@example.com/);
+    assert.match(output, /secret-token/);
+});
+
+test('console transport leaves bodies out of production logs', async (t) => {
+    const previous = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+    t.after(() => {
+        if (previous === undefined) delete process.env.NODE_ENV;
+        else process.env.NODE_ENV = previous;
+    });
+
+    const log = t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+    const result = await new Mailer({ transport: 'console' }).send(message);
+
+    assert.deepStrictEqual(result, { success: true });
+    const output = log.mock.calls.map(call => call.arguments.join(' ')).join('\n');
+    assert.match(output, /Reset your password/);
+    assert.doesNotMatch(output, /secret-token/);
+});
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const OAuthProviders = require('../services/oauth');
+const { startOidcIssuer } = require('./helpers/oidc');
+
+const PUBLIC_URL = 'https://cosmica.test/';
+const client = { clientId: 'cosmica', clientSecret: 'client-secret' };
+
+async function startProvider(t, options = {}) {
+    const issuer = await startOidcIssuer(client);
+    t.after(() => issuer.close());
+
+    const oauth = new OAuthProviders({
+        providers: { sso: { enabled: true, type: 'oidc', issuer: issuer.url, ...client, ...options } }
+    }, PUBLIC_URL);
+    return { issuer, oauth, provider: oauth.get('sso') };
+}
+
+// The whole round trip: authorization URL, sign-in at the issuer, callback
+async function signIn(issuer, oauth, provider) {
+    const { url, pending } = await oauth.authorizationRequest(provider);
+    return oauth.completeAuthorization(provider, issuer.authorize(url), pending);
+}
+
+test('rejects invalid provider config', () => {
+    assert.throws(() => new OAuthProviders({ providers: { sso: { enabled: true, type: 'saml' } } }), /Unknown OAuth provider type/);
+    assert.throws(() => new OAuthProviders({ providers: { sso: { enabled: true, type: 'oidc' } } }), /needs an issuer/);
+    assert.deepStrictEqual(new OAuthProviders({ providers: { sso: { enabled: false, type: 'saml' } } }).list(), []);
+});
+
+test('starts an authorization code flow with PKCE, state and nonce', async (t) => {
+    const { issuer, oauth, provider } = await startProvider(t);
+
+    const { url, pending } = await oauth.authorizationRequest(provider);
+    const params = new URL(url).searchParams;
+
+    assert.ok(url.startsWith(`${issuer.url}/authorize?`));
+    assert.strictEqual(params.get('response_type'), 'code');
+    assert.strictEqual(params.get('client_id'), 'cosmica');
+    assert.strictEqual(params.get('redirect_uri'), 'https://cosmica.test/auth/oauth/sso/callback');
+    assert.strictEqual(params.get('scope'), 'openid email profile');
+    assert.strictEqual(params.get('state'), pending.state);
+    assert.strictEqual(params.get('nonce'), pending.nonce);
+    assert.strictEqual(params.get('code_challenge_method'), 'S256');
+    assert.notStrictEqual(params.get('code_challenge'), pending.verifier);
+});
+
+test('signs in with the issuer and reads the account', async (t) => {
+    const { issuer, oauth, provider } = await startProvider(t);
+
+    const account = await signIn(issuer, oauth, provider);
+
+    assert.deepStrictEqual(account, { subject: 'user-1', email: 'oidc@example.com', emailVerified: true, name: 'OIDC User' });
+    assert.strictEqual(issuer.tokenRequests[0].basicAuth, true);
+    assert.strictEqual(issuer.tokenRequests[0].form.get('client_secret'), null);
+});
+
+test('posts the client secret when the issuer does not take basic auth', async (t) => {
+    const { issuer, oauth, provider } = await startProvider(t);
+    issuer.discovery = { token_endpoint_auth_methods_supported: ['client_secret_post'] };
+
+    await signIn(issuer, oauth, provider);
+
+    assert.strictEqual(issuer.tokenRequests[0].basicAuth, false);
+    assert.strictEqual(issuer.tokenRequests[0].form.get('client_secret'), 'client-secret');
+});
+
+test('rejects ID tokens that do not check out', async (t) => {
+    const { issuer, oauth, provider } = await startProvider(t);
+
+    const cases = [
+        [{ iss: 'https://evil.test' }, /different issuer/],
+        [{ aud: 'someone-else' }, /different client/],
+        [{ exp: Math.floor(Date.now() / 1000) - 60 }, /expired/],
+        [{ nonce: 'replayed' }, /nonce does not match/]
+    ];
+    for (const [claims, error] of cases) {
+        issuer.claims = claims;
+        await assert.rejects(signIn(issuer, oauth, provider), error);
+    }
+
+    issuer.claims = {};
+    issuer.userInfo = { sub: 'user-2' };
+    await assert.rejects(signIn(issuer, oauth, provider), /UserInfo subject does not match/);
+});
+
+test('rejects a code exchanged without its PKCE verifier', async (t) => {
+    const { issuer, oauth, provider } = await startProvider(t);
+
+    const { url, pending } = await oauth.authorizationRequest(provider);
+    const code = issuer.authorize(url);
+
+    await assert.rejects(oauth.completeAuthorization(provider, code, { ...pending, verifier: 'guessed' }), /status code 400/);
+});
+
+test('refuses a discovery document for another issuer', async (t) => {
+    const { issuer, oauth, provider } = await startProvider(t);
+    issuer.discovery = { issuer: 'https://evil.test' };
+
+    await assert.rejects(oauth.authorizationRequest(provider), /names a different issuer/);
+});
+
+test('signs in with Discord through overridden endpoints', async (t) => {
+    const issuer = await startOidcIssuer(client);
+    t.after(() => issuer.close());
+    issuer.userInfo = { id: '80351110224678912', username: 'nelly', global_name: 'Nelly', verified: true };
+
+    const oauth = new OAuthProviders({
+        providers: {
+            discord: {
+                enabled: true,
+                ...client,
+                authorizationUrl: `${issuer.url}/authorize`,
+                tokenUrl: `${issuer.url}/token`,
+                userInfoUrl: `${issuer.url}/userinfo`
+            }
+        }
+    }, PUBLIC_URL);
+    const provider = oauth.get('discord');
+
+    const { url } = await oauth.authorizationRequest(provider);
+    assert.strictEqual(new URL(url).searchParams.get('nonce'), null);
+
+    const account = await signIn(issuer, oauth, provider);
+    assert.deepStrictEqual(account, { subject: '80351110224678912', email: 'oidc@example.com', emailVerified: true, name: 'Nelly' });
+    assert.strictEqual(issuer.tokenRequests[0].form.get('client_secret'), 'client-secret');
+});
@@ -0,0 +1,253 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const express = require('express');
+const PaymentProviders = require('../services/payments');
+const StripeProvider = require('../services/stripe');
+const PayPalProvider = require('../services/paypal');
+const paymentRoutes = require('../routes/payments');
+const { createTestDatabase } = require('./helpers/database');
+const { signStripe, startStripeApi, startPayPalApi } = require('./helpers/payments');
+
+const STRIPE = { secretKey: 'sk_test_cosmica', webhookSecret: 'whsec_test_cosmica' };
+const PAYPAL = { clientId: 'paypal-client', clientSecret: 'paypal-secret', webhookId: 'WH-TEST-1' };
+
+const stripeEvent = (id, type, object) => JSON.stringify({ id, type, data: { object } });
+const paypalEvent = (id, type, resource) => JSON.stringify({ id, event_type: type, resource });
+
+// The webhook route mounted like server.js does, both providers pointed at
+// local fakes and a user to buy credits for
+async function startStore(t) {
+    const db = await createTestDatabase();
+    const stripeApi = await startStripeApi();
+    const paypalApi = await startPayPalApi(PAYPAL);
+
+    const payments = new PaymentProviders({
+        enabled: true,
+        currency: 'USD',
+        packages: [{ id: 'starter', name: 'Starter', credits: 5, price: 5 }],
+        providers: {
+            stripe: { enabled: true, ...STRIPE, apiBase: stripeApi.url },
+            paypal: { enabled: true, ...PAYPAL, apiBase: paypalApi.url }
+        }
+    }, 'https://cosmica.test/');
+
+    const app = express();
+    app.locals.db = db;
+    app.locals.payments = payments;
+    app.use('/payments', paymentRoutes);
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+
+    t.after(async () => {
+        await new Promise(resolve => server.close(resolve));
+        await stripeApi.close();
+        await paypalApi.close();
+        db.cleanup();
+    });
+
+    const userId = await db.createUser('buyer@example.com', 'password123');
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    return {
+        db,
+        payments,
+        stripeApi,
+        paypalApi,
+        credits: async () => (await db.getUserById(userId)).credits,
+        // Starts checkout for the starter package and saves the order
+        buy: async (providerKey) => {
+            const checkout = await payments.startCheckout(payments.get(providerKey), payments.getPackage('starter'), userId);
+            await db.createCreditOrder(checkout.order);
+            return checkout;
+        },
+        webhook: (providerKey, headers, body) => axios.post(`${baseUrl}/payments/webhooks/${providerKey}`, body, {
+            headers: { 'Content-Type': 'application/json', ...headers },
+            validateStatus: () => true
+        })
+    };
+}
+
+test('stripe signatures are checked against the raw body and their age', () => {
+    const stripe = new StripeProvider('stripe', STRIPE);
+    const body = stripeEvent('evt_1', 'checkout.session.completed', {});
+    const now = Date.now();
+    const seconds = Math.floor(now / 1000);
+
+    assert.strictEqual(stripe.verifySignature(signStripe(STRIPE.webhookSecret, body, seconds), body, now), true);
+    assert.strictEqual(stripe.verifySignature(signStripe('whsec_other', body, seconds), body, now), false);
+    assert.strictEqual(stripe.verifySignature(signStripe(STRIPE.webhookSecret, body, seconds), body.replace('evt_1', 'evt_2'), now), false);
+    assert.strictEqual(stripe.verifySignature(signStripe(STRIPE.webhookSecret, body, seconds - 301), body, now), false);
+    assert.strictEqual(stripe.verifySignature('', body, now), false);
+
+    // During a secret rotation Stripe sends one signature per secret
+    const rotated = `${signStripe(STRIPE.webhookSecret, body, seconds)},v1=${'0'.repeat(64)}`;
+    assert.strictEqual(stripe.verifySignature(rotated, body, now), true);
+});
+
+test('stripe webhooks become payment events', async () => {
+    const stripe = new StripeProvider('stripe', STRIPE);
+    const parse = body => stripe.parseWebhook({ 'stripe-signature': signStripe(STRIPE.webhookSecret, body) }, Buffer.from(body));
+
+    const session = { id: 'cs_1', payment_status: 'paid', payment_intent: 'pi_1', amount_total: 500, currency: 'usd' };
+    assert.deepStrictEqual(await parse(stripeEvent('evt_1', 'checkout.session.completed', session)), {
+        id: 'evt_1', type: 'paid', checkoutId: 'cs_1', paymentId: 'pi_1', amountCents: 500, currency: 'usd'
+    });
+    assert.strictEqual(await parse(stripeEvent('evt_2', 'checkout.session.completed', { ...session, payment_status: 'unpaid' })), null);
+    assert.deepStrictEqual(await parse(stripeEvent('evt_3', 'charge.refunded', { payment_intent: 'pi_1', amount_refunded: 500, currency: 'usd' })), {
+        id: 'evt_3', type: 'refunded', paymentId: 'pi_1', amountCents: 500, currency: 'usd'
+    });
+    assert.deepStrictEqual(await parse(stripeEvent('evt_4', 'charge.dispute.created', { payment_intent: 'pi_1' })), {
+        id: 'evt_4', type: 'disputed', paymentId: 'pi_1'
+    });
+    assert.strictEqual(await parse(stripeEvent('evt_5', 'charge.dispute.closed', { payment_intent: 'pi_1', status: 'lost' })), null);
+    assert.strictEqual(await parse(stripeEvent('evt_6', 'customer.created', {})), null);
+
+    await assert.rejects(stripe.parseWebhook({}, Buffer.from(stripeEvent('evt_7', 'charge.refunded', {}))), /Invalid Stripe signature/);
+});
+
+test('paypal signatures are verified with a certificate from a trusted host', async (t) => {
+    const api = await startPayPalApi(PAYPAL);
+    t.after(() => api.close());
+    const paypal = new PayPalProvider('paypal', { ...PAYPAL, apiBase: api.url });
+    const body = paypalEvent('WH-1', 'PAYMENT.CAPTURE.COMPLETED', {});
+
+    assert.strictEqual(await paypal.verifySignature(api.sign(PAYPAL.webhookId, body), Buffer.from(body)), true);
+    assert.strictEqual(await paypal.verifySignature(api.sign(PAYPAL.webhookId, body), Buffer.from(body.replace('WH-1', 'WH-2'))), false);
+    assert.strictEqual(await paypal.verifySignature(api.sign('WH-OTHER', body), Buffer.from(body)), false);
+    assert.strictEqual(await paypal.verifySignature(api.sign(PAYPAL.webhookId, body, { 'paypal-auth-algo': 'SHA1withRSA' }), Buffer.from(body)), false);
+
+    const forged = api.sign(PAYPAL.webhookId, body, { 'paypal-cert-url': 'https://attacker.test/cert.pem' });
+    await assert.rejects(paypal.verifySignature(forged, Buffer.from(body)), /Untrusted PayPal certificate URL/);
+});
+
+test('paypal webhooks become payment events', async (t) => {
+    const api = await startPayPalApi(PAYPAL);
+    t.after(() => api.close());
+    const paypal = new PayPalProvider('paypal', { ...PAYPAL, apiBase: api.url });
+    const parse = body => paypal.parseWebhook(api.sign(PAYPAL.webhookId, body), Buffer.from(body));
+
+    assert.deepStrictEqual(await parse(paypalEvent('WH-1', 'CHECKOUT.ORDER.APPROVED', { id: 'ORDER-1' })), {
+        id: 'WH-1', type: 'approved', checkoutId: 'ORDER-1'
+    });
+    const capture = {
+        id: 'CAPTURE-1',
+        amount: { value: '5.00', currency_code: 'USD' },
+        supplementary_data: { related_ids: { order_id: 'ORDER-1' } }
+    };
+    assert.deepStrictEqual(await parse(paypalEvent('WH-2', 'PAYMENT.CAPTURE.COMPLETED', capture)), {
+        id: 'WH-2', type: 'paid', checkoutId: 'ORDER-1', paymentId: 'CAPTURE-1', amountCents: 500, currency: 'USD'
+    });
+    const refund = {
+        id: 'REFUND-1',
+        amount: { value: '5.00', currency_code: 'USD' },
+        links: [{ rel: 'up', href: `${api.url}/v2/payments/captures/CAPTURE-1` }]
+    };
+    assert.deepStrictEqual(await parse(paypalEvent('WH-3', 'PAYMENT.CAPTURE.REFUNDED', refund)), {
+        id: 'WH-3', type: 'refunded', paymentId: 'CAPTURE-1', amountCents: 500, currency: 'USD'
+    });
+    const dispute = { disputed_transactions: [{ seller_transaction_id: 'CAPTURE-1' }] };
+    assert.deepStrictEqual(await parse(paypalEvent('WH-4', 'CUSTOMER.DISPUTE.CREATED', dispute)), {
+        id: 'WH-4', type: 'disputed', paymentId: 'CAPTURE-1'
+    });
+    const won = { ...dispute, dispute_outcome: { outcome_code: 'RESOLVED_SELLER_FAVOUR' } };
+    assert.deepStrictEqual(await parse(paypalEvent('WH-5', 'CUSTOMER.DISPUTE.RESOLVED', won)), {
+        id: 'WH-5', type: 'dispute_won', paymentId: 'CAPTURE-1'
+    });
+});
+
+test('buying credits with Stripe', async (t) => {
+    const store = await startStore(t);
+
+    const { url, order } = await store.buy('stripe');
+    assert.strictEqual(url, 'https://checkout.stripe.test/c/pay/cs_test_1');
+    const request = store.stripeApi.requests[0];
+    const params = new URLSearchParams(request.body);
+    assert.strictEqual(request.headers.authorization, `Bearer ${STRIPE.secretKey}`);
+    assert.strictEqual(request.headers['idempotency-key'], order.reference);
+    assert.strictEqual(params.get('line_items[0][price_data][unit_amount]'), '500');
+    assert.strictEqual(params.get('success_url'), `https://cosmica.test/dashboard/store/orders/${order.reference}/return`);
+
+    const paid = stripeEvent('evt_paid', 'checkout.session.completed', {
+        id: order.providerRef, payment_status: 'paid', payment_intent: 'pi_1', amount_total: 500, currency: 'usd'
+    });
+
+    const forged = await store.webhook('stripe', { 'stripe-signature': signStripe('whsec_guess', paid) }, paid);
+    assert.strictEqual(forged.status, 400);
+    assert.strictEqual(await store.credits(), 0);
+
+    const response = await store.webhook('stripe', { 'stripe-signature': signStripe(STRIPE.webhookSecret, paid) }, paid);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(await store.credits(), 5);
+    assert.strictEqual((await store.db.getCreditOrderByReference(order.reference)).status, 'paid');
+
+    // Stripe retries deliveries; the same event must not pay twice
+    const retried = await store.webhook('stripe', { 'stripe-signature': signStripe(STRIPE.webhookSecret, paid) }, paid);
+    assert.strictEqual(retried.status, 200);
+    assert.strictEqual(await store.credits(), 5);
+
+    const refunded = stripeEvent('evt_refund', 'charge.refunded', { payment_intent: 'pi_1', amount_refunded: 500, currency: 'usd' });
+    await store.webhook('stripe', { 'stripe-signature': signStripe(STRIPE.webhookSecret, refunded) }, refunded);
+    assert.strictEqual(await store.credits(), 0);
+    assert.strictEqual((await store.db.getCreditOrderByReference(order.reference)).status, 'refunded');
+});
+
+test('buying credits with PayPal', async (t) => {
+    const store = await startStore(t);
+    const sign = body => store.paypalApi.sign(PAYPAL.webhookId, body);
+
+    const { url, order } = await store.buy('paypal');
+    assert.ok(url.includes(`token=${order.providerRef}`));
+
+    // The buyer approved but never came back: the approval webhook captures
+    const approved = paypalEvent('WH-approved', 'CHECKOUT.ORDER.APPROVED', { id: order.providerRef });
+    assert.strictEqual((await store.webhook('paypal', sign(approved), approved)).status, 200);
+    const captures = () => store.paypalApi.requests.filter(request => request.url.endsWith('/capture'));
+    assert.strictEqual(captures().length, 1);
+
+    // Coming back to the return page captures again, harmlessly
+    await store.payments.get('paypal').completeCheckout(order.providerRef);
+    assert.strictEqual(captures().length, 2);
+
+    const paid = paypalEvent('WH-paid', 'PAYMENT.CAPTURE.COMPLETED', {
+        id: 'CAPTURE-1',
+        amount: { value: '5.00', currency_code: 'USD' },
+        supplementary_data: { related_ids: { order_id: order.providerRef } }
+    });
+    assert.strictEqual((await store.webhook('paypal', sign(paid), paid)).status, 200);
+    assert.strictEqual(await store.credits(), 5);
+
+    const forged = paypalEvent('WH-forged', 'CUSTOMER.DISPUTE.CREATED', { disputed_transactions: [{ seller_transaction_id: 'CAPTURE-1' }] });
+    const response = await store.webhook('paypal', sign(paid), forged);
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(await store.credits(), 5);
+});
+
+test('events that arrive out of order are retried, not dropped', async (t) => {
+    const store = await startStore(t);
+    const send = async (body) => {
+        const response = await store.webhook('stripe', { 'stripe-signature': signStripe(STRIPE.webhookSecret, body) }, body);
+        return response.status;
+    };
+
+    const { order } = await store.buy('stripe');
+    await store.db.applyPaymentEvent('stripe', {
+        id: 'evt_setup', type: 'paid', checkoutId: order.providerRef, paymentId: 'pi_1', amountCents: 500, currency: 'usd'
+    });
+
+    const disputed = stripeEvent('evt_dispute', 'charge.dispute.created', { payment_intent: 'pi_1' });
+    const won = stripeEvent('evt_won', 'charge.dispute.closed', { payment_intent: 'pi_1', status: 'won' });
+
+    // The dispute is won before Cosmica heard about it
+    assert.strictEqual(await send(won), 409);
+    assert.strictEqual(await store.credits(), 5);
+
+    assert.strictEqual(await send(disputed), 200);
+    assert.strictEqual(await store.credits(), 0);
+
+    // Stripe sends the won event again, now in order
+    assert.strictEqual(await send(won), 200);
+    assert.strictEqual(await store.credits(), 5);
+    assert.strictEqual((await store.db.getCreditOrderByReference(order.reference)).status, 'paid');
+});
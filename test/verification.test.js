@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { checkVerificationToken, sendVerificationEmail } = require('../services/verification');
+const { createTestDatabase } = require('./helpers/database');
+
+const config = {
+    server: { publicUrl: 'https://cosmica.test/', sessionSecret: 'test-secret' },
+    security: { emailVerificationTtlHours: 48 },
+    branding: { name: 'Cosmica' }
+};
+
+// Sends through a mailer that keeps the message and resolves with the link's token
+async function sendLink(user, options) {
+    const sent = [];
+    const req = { app: { locals: { config, mailer: { send: async message => { sent.push(message); return { success: true }; } } } } };
+    await sendVerificationEmail(req, user, options);
+    return { message: sent[0], token: /verify-email\/(\S+)/.exec(sent[0].text)[1] };
+}
+
+test('changing the email address makes the account unverified again', async (t) => {
+    const db = await createTestDatabase();
+    t.after(() => db.cleanup());
+
+    const userId = await db.createUser('first@example.com', 'password123');
+    const { token: firstLink } = await sendLink(await db.getUserById(userId));
+    assert.strictEqual((await checkVerificationToken(db, config, firstLink)).id, userId);
+    assert.deepStrictEqual(await db.verifyUserEmail(userId, 5), { verified: true, bonus: 5 });
+
+    await db.updateUserEmail(userId, 'second@example.com');
+    assert.strictEqual((await db.getUserById(userId)).email_verified, 0);
+
+    // The old link was signed for the old address
+    assert.strictEqual(await checkVerificationToken(db, config, firstLink), null);
+
+    const { message, token } = await sendLink(await db.getUserById(userId), { changed: true });
+    assert.strictEqual(message.to, 'second@example.com');
+    assert.match(message.text, /^This is now the email address/);
+    assert.strictEqual((await checkVerificationToken(db, config, token)).id, userId);
+
+    // Verifying the new address doesn't pay the registration bonus twice
+    assert.deepStrictEqual(await db.verifyUserEmail(userId, 5), { verified: true, bonus: 0 });
+    const user = await db.getUserById(userId);
+    assert.strictEqual(user.email_verified, 1);
+    assert.strictEqual(user.credits, 5);
+});